@@ -0,0 +1,41 @@
+// Everything runs as native ES modules, so Jest must be started with
+// --experimental-vm-modules (`npm test`). Server and shared-module suites are
+// not transformed; React component suites are compiled by ts-jest and run in jsdom.
+const moduleNameMapper = {
+  '^@/(.*)$': '<rootDir>/src/$1',
+};
+
+module.exports = {
+  projects: [
+    {
+      displayName: 'server',
+      testEnvironment: 'node',
+      transform: {},
+      moduleNameMapper,
+      setupFilesAfterEnv: ['<rootDir>/src/tests/setup.js'],
+      testMatch: ['<rootDir>/src/tests/**/*.test.js'],
+    },
+    {
+      displayName: 'components',
+      testEnvironment: 'jsdom',
+      extensionsToTreatAsEsm: ['.ts', '.tsx'],
+      transform: {
+        '^.+\\.(ts|tsx)$': ['ts-jest', {
+          useESM: true,
+          isolatedModules: true,
+          tsconfig: { jsx: 'react-jsx', module: 'ESNext', esModuleInterop: true },
+          // Vite's import.meta.env does not exist outside the bundler
+          astTransformers: {
+            before: [{ path: 'ts-jest-mock-import-meta', options: { metaObjectReplacement: { env: {} } } }],
+          },
+        }],
+      },
+      moduleNameMapper: {
+        ...moduleNameMapper,
+        '\\.(css|less|scss|sass)$': 'identity-obj-proxy',
+      },
+      setupFilesAfterEnv: ['<rootDir>/src/tests/setup.js'],
+      testMatch: ['<rootDir>/src/tests/**/*.test.tsx'],
+    },
+  ],
+};
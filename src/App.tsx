@@ -7,6 +7,10 @@ import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Index from "./pages/Index";
 import NotFound from "./pages/NotFound";
 import SchedulePage from "./pages/SchedulePage";
+import AnalyticsPage from "./pages/AnalyticsPage";
+import OutboxPage from "./pages/OutboxPage";
+import MailboxPage from "./pages/MailboxPage";
+import SuppressionsPage from "./pages/SuppressionsPage";
 
 // Create a new QueryClient instance
 const queryClient = new QueryClient();
@@ -22,6 +26,10 @@ const App = () => {
             <Routes>
               <Route path="/" element={<Index />} />
               <Route path="/schedule" element={<SchedulePage />} />
+              <Route path="/analytics" element={<AnalyticsPage />} />
+              <Route path="/outbox" element={<OutboxPage />} />
+              <Route path="/mailbox" element={<MailboxPage />} />
+              <Route path="/suppressions" element={<SuppressionsPage />} />
               {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
               <Route path="*" element={<NotFound />} />
             </Routes>
@@ -0,0 +1,352 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { EmailBlock, EmailDocument } from '@/lib/api';
+import {
+  createBlock,
+  documentToMarkdown,
+  markdownToDocument
+} from '@/shared/emailDocument';
+import { STANDARD_FIELDS } from '@/shared/mergeFields';
+import {
+  ArrowDown,
+  ArrowUp,
+  Bold,
+  Code,
+  Heading,
+  Image,
+  Italic,
+  LayoutList,
+  Link,
+  List,
+  Minus,
+  Quote,
+  Trash,
+  Type
+} from 'lucide-react';
+
+interface EmailBodyEditorProps {
+  body: string;
+  document?: EmailDocument | null;
+  onChange: (body: string, document: EmailDocument) => void;
+  fields?: string[];
+}
+
+// Text input the toolbar currently acts on, with a setter for its block field
+interface ActiveInput {
+  element: HTMLInputElement | HTMLTextAreaElement;
+  apply: (value: string) => void;
+}
+
+const BLOCK_BUTTONS: { type: EmailBlock['type']; label: string; icon: typeof Type }[] = [
+  { type: 'paragraph', label: 'Text', icon: Type },
+  { type: 'heading', label: 'Heading', icon: Heading },
+  { type: 'list', label: 'List', icon: List },
+  { type: 'quote', label: 'Quote', icon: Quote },
+  { type: 'image', label: 'Image', icon: Image },
+  { type: 'divider', label: 'Divider', icon: Minus },
+];
+
+const BLOCK_LABELS: Record<EmailBlock['type'], string> = {
+  paragraph: 'Text',
+  heading: 'Heading',
+  list: 'List',
+  quote: 'Quote',
+  image: 'Image',
+  divider: 'Divider',
+};
+
+const EmailBodyEditor = ({ body, document, onChange, fields = STANDARD_FIELDS }: EmailBodyEditorProps) => {
+  const [doc, setDoc] = useState<EmailDocument>(() => document || markdownToDocument(body));
+  const [mode, setMode] = useState<'blocks' | 'source'>('blocks');
+  const [source, setSource] = useState('');
+  const activeInput = useRef<ActiveInput | null>(null);
+  const lastBody = useRef(body);
+  // Latest document, for toolbar actions whose callbacks were created on an earlier render
+  const docRef = useRef(doc);
+  docRef.current = doc;
+
+  // Pick up changes made outside the editor, e.g. loading a template
+  useEffect(() => {
+    if (body !== lastBody.current) {
+      lastBody.current = body;
+      setDoc(document || markdownToDocument(body));
+      setSource(body);
+    }
+  }, [body, document]);
+
+  // Store a new document and report it with its markdown body
+  const commit = (next: EmailDocument) => {
+    const markdown = documentToMarkdown(next);
+    lastBody.current = markdown;
+    docRef.current = next;
+    setDoc(next);
+    onChange(markdown, next);
+  };
+
+  // Edit the markdown directly; blocks are rebuilt from it
+  const updateSource = (value: string) => {
+    setSource(value);
+    commit(markdownToDocument(value));
+  };
+
+  const updateBlock = (id: string, changes: Partial<EmailBlock>) => {
+    const current = docRef.current;
+    commit({
+      ...current,
+      blocks: current.blocks.map(block => (block.id === id ? { ...block, ...changes } as EmailBlock : block)),
+    });
+  };
+
+  const addBlock = (type: EmailBlock['type']) => {
+    commit({ ...doc, blocks: [...doc.blocks, createBlock(type)] });
+  };
+
+  const removeBlock = (id: string) => {
+    activeInput.current = null;
+    commit({ ...doc, blocks: doc.blocks.filter(block => block.id !== id) });
+  };
+
+  const moveBlock = (index: number, offset: number) => {
+    const target = index + offset;
+    if (target < 0 || target >= doc.blocks.length) return;
+
+    const blocks = [...doc.blocks];
+    [blocks[index], blocks[target]] = [blocks[target], blocks[index]];
+    commit({ ...doc, blocks });
+  };
+
+  // Remember which text field the toolbar should act on
+  const trackInput = (apply: (value: string) => void) => ({
+    onFocus: (e: React.FocusEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+      activeInput.current = { element: e.target, apply };
+    },
+  });
+
+  // Wrap the selection of the active text field, or insert text at the cursor
+  const insertAroundSelection = (before: string, after: string, placeholder: string) => {
+    const target = activeInput.current;
+
+    if (!target || !target.element.isConnected) {
+      // Nothing focused yet: start a new paragraph with the inserted text
+      commit({ ...doc, blocks: [...doc.blocks, { ...createBlock('paragraph'), text: `${before}${placeholder}${after}` }] });
+      return;
+    }
+
+    const { element, apply } = target;
+    const value = element.value;
+    const start = element.selectionStart ?? value.length;
+    const end = element.selectionEnd ?? value.length;
+    const selected = value.slice(start, end) || placeholder;
+
+    apply(value.slice(0, start) + before + selected + after + value.slice(end));
+
+    // Restore the selection around the wrapped text once React has re-rendered
+    requestAnimationFrame(() => {
+      element.focus();
+      element.setSelectionRange(start + before.length, start + before.length + selected.length);
+    });
+  };
+
+  const insertLink = () => {
+    const url = window.prompt('Link URL', 'https://');
+    if (url) {
+      insertAroundSelection('[', `](${url})`, 'link text');
+    }
+  };
+
+  const renderBlockFields = (block: EmailBlock) => {
+    switch (block.type) {
+      case 'heading':
+        return (
+          <div className="flex space-x-2">
+            <select
+              value={block.level}
+              onChange={(e) => updateBlock(block.id, { level: Number(e.target.value) as 1 | 2 | 3 })}
+              className="p-2 border rounded text-sm"
+            >
+              <option value={1}>H1</option>
+              <option value={2}>H2</option>
+              <option value={3}>H3</option>
+            </select>
+            <Input
+              value={block.text}
+              onChange={(e) => updateBlock(block.id, { text: e.target.value })}
+              {...trackInput(text => updateBlock(block.id, { text }))}
+              placeholder="Heading"
+            />
+          </div>
+        );
+
+      case 'list':
+        return (
+          <>
+            <label className="flex items-center space-x-2 text-xs text-gray-600 mb-1">
+              <input
+                type="checkbox"
+                checked={block.ordered}
+                onChange={(e) => updateBlock(block.id, { ordered: e.target.checked })}
+              />
+              <span>Numbered list</span>
+            </label>
+            <Textarea
+              value={block.items.join('\n')}
+              onChange={(e) => updateBlock(block.id, { items: e.target.value.split('\n') })}
+              {...trackInput(value => updateBlock(block.id, { items: value.split('\n') }))}
+              rows={3}
+              placeholder="One item per line"
+            />
+          </>
+        );
+
+      case 'image':
+        return (
+          <div className="space-y-2">
+            <Input
+              value={block.src}
+              onChange={(e) => updateBlock(block.id, { src: e.target.value })}
+              placeholder="Image URL (https://...)"
+            />
+            <Input
+              value={block.alt}
+              onChange={(e) => updateBlock(block.id, { alt: e.target.value })}
+              placeholder="Alt text"
+            />
+            <Input
+              value={block.href}
+              onChange={(e) => updateBlock(block.id, { href: e.target.value })}
+              placeholder="Link URL (optional)"
+            />
+            {/^https?:\/\//i.test(block.src) && (
+              <img src={block.src} alt={block.alt} className="max-h-24 border rounded" />
+            )}
+          </div>
+        );
+
+      case 'divider':
+        return <hr className="my-2" />;
+
+      default:
+        return (
+          <Textarea
+            value={block.text}
+            onChange={(e) => updateBlock(block.id, { text: e.target.value })}
+            {...trackInput(text => updateBlock(block.id, { text }))}
+            rows={block.type === 'quote' ? 2 : 3}
+            placeholder={block.type === 'quote' ? 'Quote' : 'Write something...'}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="email-body-editor border rounded-md">
+      <div className="flex flex-wrap items-center gap-1 p-2 border-b bg-gray-50">
+        <Button
+          type="button"
+          size="sm"
+          variant="ghost"
+          title="Bold"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => insertAroundSelection('**', '**', 'bold text')}
+        >
+          <Bold className="h-4 w-4" />
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="ghost"
+          title="Italic"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => insertAroundSelection('*', '*', 'italic text')}
+        >
+          <Italic className="h-4 w-4" />
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="ghost"
+          title="Link"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={insertLink}
+        >
+          <Link className="h-4 w-4" />
+        </Button>
+        <div className="flex-1" />
+        <Button
+          type="button"
+          size="sm"
+          variant={mode === 'source' ? 'secondary' : 'ghost'}
+          title={mode === 'source' ? 'Back to blocks' : 'Edit source'}
+          onClick={() => {
+            activeInput.current = null;
+            setSource(documentToMarkdown(doc));
+            setMode(mode === 'source' ? 'blocks' : 'source');
+          }}
+        >
+          {mode === 'source' ? <LayoutList className="h-4 w-4" /> : <Code className="h-4 w-4" />}
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap gap-1 px-2 pt-2">
+        {fields.map(field => (
+          <button
+            key={field}
+            type="button"
+            className="text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 border border-blue-200 hover:bg-blue-100"
+            title={`Insert {{${field}}}`}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => insertAroundSelection(`{{${field}}}`, '', '')}
+          >
+            {field}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'source' ? (
+        <div className="p-2">
+          <Textarea
+            value={source}
+            onChange={(e) => updateSource(e.target.value)}
+            {...trackInput(updateSource)}
+            rows={10}
+            className="font-mono text-xs"
+          />
+        </div>
+      ) : (
+        <div className="p-2 space-y-2">
+          {doc.blocks.map((block, index) => (
+            <div key={block.id} className="border rounded p-2 bg-white">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs font-medium text-gray-500">{BLOCK_LABELS[block.type]}</span>
+                <div className="flex">
+                  <Button type="button" size="sm" variant="ghost" className="h-6 px-1" title="Move up" onClick={() => moveBlock(index, -1)} disabled={index === 0}>
+                    <ArrowUp className="h-3 w-3" />
+                  </Button>
+                  <Button type="button" size="sm" variant="ghost" className="h-6 px-1" title="Move down" onClick={() => moveBlock(index, 1)} disabled={index === doc.blocks.length - 1}>
+                    <ArrowDown className="h-3 w-3" />
+                  </Button>
+                  <Button type="button" size="sm" variant="ghost" className="h-6 px-1" title="Remove block" onClick={() => removeBlock(block.id)}>
+                    <Trash className="h-3 w-3 text-red-500" />
+                  </Button>
+                </div>
+              </div>
+              {renderBlockFields(block)}
+            </div>
+          ))}
+
+          <div className="flex flex-wrap gap-1">
+            {BLOCK_BUTTONS.map(({ type, label, icon: Icon }) => (
+              <Button key={type} type="button" size="sm" variant="outline" onClick={() => addBlock(type)}>
+                <Icon className="mr-1 h-3 w-3" /> {label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailBodyEditor;
@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { leadListsApi, LeadList, Contact, EmailFormat } from '@/lib/api';
+import { renderMergeFields } from '@/shared/mergeFields';
+import { renderEmail, getBodyMergeOptions } from '@/shared/emailRenderer';
+import { Monitor, Smartphone } from 'lucide-react';
+
+interface EmailPreviewProps {
+  subject: string;
+  body: string;
+  format?: EmailFormat;
+}
+
+// Contact used until a real one is picked from a lead list
+const SAMPLE_CONTACT: Pick<Contact, 'email' | 'firstName' | 'lastName' | 'company' | 'customFields'> = {
+  email: 'jane.doe@example.com',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  company: 'Acme Inc.',
+  customFields: {},
+};
+
+const WIDTHS = {
+  desktop: 600,
+  mobile: 375,
+};
+
+const EmailPreview = ({ subject, body, format = 'html' }: EmailPreviewProps) => {
+  const [leadLists, setLeadLists] = useState<LeadList[]>([]);
+  const [listId, setListId] = useState('');
+  const [contacts, setContacts] = useState<Contact[]>([]);
+  const [contactId, setContactId] = useState('');
+  const [device, setDevice] = useState<keyof typeof WIDTHS>('desktop');
+  const [view, setView] = useState<'html' | 'text'>(format === 'plain' ? 'text' : 'html');
+
+  // Load lead lists to pick sample contacts from
+  useEffect(() => {
+    leadListsApi.getAllLeadLists()
+      .then(response => setLeadLists(response.leadLists || []))
+      .catch(error => console.error('Failed to load lead lists for preview:', error));
+  }, []);
+
+  // Load the first contacts of the chosen list
+  useEffect(() => {
+    setContactId('');
+    if (!listId) {
+      setContacts([]);
+      return;
+    }
+
+    leadListsApi.getContacts(listId, { limit: 50 })
+      .then(response => setContacts(response.contacts || []))
+      .catch(error => console.error('Failed to load contacts for preview:', error));
+  }, [listId]);
+
+  // Plain text emails have no HTML part to show
+  useEffect(() => {
+    if (format === 'plain') setView('text');
+  }, [format]);
+
+  const contact = contacts.find(item => item.id === contactId) || SAMPLE_CONTACT;
+
+  // Render exactly what the send job would produce for this contact
+  let rendered: { subject: string; html: string | null; text: string } | null = null;
+  let error = '';
+  try {
+    const email = renderEmail({ body: renderMergeFields(body, contact, getBodyMergeOptions(format)), format });
+    rendered = { subject: renderMergeFields(subject, contact), ...email };
+  } catch (renderError) {
+    error = renderError instanceof Error ? renderError.message : 'Failed to render preview';
+  }
+
+  return (
+    <div className="email-preview border rounded-md">
+      <div className="flex flex-wrap items-center gap-2 p-2 border-b bg-gray-50">
+        <select
+          value={listId}
+          onChange={(e) => setListId(e.target.value)}
+          className="p-1 border rounded text-xs max-w-[140px]"
+          title="Lead list"
+        >
+          <option value="">Sample contact</option>
+          {leadLists.map(list => (
+            <option key={list.id} value={list.id}>{list.name}</option>
+          ))}
+        </select>
+        {listId && (
+          <select
+            value={contactId}
+            onChange={(e) => setContactId(e.target.value)}
+            className="p-1 border rounded text-xs max-w-[160px]"
+            title="Contact"
+          >
+            <option value="">Sample contact</option>
+            {contacts.map(item => (
+              <option key={item.id} value={item.id}>{item.email}</option>
+            ))}
+          </select>
+        )}
+        <div className="flex-1" />
+        <Button
+          type="button"
+          size="sm"
+          variant={device === 'desktop' ? 'secondary' : 'ghost'}
+          className="h-7 px-2"
+          title="Desktop width"
+          onClick={() => setDevice('desktop')}
+        >
+          <Monitor className="h-4 w-4" />
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant={device === 'mobile' ? 'secondary' : 'ghost'}
+          className="h-7 px-2"
+          title="Mobile width"
+          onClick={() => setDevice('mobile')}
+        >
+          <Smartphone className="h-4 w-4" />
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant={view === 'html' ? 'secondary' : 'ghost'}
+          className="h-7 px-2 text-xs"
+          disabled={format === 'plain'}
+          onClick={() => setView('html')}
+        >
+          HTML
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant={view === 'text' ? 'secondary' : 'ghost'}
+          className="h-7 px-2 text-xs"
+          onClick={() => setView('text')}
+        >
+          Text
+        </Button>
+      </div>
+
+      {error || !rendered ? (
+        <p className="p-3 text-sm text-red-500">{error}</p>
+      ) : (
+        <div className="p-2 bg-gray-100 overflow-x-auto">
+          <div className="mx-auto bg-white border shadow-sm" style={{ width: WIDTHS[device] }}>
+            <div className="px-3 py-2 border-b text-xs text-gray-600">
+              <p><span className="font-medium">To:</span> {contact.email}</p>
+              <p><span className="font-medium">Subject:</span> {rendered.subject || '(no subject)'}</p>
+            </div>
+            {view === 'html' && rendered.html ? (
+              <iframe
+                title="Email preview"
+                srcDoc={rendered.html}
+                sandbox=""
+                className="w-full h-[320px] border-0"
+              />
+            ) : (
+              <pre className="p-3 text-sm whitespace-pre-wrap font-sans">{rendered.text}</pre>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailPreview;
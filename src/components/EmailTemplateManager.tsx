@@ -19,26 +19,43 @@ import {
   TableHeader, 
   TableRow 
 } from '@/components/ui/table';
-import { templatesApi, EmailTemplateSummary } from '@/lib/api';
+import { templatesApi, EmailTemplateSummary, EmailFormat, EmailDocument } from '@/lib/api';
+import EmailBodyEditor from './EmailBodyEditor';
+import EmailPreview from './EmailPreview';
 import { useToast } from '@/components/ui/use-toast';
 import { Loader2, Plus, Trash, FilePlus, Eye } from 'lucide-react';
 
 interface EmailTemplateManagerProps {
-  onSelectTemplate: (template: { subject: string; body: string }) => void;
+  onSelectTemplate: (template: {
+    subject: string;
+    body: string;
+    bodyDoc: EmailDocument | null;
+    format: EmailFormat;
+  }) => void;
 }
 
 const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) => {
   const [templates, setTemplates] = useState<EmailTemplateSummary[]>([]);
   const [isLoading, setIsLoading] = useState(false);
-  const [newTemplate, setNewTemplate] = useState({
+  const [newTemplate, setNewTemplate] = useState<{
+    name: string;
+    subject: string;
+    body: string;
+    bodyDoc: EmailDocument | null;
+    format: EmailFormat;
+  }>({
     name: '',
     subject: '',
-    body: ''
+    body: '',
+    bodyDoc: null,
+    format: 'html'
   });
   const [viewingTemplate, setViewingTemplate] = useState<{
     name: string;
     subject: string;
     body: string;
+    bodyDoc: EmailDocument | null;
+    format: EmailFormat;
     id?: string;
   } | null>(null);
   const [isCreating, setIsCreating] = useState(false);
@@ -84,7 +101,9 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
       await templatesApi.createTemplate({
         name: newTemplate.name,
         subject: newTemplate.subject,
-        body: newTemplate.body
+        body: newTemplate.body,
+        bodyDoc: newTemplate.format === 'plain' ? null : newTemplate.bodyDoc,
+        format: newTemplate.format
       });
       
       // Refresh the template list
@@ -94,7 +113,9 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
       setNewTemplate({
         name: '',
         subject: '',
-        body: ''
+        body: '',
+        bodyDoc: null,
+        format: 'html'
       });
       
       toast({
@@ -148,7 +169,9 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
       if (template) {
         onSelectTemplate({
           subject: template.subject,
-          body: template.body
+          body: template.body,
+          bodyDoc: template.bodyDoc || null,
+          format: template.format || 'html'
         });
         
         toast({
@@ -180,7 +203,9 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
           id: template._id,
           name: template.name,
           subject: template.subject,
-          body: template.body
+          body: template.body,
+          bodyDoc: template.bodyDoc || null,
+          format: template.format || 'html'
         });
       }
     } catch (error) {
@@ -215,7 +240,7 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
               <Plus className="mr-1 h-3 w-3" /> New Template
             </Button>
           </DialogTrigger>
-          <DialogContent>
+          <DialogContent className="md:max-w-2xl max-h-[90vh] overflow-y-auto">
             <DialogHeader>
               <DialogTitle>Create New Email Template</DialogTitle>
             </DialogHeader>
@@ -236,13 +261,40 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
                   placeholder="Following up on our conversation"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Format</label>
+                <select
+                  value={newTemplate.format}
+                  onChange={(e) => setNewTemplate({...newTemplate, format: e.target.value as EmailFormat})}
+                  className="w-full p-2 border rounded"
+                >
+                  <option value="html">HTML (markdown formatting)</option>
+                  <option value="plain">Plain text</option>
+                </select>
+              </div>
               <div>
                 <label className="block text-sm font-medium mb-1">Email Body</label>
-                <Textarea
-                  value={newTemplate.body}
-                  onChange={(e) => setNewTemplate({...newTemplate, body: e.target.value})}
-                  rows={6}
-                  placeholder="Hi {{name}},\n\nI wanted to follow up on our conversation about..."
+                {newTemplate.format === 'plain' ? (
+                  <Textarea
+                    value={newTemplate.body}
+                    onChange={(e) => setNewTemplate({...newTemplate, body: e.target.value, bodyDoc: null})}
+                    rows={6}
+                    placeholder="Hi {{firstName|there}},\n\nI wanted to follow up on our conversation about..."
+                  />
+                ) : (
+                  <EmailBodyEditor
+                    body={newTemplate.body}
+                    document={newTemplate.bodyDoc}
+                    onChange={(body, bodyDoc) => setNewTemplate(current => ({...current, body, bodyDoc}))}
+                  />
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Preview</label>
+                <EmailPreview
+                  subject={newTemplate.subject}
+                  body={newTemplate.body}
+                  format={newTemplate.format}
                 />
               </div>
             </div>
@@ -270,7 +322,7 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
 
       {/* View Template Dialog */}
       <Dialog open={!!viewingTemplate} onOpenChange={(open) => !open && setViewingTemplate(null)}>
-        <DialogContent className="md:max-w-xl">
+        <DialogContent className="md:max-w-2xl max-h-[90vh] overflow-y-auto">
           <DialogHeader>
             <DialogTitle>{viewingTemplate?.name}</DialogTitle>
           </DialogHeader>
@@ -280,11 +332,23 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
               <div className="p-2 bg-gray-50 border rounded-md">{viewingTemplate?.subject}</div>
             </div>
             <div>
-              <h4 className="font-medium mb-1">Body:</h4>
+              <h4 className="font-medium mb-1">
+                Body ({viewingTemplate?.format === 'plain' ? 'plain text' : 'HTML'}):
+              </h4>
               <div className="p-3 bg-gray-50 border rounded-md whitespace-pre-wrap">
                 {viewingTemplate?.body}
               </div>
             </div>
+            {viewingTemplate && (
+              <div>
+                <h4 className="font-medium mb-1">Preview:</h4>
+                <EmailPreview
+                  subject={viewingTemplate.subject}
+                  body={viewingTemplate.body}
+                  format={viewingTemplate.format}
+                />
+              </div>
+            )}
           </div>
           <DialogFooter>
             <Button
@@ -299,7 +363,9 @@ const EmailTemplateManager = ({ onSelectTemplate }: EmailTemplateManagerProps) =
                   if (viewingTemplate) {
                     onSelectTemplate({
                       subject: viewingTemplate.subject,
-                      body: viewingTemplate.body
+                      body: viewingTemplate.body,
+                      bodyDoc: viewingTemplate.bodyDoc,
+                      format: viewingTemplate.format
                     });
                     setViewingTemplate(null);
                     toast({
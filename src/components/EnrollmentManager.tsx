@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import {
+  Table,
+  TableBody,
+  TableCaption,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+import { enrollmentsApi, Enrollment, EnrollmentStatus } from '@/lib/api';
+import { useToast } from '@/components/ui/use-toast';
+import { Loader2, Pause, Play, RefreshCw } from 'lucide-react';
+
+interface EnrollmentManagerProps {
+  flowId?: string;
+}
+
+const STATUS_STYLES: Record<EnrollmentStatus, string> = {
+  active: 'bg-blue-100 text-blue-700',
+  paused: 'bg-yellow-100 text-yellow-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  stopped: 'bg-gray-100 text-gray-700',
+};
+
+const EnrollmentManager = ({ flowId }: EnrollmentManagerProps) => {
+  const [enrollments, setEnrollments] = useState<Enrollment[]>([]);
+  const [total, setTotal] = useState(0);
+  const [statusFilter, setStatusFilter] = useState<EnrollmentStatus | ''>('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  // Reload whenever the flow or the status filter changes
+  useEffect(() => {
+    fetchEnrollments();
+  }, [flowId, statusFilter]);
+
+  // Fetch enrollments for the current flow
+  const fetchEnrollments = async () => {
+    if (!flowId) {
+      setEnrollments([]);
+      setTotal(0);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await enrollmentsApi.getEnrollments({
+        flowId,
+        status: statusFilter || undefined,
+        limit: 100,
+      });
+      setEnrollments(response.enrollments || []);
+      setTotal(response.total || 0);
+    } catch (error) {
+      console.error('Failed to fetch enrollments:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to load enrollments',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Pause or resume a single enrollment
+  const toggleEnrollment = async (enrollment: Enrollment) => {
+    setUpdatingId(enrollment.id);
+    try {
+      if (enrollment.status === 'active') {
+        await enrollmentsApi.pauseEnrollment(enrollment.id);
+      } else {
+        await enrollmentsApi.resumeEnrollment(enrollment.id);
+      }
+      await fetchEnrollments();
+    } catch (error) {
+      console.error('Failed to update enrollment:', error);
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to update enrollment',
+        variant: 'destructive',
+      });
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Format a date for display
+  const formatDate = (date: Date | null) => {
+    if (!date) return '—';
+    return new Intl.DateTimeFormat('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(new Date(date));
+  };
+
+  if (!flowId) {
+    return (
+      <div className="bg-gray-50 border rounded-md p-8 text-center">
+        <p className="text-gray-500">Save and schedule this flow to see its enrollments</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="enrollment-manager">
+      <div className="flex justify-between items-center mb-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value as EnrollmentStatus | '')}
+          className="p-2 border rounded text-sm"
+        >
+          <option value="">All statuses</option>
+          <option value="active">Active</option>
+          <option value="paused">Paused</option>
+          <option value="completed">Completed</option>
+          <option value="failed">Failed</option>
+          <option value="stopped">Stopped</option>
+        </select>
+        <Button size="sm" variant="outline" onClick={fetchEnrollments} disabled={isLoading} title="Refresh">
+          <RefreshCw className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center py-8">
+          <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+        </div>
+      ) : enrollments.length === 0 ? (
+        <div className="bg-gray-50 border rounded-md p-8 text-center">
+          <p className="text-gray-500">No contacts are enrolled in this flow yet</p>
+        </div>
+      ) : (
+        <Table>
+          <TableCaption>
+            {total > enrollments.length
+              ? `Showing ${enrollments.length} of ${total} enrollments.`
+              : 'Contacts enrolled in this flow.'}
+          </TableCaption>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Contact</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead>Next Step</TableHead>
+              <TableHead className="text-right">Actions</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {enrollments.map((enrollment) => (
+              <TableRow key={enrollment.id}>
+                <TableCell className="font-medium">
+                  {enrollment.email || 'Node recipients'}
+                  {enrollment.lastError && (
+                    <p className="text-xs text-red-500">{enrollment.lastError}</p>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[enrollment.status]}`}>
+                    {enrollment.status}
+                  </span>
+                  {enrollment.stopReason && (
+                    <span className="ml-2 text-xs text-gray-500">{enrollment.stopReason}</span>
+                  )}
+                  {enrollment.goalReachedAt && (
+                    <span className="ml-2 text-xs text-emerald-600">goal reached</span>
+                  )}
+                </TableCell>
+                <TableCell>{formatDate(enrollment.nextStepAt)}</TableCell>
+                <TableCell className="text-right">
+                  {(enrollment.status === 'active' || enrollment.status === 'paused') && (
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => toggleEnrollment(enrollment)}
+                      disabled={updatingId === enrollment.id}
+                      title={enrollment.status === 'active' ? 'Pause enrollment' : 'Resume enrollment'}
+                    >
+                      {updatingId === enrollment.id ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : enrollment.status === 'active' ? (
+                        <Pause className="h-4 w-4" />
+                      ) : (
+                        <Play className="h-4 w-4" />
+                      )}
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </div>
+  );
+};
+
+export default EnrollmentManager;
@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { Copy, Loader2, RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useToast } from '@/components/ui/use-toast';
+import { flowsApi, FlowTrigger, toApiUrl } from '@/lib/api';
+
+interface FlowTriggerManagerProps {
+  flowId?: string;
+}
+
+/**
+ * Entry triggers of a saved flow: its signed inbound webhook URL and the
+ * enroll API, plus a form to enroll one contact by hand
+ */
+const FlowTriggerManager = ({ flowId }: FlowTriggerManagerProps) => {
+  const [trigger, setTrigger] = useState<FlowTrigger | null>(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [email, setEmail] = useState('');
+  const [isEnrolling, setIsEnrolling] = useState(false);
+  const { toast } = useToast();
+
+  // Load the triggers whenever another flow is opened
+  useEffect(() => {
+    setTrigger(null);
+    if (!flowId) return;
+
+    flowsApi.getTrigger(flowId)
+      .then(response => setTrigger(response.trigger))
+      .catch(error => console.error('Failed to fetch flow trigger:', error));
+  }, [flowId]);
+
+  // Turn the webhook on or off, or give it a new URL
+  const updateTrigger = async (changes: { webhookEnabled?: boolean; rotateWebhook?: boolean }) => {
+    if (!flowId) return;
+
+    setIsUpdating(true);
+    try {
+      const response = await flowsApi.updateTrigger(flowId, changes);
+      setTrigger(response.trigger);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to update the trigger',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  // Enroll the contact typed into the form
+  const enrollContact = async () => {
+    if (!flowId || !email.trim()) return;
+
+    setIsEnrolling(true);
+    try {
+      const result = await flowsApi.enrollContact(flowId, { email: email.trim() });
+      toast({
+        title: result.enrolled ? 'Contact enrolled' : 'Contact not enrolled',
+        description: result.enrolled ? `${email.trim()} has started this flow` : `The contact is ${result.reason}`,
+      });
+      if (result.enrolled) setEmail('');
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to enroll the contact',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsEnrolling(false);
+    }
+  };
+
+  // Copy a URL to the clipboard
+  const copy = async (text: string) => {
+    await navigator.clipboard.writeText(text);
+    toast({ title: 'Copied', description: 'The URL is on your clipboard' });
+  };
+
+  if (!flowId) {
+    return (
+      <div className="bg-gray-50 border rounded-md p-8 text-center">
+        <p className="text-gray-500">Save this flow to give it an entry trigger</p>
+      </div>
+    );
+  }
+
+  if (!trigger) {
+    return <Loader2 className="animate-spin h-5 w-5 mx-auto" />;
+  }
+
+  const webhookUrl = trigger.webhookPath ? trigger.webhookUrl || toApiUrl(trigger.webhookPath) : null;
+  const enrollUrl = toApiUrl(trigger.enrollPath);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="font-semibold mb-1">Inbound Webhook</h3>
+        <p className="text-xs text-gray-500 mb-2">
+          POST a contact as JSON or form fields to enroll it. The URL is signed; anyone who has it can add contacts.
+        </p>
+        {webhookUrl ? (
+          <>
+            <div className="flex items-center gap-2 mb-2">
+              <Input readOnly value={webhookUrl} className="font-mono text-xs" />
+              <Button variant="outline" size="sm" onClick={() => copy(webhookUrl)} title="Copy URL">
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={() => updateTrigger({ rotateWebhook: true })} disabled={isUpdating}>
+                <RefreshCw className="mr-2 h-4 w-4" />
+                New URL
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => updateTrigger({ webhookEnabled: false })} disabled={isUpdating}>
+                Turn Off
+              </Button>
+            </div>
+          </>
+        ) : (
+          <Button size="sm" onClick={() => updateTrigger({ webhookEnabled: true })} disabled={isUpdating}>
+            Create Webhook URL
+          </Button>
+        )}
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-1">Enroll API</h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Send your login token as a Bearer <code>Authorization</code> header, and <code>email</code>, <code>firstName</code>, <code>lastName</code>,{' '}
+          <code>company</code>; other fields become custom fields.
+        </p>
+        <pre className="text-xs bg-gray-50 border rounded p-2 whitespace-pre-wrap break-all">
+          {`POST ${enrollUrl}\n{ "email": "lead@example.com", "firstName": "Ada", "plan": "trial" }`}
+        </pre>
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-1">Enroll a Contact</h3>
+        <div className="flex gap-2">
+          <Input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="lead@example.com"
+          />
+          <Button size="sm" onClick={enrollContact} disabled={isEnrolling || !email.trim()}>
+            {isEnrolling ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Enroll'}
+          </Button>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Contacts already in the flow or on the suppression list are skipped
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default FlowTriggerManager;
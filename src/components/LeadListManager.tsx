@@ -0,0 +1,371 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogFooter,
+  DialogClose
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+import { leadListsApi, LeadList, Contact, ContactImportResult } from '@/lib/api';
+import { useToast } from '@/components/ui/use-toast';
+import { Loader2, Plus, Trash, Upload, Users } from 'lucide-react';
+
+interface LeadListManagerProps {
+  selectedListId?: string;
+  onSelectList: (list: LeadList | null) => void;
+}
+
+/**
+ * Read a file chosen in an <input type="file"> as text
+ */
+const readFileAsText = (file: File) => {
+  return new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Describe the outcome of a CSV import for a toast message
+ */
+const describeImport = (result: ContactImportResult) => {
+  const parts = [`${result.created} new`, `${result.updated} updated`];
+  if (result.duplicates > 0) parts.push(`${result.duplicates} duplicate(s) skipped`);
+  if (result.invalid.length > 0) parts.push(`${result.invalid.length} invalid email(s) skipped`);
+  return parts.join(', ');
+};
+
+const LeadListManager = ({ selectedListId, onSelectList }: LeadListManagerProps) => {
+  const [leadLists, setLeadLists] = useState<LeadList[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const [newListFile, setNewListFile] = useState<File | null>(null);
+  const [contacts, setContacts] = useState<Contact[]>([]);
+  const [contactsTotal, setContactsTotal] = useState(0);
+  const [isContactsLoading, setIsContactsLoading] = useState(false);
+  const importInputRef = useRef<HTMLInputElement>(null);
+  const { toast } = useToast();
+
+  const selectedList = leadLists.find(list => list.id === selectedListId) || null;
+
+  // Load lead lists on mount
+  useEffect(() => {
+    fetchLeadLists();
+  }, []);
+
+  // Fetch all lead lists
+  const fetchLeadLists = async () => {
+    setIsLoading(true);
+    try {
+      const response = await leadListsApi.getAllLeadLists();
+      setLeadLists(response.leadLists || []);
+      return response.leadLists || [];
+    } catch (error) {
+      console.error('Failed to fetch lead lists:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to load lead lists',
+        variant: 'destructive',
+      });
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Create a new lead list from a name and an optional CSV file
+  const createLeadList = async () => {
+    if (!newListName.trim()) {
+      toast({
+        title: 'Error',
+        description: 'Please enter a list name',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setIsCreating(true);
+    try {
+      const csv = newListFile ? await readFileAsText(newListFile) : undefined;
+      const result = await leadListsApi.createLeadList({ name: newListName, csv });
+
+      // Refresh the lists and select the new one
+      const lists = await fetchLeadLists();
+      const created = lists.find((list: LeadList) => list.id === String(result.leadListId));
+      if (created) {
+        onSelectList(created);
+      }
+
+      setNewListName('');
+      setNewListFile(null);
+
+      toast({
+        title: 'Success',
+        description: result.import?.total
+          ? `Lead list created: ${describeImport(result.import)}`
+          : 'Lead list created',
+      });
+    } catch (error) {
+      console.error('Failed to create lead list:', error);
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to create lead list',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  // Import a CSV file into the selected list
+  const importCsv = async (file: File) => {
+    if (!selectedList) return;
+
+    setIsImporting(true);
+    try {
+      const csv = await readFileAsText(file);
+      const result = await leadListsApi.importCsv(selectedList.id, csv);
+      const lists = await fetchLeadLists();
+      const updated = lists.find((list: LeadList) => list.id === selectedList.id);
+      if (updated) {
+        onSelectList(updated);
+      }
+
+      toast({
+        title: 'Contacts imported',
+        description: describeImport(result.import),
+      });
+    } catch (error) {
+      console.error('Failed to import contacts:', error);
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to import contacts',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsImporting(false);
+      if (importInputRef.current) {
+        importInputRef.current.value = '';
+      }
+    }
+  };
+
+  // Delete the selected list
+  const deleteLeadList = async () => {
+    if (!selectedList || !confirm(`Are you sure you want to delete "${selectedList.name}"?`)) {
+      return;
+    }
+
+    try {
+      await leadListsApi.deleteLeadList(selectedList.id);
+      onSelectList(null);
+      await fetchLeadLists();
+      toast({
+        title: 'Success',
+        description: 'Lead list deleted',
+      });
+    } catch (error) {
+      console.error('Failed to delete lead list:', error);
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to delete lead list',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  // Load the first page of contacts for the selected list
+  const viewContacts = async () => {
+    if (!selectedList) return;
+
+    setIsContactsLoading(true);
+    try {
+      const response = await leadListsApi.getContacts(selectedList.id, { limit: 100 });
+      setContacts(response.contacts || []);
+      setContactsTotal(response.total || 0);
+    } catch (error) {
+      console.error('Failed to load contacts:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to load contacts',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsContactsLoading(false);
+    }
+  };
+
+  return (
+    <div className="lead-list-manager mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Lead List
+        </label>
+        <Dialog>
+          <DialogTrigger asChild>
+            <Button variant="outline" size="sm" className="flex items-center">
+              <Plus className="mr-1 h-3 w-3" /> New List
+            </Button>
+          </DialogTrigger>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Create New Lead List</DialogTitle>
+            </DialogHeader>
+            <div className="py-4 space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">List Name</label>
+                <Input
+                  value={newListName}
+                  onChange={(e) => setNewListName(e.target.value)}
+                  placeholder="Q3 Conference Leads"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Contacts CSV (optional)</label>
+                <Input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => setNewListFile(e.target.files?.[0] || null)}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Needs an "email" column. firstName, lastName and company are recognised; other columns become custom fields.
+                </p>
+              </div>
+            </div>
+            <DialogFooter>
+              <DialogClose asChild>
+                <Button variant="outline">Cancel</Button>
+              </DialogClose>
+              <Button onClick={createLeadList} disabled={isCreating || !newListName.trim()}>
+                {isCreating ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Creating...
+                  </>
+                ) : (
+                  'Create List'
+                )}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </div>
+
+      {isLoading && leadLists.length === 0 ? (
+        <div className="flex justify-center items-center py-2">
+          <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+        </div>
+      ) : (
+        <select
+          value={selectedListId || ''}
+          onChange={(e) => onSelectList(leadLists.find(list => list.id === e.target.value) || null)}
+          className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">No list selected</option>
+          {leadLists.map(list => (
+            <option key={list.id} value={list.id}>
+              {list.name} ({list.contactCount})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {selectedList && (
+        <div className="flex items-center space-x-1 mt-2">
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            className="hidden"
+            onChange={(e) => e.target.files?.[0] && importCsv(e.target.files[0])}
+          />
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => importInputRef.current?.click()}
+            disabled={isImporting}
+            title="Import contacts from CSV"
+          >
+            {isImporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+          </Button>
+
+          <Dialog onOpenChange={(open) => open && viewContacts()}>
+            <DialogTrigger asChild>
+              <Button size="sm" variant="outline" title="View contacts">
+                <Users className="h-4 w-4" />
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="md:max-w-2xl">
+              <DialogHeader>
+                <DialogTitle>{selectedList.name}</DialogTitle>
+              </DialogHeader>
+              {isContactsLoading ? (
+                <div className="flex justify-center items-center py-4">
+                  <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+                </div>
+              ) : contacts.length === 0 ? (
+                <div className="bg-gray-50 border rounded-md p-4 text-center">
+                  <p className="text-gray-500 text-sm">No contacts in this list yet</p>
+                </div>
+              ) : (
+                <div className="border rounded-md overflow-auto max-h-[400px]">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Email</TableHead>
+                        <TableHead>Name</TableHead>
+                        <TableHead>Company</TableHead>
+                        <TableHead>Tags</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {contacts.map(contact => (
+                        <TableRow key={contact.id}>
+                          <TableCell className="font-medium">{contact.email}</TableCell>
+                          <TableCell>{[contact.firstName, contact.lastName].filter(Boolean).join(' ')}</TableCell>
+                          <TableCell>{contact.company}</TableCell>
+                          <TableCell className="text-xs text-gray-600">{(contact.tags || []).join(', ')}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+              {contactsTotal > contacts.length && (
+                <p className="text-xs text-gray-500">
+                  Showing {contacts.length} of {contactsTotal} contacts
+                </p>
+              )}
+            </DialogContent>
+          </Dialog>
+
+          <Button size="sm" variant="ghost" onClick={deleteLeadList} title="Delete lead list">
+            <Trash className="h-4 w-4 text-red-500" />
+          </Button>
+
+          <span className="text-xs text-gray-500 pl-1">
+            {selectedList.contactCount} contact(s)
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeadListManager;
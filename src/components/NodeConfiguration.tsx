@@ -1,10 +1,22 @@
 import { Node } from 'reactflow';
-import { X } from 'lucide-react';
+import { X, Eye } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
 import { useEffect, useState } from 'react';
 import EmailTemplateManager from './EmailTemplateManager';
+import LeadListManager from './LeadListManager';
+import EmailBodyEditor from './EmailBodyEditor';
+import EmailPreview from './EmailPreview';
+import SenderSelect from './SenderSelect';
+import WebhookCallLog from './WebhookCallLog';
+import { LeadList, EmailFormat, EmailDocument, SplitVariant, ExitRule } from '@/lib/api';
+import { extractMergeFields } from '@/shared/mergeFields';
+import { findConditionProblem } from '@/shared/conditions';
+import { findSplitProblem, MAX_VARIANTS } from '@/shared/splits';
+import { ACTION_NODE_TYPES, MAX_WEBHOOK_ATTEMPTS, findActionProblem } from '@/shared/actions';
+import { findGoalProblem } from '@/shared/goals';
 
 interface NodeConfigurationProps {
   node: Node;
@@ -15,6 +27,7 @@ interface NodeConfigurationProps {
 const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps) => {
   // Create local state for form fields to enable controlled inputs
   const [formState, setFormState] = useState({ ...node.data });
+  const [showPreview, setShowPreview] = useState(false);
 
   // Update local state when a node changes
   useEffect(() => {
@@ -32,22 +45,91 @@ const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps)
     onUpdate({ [field]: value });
   };
 
+  // Handle body edits; plain text edits drop the block document so it cannot override them
+  const handleBodyChange = (body: string, bodyDoc: EmailDocument | null) => {
+    setFormState(current => ({
+      ...current,
+      body,
+      bodyDoc
+    }));
+
+    onUpdate({ body, bodyDoc });
+  };
+
   // Handle template selection
-  const handleTemplateSelection = (template: { subject: string; body: string }) => {
+  const handleTemplateSelection = (template: {
+    subject: string;
+    body: string;
+    bodyDoc?: EmailDocument | null;
+    format: EmailFormat;
+  }) => {
     // Update multiple fields at once
     setFormState(current => ({
       ...current,
       subject: template.subject,
-      body: template.body
+      body: template.body,
+      bodyDoc: template.bodyDoc || null,
+      format: template.format
     }));
 
     // Propagate changes to parent component
     onUpdate({ 
       subject: template.subject,
-      body: template.body
+      body: template.body,
+      bodyDoc: template.bodyDoc || null,
+      format: template.format
     });
   };
 
+  // Handle lead list selection for Lead Source and Move to List nodes
+  const handleLeadListSelection = (list: LeadList | null) => {
+    const update = {
+      leadListId: list?.id || '',
+      leadListName: list?.name || '',
+      ...(node.type === 'leadSource' ? { contactCount: list?.contactCount || 0 } : {})
+    };
+
+    setFormState(current => ({
+      ...current,
+      ...update
+    }));
+
+    onUpdate(update);
+  };
+
+  // Replace the variants of a split node
+  const handleVariantsChange = (variants: SplitVariant[]) => handleChange('variants', variants);
+
+  // Add a split variant with the first free letter as its ID
+  const addVariant = () => {
+    const variants: SplitVariant[] = formState.variants || [];
+    const id = 'abcdefghij'.split('').find(letter => !variants.some(variant => variant.id === letter));
+    if (!id) return;
+    handleVariantsChange([...variants, { id, name: `Variant ${id.toUpperCase()}`, percent: 0 }]);
+  };
+
+  // Replace the exit rules of a goal node
+  const handleExitRulesChange = (exitRules: ExitRule[]) => handleChange('exitRules', exitRules);
+
+  // Change one field of a goal exit rule
+  const updateExitRule = (index: number, update: Partial<ExitRule>) => handleExitRulesChange(
+    (formState.exitRules || []).map((rule: ExitRule, i: number) => (i === index ? { ...rule, ...update } : rule))
+  );
+
+  // Syntax problem in the subject or body merge fields, shown under the body
+  const getMergeFieldError = () => {
+    if (node.type !== 'coldEmail') return null;
+    try {
+      extractMergeFields(formState.subject || '');
+      extractMergeFields(formState.body || '');
+      return null;
+    } catch (error) {
+      return error instanceof Error ? error.message : 'Invalid merge field';
+    }
+  };
+
+  const mergeFieldError = getMergeFieldError();
+
   const renderConfigFields = () => {
     switch (node.type) {
       case 'coldEmail':
@@ -55,10 +137,27 @@ const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps)
           <>
             <EmailTemplateManager onSelectTemplate={handleTemplateSelection} />
             
+            <div className="mb-4">
+              <label className="flex items-center space-x-2 text-sm">
+                <Checkbox
+                  checked={!!formState.replyToPrevious}
+                  onCheckedChange={(checked) => handleChange('replyToPrevious', checked === true)}
+                />
+                <span>Send as reply to previous email</span>
+              </label>
+              <p className="text-xs text-gray-500 mt-1">
+                Continues the thread of the contact's last email, with its subject prefixed by "Re:"
+              </p>
+            </div>
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Email Subject
               </label>
+              {formState.replyToPrevious && (
+                <p className="text-xs text-gray-500 mb-1">
+                  Only used when there is no previous email to reply to
+                </p>
+              )}
               <Input
                 type="text"
                 value={formState.subject || ''}
@@ -70,6 +169,9 @@ const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps)
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Recipient
               </label>
+              <p className="text-xs text-gray-500 mb-1">
+                Only used when no lead list is connected to the sequence
+              </p>
               <Input
                 type="email"
                 value={formState.recipient || ''}
@@ -80,15 +182,75 @@ const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps)
             </div>
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Email Body
+                Sender
               </label>
-              <Textarea
-                value={formState.body || ''}
-                onChange={(e) => handleChange('body', e.target.value)}
-                rows={5}
-                className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              <SenderSelect
+                value={formState.senderId}
+                onChange={(senderId) => handleChange('senderId', senderId)}
+                emptyLabel="Rotate through the flow's senders"
               />
             </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Format
+              </label>
+              <select
+                value={formState.format || 'html'}
+                onChange={(e) => handleChange('format', e.target.value)}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="html">HTML (markdown formatting)</option>
+                <option value="plain">Plain text</option>
+              </select>
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Email Body
+              </label>
+              {formState.format === 'plain' ? (
+                <Textarea
+                  value={formState.body || ''}
+                  onChange={(e) => handleBodyChange(e.target.value, null)}
+                  rows={5}
+                  className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              ) : (
+                <EmailBodyEditor
+                  key={node.id}
+                  body={formState.body || ''}
+                  document={formState.bodyDoc}
+                  onChange={handleBodyChange}
+                />
+              )}
+              {mergeFieldError ? (
+                <p className="text-xs text-red-500 mt-1">{mergeFieldError}</p>
+              ) : (
+                <p className="text-xs text-gray-500 mt-1">
+                  Personalize with {'{{firstName}}'}, {'{{company|your team}}'} or {'{{#if company}}...{{else}}...{{/if}}'}
+                </p>
+              )}
+            </div>
+            <div className="mb-4">
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                className="w-full"
+                onClick={() => setShowPreview(!showPreview)}
+              >
+                <Eye className="mr-2 h-4 w-4" />
+                {showPreview ? 'Hide Preview' : 'Preview Email'}
+              </Button>
+              {showPreview && (
+                <div className="mt-2">
+                  <EmailPreview
+                    subject={formState.subject || ''}
+                    body={formState.body || ''}
+                    format={formState.format}
+                  />
+                </div>
+              )}
+            </div>
           </>
         );
 
@@ -121,9 +283,376 @@ const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps)
           </>
         );
 
+      case 'condition':
+        return (
+          <>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Condition
+              </label>
+              <select
+                value={formState.conditionType || 'opened'}
+                onChange={(e) => handleChange('conditionType', e.target.value)}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="opened">Opened previous email</option>
+                <option value="clicked">Clicked a link in previous email</option>
+                <option value="noReply">No reply after a number of days</option>
+                <option value="field">Contact field matches</option>
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Contacts that match continue from the Yes handle, the rest from No
+              </p>
+            </div>
+            {formState.conditionType === 'noReply' && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Days to wait for a reply
+                </label>
+                <Input
+                  type="number"
+                  value={formState.days || 3}
+                  onChange={(e) => handleChange('days', parseInt(e.target.value) || 1)}
+                  className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  min={1}
+                />
+              </div>
+            )}
+            {formState.conditionType === 'field' && (
+              <div className="mb-4 space-y-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  Contact Field
+                </label>
+                <Input
+                  type="text"
+                  value={formState.field || ''}
+                  onChange={(e) => handleChange('field', e.target.value)}
+                  className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="company, industry, ..."
+                />
+                <select
+                  value={formState.operator || 'equals'}
+                  onChange={(e) => handleChange('operator', e.target.value)}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="equals">is</option>
+                  <option value="notEquals">is not</option>
+                  <option value="contains">contains</option>
+                  <option value="isSet">is set</option>
+                  <option value="isNotSet">is not set</option>
+                </select>
+                {!['isSet', 'isNotSet'].includes(formState.operator) && (
+                  <Input
+                    type="text"
+                    value={formState.value || ''}
+                    onChange={(e) => handleChange('value', e.target.value)}
+                    className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Value"
+                  />
+                )}
+              </div>
+            )}
+            {findConditionProblem(formState) && (
+              <p className="text-xs text-red-500 mb-4">{findConditionProblem(formState)}</p>
+            )}
+          </>
+        );
+
+      case 'split':
+        return (
+          <>
+            <div className="mb-4 space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Variants
+              </label>
+              {(formState.variants || []).map((variant: SplitVariant, index: number) => (
+                <div key={variant.id} className="flex items-center gap-2">
+                  <span className="text-xs font-semibold text-indigo-600 w-4">{variant.id.toUpperCase()}</span>
+                  <Input
+                    type="text"
+                    value={variant.name}
+                    onChange={(e) => handleVariantsChange(formState.variants.map((item: SplitVariant, i: number) => (
+                      i === index ? { ...item, name: e.target.value } : item
+                    )))}
+                    className="flex-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <Input
+                    type="number"
+                    value={variant.percent}
+                    onChange={(e) => handleVariantsChange(formState.variants.map((item: SplitVariant, i: number) => (
+                      i === index ? { ...item, percent: parseInt(e.target.value) || 0 } : item
+                    )))}
+                    className="w-16 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    min={0}
+                    max={100}
+                  />
+                  <span className="text-xs text-gray-500">%</span>
+                  <button
+                    onClick={() => handleVariantsChange(formState.variants.filter((_: SplitVariant, i: number) => i !== index))}
+                    className="text-gray-400 hover:text-red-500"
+                    title="Remove variant"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              {(formState.variants || []).length < MAX_VARIANTS && (
+                <Button variant="outline" size="sm" onClick={addVariant}>
+                  Add Variant
+                </Button>
+              )}
+              <p className="text-xs text-gray-500">
+                Connect each variant's handle to the steps its contacts should get
+              </p>
+            </div>
+            <div className="mb-4 flex items-center space-x-2">
+              <Checkbox
+                id="autoWinner"
+                checked={!!formState.autoWinner}
+                onCheckedChange={(checked) => handleChange('autoWinner', checked === true)}
+              />
+              <label htmlFor="autoWinner" className="text-sm text-gray-700">
+                Pick a winner automatically
+              </label>
+            </div>
+            {formState.autoWinner && (
+              <div className="mb-4 space-y-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  Winning Metric
+                </label>
+                <select
+                  value={formState.winnerMetric || 'opened'}
+                  onChange={(e) => handleChange('winnerMetric', e.target.value)}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="opened">Open rate</option>
+                  <option value="clicked">Click rate</option>
+                  <option value="replied">Reply rate</option>
+                </select>
+                <label className="block text-sm font-medium text-gray-700">
+                  Test Sample (contacts)
+                </label>
+                <Input
+                  type="number"
+                  value={formState.sampleSize || 100}
+                  onChange={(e) => handleChange('sampleSize', parseInt(e.target.value) || 1)}
+                  className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  min={1}
+                />
+                <label className="block text-sm font-medium text-gray-700">
+                  Test Window (hours)
+                </label>
+                <Input
+                  type="number"
+                  value={formState.testHours || 24}
+                  onChange={(e) => handleChange('testHours', parseInt(e.target.value) || 1)}
+                  className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  min={1}
+                />
+                <p className="text-xs text-gray-500">
+                  Contacts after the sample wait until the window ends, then all get the winning variant
+                </p>
+              </div>
+            )}
+            {findSplitProblem(formState) && (
+              <p className="text-xs text-red-500 mb-4">{findSplitProblem(formState)}</p>
+            )}
+          </>
+        );
+
+      case 'tagContact':
+        return (
+          <div className="mb-4 space-y-2">
+            <select
+              value={formState.operation || 'add'}
+              onChange={(e) => handleChange('operation', e.target.value)}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="add">Add tag</option>
+              <option value="remove">Remove tag</option>
+            </select>
+            <Input
+              type="text"
+              value={formState.tag || ''}
+              onChange={(e) => handleChange('tag', e.target.value)}
+              className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="interested"
+            />
+            <p className="text-xs text-gray-500">Tags are stored in lower case</p>
+          </div>
+        );
+
+      case 'updateField':
+        return (
+          <div className="mb-4 space-y-2">
+            <label className="block text-sm font-medium text-gray-700">
+              Custom Field
+            </label>
+            <Input
+              type="text"
+              value={formState.field || ''}
+              onChange={(e) => handleChange('field', e.target.value)}
+              className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="stage"
+            />
+            <label className="block text-sm font-medium text-gray-700">
+              Value
+            </label>
+            <Input
+              type="text"
+              value={formState.value || ''}
+              onChange={(e) => handleChange('value', e.target.value)}
+              className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="contacted"
+            />
+            <p className="text-xs text-gray-500">Merge fields such as {'{{company}}'} are filled in per contact</p>
+          </div>
+        );
+
+      case 'moveToList':
+        return (
+          <>
+            <LeadListManager
+              selectedListId={formState.leadListId}
+              onSelectList={handleLeadListSelection}
+            />
+            <p className="text-xs text-gray-500 mb-4">
+              The contact is added to this list and taken off the list the sequence was scheduled from
+            </p>
+          </>
+        );
+
+      case 'webhook':
+        return (
+          <>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Webhook URL
+              </label>
+              <Input
+                type="url"
+                value={formState.url || ''}
+                onChange={(e) => handleChange('url', e.target.value)}
+                className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="https://crm.example.com/hooks/sequence"
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Attempts
+              </label>
+              <Input
+                type="number"
+                value={formState.maxAttempts || 3}
+                onChange={(e) => handleChange('maxAttempts', parseInt(e.target.value) || 1)}
+                className="w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                min={1}
+                max={MAX_WEBHOOK_ATTEMPTS}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Timeouts, network errors, 429 and 5xx responses are retried with backoff
+              </p>
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Extra Data (JSON)
+              </label>
+              <Textarea
+                value={formState.payload || ''}
+                onChange={(e) => handleChange('payload', e.target.value)}
+                className="w-full font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                rows={4}
+                placeholder='{ "pipeline": "outbound" }'
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Sent as "data" next to the contact, flow and enrollment
+              </p>
+            </div>
+            <WebhookCallLog nodeId={node.id} />
+          </>
+        );
+
+      case 'goal':
+        return (
+          <>
+            <div className="mb-4 space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Exit Rules
+              </label>
+              {(formState.exitRules || []).map((rule: ExitRule, index: number) => (
+                <div key={index} className="flex items-center gap-2">
+                  <select
+                    value={rule.type}
+                    onChange={(e) => updateExitRule(index, { type: e.target.value as ExitRule['type'] })}
+                    className="flex-1 p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="replied">Replied</option>
+                    <option value="clicked">Clicked a link</option>
+                    <option value="tagAdded">Tag added</option>
+                    <option value="event">External event</option>
+                  </select>
+                  {rule.type === 'clicked' && (
+                    <Input
+                      type="text"
+                      value={rule.url || ''}
+                      onChange={(e) => updateExitRule(index, { url: e.target.value })}
+                      className="flex-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="Any link"
+                    />
+                  )}
+                  {rule.type === 'tagAdded' && (
+                    <Input
+                      type="text"
+                      value={rule.tag || ''}
+                      onChange={(e) => updateExitRule(index, { tag: e.target.value })}
+                      className="flex-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="customer"
+                    />
+                  )}
+                  {rule.type === 'event' && (
+                    <Input
+                      type="text"
+                      value={rule.event || ''}
+                      onChange={(e) => updateExitRule(index, { event: e.target.value })}
+                      className="flex-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="demo.booked"
+                    />
+                  )}
+                  <button
+                    onClick={() => handleExitRulesChange(formState.exitRules.filter((_: ExitRule, i: number) => i !== index))}
+                    className="text-gray-400 hover:text-red-500"
+                    title="Remove rule"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleExitRulesChange([...(formState.exitRules || []), { type: 'replied' }])}
+              >
+                Add Rule
+              </Button>
+              <p className="text-xs text-gray-500">
+                A contact meeting any rule, wherever it is in the flow, jumps to this goal and its pending emails are cancelled.
+                Clicks match links containing the text; events are posted to /api/enrollments/events
+              </p>
+            </div>
+            {findGoalProblem(formState) && (
+              <p className="text-xs text-red-500 mb-4">{findGoalProblem(formState)}</p>
+            )}
+          </>
+        );
+
       case 'leadSource':
         return (
           <>
+            <LeadListManager
+              selectedListId={formState.leadListId}
+              onSelectList={handleLeadListSelection}
+            />
+
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Source Type
@@ -155,7 +684,7 @@ const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps)
   };
 
   return (
-    <div className="w-80 bg-white border-l shadow-lg p-4 overflow-y-auto">
+    <div className={`${showPreview && node.type === 'coldEmail' ? 'w-[660px]' : 'w-80'} bg-white border-l shadow-lg p-4 overflow-y-auto`}>
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-semibold">Configure Node</h3>
         <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
@@ -177,6 +706,10 @@ const NodeConfiguration = ({ node, onUpdate, onClose }: NodeConfigurationProps)
 
       {renderConfigFields()}
 
+      {ACTION_NODE_TYPES.includes(node.type || '') && findActionProblem(node.type, formState) && (
+        <p className="text-xs text-red-500 mb-4">{findActionProblem(node.type, formState)}</p>
+      )}
+
       <div className="mt-6">
         <Button 
           onClick={saveChanges}
@@ -0,0 +1,392 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { sendersApi, SenderAccount, SenderAccountInput } from '@/lib/api';
+import { useToast } from '@/components/ui/use-toast';
+import { CheckCircle, Loader2, Pencil, Plus, Star, Trash, XCircle } from 'lucide-react';
+
+interface SenderAccountManagerProps {
+  onChange?: () => void;
+}
+
+const EMPTY_FORM = {
+  label: '',
+  fromName: '',
+  fromEmail: '',
+  replyTo: '',
+  host: '',
+  port: '587',
+  username: '',
+  password: '',
+  dailyLimit: '50',
+  minGapSeconds: '60',
+  imapHost: '',
+  imapPort: '993',
+  isDefault: false,
+};
+
+const SenderAccountManager = ({ onChange }: SenderAccountManagerProps) => {
+  const [senders, setSenders] = useState<SenderAccount[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [verifyingId, setVerifyingId] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState<SenderAccount | null>(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const { toast } = useToast();
+
+  // Load sender accounts on mount
+  useEffect(() => {
+    fetchSenders();
+  }, []);
+
+  // Fetch all sender accounts
+  const fetchSenders = async () => {
+    setIsLoading(true);
+    try {
+      const response = await sendersApi.getSenders();
+      setSenders(response.senders || []);
+    } catch (error) {
+      console.error('Failed to fetch sender accounts:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to load sender accounts',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Reload the list and let the parent refresh anything that shows senders
+  const refresh = async () => {
+    await fetchSenders();
+    onChange?.();
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setDialogOpen(true);
+  };
+
+  const openEdit = (sender: SenderAccount) => {
+    setEditing(sender);
+    setForm({
+      label: sender.label,
+      fromName: sender.fromName,
+      fromEmail: sender.fromEmail,
+      replyTo: sender.replyTo,
+      host: sender.host,
+      port: String(sender.port),
+      username: sender.username,
+      password: '',
+      dailyLimit: String(sender.dailyLimit),
+      minGapSeconds: String(sender.minGapSeconds),
+      imapHost: sender.imapHost,
+      imapPort: String(sender.imapPort),
+      isDefault: sender.isDefault,
+    });
+    setDialogOpen(true);
+  };
+
+  const setField = (field: keyof typeof EMPTY_FORM, value: string | boolean) => {
+    setForm(current => ({ ...current, [field]: value }));
+  };
+
+  // Create or update the account in the dialog; a blank password keeps the stored one
+  const saveSender = async () => {
+    const payload: SenderAccountInput = {
+      label: form.label,
+      fromName: form.fromName,
+      fromEmail: form.fromEmail,
+      replyTo: form.replyTo,
+      host: form.host,
+      port: parseInt(form.port, 10),
+      // Port 465 talks TLS from the start; other ports upgrade with STARTTLS
+      secure: parseInt(form.port, 10) === 465,
+      username: form.username,
+      dailyLimit: parseInt(form.dailyLimit, 10),
+      minGapSeconds: parseInt(form.minGapSeconds, 10),
+      imapHost: form.imapHost,
+      imapPort: parseInt(form.imapPort, 10) || 993,
+      // Port 993 is IMAP over TLS; 143 upgrades with STARTTLS
+      imapSecure: (parseInt(form.imapPort, 10) || 993) === 993,
+      isDefault: form.isDefault,
+    };
+    if (form.password) {
+      payload.password = form.password;
+    }
+
+    setIsSaving(true);
+    try {
+      if (editing) {
+        await sendersApi.updateSender(editing.id, payload);
+      } else {
+        await sendersApi.createSender(payload);
+      }
+      setDialogOpen(false);
+      await refresh();
+      toast({
+        title: 'Success',
+        description: editing ? 'Sender account updated' : 'Sender account connected',
+      });
+    } catch (error) {
+      console.error('Failed to save sender account:', error);
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to save sender account',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteSender = async (sender: SenderAccount) => {
+    if (!confirm(`Remove "${sender.label}"? Emails still queued for it will fail.`)) {
+      return;
+    }
+
+    try {
+      await sendersApi.deleteSender(sender.id);
+      await refresh();
+      toast({
+        title: 'Success',
+        description: 'Sender account removed',
+      });
+    } catch (error) {
+      console.error('Failed to delete sender account:', error);
+      toast({
+        title: 'Error',
+        description: error instanceof Error ? error.message : 'Failed to delete sender account',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const makeDefault = async (sender: SenderAccount) => {
+    try {
+      await sendersApi.updateSender(sender.id, { isDefault: true });
+      await refresh();
+    } catch (error) {
+      console.error('Failed to update sender account:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to change the default sender',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  // Log in to the SMTP server to check the credentials
+  const verifySender = async (sender: SenderAccount) => {
+    setVerifyingId(sender.id);
+    try {
+      const result = await sendersApi.verifySender(sender.id);
+      await fetchSenders();
+      toast({
+        title: result.success ? 'Connection works' : 'Connection failed',
+        description: result.success ? `${sender.fromEmail} can send email` : result.error,
+        variant: result.success ? 'default' : 'destructive',
+      });
+    } catch (error) {
+      console.error('Failed to verify sender account:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to verify sender account',
+        variant: 'destructive',
+      });
+    } finally {
+      setVerifyingId(null);
+    }
+  };
+
+  const canSave = form.fromEmail.trim() && form.host.trim() && form.port && form.dailyLimit && form.minGapSeconds && (editing || form.password);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-500">
+          Mailboxes your emails are sent from. Flows without a sender use the default one.
+        </p>
+        <Button variant="outline" size="sm" onClick={openCreate}>
+          <Plus className="mr-1 h-3 w-3" /> Connect
+        </Button>
+      </div>
+
+      {isLoading && senders.length === 0 ? (
+        <div className="flex justify-center items-center py-4">
+          <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+        </div>
+      ) : senders.length === 0 ? (
+        <div className="bg-gray-50 border rounded-md p-4 text-center">
+          <p className="text-gray-500 text-sm">
+            No sender accounts yet. Emails go out from the server's mailbox until you connect one.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {senders.map(sender => (
+            <div key={sender.id} className="border rounded-md p-3">
+              <div className="flex justify-between items-start">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">
+                    {sender.label}
+                    {sender.isDefault && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700">default</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 truncate">
+                    {sender.fromName ? `${sender.fromName} <${sender.fromEmail}>` : sender.fromEmail}
+                  </p>
+                  <p className="text-xs text-gray-400 truncate">
+                    {sender.host}:{sender.port}{sender.replyTo && ` · replies to ${sender.replyTo}`}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {sender.sentToday}/{sender.dailyLimit} sent today · {sender.minGapSeconds}s between sends
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {!sender.imapHost
+                      ? 'Reply detection off'
+                      : sender.repliesCheckedAt
+                        ? `Replies checked ${new Date(sender.repliesCheckedAt).toLocaleString()}`
+                        : `Replies checked on ${sender.imapHost}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-1 shrink-0">
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => verifySender(sender)}
+                    disabled={verifyingId === sender.id}
+                    title="Test connection"
+                  >
+                    {verifyingId === sender.id ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : sender.lastError ? (
+                      <XCircle className="h-4 w-4 text-red-500" />
+                    ) : (
+                      <CheckCircle className={`h-4 w-4 ${sender.lastVerifiedAt ? 'text-green-500' : 'text-gray-400'}`} />
+                    )}
+                  </Button>
+                  {!sender.isDefault && (
+                    <Button size="sm" variant="ghost" onClick={() => makeDefault(sender)} title="Make default">
+                      <Star className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button size="sm" variant="ghost" onClick={() => openEdit(sender)} title="Edit">
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => deleteSender(sender)} title="Remove">
+                    <Trash className="h-4 w-4 text-red-500" />
+                  </Button>
+                </div>
+              </div>
+              {sender.lastError && (
+                <p className="text-xs text-red-600 mt-1 truncate" title={sender.lastError}>{sender.lastError}</p>
+              )}
+              {sender.replyError && (
+                <p className="text-xs text-red-600 mt-1 truncate" title={sender.replyError}>IMAP: {sender.replyError}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editing ? 'Edit Sender Account' : 'Connect Sender Account'}</DialogTitle>
+            <DialogDescription>
+              SMTP details of the mailbox. The password is stored encrypted.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="col-span-2">
+              <label className="block text-sm font-medium mb-1">Label</label>
+              <Input value={form.label} onChange={(e) => setField('label', e.target.value)} placeholder="Sales mailbox" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Display Name</label>
+              <Input value={form.fromName} onChange={(e) => setField('fromName', e.target.value)} placeholder="Jane from Acme" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">From Address</label>
+              <Input type="email" value={form.fromEmail} onChange={(e) => setField('fromEmail', e.target.value)} placeholder="jane@acme.com" />
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm font-medium mb-1">Reply-To (optional)</label>
+              <Input type="email" value={form.replyTo} onChange={(e) => setField('replyTo', e.target.value)} placeholder="replies@acme.com" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">SMTP Host</label>
+              <Input value={form.host} onChange={(e) => setField('host', e.target.value)} placeholder="smtp.acme.com" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Port</label>
+              <Input type="number" value={form.port} onChange={(e) => setField('port', e.target.value)} min={1} max={65535} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Username</label>
+              <Input value={form.username} onChange={(e) => setField('username', e.target.value)} placeholder="Defaults to the from address" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Password</label>
+              <Input
+                type="password"
+                value={form.password}
+                onChange={(e) => setField('password', e.target.value)}
+                placeholder={editing ? 'Leave blank to keep' : ''}
+                autoComplete="new-password"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Daily Limit</label>
+              <Input type="number" value={form.dailyLimit} onChange={(e) => setField('dailyLimit', e.target.value)} min={1} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Seconds Between Sends</label>
+              <Input type="number" value={form.minGapSeconds} onChange={(e) => setField('minGapSeconds', e.target.value)} min={0} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">IMAP Host (optional)</label>
+              <Input value={form.imapHost} onChange={(e) => setField('imapHost', e.target.value)} placeholder="imap.acme.com" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">IMAP Port</label>
+              <Input type="number" value={form.imapPort} onChange={(e) => setField('imapPort', e.target.value)} min={1} max={65535} />
+            </div>
+            <p className="col-span-2 text-xs text-gray-500">
+              With an IMAP host, the inbox is checked for replies and contacts who reply leave their sequence.
+            </p>
+            <label className="col-span-2 flex items-center space-x-2 text-sm">
+              <Checkbox checked={form.isDefault} onCheckedChange={(checked) => setField('isDefault', checked === true)} />
+              <span>Use as the default sender</span>
+            </label>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDialogOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={saveSender} disabled={isSaving || !canSave}>
+              {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {editing ? 'Save' : 'Connect'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default SenderAccountManager;
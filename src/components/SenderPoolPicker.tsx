@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { sendersApi, SenderAccount } from '@/lib/api';
+import { ChevronDown } from 'lucide-react';
+
+interface SenderPoolPickerProps {
+  value: string[];
+  onChange: (senderIds: string[]) => void;
+}
+
+/**
+ * Pick the sender accounts a flow rotates through. Leaving it empty sends
+ * from the default account.
+ */
+const SenderPoolPicker = ({ value, onChange }: SenderPoolPickerProps) => {
+  const [senders, setSenders] = useState<SenderAccount[]>([]);
+
+  // Load sender accounts on mount
+  useEffect(() => {
+    sendersApi.getSenders()
+      .then(response => setSenders(response.senders || []))
+      .catch(error => console.error('Failed to fetch sender accounts:', error));
+  }, []);
+
+  // Ignore accounts that have been removed since the flow was saved
+  const selected = senders.filter(sender => value.includes(sender.id));
+
+  const toggleSender = (id: string) => {
+    onChange(value.includes(id) ? value.filter(item => item !== id) : [...value, id]);
+  };
+
+  const summary = selected.length === 0
+    ? 'Default sender'
+    : selected.length === 1
+      ? selected[0].label
+      : `${selected.length} mailboxes`;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="ghost" size="sm" className="ml-4 text-sm text-gray-600">
+          Send from: {summary}
+          <ChevronDown className="ml-1 h-4 w-4" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="w-80">
+        {senders.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No sender accounts yet. Connect one under Senders.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            <p className="text-xs text-gray-500">
+              Emails rotate through the selected mailboxes, within each one's daily limit. Select none to use the default account.
+            </p>
+            {senders.map(sender => (
+              <label key={sender.id} className="flex items-center space-x-2 text-sm">
+                <Checkbox
+                  checked={value.includes(sender.id)}
+                  onCheckedChange={() => toggleSender(sender.id)}
+                />
+                <span className="flex-1 truncate">{sender.label} &lt;{sender.fromEmail}&gt;</span>
+                <span className="text-xs text-gray-400">{sender.sentToday}/{sender.dailyLimit}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default SenderPoolPicker;
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { sendersApi, SenderAccount } from '@/lib/api';
+
+interface SenderSelectProps {
+  value?: string | null;
+  onChange: (senderId: string | null) => void;
+  emptyLabel: string;
+  className?: string;
+}
+
+/**
+ * Dropdown of the user's sender accounts. The empty option falls back to
+ * whatever sender applies one level up (the flow, or the default account).
+ */
+const SenderSelect = ({ value, onChange, emptyLabel, className }: SenderSelectProps) => {
+  const [senders, setSenders] = useState<SenderAccount[]>([]);
+
+  // Load sender accounts on mount
+  useEffect(() => {
+    sendersApi.getSenders()
+      .then(response => setSenders(response.senders || []))
+      .catch(error => console.error('Failed to fetch sender accounts:', error));
+  }, []);
+
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={className || 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500'}
+    >
+      <option value="">{emptyLabel}</option>
+      {senders.map(sender => (
+        <option key={sender.id} value={sender.id}>
+          {sender.label} &lt;{sender.fromEmail}&gt;{sender.isDefault ? ' (default)' : ''}
+        </option>
+      ))}
+      {value && !senders.some(sender => sender.id === value) && senders.length > 0 && (
+        <option value={value}>Removed sender account</option>
+      )}
+    </select>
+  );
+};
+
+export default SenderSelect;
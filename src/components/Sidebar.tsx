@@ -1,5 +1,5 @@
 import React from 'react';
-import { Mail, Clock, User, Save, List } from 'lucide-react';
+import { Mail, Clock, User, Save, List, GitBranch, Split, Tag, PenLine, ListPlus, Webhook, Flag } from 'lucide-react';
 
 const Sidebar = () => {
   const onDragStart = (event: React.DragEvent<HTMLDivElement>, nodeType: string) => {
@@ -38,6 +38,63 @@ const Sidebar = () => {
           <User className="mr-2 h-5 w-5 text-green-500" />
           <span>Lead Source</span>
         </div>
+        
+        <div 
+          className="p-3 border rounded shadow-sm bg-white cursor-grab flex items-center"
+          onDragStart={(e) => onDragStart(e, 'condition')}
+          draggable
+        >
+          <GitBranch className="mr-2 h-5 w-5 text-purple-500" />
+          <span>Condition</span>
+        </div>
+        <div 
+          className="p-3 border rounded shadow-sm bg-white cursor-grab flex items-center"
+          onDragStart={(e) => onDragStart(e, 'split')}
+          draggable
+        >
+          <Split className="mr-2 h-5 w-5 text-indigo-500" />
+          <span>A/B Split</span>
+        </div>
+        <div 
+          className="p-3 border rounded shadow-sm bg-white cursor-grab flex items-center"
+          onDragStart={(e) => onDragStart(e, 'tagContact')}
+          draggable
+        >
+          <Tag className="mr-2 h-5 w-5 text-teal-500" />
+          <span>Tag Contact</span>
+        </div>
+        <div 
+          className="p-3 border rounded shadow-sm bg-white cursor-grab flex items-center"
+          onDragStart={(e) => onDragStart(e, 'updateField')}
+          draggable
+        >
+          <PenLine className="mr-2 h-5 w-5 text-teal-500" />
+          <span>Update Field</span>
+        </div>
+        <div 
+          className="p-3 border rounded shadow-sm bg-white cursor-grab flex items-center"
+          onDragStart={(e) => onDragStart(e, 'moveToList')}
+          draggable
+        >
+          <ListPlus className="mr-2 h-5 w-5 text-teal-500" />
+          <span>Move to List</span>
+        </div>
+        <div 
+          className="p-3 border rounded shadow-sm bg-white cursor-grab flex items-center"
+          onDragStart={(e) => onDragStart(e, 'webhook')}
+          draggable
+        >
+          <Webhook className="mr-2 h-5 w-5 text-teal-500" />
+          <span>Webhook</span>
+        </div>
+        <div 
+          className="p-3 border rounded shadow-sm bg-white cursor-grab flex items-center"
+          onDragStart={(e) => onDragStart(e, 'goal')}
+          draggable
+        >
+          <Flag className="mr-2 h-5 w-5 text-emerald-500" />
+          <span>Goal</span>
+        </div>
       </div>
 
       <div className="mt-8">
@@ -45,6 +102,10 @@ const Sidebar = () => {
         <ul className="text-sm text-gray-600 space-y-1">
           <li>• Drag nodes onto the canvas</li>
           <li>• Connect nodes to create a sequence</li>
+          <li>• Branch with a Condition's yes and no handles</li>
+          <li>• Test variants with an A/B Split, one handle per variant</li>
+          <li>• Update contacts or call your CRM with action nodes</li>
+          <li>• Add a Goal to take contacts out when they convert</li>
           <li>• Click on a node to configure it</li>
           <li>• Save your flow to preserve your work</li>
           <li>• Create multiple flows for different campaigns</li>
@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { webhookCallsApi, WebhookCall } from '@/lib/api';
+
+interface WebhookCallLogProps {
+  nodeId: string;
+}
+
+/**
+ * Latest calls of a webhook node, with the response each attempt got
+ */
+const WebhookCallLog = ({ nodeId }: WebhookCallLogProps) => {
+  const [calls, setCalls] = useState<WebhookCall[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadCalls = useCallback(() => {
+    setIsLoading(true);
+    webhookCallsApi.getWebhookCalls({ nodeId, limit: 20 })
+      .then(response => setCalls(response.calls || []))
+      .catch(error => console.error('Failed to fetch webhook calls:', error))
+      .finally(() => setIsLoading(false));
+  }, [nodeId]);
+
+  // Load the log whenever another webhook node is selected
+  useEffect(() => {
+    loadCalls();
+  }, [loadCalls]);
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <label className="block text-sm font-medium text-gray-700">
+          Recent Calls
+        </label>
+        <Button variant="ghost" size="sm" onClick={loadCalls} disabled={isLoading} title="Refresh">
+          <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+        </Button>
+      </div>
+      {calls.length === 0 ? (
+        <p className="text-xs text-gray-500">No calls yet.</p>
+      ) : (
+        <ul className="space-y-1 max-h-60 overflow-y-auto">
+          {calls.map(call => (
+            <li key={call.id} className="text-xs border rounded p-2">
+              <div className="flex justify-between">
+                <span className={call.ok ? 'text-green-600 font-semibold' : 'text-red-600 font-semibold'}>
+                  {call.status ? `HTTP ${call.status}` : 'No response'}
+                </span>
+                <span className="text-gray-500">
+                  Attempt {call.attempt} · {new Date(call.createdAt).toLocaleString()}
+                </span>
+              </div>
+              {call.error && <div className="text-red-600 mt-1">{call.error}</div>}
+              {call.retryAt && (
+                <div className="text-gray-500 mt-1">Retrying at {new Date(call.retryAt).toLocaleString()}</div>
+              )}
+              {call.responseBody && (
+                <pre className="mt-1 text-gray-600 whitespace-pre-wrap break-all max-h-20 overflow-hidden">{call.responseBody}</pre>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WebhookCallLog;
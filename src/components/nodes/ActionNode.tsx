@@ -0,0 +1,56 @@
+import { Handle, Position } from 'reactflow';
+import { Tag, PenLine, ListPlus, Webhook } from 'lucide-react';
+import { describeAction } from '@/shared/actions';
+
+interface ActionNodeProps {
+  type: string;
+  data: {
+    label: string;
+    [key: string]: unknown;
+  };
+  isConnectable: boolean;
+}
+
+// Icon of each action node type
+const ACTION_ICONS = {
+  tagContact: Tag,
+  updateField: PenLine,
+  moveToList: ListPlus,
+  webhook: Webhook
+};
+
+/**
+ * Canvas node shared by the action node types: tag contact, update field,
+ * move to list and webhook
+ */
+const ActionNode = ({ type, data, isConnectable }: ActionNodeProps) => {
+  const Icon = ACTION_ICONS[type as keyof typeof ACTION_ICONS] || Tag;
+
+  return (
+    <div className="px-4 py-2 shadow-md rounded-md bg-white border-2 border-teal-500 min-w-[180px]">
+      <Handle
+        type="target"
+        position={Position.Top}
+        isConnectable={isConnectable}
+        className="w-2 h-2"
+      />
+      <div className="flex flex-col">
+        <div className="flex items-center">
+          <Icon className="h-4 w-4 text-teal-500 mr-2" />
+          <div className="font-bold">{data.label}</div>
+        </div>
+        <div className="text-xs mt-1 text-gray-700 truncate max-w-[200px]">
+          {describeAction(type, data)}
+        </div>
+      </div>
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        isConnectable={isConnectable}
+        className="w-2 h-2"
+      />
+    </div>
+  );
+};
+
+export default ActionNode;
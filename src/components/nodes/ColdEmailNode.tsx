@@ -7,6 +7,7 @@ interface ColdEmailNodeProps {
     body: string;
     label: string;
     recipient: string;
+    replyToPrevious?: boolean;
   };
   isConnectable: boolean;
 }
@@ -29,7 +30,7 @@ const ColdEmailNode = ({ data, isConnectable }: ColdEmailNodeProps) => {
           To: {data.recipient || 'No recipient'}
         </div>
         <div className="text-xs mt-1 text-gray-700 truncate max-w-[190px]">
-          Subject: {data.subject || 'No subject'}
+          Subject: {data.replyToPrevious ? 'Re: previous email' : data.subject || 'No subject'}
         </div>
       </div>
       <Handle
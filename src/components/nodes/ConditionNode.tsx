@@ -0,0 +1,59 @@
+import { Handle, Position } from 'reactflow';
+import { GitBranch } from 'lucide-react';
+import { describeCondition } from '@/shared/conditions';
+
+interface ConditionNodeProps {
+  data: {
+    label: string;
+    conditionType: string;
+    days?: number;
+    field?: string;
+    operator?: string;
+    value?: string;
+  };
+  isConnectable: boolean;
+}
+
+const ConditionNode = ({ data, isConnectable }: ConditionNodeProps) => {
+  return (
+    <div className="px-4 py-2 pb-5 shadow-md rounded-md bg-white border-2 border-purple-500 min-w-[200px]">
+      <Handle
+        type="target"
+        position={Position.Top}
+        isConnectable={isConnectable}
+        className="w-2 h-2"
+      />
+      <div className="flex flex-col">
+        <div className="flex items-center">
+          <GitBranch className="h-4 w-4 text-purple-500 mr-2" />
+          <div className="font-bold">{data.label || 'Condition'}</div>
+        </div>
+        <div className="text-xs mt-1 text-gray-700 truncate max-w-[190px]">
+          If: {describeCondition(data)}
+        </div>
+      </div>
+      <div className="absolute bottom-0.5 left-0 w-full flex justify-around text-[10px] font-semibold">
+        <span className="text-green-600">Yes</span>
+        <span className="text-red-600">No</span>
+      </div>
+      <Handle
+        type="source"
+        id="yes"
+        position={Position.Bottom}
+        isConnectable={isConnectable}
+        className="w-2 h-2 !bg-green-500"
+        style={{ left: '25%' }}
+      />
+      <Handle
+        type="source"
+        id="no"
+        position={Position.Bottom}
+        isConnectable={isConnectable}
+        className="w-2 h-2 !bg-red-500"
+        style={{ left: '75%' }}
+      />
+    </div>
+  );
+};
+
+export default ConditionNode;
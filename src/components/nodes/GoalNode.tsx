@@ -0,0 +1,52 @@
+import { Handle, Position } from 'reactflow';
+import { Flag } from 'lucide-react';
+import { describeExitRule } from '@/shared/goals';
+import { ExitRule } from '@/lib/api';
+
+interface GoalNodeProps {
+  data: {
+    label: string;
+    exitRules?: ExitRule[];
+  };
+  isConnectable: boolean;
+}
+
+/**
+ * Canvas node for the flow's goal. Its exit rules are listed on the node;
+ * steps connected below it run once a contact gets there.
+ */
+const GoalNode = ({ data, isConnectable }: GoalNodeProps) => {
+  const rules = data.exitRules || [];
+
+  return (
+    <div className="px-4 py-2 shadow-md rounded-md bg-white border-2 border-emerald-500 min-w-[180px]">
+      <Handle
+        type="target"
+        position={Position.Top}
+        isConnectable={isConnectable}
+        className="w-2 h-2"
+      />
+      <div className="flex flex-col">
+        <div className="flex items-center">
+          <Flag className="h-4 w-4 text-emerald-500 mr-2" />
+          <div className="font-bold">{data.label}</div>
+        </div>
+        <div className="text-xs mt-1 text-gray-700 max-w-[200px]">
+          {rules.length > 0
+            ? rules.map((rule, index) => (
+              <div key={index} className="truncate">Exit when {describeExitRule(rule)}</div>
+            ))
+            : 'Reached through its connections only'}
+        </div>
+      </div>
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        isConnectable={isConnectable}
+        className="w-2 h-2"
+      />
+    </div>
+  );
+};
+
+export default GoalNode;
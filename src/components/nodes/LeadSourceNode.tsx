@@ -5,6 +5,9 @@ interface LeadSourceNodeProps {
   data: {
     source: string;
     label: string;
+    leadListId?: string;
+    leadListName?: string;
+    contactCount?: number;
   };
   isConnectable: boolean;
 }
@@ -26,6 +29,11 @@ const LeadSourceNode = ({ data, isConnectable }: LeadSourceNodeProps) => {
         <div className="text-xs mt-1 text-gray-700">
           Source: {data.source}
         </div>
+        <div className="text-xs mt-1 text-gray-700 truncate max-w-[190px]">
+          {data.leadListId
+            ? `List: ${data.leadListName} (${data.contactCount || 0} contacts)`
+            : 'No lead list selected'}
+        </div>
       </div>
       <Handle
         type="source"
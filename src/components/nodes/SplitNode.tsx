@@ -0,0 +1,89 @@
+import { useContext } from 'react';
+import { Handle, Position } from 'reactflow';
+import { Split, Trophy } from 'lucide-react';
+import type { SplitVariant } from '@/lib/api';
+import { SplitResultsContext } from './SplitResultsContext';
+
+interface SplitNodeProps {
+  id: string;
+  data: {
+    label: string;
+    variants: SplitVariant[];
+    autoWinner?: boolean;
+    winnerMetric?: string;
+    sampleSize?: number;
+    testHours?: number;
+  };
+  isConnectable: boolean;
+}
+
+/**
+ * Position of a variant's handle along the bottom edge of the node
+ * @param index - Index of the variant
+ * @param count - Number of variants
+ * @returns CSS `left` value
+ */
+const getHandleLeft = (index: number, count: number) => `${((index + 0.5) / count) * 100}%`;
+
+const SplitNode = ({ id, data, isConnectable }: SplitNodeProps) => {
+  const results = useContext(SplitResultsContext).find(split => split.nodeId === id);
+  const variants = data.variants || [];
+
+  return (
+    <div className="px-4 py-2 pb-5 shadow-md rounded-md bg-white border-2 border-indigo-500 min-w-[220px]">
+      <Handle
+        type="target"
+        position={Position.Top}
+        isConnectable={isConnectable}
+        className="w-2 h-2"
+      />
+      <div className="flex flex-col">
+        <div className="flex items-center">
+          <Split className="h-4 w-4 text-indigo-500 mr-2" />
+          <div className="font-bold">{data.label || 'A/B Split'}</div>
+        </div>
+        {data.autoWinner && (
+          <div className="text-xs mt-1 text-gray-700">
+            Winner on {data.winnerMetric} after {data.sampleSize} contacts or {data.testHours}h
+          </div>
+        )}
+        {results && results.variants.some(variant => variant.contacts > 0) && (
+          <div className="mt-1 space-y-0.5">
+            {results.variants.map(variant => (
+              <div key={variant.id} className="flex items-center text-[10px] text-gray-600">
+                {results.winner === variant.id && <Trophy className="h-3 w-3 text-amber-500 mr-1" />}
+                <span className="font-medium mr-1">{variant.name}:</span>
+                {variant.contacts} contacts, {Math.round(variant.openRate * 100)}% opened,
+                {' '}{Math.round(variant.replyRate * 100)}% replied
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="absolute bottom-0.5 left-0 w-full text-[10px] font-semibold text-indigo-600">
+        {variants.map((variant, index) => (
+          <span
+            key={variant.id}
+            className="absolute -translate-x-1/2 whitespace-nowrap"
+            style={{ left: getHandleLeft(index, variants.length), bottom: 0 }}
+          >
+            {variant.id.toUpperCase()} {variant.percent}%
+          </span>
+        ))}
+      </div>
+      {variants.map((variant, index) => (
+        <Handle
+          key={variant.id}
+          type="source"
+          id={variant.id}
+          position={Position.Bottom}
+          isConnectable={isConnectable}
+          className="w-2 h-2 !bg-indigo-500"
+          style={{ left: getHandleLeft(index, variants.length) }}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default SplitNode;
@@ -0,0 +1,8 @@
+import { createContext } from 'react';
+import type { SplitResults } from '@/lib/api';
+
+/**
+ * Split results of the open flow, provided by the flow editor so each split
+ * node can show how its variants are doing
+ */
+export const SplitResultsContext = createContext<SplitResults['splits']>([]);
@@ -20,6 +20,13 @@ const getApiUrl = () => {
 
 const API_URL = getApiUrl();
 
+/**
+ * Get the full URL of an API path, for showing to users who call it from elsewhere
+ * @param path - Path starting with a slash
+ * @returns Absolute URL
+ */
+export const toApiUrl = (path: string) => `${API_URL || window.location.origin}${path}`;
+
 /**
  * Make a request to the API
  * @param endpoint - The API endpoint to call
@@ -134,6 +141,7 @@ export interface FlowData {
   name: string;
   nodes: FlowNode[];
   edges: FlowEdge[];
+  senderIds?: string[];
   createdAt?: Date;
   updatedAt?: Date;
 }
@@ -145,6 +153,28 @@ export interface FlowSummary {
   updatedAt: Date;
 }
 
+export interface FlowTriggerSchedule {
+  fromTime: string;
+  toTime: string;
+  days: string[];
+}
+
+export interface FlowTrigger {
+  flowId: string;
+  webhookEnabled: boolean;
+  webhookPath: string | null;
+  webhookUrl: string | null;
+  enrollPath: string;
+  schedulingOptions: FlowTriggerSchedule | null;
+}
+
+export interface TriggeredEnrollment {
+  enrolled: boolean;
+  reason: 'suppressed' | 'already enrolled' | null;
+  enrollmentId: string | null;
+  contactId: string;
+}
+
 /**
  * API flow management endpoints
  */
@@ -201,16 +231,71 @@ export const flowsApi = {
       method: 'DELETE',
     });
   },
+
+  /**
+   * Get the entry triggers of a flow
+   * @param id - The ID of the flow
+   * @returns The trigger settings, with the inbound webhook URL when it is on
+   */
+  getTrigger: async (id: string): Promise<{ trigger: FlowTrigger }> => {
+    return apiRequest(`/api/flows/${id}/trigger`);
+  },
+
+  /**
+   * Turn the inbound webhook on or off, give it a new URL, or set the sending window of triggered contacts
+   * @param id - The ID of the flow
+   * @param changes - Trigger changes
+   * @returns The updated trigger settings
+   */
+  updateTrigger: async (
+    id: string,
+    changes: { webhookEnabled?: boolean; rotateWebhook?: boolean; schedulingOptions?: FlowTriggerSchedule | null }
+  ): Promise<{ trigger: FlowTrigger }> => {
+    return apiRequest(`/api/flows/${id}/trigger`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  /**
+   * Enroll one contact into a saved flow, creating or updating the contact
+   * @param id - The ID of the flow
+   * @param contact - Contact fields; unknown fields become custom fields
+   * @returns Whether the contact was enrolled, and why not otherwise
+   */
+  enrollContact: async (id: string, contact: Record<string, unknown>): Promise<TriggeredEnrollment> => {
+    return apiRequest(`/api/flows/${id}/enroll`, {
+      method: 'POST',
+      body: JSON.stringify(contact),
+    });
+  },
 };
 
 /**
  * Email template interface definitions
  */
+export type EmailFormat = 'html' | 'plain';
+
+export type EmailBlock =
+  | { id: string; type: 'paragraph'; text: string }
+  | { id: string; type: 'heading'; level: 1 | 2 | 3; text: string }
+  | { id: string; type: 'list'; ordered: boolean; items: string[] }
+  | { id: string; type: 'quote'; text: string }
+  | { id: string; type: 'image'; src: string; alt: string; href: string }
+  | { id: string; type: 'divider' };
+
+export interface EmailDocument {
+  version: number;
+  blocks: EmailBlock[];
+}
+
 export interface EmailTemplate {
   id: string;
   name: string;
   subject: string;
   body: string;
+  bodyDoc?: EmailDocument | null;
+  format: EmailFormat;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -219,6 +304,7 @@ export interface EmailTemplateSummary {
   id: string;
   name: string;
   subject: string;
+  format: EmailFormat;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -232,7 +318,13 @@ export const templatesApi = {
    * @param template - Template data to save
    * @returns The saved template response
    */
-  createTemplate: async (template: { name: string; subject: string; body: string }) => {
+  createTemplate: async (template: {
+    name: string;
+    subject: string;
+    body: string;
+    bodyDoc?: EmailDocument | null;
+    format?: EmailFormat;
+  }) => {
     return apiRequest('/api/templates', {
       method: 'POST',
       body: JSON.stringify(template),
@@ -268,9 +360,831 @@ export const templatesApi = {
   },
 };
 
+/**
+ * Lead list and contact interface definitions
+ */
+export interface LeadList {
+  id: string;
+  name: string;
+  description: string;
+  contactCount: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface Contact {
+  id: string;
+  email: string;
+  firstName: string;
+  lastName: string;
+  company: string;
+  customFields: Record<string, string>;
+  tags: string[];
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface ContactImportResult {
+  total: number;
+  created: number;
+  updated: number;
+  duplicates: number;
+  invalid: string[];
+}
+
+/**
+ * API lead list management endpoints
+ */
+export const leadListsApi = {
+  /**
+   * Create a new lead list, optionally importing CSV contacts
+   * @param leadList - Name, description and optional CSV content
+   * @returns The created lead list response with import statistics
+   */
+  createLeadList: async (leadList: { name: string; description?: string; csv?: string }) => {
+    return apiRequest('/api/lead-lists', {
+      method: 'POST',
+      body: JSON.stringify(leadList),
+    });
+  },
+
+  /**
+   * Get all lead lists for the current user
+   * @returns List of lead lists with contact counts
+   */
+  getAllLeadLists: async () => {
+    return apiRequest('/api/lead-lists');
+  },
+
+  /**
+   * Get a specific lead list by ID
+   * @param id - The ID of the lead list to retrieve
+   * @returns The lead list data
+   */
+  getLeadList: async (id: string) => {
+    return apiRequest(`/api/lead-lists/${id}`);
+  },
+
+  /**
+   * Update a lead list's name or description
+   * @param id - The ID of the lead list to update
+   * @param leadList - The updated fields
+   * @returns The update confirmation
+   */
+  updateLeadList: async (id: string, leadList: { name?: string; description?: string }) => {
+    return apiRequest(`/api/lead-lists/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(leadList),
+    });
+  },
+
+  /**
+   * Delete a lead list (its contacts are kept)
+   * @param id - The ID of the lead list to delete
+   * @returns The deletion confirmation
+   */
+  deleteLeadList: async (id: string) => {
+    return apiRequest(`/api/lead-lists/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Import contacts from CSV text into a lead list
+   * @param id - The ID of the lead list
+   * @param csv - CSV content with a header row and an email column
+   * @returns Import statistics
+   */
+  importCsv: async (id: string, csv: string) => {
+    return apiRequest(`/api/lead-lists/${id}/import`, {
+      method: 'POST',
+      body: JSON.stringify({ csv }),
+    });
+  },
+
+  /**
+   * Get a page of contacts in a lead list
+   * @param id - The ID of the lead list
+   * @param params - Page number, page size and search text
+   * @returns Contacts with paging information
+   */
+  getContacts: async (id: string, params: { page?: number; limit?: number; search?: string } = {}) => {
+    const query = new URLSearchParams();
+    if (params.page) query.set('page', String(params.page));
+    if (params.limit) query.set('limit', String(params.limit));
+    if (params.search) query.set('search', params.search);
+    const suffix = query.toString() ? `?${query.toString()}` : '';
+    return apiRequest(`/api/lead-lists/${id}/contacts${suffix}`);
+  },
+
+  /**
+   * Remove a contact from a lead list
+   * @param id - The ID of the lead list
+   * @param contactId - The ID of the contact to remove
+   * @returns The removal confirmation
+   */
+  removeContact: async (id: string, contactId: string) => {
+    return apiRequest(`/api/lead-lists/${id}/contacts/${contactId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Enrollment interface definitions
+ */
+export type EnrollmentStatus = 'active' | 'paused' | 'completed' | 'failed' | 'stopped';
+
+export interface EnrollmentHistoryEntry {
+  nodeId: string;
+  type: string;
+  action: string;
+  at: Date;
+  messageId?: string;
+  error?: string;
+}
+
+export interface Enrollment {
+  id: string;
+  runId: string;
+  flowId: string | null;
+  contactId: string | null;
+  email: string | null;
+  status: EnrollmentStatus;
+  currentNodeId: string | null;
+  nextStepAt: Date | null;
+  history: EnrollmentHistoryEntry[];
+  lastError: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+  completedAt: Date | null;
+  stopReason: string | null;
+  stoppedAt: Date | null;
+  goalReachedAt: Date | null;
+  currentStep?: { id: string; type: string; label: string } | null;
+}
+
+/**
+ * Exit rule of a goal node: contacts meeting it move to the goal
+ */
+export interface ExitRule {
+  type: 'replied' | 'clicked' | 'tagAdded' | 'event';
+  url?: string;
+  tag?: string;
+  event?: string;
+}
+
+/**
+ * API enrollment endpoints
+ */
+export const enrollmentsApi = {
+  /**
+   * Get enrollments for the current user
+   * @param params - Optional flow, status and paging filters
+   * @returns Enrollments with paging information
+   */
+  getEnrollments: async (params: { flowId?: string; status?: EnrollmentStatus; page?: number; limit?: number } = {}) => {
+    const query = new URLSearchParams();
+    if (params.flowId) query.set('flowId', params.flowId);
+    if (params.status) query.set('status', params.status);
+    if (params.page) query.set('page', String(params.page));
+    if (params.limit) query.set('limit', String(params.limit));
+    const suffix = query.toString() ? `?${query.toString()}` : '';
+    return apiRequest(`/api/enrollments${suffix}`);
+  },
+
+  /**
+   * Get a single enrollment, including the step it is on
+   * @param id - The ID of the enrollment
+   * @returns The enrollment data
+   */
+  getEnrollment: async (id: string) => {
+    return apiRequest(`/api/enrollments/${id}`);
+  },
+
+  /**
+   * Pause an active enrollment
+   * @param id - The ID of the enrollment
+   * @returns The pause confirmation
+   */
+  pauseEnrollment: async (id: string) => {
+    return apiRequest(`/api/enrollments/${id}/pause`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Resume a paused enrollment
+   * @param id - The ID of the enrollment
+   * @returns The resume confirmation with the next step time
+   */
+  resumeEnrollment: async (id: string) => {
+    return apiRequest(`/api/enrollments/${id}/resume`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Report an external event for a contact, moving their enrollments to the
+   * goal of flows that exit on it
+   * @param event - Event name and the contact's email or contactId, optionally limited to one flow
+   * @returns The event name and the number of enrollments moved to their goal
+   */
+  postEvent: async (event: { event: string; email?: string; contactId?: string; flowId?: string }) => {
+    return apiRequest('/api/enrollments/events', {
+      method: 'POST',
+      body: JSON.stringify(event),
+    });
+  },
+};
+
+/**
+ * Merge field validation interface definitions
+ */
+export interface MergeFieldCheck {
+  error: string | null;
+  unknown: string[];
+  missing: { field: string; contacts: number }[];
+}
+
+export interface MergeFieldValidation {
+  valid: boolean;
+  fields: string[];
+  contactCount: number | null;
+  results: {
+    nodeId: string;
+    label: string;
+    subject: MergeFieldCheck;
+    body: MergeFieldCheck;
+  }[];
+}
+
+/**
+ * API merge field endpoints
+ */
+export const mergeFieldsApi = {
+  /**
+   * Check the merge fields of a flow, or of a single subject and body
+   * @param params - Flow nodes or ID, optional lead list, or a subject and body
+   * @returns Unknown and missing fields per email node
+   */
+  validate: async (params: {
+    nodes?: FlowNode[];
+    flowId?: string;
+    leadListId?: string;
+    subject?: string;
+    body?: string;
+  }) => {
+    return apiRequest('/api/merge-fields/validate', {
+      method: 'POST',
+      body: JSON.stringify(params),
+    });
+  },
+};
+
+/**
+ * Analytics interface definitions
+ */
+export interface EmailMetrics {
+  sent: number;
+  delivered: number;
+  opened: number;
+  clicked: number;
+  replied: number;
+  bounced: number;
+  unsubscribed: number;
+}
+
+export interface AnalyticsRange {
+  flowId?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface AnalyticsSummary {
+  from: string;
+  to: string;
+  totals: EmailMetrics;
+  flows: (EmailMetrics & { flowId: string | null; name: string })[];
+  nodes: (EmailMetrics & { flowId: string | null; nodeId: string | null; label: string })[];
+}
+
+export interface AnalyticsTimeseries {
+  from: string;
+  to: string;
+  series: (EmailMetrics & { date: string })[];
+}
+
+export interface FlowFunnel {
+  flowId: string;
+  name: string;
+  from: string;
+  to: string;
+  enrolled: number;
+  completed: number;
+  steps: (EmailMetrics & { nodeId: string; label: string })[];
+}
+
+export interface SplitVariant {
+  id: string;
+  name: string;
+  percent: number;
+}
+
+export interface SplitVariantResults extends SplitVariant {
+  contacts: number;
+  sent: number;
+  opened: number;
+  clicked: number;
+  replied: number;
+  openRate: number;
+  clickRate: number;
+  replyRate: number;
+}
+
+export interface SplitResults {
+  flowId: string;
+  splits: {
+    nodeId: string;
+    label: string;
+    winner: string | null;
+    decidedAt: string | null;
+    variants: SplitVariantResults[];
+  }[];
+}
+
+/**
+ * Build the query string of an analytics request
+ * @param params - Optional flow and date range
+ * @returns Query string, including the leading `?` when not empty
+ */
+const analyticsQuery = (params: AnalyticsRange) => {
+  const query = new URLSearchParams();
+  if (params.flowId) query.set('flowId', params.flowId);
+  if (params.from) query.set('from', params.from);
+  if (params.to) query.set('to', params.to);
+  return query.toString() ? `?${query.toString()}` : '';
+};
+
+/**
+ * API analytics endpoints
+ */
+export const analyticsApi = {
+  /**
+   * Get metric totals per flow and per email node
+   * @param params - Optional flow and date range
+   * @returns Totals, flows and nodes
+   */
+  getSummary: async (params: AnalyticsRange = {}) => {
+    return apiRequest(`/api/analytics/summary${analyticsQuery(params)}`);
+  },
+
+  /**
+   * Get daily metrics
+   * @param params - Optional flow and date range
+   * @returns One entry per day of the range
+   */
+  getTimeseries: async (params: AnalyticsRange = {}) => {
+    return apiRequest(`/api/analytics/timeseries${analyticsQuery(params)}`);
+  },
+
+  /**
+   * Get the step-by-step funnel of a flow
+   * @param flowId - The ID of the flow
+   * @param params - Optional date range
+   * @returns Enrollment counts and metrics per email step
+   */
+  getFunnel: async (flowId: string, params: Omit<AnalyticsRange, 'flowId'> = {}) => {
+    return apiRequest(`/api/analytics/flows/${flowId}/funnel${analyticsQuery(params)}`);
+  },
+
+  /**
+   * Get the A/B split results of a flow
+   * @param flowId - The ID of the flow
+   * @returns Contacts and metrics per variant of each split node
+   */
+  getSplitResults: async (flowId: string): Promise<SplitResults> => {
+    return apiRequest(`/api/analytics/flows/${flowId}/splits`);
+  },
+};
+
+/**
+ * Scheduled email interface definitions
+ */
+export type ScheduledEmailStatus = 'scheduled' | 'retrying' | 'sending' | 'sent' | 'skipped' | 'dead-letter';
+
+export interface ScheduledEmail {
+  id: string;
+  to: string;
+  subject: string;
+  body: string;
+  bodyDoc: EmailDocument | null;
+  format: EmailFormat;
+  status: ScheduledEmailStatus;
+  scheduledFor: string | null;
+  sentAt: string | null;
+  attempts: number;
+  lastError: string | null;
+  errorType: 'transient' | 'permanent' | null;
+  deadLetteredAt: string | null;
+  skippedReason: string | null;
+  flowId: string | null;
+  nodeId: string | null;
+  enrollmentId: string | null;
+  contactId: string | null;
+  createdAt: string;
+  flowName: string | null;
+  nodeLabel: string | null;
+}
+
+export type BulkEmailAction = 'cancel' | 'reschedule' | 'send-now' | 'retry';
+
+/**
+ * API scheduled email endpoints
+ */
+export const emailsApi = {
+  /**
+   * Get a page of the user's emails
+   * @param params - Optional status, flow, search term and paging
+   * @returns Emails and the total count
+   */
+  getEmails: async (params: {
+    status?: ScheduledEmailStatus;
+    flowId?: string;
+    search?: string;
+    page?: number;
+    limit?: number;
+  } = {}) => {
+    const query = new URLSearchParams();
+    if (params.status) query.set('status', params.status);
+    if (params.flowId) query.set('flowId', params.flowId);
+    if (params.search) query.set('search', params.search);
+    if (params.page) query.set('page', String(params.page));
+    if (params.limit) query.set('limit', String(params.limit));
+    const suffix = query.toString() ? `?${query.toString()}` : '';
+    return apiRequest(`/api/emails${suffix}`);
+  },
+
+  /**
+   * Edit or reschedule an email that has not been sent yet
+   * @param id - The ID of the email
+   * @param changes - Fields to change
+   * @returns The updated email
+   */
+  updateEmail: async (id: string, changes: {
+    to?: string;
+    subject?: string;
+    body?: string;
+    bodyDoc?: EmailDocument | null;
+    format?: EmailFormat;
+    scheduledFor?: string;
+  }) => {
+    return apiRequest(`/api/emails/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  /**
+   * Cancel a scheduled email, or remove a sent one
+   * @param id - The ID of the email
+   * @returns Success message
+   */
+  deleteEmail: async (id: string) => {
+    return apiRequest(`/api/emails/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Queue a dead-lettered email for another attempt
+   * @param id - The ID of the email
+   * @returns The requeued email
+   */
+  retryEmail: async (id: string) => {
+    return apiRequest(`/api/emails/${id}/retry`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Cancel, reschedule or immediately send several pending emails, or retry dead-lettered ones
+   * @param action - What to do with the emails
+   * @param ids - The IDs of the emails
+   * @param scheduledFor - New send time, for reschedule
+   * @returns Number of emails updated and skipped
+   */
+  bulkUpdate: async (action: BulkEmailAction, ids: string[], scheduledFor?: string) => {
+    return apiRequest('/api/emails/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ action, ids, scheduledFor }),
+    });
+  },
+};
+
+/**
+ * Sender account interface definitions
+ */
+export interface SenderAccount {
+  id: string;
+  label: string;
+  fromName: string;
+  fromEmail: string;
+  replyTo: string;
+  host: string;
+  port: number;
+  secure: boolean;
+  username: string;
+  imapHost: string;
+  imapPort: number;
+  imapSecure: boolean;
+  isDefault: boolean;
+  dailyLimit: number;
+  minGapSeconds: number;
+  sentToday: number;
+  lastSentAt: string | null;
+  lastVerifiedAt: string | null;
+  repliesCheckedAt: string | null;
+  replyError: string | null;
+  lastError: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SenderAccountInput {
+  label?: string;
+  fromName?: string;
+  fromEmail: string;
+  replyTo?: string;
+  host: string;
+  port: number;
+  secure?: boolean;
+  username?: string;
+  password?: string;
+  dailyLimit?: number;
+  minGapSeconds?: number;
+  imapHost?: string;
+  imapPort?: number;
+  imapSecure?: boolean;
+  isDefault?: boolean;
+}
+
+/**
+ * API sender account endpoints
+ */
+export const sendersApi = {
+  /**
+   * Get all sender accounts for the current user
+   * @returns List of sender accounts, the default one first
+   */
+  getSenders: async () => {
+    return apiRequest('/api/senders');
+  },
+
+  /**
+   * Connect a new SMTP mailbox
+   * @param sender - Account details, including the SMTP password
+   * @returns The created sender account
+   */
+  createSender: async (sender: SenderAccountInput) => {
+    return apiRequest('/api/senders', {
+      method: 'POST',
+      body: JSON.stringify(sender),
+    });
+  },
+
+  /**
+   * Update a sender account; leave the password out to keep the current one
+   * @param id - The ID of the sender account
+   * @param sender - Fields to change
+   * @returns The updated sender account
+   */
+  updateSender: async (id: string, sender: Partial<SenderAccountInput>) => {
+    return apiRequest(`/api/senders/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(sender),
+    });
+  },
+
+  /**
+   * Remove a sender account
+   * @param id - The ID of the sender account
+   * @returns Success message
+   */
+  deleteSender: async (id: string) => {
+    return apiRequest(`/api/senders/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Check that a sender account can log in to its SMTP server
+   * @param id - The ID of the sender account
+   * @returns Whether the login worked, and the error if not
+   */
+  verifySender: async (id: string) => {
+    return apiRequest(`/api/senders/${id}/verify`, {
+      method: 'POST',
+    });
+  },
+};
+
+/**
+ * Capture mailbox interface definitions
+ */
+export interface CapturedMessageSummary {
+  id: string;
+  messageId: string;
+  from: string;
+  to: string[];
+  subject: string;
+  file: string | null;
+  capturedAt: string;
+}
+
+export interface CapturedMessage extends CapturedMessageSummary {
+  text: string | null;
+  html: string | null;
+  raw: string;
+}
+
+/**
+ * API capture mailbox endpoints, available when the server runs with EMAIL_TRANSPORT=capture
+ */
+export const mailboxApi = {
+  /**
+   * Get the captured messages, newest first
+   * @param to - Optional recipient filter
+   * @returns Captured messages without their bodies
+   */
+  getMessages: async (to?: string) => {
+    const suffix = to ? `?to=${encodeURIComponent(to)}` : '';
+    return apiRequest(`/api/mailbox${suffix}`);
+  },
+
+  /**
+   * Get a captured message with its bodies and raw MIME source
+   * @param id - The ID of the message
+   * @returns The captured message
+   */
+  getMessage: async (id: string) => {
+    return apiRequest(`/api/mailbox/${id}`);
+  },
+
+  /**
+   * Empty the capture mailbox
+   * @returns Number of messages removed
+   */
+  clearMessages: async () => {
+    return apiRequest('/api/mailbox', {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Suppression list interface definitions
+ */
+export type SuppressionReason = 'bounce' | 'complaint' | 'unsubscribe' | 'manual';
+
+export interface Suppression {
+  id: string;
+  email: string;
+  reason: SuppressionReason;
+  detail: string | null;
+  createdAt: string;
+}
+
+/**
+ * API suppression list endpoints
+ */
+export const suppressionsApi = {
+  /**
+   * Get a page of suppressed addresses, newest first
+   * @param params - Optional reason, search term and paging
+   * @returns Suppressions and the total count
+   */
+  getSuppressions: async (params: {
+    reason?: SuppressionReason;
+    search?: string;
+    page?: number;
+    limit?: number;
+  } = {}) => {
+    const query = new URLSearchParams();
+    if (params.reason) query.set('reason', params.reason);
+    if (params.search) query.set('search', params.search);
+    if (params.page) query.set('page', String(params.page));
+    if (params.limit) query.set('limit', String(params.limit));
+    const suffix = query.toString() ? `?${query.toString()}` : '';
+    return apiRequest(`/api/suppressions${suffix}`);
+  },
+
+  /**
+   * Stop all future emails to an address
+   * @param email - Address to suppress
+   * @returns The suppression
+   */
+  addSuppression: async (email: string) => {
+    return apiRequest('/api/suppressions', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  /**
+   * Suppress many addresses at once
+   * @param csv - CSV text with an "email" column, or one address per line
+   * @returns Counts of imported, already suppressed and invalid addresses
+   */
+  importSuppressions: async (csv: string) => {
+    return apiRequest('/api/suppressions/import', {
+      method: 'POST',
+      body: JSON.stringify({ csv }),
+    });
+  },
+
+  /**
+   * Download the whole suppression list
+   * @returns CSV text
+   */
+  exportSuppressions: async () => {
+    const token = localStorage.getItem('authToken');
+    const response = await fetch(`${API_URL}/api/suppressions/export`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `API Error: ${response.status}`);
+    }
+
+    return response.text();
+  },
+
+  /**
+   * Allow emails to a suppressed address again
+   * @param id - The ID of the suppression
+   * @returns Success message
+   */
+  deleteSuppression: async (id: string) => {
+    return apiRequest(`/api/suppressions/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Webhook call log interface definitions
+ */
+export interface WebhookCall {
+  id: string;
+  flowId: string | null;
+  nodeId: string;
+  enrollmentId: string;
+  url: string;
+  attempt: number;
+  status: number | null;
+  ok: boolean;
+  responseBody: string | null;
+  error: string | null;
+  durationMs: number;
+  retryAt: string | null;
+  createdAt: string;
+}
+
+/**
+ * API webhook call log endpoints
+ */
+export const webhookCallsApi = {
+  /**
+   * Get logged webhook calls, newest first
+   * @param params - Optional flow, node, enrollment and paging filters
+   * @returns Webhook calls with paging information
+   */
+  getWebhookCalls: async (params: { flowId?: string; nodeId?: string; enrollmentId?: string; page?: number; limit?: number } = {}) => {
+    const query = new URLSearchParams();
+    if (params.flowId) query.set('flowId', params.flowId);
+    if (params.nodeId) query.set('nodeId', params.nodeId);
+    if (params.enrollmentId) query.set('enrollmentId', params.enrollmentId);
+    if (params.page) query.set('page', String(params.page));
+    if (params.limit) query.set('limit', String(params.limit));
+    const suffix = query.toString() ? `?${query.toString()}` : '';
+    return apiRequest(`/api/webhook-calls${suffix}`);
+  },
+};
+
 export default {
   apiRequest,
   auth: authApi,
   flows: flowsApi,
   templates: templatesApi,
+  leadLists: leadListsApi,
+  enrollments: enrollmentsApi,
+  mergeFields: mergeFieldsApi,
+  analytics: analyticsApi,
+  emails: emailsApi,
+  senders: sendersApi,
+  mailbox: mailboxApi,
+  suppressions: suppressionsApi,
+  webhookCalls: webhookCallsApi,
 };
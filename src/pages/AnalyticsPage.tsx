@@ -0,0 +1,388 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from "@/components/ui/select";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from "@/components/ui/table";
+import {
+  ChartConfig,
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent
+} from "@/components/ui/chart";
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts";
+import { ArrowLeft, Loader2, RefreshCw } from "lucide-react";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  analyticsApi,
+  flowsApi,
+  AnalyticsSummary,
+  AnalyticsTimeseries,
+  EmailMetrics,
+  FlowFunnel,
+  FlowSummary,
+  SplitResults
+} from "@/lib/api";
+
+const METRIC_CONFIG = {
+  sent: { label: "Sent", color: "#2563eb" },
+  delivered: { label: "Delivered", color: "#0891b2" },
+  opened: { label: "Opened", color: "#16a34a" },
+  clicked: { label: "Clicked", color: "#ca8a04" },
+  replied: { label: "Replied", color: "#9333ea" },
+  bounced: { label: "Bounced", color: "#dc2626" },
+  unsubscribed: { label: "Unsubscribed", color: "#64748b" },
+} satisfies ChartConfig;
+
+type Metric = keyof EmailMetrics;
+
+const METRICS = Object.keys(METRIC_CONFIG) as Metric[];
+
+// Metrics drawn in the funnel, in the order a recipient moves through them
+const FUNNEL_METRICS: Metric[] = ["sent", "delivered", "opened", "clicked", "replied"];
+
+// What each rate is measured against
+const RATE_BASE: Partial<Record<Metric, Metric>> = {
+  delivered: "sent",
+  opened: "delivered",
+  clicked: "delivered",
+  replied: "delivered",
+  bounced: "sent",
+  unsubscribed: "delivered",
+};
+
+const RANGES = [
+  { value: "7", label: "Last 7 days" },
+  { value: "30", label: "Last 30 days" },
+  { value: "90", label: "Last 90 days" },
+];
+
+const ALL_FLOWS = "all";
+
+/**
+ * Format a metric as a percentage of its base
+ * @param metrics - Metric counts
+ * @param metric - Metric to format
+ * @returns Percentage text, or an empty string when the metric has no base
+ */
+const formatRate = (metrics: EmailMetrics, metric: Metric) => {
+  const base = RATE_BASE[metric];
+  if (!base) return "";
+  return metrics[base] ? `${Math.round((metrics[metric] / metrics[base]) * 1000) / 10}%` : "0%";
+};
+
+/**
+ * Format a 0-1 rate as a percentage
+ * @param rate - Rate from 0 to 1
+ * @returns Percentage text with one decimal
+ */
+const formatPercent = (rate: number) => `${Math.round(rate * 1000) / 10}%`;
+
+const AnalyticsPage = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [flows, setFlows] = useState<FlowSummary[]>([]);
+  const [flowId, setFlowId] = useState(ALL_FLOWS);
+  const [rangeDays, setRangeDays] = useState("30");
+  const [summary, setSummary] = useState<AnalyticsSummary | null>(null);
+  const [timeseries, setTimeseries] = useState<AnalyticsTimeseries | null>(null);
+  const [funnel, setFunnel] = useState<FlowFunnel | null>(null);
+  const [splits, setSplits] = useState<SplitResults | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Analytics are per user, so send anyone who is not signed in to the login screen
+  useEffect(() => {
+    if (!localStorage.getItem("authToken")) {
+      navigate("/");
+      return;
+    }
+
+    flowsApi.getAllFlows()
+      .then(response => setFlows(response.flows || []))
+      .catch(error => console.error("Failed to load flows:", error));
+  }, [navigate]);
+
+  // Reload whenever the flow or the date range changes
+  useEffect(() => {
+    fetchAnalytics();
+  }, [flowId, rangeDays]);
+
+  // Fetch the summary, the daily series and, for a single flow, its funnel and split tests
+  const fetchAnalytics = async () => {
+    if (!localStorage.getItem("authToken")) return;
+
+    setIsLoading(true);
+    try {
+      const to = new Date();
+      const from = new Date(to.getTime() - Number(rangeDays) * 24 * 60 * 60 * 1000);
+      const params = {
+        flowId: flowId === ALL_FLOWS ? undefined : flowId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+      };
+
+      const [summaryResponse, timeseriesResponse, funnelResponse, splitsResponse] = await Promise.all([
+        analyticsApi.getSummary(params),
+        analyticsApi.getTimeseries(params),
+        params.flowId ? analyticsApi.getFunnel(params.flowId, { from: params.from, to: params.to }) : null,
+        params.flowId ? analyticsApi.getSplitResults(params.flowId) : null,
+      ]);
+
+      setSummary(summaryResponse);
+      setTimeseries(timeseriesResponse);
+      setFunnel(funnelResponse);
+      setSplits(splitsResponse);
+    } catch (error) {
+      console.error("Failed to fetch analytics:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load analytics",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderMetricCells = (metrics: EmailMetrics) => METRICS.map(metric => (
+    <TableCell key={metric} className="text-right">
+      {metrics[metric]}
+      {RATE_BASE[metric] && (
+        <span className="block text-xs text-gray-500">{formatRate(metrics, metric)}</span>
+      )}
+    </TableCell>
+  ));
+
+  const selectedFlow = flowId !== ALL_FLOWS;
+  const breakdown = selectedFlow ? summary?.nodes || [] : summary?.flows || [];
+
+  return (
+    <div className="container py-10 space-y-6">
+      <Button variant="ghost" onClick={() => navigate("/")}>
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        Back to Flow Editor
+      </Button>
+
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center">
+          <h1 className="text-2xl font-semibold mr-2">Campaign Analytics</h1>
+          {isLoading && <Loader2 className="animate-spin h-5 w-5 ml-2" />}
+        </div>
+        <div className="flex items-center space-x-2">
+          <Select value={flowId} onValueChange={setFlowId}>
+            <SelectTrigger className="w-[220px]">
+              <SelectValue placeholder="All flows" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_FLOWS}>All flows</SelectItem>
+              {flows.map(flow => (
+                <SelectItem key={flow.id} value={flow.id}>{flow.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={rangeDays} onValueChange={setRangeDays}>
+            <SelectTrigger className="w-[160px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RANGES.map(range => (
+                <SelectItem key={range.value} value={range.value}>{range.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="sm" onClick={fetchAnalytics} disabled={isLoading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
+        {METRICS.map(metric => (
+          <Card key={metric}>
+            <CardHeader className="p-4 pb-2">
+              <CardDescription>{METRIC_CONFIG[metric].label}</CardDescription>
+              <CardTitle className="text-2xl">{summary ? summary.totals[metric] : "-"}</CardTitle>
+            </CardHeader>
+            <CardContent className="p-4 pt-0 text-xs text-gray-500 h-8">
+              {summary && RATE_BASE[metric] && `${formatRate(summary.totals, metric)} of ${RATE_BASE[metric]}`}
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Activity</CardTitle>
+          <CardDescription>Emails per day, counted once per message</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ChartContainer config={METRIC_CONFIG} className="aspect-auto h-[300px] w-full">
+            <LineChart data={timeseries?.series || []} margin={{ left: 0, right: 12 }}>
+              <CartesianGrid vertical={false} />
+              <XAxis dataKey="date" tickLine={false} axisLine={false} tickMargin={8} minTickGap={24} />
+              <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+              <ChartTooltip content={<ChartTooltipContent />} />
+              <ChartLegend content={<ChartLegendContent />} />
+              {METRICS.map(metric => (
+                <Line
+                  key={metric}
+                  dataKey={metric}
+                  type="monotone"
+                  stroke={`var(--color-${metric})`}
+                  strokeWidth={2}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ChartContainer>
+        </CardContent>
+      </Card>
+
+      {funnel && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Sequence Funnel</CardTitle>
+            <CardDescription>
+              {funnel.enrolled} contact(s) enrolled, {funnel.completed} completed the sequence
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {funnel.steps.length === 0 ? (
+              <p className="text-sm text-gray-500">This flow has no email steps yet.</p>
+            ) : (
+              <ChartContainer config={METRIC_CONFIG} className="aspect-auto h-[300px] w-full">
+                <BarChart data={funnel.steps} margin={{ left: 0, right: 12 }}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="label" tickLine={false} axisLine={false} tickMargin={8} />
+                  <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <ChartLegend content={<ChartLegendContent />} />
+                  {FUNNEL_METRICS.map(metric => (
+                    <Bar key={metric} dataKey={metric} fill={`var(--color-${metric})`} radius={2} />
+                  ))}
+                </BarChart>
+              </ChartContainer>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {splits && splits.splits.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Split Tests</CardTitle>
+            <CardDescription>Results per variant over every run of the flow</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {splits.splits.map(split => (
+              <div key={split.nodeId}>
+                <h4 className="font-medium mb-2">
+                  {split.label}
+                  {split.winner && (
+                    <span className="ml-2 text-sm text-amber-600">
+                      Winner: {split.variants.find(variant => variant.id === split.winner)?.name || split.winner}
+                    </span>
+                  )}
+                </h4>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Variant</TableHead>
+                      <TableHead className="text-right">Contacts</TableHead>
+                      <TableHead className="text-right">Sent</TableHead>
+                      <TableHead className="text-right">Opened</TableHead>
+                      <TableHead className="text-right">Clicked</TableHead>
+                      <TableHead className="text-right">Replied</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {split.variants.map(variant => (
+                      <TableRow key={variant.id}>
+                        <TableCell className="font-medium">{variant.name} ({variant.percent}%)</TableCell>
+                        <TableCell className="text-right">{variant.contacts}</TableCell>
+                        <TableCell className="text-right">{variant.sent}</TableCell>
+                        <TableCell className="text-right">
+                          {variant.opened} <span className="text-xs text-gray-500">{formatPercent(variant.openRate)}</span>
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {variant.clicked} <span className="text-xs text-gray-500">{formatPercent(variant.clickRate)}</span>
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {variant.replied} <span className="text-xs text-gray-500">{formatPercent(variant.replyRate)}</span>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{selectedFlow ? "By Step" : "By Flow"}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {breakdown.length === 0 ? (
+            <p className="text-sm text-gray-500">No emails were sent in this period.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{selectedFlow ? "Step" : "Flow"}</TableHead>
+                  {METRICS.map(metric => (
+                    <TableHead key={metric} className="text-right">{METRIC_CONFIG[metric].label}</TableHead>
+                  ))}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {selectedFlow
+                  ? (summary?.nodes || []).map(node => (
+                    <TableRow key={node.nodeId || "none"}>
+                      <TableCell className="font-medium">{node.label}</TableCell>
+                      {renderMetricCells(node)}
+                    </TableRow>
+                  ))
+                  : (summary?.flows || []).map(flow => (
+                    <TableRow
+                      key={flow.flowId || "none"}
+                      className={flow.flowId ? "cursor-pointer" : undefined}
+                      onClick={() => flow.flowId && setFlowId(flow.flowId)}
+                    >
+                      <TableCell className="font-medium">{flow.name}</TableCell>
+                      {renderMetricCells(flow)}
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AnalyticsPage;
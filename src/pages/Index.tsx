@@ -18,13 +18,24 @@ import { useNavigate } from 'react-router-dom';
 import Sidebar from '@/components/Sidebar';
 import NodeConfiguration from '@/components/NodeConfiguration';
 import FlowManager from '@/components/FlowManager';
+import EnrollmentManager from '@/components/EnrollmentManager';
+import FlowTriggerManager from '@/components/FlowTriggerManager';
+import SenderAccountManager from '@/components/SenderAccountManager';
+import SenderPoolPicker from '@/components/SenderPoolPicker';
 import ColdEmailNode from '@/components/nodes/ColdEmailNode';
 import WaitDelayNode from '@/components/nodes/WaitDelayNode';
 import LeadSourceNode from '@/components/nodes/LeadSourceNode';
+import ConditionNode from '@/components/nodes/ConditionNode';
+import SplitNode from '@/components/nodes/SplitNode';
+import ActionNode from '@/components/nodes/ActionNode';
+import GoalNode from '@/components/nodes/GoalNode';
+import { SplitResultsContext } from '@/components/nodes/SplitResultsContext';
 import { Button } from '@/components/ui/button';
 import { useToast } from '@/components/ui/use-toast';
 import AuthModal from '@/components/auth/AuthModal';
-import { authApi, apiRequest, flowsApi } from '@/lib/api';
+import { authApi, apiRequest, flowsApi, analyticsApi, SplitResults } from '@/lib/api';
+import { compileSequence } from '@/shared/sequenceCompiler';
+import { getDefaultVariants } from '@/shared/splits';
 import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import {
   Sheet,
@@ -33,7 +44,7 @@ import {
   SheetTitle,
   SheetTrigger,
 } from "@/components/ui/sheet";
-import { Loader2, Save, Plus, List } from 'lucide-react';
+import { Loader2, Save, Plus, List, Users, BarChart3, Inbox, Mail, MailOpen, Ban, Zap } from 'lucide-react';
 
 /**
  * Custom node types for ReactFlow
@@ -42,6 +53,13 @@ const nodeTypes = {
   coldEmail: ColdEmailNode,
   waitDelay: WaitDelayNode,
   leadSource: LeadSourceNode,
+  condition: ConditionNode,
+  split: SplitNode,
+  tagContact: ActionNode,
+  updateField: ActionNode,
+  moveToList: ActionNode,
+  webhook: ActionNode,
+  goal: GoalNode,
 };
 
 /**
@@ -54,13 +72,19 @@ const Index = () => {
   const [isAuthenticated, setIsAuthenticated] = useState<boolean>(false);
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [isSaving, setIsSaving] = useState<boolean>(false);
-  const [currentFlow, setCurrentFlow] = useState<{ id?: string; name: string } | null>({
+  const [currentFlow, setCurrentFlow] = useState<{ id?: string; name: string; senderIds?: string[] } | null>({
     name: 'Untitled Flow'
   });
+  // Bumped when sender accounts change so the sender dropdowns reload
+  const [sendersVersion, setSendersVersion] = useState(0);
   const [serverStatus, setServerStatus] = useState<{isRunning: boolean, message: string | null}>({
     isRunning: true,
     message: null
   });
+  // With the capture transport nothing is sent, and the header links to the local mailbox instead
+  const [emailTransport, setEmailTransport] = useState<string | null>(null);
+  // Per-variant results of the open flow's split nodes, shown on the nodes
+  const [splitResults, setSplitResults] = useState<SplitResults['splits']>([]);
   const reactFlowWrapper = useRef<HTMLDivElement>(null);
   const { toast } = useToast();
   const navigate = useNavigate();
@@ -71,7 +95,8 @@ const Index = () => {
   useEffect(() => {
     const checkServerHealth = async () => {
       try {
-        await authApi.checkHealth();
+        const health = await authApi.checkHealth();
+        setEmailTransport(health.emailTransport || null);
         setServerStatus({
           isRunning: true,
           message: null
@@ -88,6 +113,18 @@ const Index = () => {
     checkServerHealth();
   }, []);
   
+  /**
+   * Load the split test results whenever another saved flow is opened
+   */
+  useEffect(() => {
+    setSplitResults([]);
+    if (!isAuthenticated || !currentFlow?.id) return;
+
+    analyticsApi.getSplitResults(currentFlow.id)
+      .then(results => setSplitResults(results.splits))
+      .catch(error => console.error('Error loading split results:', error));
+  }, [isAuthenticated, currentFlow?.id]);
+
   /**
    * Check for existing authentication on component mount
    */
@@ -191,6 +228,7 @@ const Index = () => {
           label: 'Cold Email',
           subject: 'Introduction',
           body: 'Hello, I wanted to reach out and introduce myself...',
+          format: 'html',
           recipient: ''
         };
       case 'waitDelay':
@@ -202,7 +240,58 @@ const Index = () => {
       case 'leadSource':
         return {
           label: 'Lead Source',
-          source: 'Website'
+          source: 'Website',
+          leadListId: '',
+          leadListName: '',
+          contactCount: 0
+        };
+      case 'condition':
+        return {
+          label: 'Condition',
+          conditionType: 'opened',
+          days: 3,
+          field: '',
+          operator: 'equals',
+          value: ''
+        };
+      case 'split':
+        return {
+          label: 'A/B Split',
+          variants: getDefaultVariants(),
+          autoWinner: false,
+          winnerMetric: 'opened',
+          sampleSize: 100,
+          testHours: 24
+        };
+      case 'tagContact':
+        return {
+          label: 'Tag Contact',
+          operation: 'add',
+          tag: ''
+        };
+      case 'updateField':
+        return {
+          label: 'Update Field',
+          field: '',
+          value: ''
+        };
+      case 'moveToList':
+        return {
+          label: 'Move to List',
+          leadListId: '',
+          leadListName: ''
+        };
+      case 'webhook':
+        return {
+          label: 'Webhook',
+          url: '',
+          maxAttempts: 3,
+          payload: ''
+        };
+      case 'goal':
+        return {
+          label: 'Goal',
+          exitRules: [{ type: 'replied' }]
         };
       default:
         return { label: 'New Node' };
@@ -229,25 +318,11 @@ const Index = () => {
   };
 
   /**
-   * Build an email sequence from the flow
+   * Build an email sequence from the flow by walking its connections
+   * @throws {SequenceCompileError} When the flow has loops, orphans or several entry nodes
    */
   const buildSequenceFromFlow = () => {
-    const sequence: any[] = [];
-    
-    // Process each node
-    nodes.forEach(node => {
-      const sequenceItem = {
-        id: node.id,
-        type: node.type,
-        data: { ...node.data },
-        delay: node.data.delay || 0,
-        unit: node.data.unit || 'hours'
-      };
-      
-      sequence.push(sequenceItem);
-    });
-    
-    return sequence;
+    return compileSequence({ nodes, edges });
   };
 
   /**
@@ -270,10 +345,15 @@ const Index = () => {
         throw new Error('Authentication required');
       }
       
-      const sequence = buildSequenceFromFlow();
+      const { steps } = buildSequenceFromFlow();
       
-      // Navigate to the schedule page with sequence data
-      navigate('/schedule', { state: { sequence } });
+      // Navigate to the schedule page with the flow graph; the server compiles it again
+      navigate('/schedule', {
+        state: {
+          sequence: steps,
+          flow: { id: currentFlow?.id, nodes, edges, senderIds: currentFlow?.senderIds || [] }
+        }
+      });
     } catch (error) {
       console.error("Error preparing sequence:", error);
       
@@ -313,7 +393,8 @@ const Index = () => {
       setEdges(flowData.edges || []);
       setCurrentFlow({
         id: flowData.id,
-        name: flowData.name
+        name: flowData.name,
+        senderIds: flowData.senderIds || []
       });
       
       // Save the loaded flow ID to localStorage
@@ -347,20 +428,23 @@ const Index = () => {
         await flowsApi.updateFlow(currentFlow.id, {
           name: name || currentFlow.name,
           nodes,
-          edges
+          edges,
+          senderIds: currentFlow.senderIds || []
         });
       } else {
         // Create new flow
         const result = await flowsApi.saveFlow({
           name: name || 'Untitled Flow',
           nodes,
-          edges
+          edges,
+          senderIds: currentFlow?.senderIds || []
         });
         
         // Update the current flow with the new ID
         setCurrentFlow({
           id: result.flowId,
-          name: result.name
+          name: result.name,
+          senderIds: currentFlow?.senderIds || []
         });
         
         // Save the flow ID to localStorage
@@ -421,6 +505,11 @@ const Index = () => {
               {currentFlow?.name || 'Email Sequence Builder'}
             </h1>
             {isLoading && <Loader2 className="animate-spin h-5 w-5 ml-2" />}
+            <SenderPoolPicker
+              key={sendersVersion}
+              value={currentFlow?.senderIds || []}
+              onChange={(senderIds) => setCurrentFlow(current => ({ name: 'Untitled Flow', ...current, senderIds }))}
+            />
           </div>
           <div className="flex space-x-2">
             <Sheet>
@@ -445,6 +534,95 @@ const Index = () => {
               </SheetContent>
             </Sheet>
             
+            <Sheet>
+              <SheetTrigger asChild>
+                <Button variant="outline" size="sm">
+                  <Users className="mr-2 h-4 w-4" />
+                  Enrollments
+                </Button>
+              </SheetTrigger>
+              <SheetContent side="right" className="w-[400px] sm:w-[540px]">
+                <SheetHeader>
+                  <SheetTitle>Enrollments</SheetTitle>
+                </SheetHeader>
+                <div className="py-6">
+                  <EnrollmentManager flowId={currentFlow?.id} />
+                </div>
+              </SheetContent>
+            </Sheet>
+            
+            <Sheet>
+              <SheetTrigger asChild>
+                <Button variant="outline" size="sm">
+                  <Zap className="mr-2 h-4 w-4" />
+                  Triggers
+                </Button>
+              </SheetTrigger>
+              <SheetContent side="right" className="w-[400px] sm:w-[540px]">
+                <SheetHeader>
+                  <SheetTitle>Entry Triggers</SheetTitle>
+                </SheetHeader>
+                <div className="py-6">
+                  <FlowTriggerManager flowId={currentFlow?.id} />
+                </div>
+              </SheetContent>
+            </Sheet>
+            
+            <Sheet>
+              <SheetTrigger asChild>
+                <Button variant="outline" size="sm">
+                  <Mail className="mr-2 h-4 w-4" />
+                  Senders
+                </Button>
+              </SheetTrigger>
+              <SheetContent side="right" className="w-[400px] sm:w-[540px]">
+                <SheetHeader>
+                  <SheetTitle>Sender Accounts</SheetTitle>
+                </SheetHeader>
+                <div className="py-6">
+                  <SenderAccountManager onChange={() => setSendersVersion(version => version + 1)} />
+                </div>
+              </SheetContent>
+            </Sheet>
+            
+            <Button 
+              onClick={() => navigate('/outbox')}
+              variant="outline"
+              size="sm"
+            >
+              <Inbox className="mr-2 h-4 w-4" />
+              Outbox
+            </Button>
+            
+            <Button 
+              onClick={() => navigate('/suppressions')}
+              variant="outline"
+              size="sm"
+            >
+              <Ban className="mr-2 h-4 w-4" />
+              Suppressions
+            </Button>
+            
+            {emailTransport === 'capture' && (
+              <Button 
+                onClick={() => navigate('/mailbox')}
+                variant="outline"
+                size="sm"
+              >
+                <MailOpen className="mr-2 h-4 w-4" />
+                Mailbox
+              </Button>
+            )}
+            
+            <Button 
+              onClick={() => navigate('/analytics')}
+              variant="outline"
+              size="sm"
+            >
+              <BarChart3 className="mr-2 h-4 w-4" />
+              Analytics
+            </Button>
+            
             <Button 
               onClick={() => saveFlow(currentFlow?.name || 'Untitled Flow')}
               disabled={isSaving}
@@ -494,22 +672,24 @@ const Index = () => {
         <div className="flex-1 flex">
           <div ref={reactFlowWrapper} style={{ height: '100%', width: '100%' }}>
             <ReactFlowProvider>
-              <ReactFlow
-                nodes={nodes}
-                edges={edges}
-                onNodesChange={onNodesChange}
-                onEdgesChange={onEdgesChange}
-                onConnect={onConnect}
-                onNodeClick={onNodeClick}
-                nodeTypes={nodeTypes}
-                onDrop={onDrop}
-                onDragOver={onDragOver}
-                deleteKeyCode="Delete"
-                fitView
-              >
-                <Background />
-                <Controls />
-              </ReactFlow>
+              <SplitResultsContext.Provider value={splitResults}>
+                <ReactFlow
+                  nodes={nodes}
+                  edges={edges}
+                  onNodesChange={onNodesChange}
+                  onEdgesChange={onEdgesChange}
+                  onConnect={onConnect}
+                  onNodeClick={onNodeClick}
+                  nodeTypes={nodeTypes}
+                  onDrop={onDrop}
+                  onDragOver={onDragOver}
+                  deleteKeyCode="Delete"
+                  fitView
+                >
+                  <Background />
+                  <Controls />
+                </ReactFlow>
+              </SplitResultsContext.Provider>
             </ReactFlowProvider>
           </div>
           {selectedNode && (
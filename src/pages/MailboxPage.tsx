@@ -0,0 +1,197 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { ArrowLeft, Download, Loader2, RefreshCw, Trash } from "lucide-react";
+import { useToast } from "@/components/ui/use-toast";
+import { mailboxApi, CapturedMessage, CapturedMessageSummary } from "@/lib/api";
+
+/**
+ * Local mailbox for the capture transport: every email the server would have
+ * sent shows up here instead of leaving the machine.
+ */
+const MailboxPage = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [messages, setMessages] = useState<CapturedMessageSummary[]>([]);
+  const [selected, setSelected] = useState<CapturedMessage | null>(null);
+  const [search, setSearch] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [unavailable, setUnavailable] = useState<string | null>(null);
+
+  // The mailbox needs a signed in user, so send anyone else to the login screen
+  useEffect(() => {
+    if (!localStorage.getItem("authToken")) {
+      navigate("/");
+      return;
+    }
+    fetchMessages();
+  }, [navigate]);
+
+  // Fetch the captured messages
+  const fetchMessages = async () => {
+    setIsLoading(true);
+    try {
+      const response = await mailboxApi.getMessages(search.trim() || undefined);
+      setMessages(response.messages || []);
+      setUnavailable(null);
+    } catch (error) {
+      console.error("Failed to fetch captured messages:", error);
+      setUnavailable(error instanceof Error ? error.message : "Failed to load the mailbox");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openMessage = async (id: string) => {
+    try {
+      setSelected(await mailboxApi.getMessage(id));
+    } catch (error) {
+      console.error("Failed to load captured message:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load the message",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const clearMailbox = async () => {
+    if (!window.confirm("Remove every captured message? Files already written to disk are kept.")) {
+      return;
+    }
+
+    try {
+      await mailboxApi.clearMessages();
+      setSelected(null);
+      await fetchMessages();
+    } catch (error) {
+      console.error("Failed to clear the mailbox:", error);
+      toast({
+        title: "Error",
+        description: "Failed to clear the mailbox",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Save the raw MIME source so it can be opened in a mail client
+  const downloadMessage = (message: CapturedMessage) => {
+    const url = URL.createObjectURL(new Blob([message.raw], { type: "message/rfc822" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${message.id}.eml`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    fetchMessages();
+  };
+
+  return (
+    <div className="container py-10 space-y-6">
+      <Button variant="ghost" onClick={() => navigate("/")}>
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        Back to Flow Editor
+      </Button>
+
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center">
+          <h1 className="text-2xl font-semibold mr-2">Mailbox</h1>
+          {isLoading && <Loader2 className="animate-spin h-5 w-5 ml-2" />}
+        </div>
+        <form onSubmit={handleSearch} className="flex items-center space-x-2">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter by recipient"
+            className="w-[240px]"
+          />
+          <Button type="submit" variant="outline" size="sm" disabled={isLoading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+          <Button type="button" variant="outline" size="sm" onClick={clearMailbox} disabled={messages.length === 0}>
+            <Trash className="h-4 w-4 text-red-500" />
+          </Button>
+        </form>
+      </div>
+
+      {unavailable ? (
+        <div className="text-center p-8 border rounded-md">
+          <p className="text-gray-500">{unavailable}</p>
+        </div>
+      ) : messages.length === 0 && !isLoading ? (
+        <div className="text-center p-8 border rounded-md">
+          <p className="text-gray-500">No messages captured yet. Schedule a sequence and its emails will show up here.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="border rounded-md divide-y max-h-[70vh] overflow-y-auto">
+            {messages.map(message => (
+              <button
+                key={message.id}
+                onClick={() => openMessage(message.id)}
+                className={`w-full text-left p-3 hover:bg-gray-50 ${selected?.id === message.id ? "bg-blue-50" : ""}`}
+              >
+                <p className="font-medium truncate">{message.subject || "(no subject)"}</p>
+                <p className="text-sm text-gray-500 truncate">To: {message.to.join(", ")}</p>
+                <p className="text-xs text-gray-400">{new Date(message.capturedAt).toLocaleString()}</p>
+              </button>
+            ))}
+          </div>
+
+          <div className="md:col-span-2 border rounded-md p-4">
+            {selected ? (
+              <div className="space-y-3">
+                <div className="flex justify-between items-start">
+                  <div className="min-w-0">
+                    <h2 className="text-lg font-semibold truncate">{selected.subject || "(no subject)"}</h2>
+                    <p className="text-sm text-gray-500">From: {selected.from}</p>
+                    <p className="text-sm text-gray-500">To: {selected.to.join(", ")}</p>
+                    {selected.file && <p className="text-xs text-gray-400">Saved to {selected.file}</p>}
+                  </div>
+                  <Button size="sm" variant="outline" onClick={() => downloadMessage(selected)}>
+                    <Download className="mr-2 h-4 w-4" />
+                    .eml
+                  </Button>
+                </div>
+                <Tabs defaultValue={selected.html ? "html" : "text"}>
+                  <TabsList>
+                    <TabsTrigger value="html" disabled={!selected.html}>HTML</TabsTrigger>
+                    <TabsTrigger value="text">Text</TabsTrigger>
+                    <TabsTrigger value="raw">Source</TabsTrigger>
+                  </TabsList>
+                  <TabsContent value="html">
+                    <iframe
+                      title="Email HTML"
+                      srcDoc={selected.html || ""}
+                      sandbox=""
+                      className="w-full h-[55vh] border rounded"
+                    />
+                  </TabsContent>
+                  <TabsContent value="text">
+                    <pre className="whitespace-pre-wrap text-sm p-3 bg-gray-50 rounded max-h-[55vh] overflow-auto">
+                      {selected.text}
+                    </pre>
+                  </TabsContent>
+                  <TabsContent value="raw">
+                    <pre className="whitespace-pre-wrap text-xs p-3 bg-gray-50 rounded max-h-[55vh] overflow-auto">
+                      {selected.raw}
+                    </pre>
+                  </TabsContent>
+                </Tabs>
+              </div>
+            ) : (
+              <p className="text-gray-500 text-center py-8">Select a message to read it</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MailboxPage;
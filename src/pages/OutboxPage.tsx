@@ -0,0 +1,345 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Table,
+  TableBody,
+  TableCaption,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from "@/components/ui/dialog";
+import { ArrowLeft, CalendarClock, Loader2, RefreshCw, RotateCcw, Send, XCircle } from "lucide-react";
+import { useToast } from "@/components/ui/use-toast";
+import { emailsApi, BulkEmailAction, ScheduledEmail, ScheduledEmailStatus } from "@/lib/api";
+
+const STATUS_STYLES: Record<ScheduledEmailStatus, string> = {
+  scheduled: "bg-blue-100 text-blue-700",
+  retrying: "bg-orange-100 text-orange-700",
+  sending: "bg-yellow-100 text-yellow-700",
+  sent: "bg-green-100 text-green-700",
+  skipped: "bg-gray-100 text-gray-700",
+  "dead-letter": "bg-red-100 text-red-700",
+};
+
+const STATUSES = Object.keys(STATUS_STYLES) as ScheduledEmailStatus[];
+
+// Statuses whose emails can still be cancelled, rescheduled or sent now
+const PENDING_STATUSES: ScheduledEmailStatus[] = ["scheduled", "retrying"];
+
+const PAGE_SIZE = 50;
+
+/**
+ * Format a date for a datetime-local input
+ * @param date - Date to format
+ * @returns Local date and time as YYYY-MM-DDTHH:mm
+ */
+const toDateTimeInput = (date: Date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 16);
+};
+
+const OutboxPage = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [emails, setEmails] = useState<ScheduledEmail[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [statusFilter, setStatusFilter] = useState<ScheduledEmailStatus | "">("");
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [rescheduleOpen, setRescheduleOpen] = useState(false);
+  const [rescheduleAt, setRescheduleAt] = useState("");
+
+  // The outbox is per user, so send anyone who is not signed in to the login screen
+  useEffect(() => {
+    if (!localStorage.getItem("authToken")) {
+      navigate("/");
+    }
+  }, [navigate]);
+
+  // Reload whenever the filter or the page changes
+  useEffect(() => {
+    fetchEmails();
+  }, [statusFilter, page]);
+
+  // Fetch the current page of emails
+  const fetchEmails = async () => {
+    if (!localStorage.getItem("authToken")) return;
+
+    setIsLoading(true);
+    try {
+      const response = await emailsApi.getEmails({
+        status: statusFilter || undefined,
+        search: search.trim() || undefined,
+        page,
+        limit: PAGE_SIZE,
+      });
+      setEmails(response.emails || []);
+      setTotal(response.total || 0);
+      setSelected([]);
+    } catch (error) {
+      console.error("Failed to fetch emails:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load emails",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (page === 1) {
+      fetchEmails();
+    } else {
+      setPage(1);
+    }
+  };
+
+  // Pending emails can be changed and dead-lettered ones retried; nothing else can be selected
+  const isSelectable = (email: ScheduledEmail) =>
+    PENDING_STATUSES.includes(email.status) || email.status === "dead-letter";
+  const selectable = emails.filter(isSelectable);
+  const allSelected = selectable.length > 0 && selectable.every(email => selected.includes(email.id));
+  const selectedEmails = emails.filter(email => selected.includes(email.id));
+  const hasPending = selectedEmails.some(email => PENDING_STATUSES.includes(email.status));
+  const hasDeadLetter = selectedEmails.some(email => email.status === "dead-letter");
+
+  const toggleSelected = (id: string) => {
+    setSelected(current => (current.includes(id) ? current.filter(item => item !== id) : [...current, id]));
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? [] : selectable.map(email => email.id));
+  };
+
+  const runBulkAction = async (action: BulkEmailAction, scheduledFor?: string) => {
+    setIsUpdating(true);
+    try {
+      const result = await emailsApi.bulkUpdate(action, selected, scheduledFor);
+      toast({
+        title: "Success",
+        description: result.skipped
+          ? `${result.updated} email(s) updated, ${result.skipped} skipped because their status does not allow it`
+          : `${result.updated} email(s) updated`,
+      });
+      setRescheduleOpen(false);
+      await fetchEmails();
+    } catch (error) {
+      console.error(`Failed to ${action} emails:`, error);
+      toast({
+        title: "Error",
+        description: "Failed to update emails",
+        variant: "destructive",
+      });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleCancel = () => {
+    if (window.confirm(`Cancel the scheduled emails among the ${selected.length} selected? This cannot be undone.`)) {
+      runBulkAction("cancel");
+    }
+  };
+
+  const openReschedule = () => {
+    setRescheduleAt(toDateTimeInput(new Date(Date.now() + 60 * 60 * 1000)));
+    setRescheduleOpen(true);
+  };
+
+  const formatDate = (date: string | null) => (date ? new Date(date).toLocaleString() : "-");
+
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="container py-10 space-y-6">
+      <Button variant="ghost" onClick={() => navigate("/")}>
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        Back to Flow Editor
+      </Button>
+
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center">
+          <h1 className="text-2xl font-semibold mr-2">Outbox</h1>
+          {isLoading && <Loader2 className="animate-spin h-5 w-5 ml-2" />}
+        </div>
+        <form onSubmit={handleSearch} className="flex items-center space-x-2">
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value as ScheduledEmailStatus | "");
+              setPage(1);
+            }}
+            className="p-2 border rounded text-sm"
+          >
+            <option value="">All statuses</option>
+            {STATUSES.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search recipient or subject"
+            className="w-[240px]"
+          />
+          <Button type="submit" variant="outline" size="sm" disabled={isLoading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </form>
+      </div>
+
+      {selected.length > 0 && (
+        <div className="flex items-center space-x-2 p-2 border rounded bg-gray-50">
+          <span className="text-sm mr-2">{selected.length} selected</span>
+          <Button size="sm" variant="outline" onClick={() => runBulkAction("send-now")} disabled={isUpdating || !hasPending}>
+            <Send className="mr-2 h-4 w-4" />
+            Send Now
+          </Button>
+          <Button size="sm" variant="outline" onClick={openReschedule} disabled={isUpdating || !hasPending}>
+            <CalendarClock className="mr-2 h-4 w-4" />
+            Reschedule
+          </Button>
+          <Button size="sm" variant="outline" onClick={handleCancel} disabled={isUpdating || !hasPending}>
+            <XCircle className="mr-2 h-4 w-4 text-red-500" />
+            Cancel
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => runBulkAction("retry")} disabled={isUpdating || !hasDeadLetter}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            Retry
+          </Button>
+          {isUpdating && <Loader2 className="animate-spin h-4 w-4" />}
+        </div>
+      )}
+
+      {emails.length === 0 && !isLoading ? (
+        <div className="text-center p-8 border rounded-md">
+          <p className="text-gray-500">No emails found. Schedule a sequence to fill your outbox.</p>
+        </div>
+      ) : (
+        <Table>
+          <TableCaption>
+            {total} email(s)
+          </TableCaption>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-[40px]">
+                <Checkbox
+                  checked={allSelected}
+                  onCheckedChange={toggleAll}
+                  disabled={selectable.length === 0}
+                  aria-label="Select all emails that can be changed"
+                />
+              </TableHead>
+              <TableHead>Recipient</TableHead>
+              <TableHead>Subject</TableHead>
+              <TableHead>Flow</TableHead>
+              <TableHead>Step</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead>Scheduled / Sent</TableHead>
+              <TableHead>Last Error</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {emails.map(email => (
+              <TableRow key={email.id}>
+                <TableCell>
+                  <Checkbox
+                    checked={selected.includes(email.id)}
+                    onCheckedChange={() => toggleSelected(email.id)}
+                    disabled={!isSelectable(email)}
+                    aria-label={`Select email to ${email.to}`}
+                  />
+                </TableCell>
+                <TableCell className="font-medium">{email.to}</TableCell>
+                <TableCell className="max-w-[240px] truncate" title={email.subject}>{email.subject}</TableCell>
+                <TableCell>{email.flowName || "-"}</TableCell>
+                <TableCell>{email.nodeLabel || "-"}</TableCell>
+                <TableCell>
+                  <span className={`text-xs px-2 py-1 rounded-full ${STATUS_STYLES[email.status]}`}>
+                    {email.status}
+                  </span>
+                </TableCell>
+                <TableCell className="whitespace-nowrap">
+                  {formatDate(email.sentAt || email.deadLetteredAt || email.scheduledFor)}
+                </TableCell>
+                <TableCell className="max-w-[240px] text-xs text-red-600" title={email.lastError || ""}>
+                  {email.skippedReason && (
+                    <span className="block truncate text-gray-500">{email.skippedReason}</span>
+                  )}
+                  {email.lastError && (
+                    <>
+                      <span className="block truncate">{email.lastError}</span>
+                      <span className="text-gray-500">
+                        {email.errorType === "permanent" ? "Permanent" : "Temporary"} failure, attempt {email.attempts}
+                      </span>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-end space-x-2">
+          <Button size="sm" variant="outline" onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>
+            Previous
+          </Button>
+          <span className="text-sm">Page {page} of {pageCount}</span>
+          <Button size="sm" variant="outline" onClick={() => setPage(page + 1)} disabled={page >= pageCount || isLoading}>
+            Next
+          </Button>
+        </div>
+      )}
+
+      <Dialog open={rescheduleOpen} onOpenChange={setRescheduleOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Reschedule Emails</DialogTitle>
+            <DialogDescription>
+              Pick a new send time for {selected.length} email(s).
+            </DialogDescription>
+          </DialogHeader>
+          <Input
+            type="datetime-local"
+            value={rescheduleAt}
+            onChange={(e) => setRescheduleAt(e.target.value)}
+          />
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRescheduleOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => runBulkAction("reschedule", new Date(rescheduleAt).toISOString())}
+              disabled={!rescheduleAt || isUpdating}
+            >
+              {isUpdating && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Reschedule
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default OutboxPage;
@@ -9,9 +9,9 @@ import {
   SelectTrigger,
   SelectValue
 } from "@/components/ui/select";
-import { Loader2, Calendar, Clock, ArrowLeft } from "lucide-react";
+import { Loader2, Calendar, Clock, ArrowLeft, AlertTriangle } from "lucide-react";
 import { toast } from "@/components/ui/use-toast";
-import { apiRequest } from "@/lib/api";
+import { apiRequest, mergeFieldsApi, FlowNode, FlowEdge, MergeFieldValidation } from "@/lib/api";
 import { 
   Card, 
   CardContent, 
@@ -38,10 +38,12 @@ const SchedulePage = () => {
   const location = useLocation();
   const [isLoading, setIsLoading] = useState(false);
   const [sequence, setSequence] = useState<any[]>([]);
+  const [flow, setFlow] = useState<{ id?: string; nodes: FlowNode[]; edges: FlowEdge[]; senderIds?: string[] } | null>(null);
   const [date, setDate] = useState<Date | undefined>(new Date());
   const [fromTime, setFromTime] = useState("09:00");
   const [toTime, setToTime] = useState("17:00");
   const [sendOption, setSendOption] = useState("schedule"); // "now" or "schedule"
+  const [mergeFieldCheck, setMergeFieldCheck] = useState<MergeFieldValidation | null>(null);
   const [days, setDays] = useState({
     monday: true,
     tuesday: true,
@@ -60,7 +62,7 @@ const SchedulePage = () => {
 
   useEffect(() => {
     // If no sequence data in location state, redirect back to home
-    if (!location.state?.sequence) {
+    if (!location.state?.sequence || !location.state?.flow) {
       toast({
         title: "No sequence data",
         description: "Please create a sequence first",
@@ -71,8 +73,35 @@ const SchedulePage = () => {
     }
 
     setSequence(location.state.sequence);
+    setFlow(location.state.flow);
   }, [location.state, navigate]);
 
+  // Check merge fields against the contacts the sequence will go to
+  useEffect(() => {
+    if (!flow) return;
+
+    mergeFieldsApi.validate({ nodes: flow.nodes })
+      .then(setMergeFieldCheck)
+      .catch(error => console.error("Failed to validate merge fields:", error));
+  }, [flow]);
+
+  // One line per merge field problem, for the summary warning
+  const mergeFieldProblems = (mergeFieldCheck?.results || []).flatMap(result =>
+    (["subject", "body"] as const).flatMap(part => {
+      const check = result[part];
+      return [
+        ...(check.error ? [`${result.label} ${part}: ${check.error}`] : []),
+        ...check.unknown.map(field => `${result.label} ${part}: {{${field}}} is not a known field`),
+        ...check.missing.map(({ field, contacts }) =>
+          `${result.label} ${part}: {{${field}}} is empty for ${contacts} contact(s); add a fallback like {{${field}|...}}`
+        ),
+      ];
+    })
+  );
+
+  // Lead Source node whose list supplies the recipients, if any
+  const leadSource = sequence.find(item => item.type === 'leadSource' && item.data?.leadListId);
+
   const handleDayToggle = (day: keyof typeof days) => {
     setDays({
       ...days,
@@ -107,8 +136,8 @@ const SchedulePage = () => {
       }
     }
 
-    // Validate that all cold emails have recipients if sending immediately
-    if (sendOption === "now") {
+    // Validate that all cold emails have recipients if sending immediately without a lead list
+    if (sendOption === "now" && !leadSource) {
       const missingRecipients = sequence
         .filter(item => item.type === 'coldEmail' && !item.data?.recipient)
         .length;
@@ -125,7 +154,13 @@ const SchedulePage = () => {
 
     setIsLoading(true);
     try {
-      let scheduleData: any = { sequence };
+      // Send the graph itself; the server compiles it into a sequence
+      let scheduleData: any = {
+        flowId: flow?.id,
+        nodes: flow?.nodes || [],
+        edges: flow?.edges || [],
+        senderIds: flow?.senderIds || []
+      };
       
       if (sendOption === "schedule") {
         scheduleData.schedulingOptions = {
@@ -151,7 +186,7 @@ const SchedulePage = () => {
         description: `Successfully ${sendOption === "now" ? "sent" : "scheduled"} ${response.scheduledEmails?.length || 0} emails`,
       });
       
-      navigate("/");
+      navigate("/outbox");
     } catch (error) {
       console.error("Error scheduling sequence:", error);
       
@@ -363,8 +398,26 @@ const SchedulePage = () => {
               <div>
                 <Label className="text-base">Sequence Summary</Label>
                 <div className="mt-2 p-3 border rounded-md bg-muted/50">
-                  <p>{sequence.length} email(s) in sequence</p>
+                  <p>{sequence.filter(item => item.type === 'coldEmail').length} email(s) in sequence</p>
+                  {leadSource && (
+                    <p className="text-sm text-muted-foreground">
+                      Sent to {leadSource.data.contactCount || 0} contact(s) in "{leadSource.data.leadListName}"
+                    </p>
+                  )}
                 </div>
+                {mergeFieldProblems.length > 0 && (
+                  <div className="mt-2 p-3 border border-yellow-300 rounded-md bg-yellow-50 text-sm">
+                    <p className="flex items-center font-medium text-yellow-800 mb-1">
+                      <AlertTriangle className="mr-2 h-4 w-4" />
+                      Check your merge fields
+                    </p>
+                    <ul className="list-disc pl-5 text-yellow-800 space-y-1">
+                      {mergeFieldProblems.map(problem => (
+                        <li key={problem}>{problem}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             </div>
           </CardContent>
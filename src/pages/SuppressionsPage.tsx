@@ -0,0 +1,318 @@
+import { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Table,
+  TableBody,
+  TableCaption,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from "@/components/ui/table";
+import { ArrowLeft, Download, Loader2, Plus, RefreshCw, Trash, Upload } from "lucide-react";
+import { useToast } from "@/components/ui/use-toast";
+import { suppressionsApi, Suppression, SuppressionReason } from "@/lib/api";
+
+const REASON_STYLES: Record<SuppressionReason, string> = {
+  bounce: "bg-red-100 text-red-700",
+  complaint: "bg-orange-100 text-orange-700",
+  unsubscribe: "bg-blue-100 text-blue-700",
+  manual: "bg-gray-100 text-gray-700",
+};
+
+const REASONS = Object.keys(REASON_STYLES) as SuppressionReason[];
+
+const PAGE_SIZE = 50;
+
+/**
+ * Read a file chosen in an <input type="file"> as text
+ */
+const readFileAsText = (file: File) => {
+  return new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Addresses that no email is sent to: hard bounces, spam complaints,
+ * unsubscribes and addresses added by hand or imported.
+ */
+const SuppressionsPage = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [suppressions, setSuppressions] = useState<Suppression[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [reasonFilter, setReasonFilter] = useState<SuppressionReason | "">("");
+  const [search, setSearch] = useState("");
+  const [newEmail, setNewEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  // The list is per user, so send anyone who is not signed in to the login screen
+  useEffect(() => {
+    if (!localStorage.getItem("authToken")) {
+      navigate("/");
+    }
+  }, [navigate]);
+
+  // Reload whenever the filter or the page changes
+  useEffect(() => {
+    fetchSuppressions();
+  }, [reasonFilter, page]);
+
+  // Fetch the current page of suppressions
+  const fetchSuppressions = async () => {
+    if (!localStorage.getItem("authToken")) return;
+
+    setIsLoading(true);
+    try {
+      const response = await suppressionsApi.getSuppressions({
+        reason: reasonFilter || undefined,
+        search: search.trim() || undefined,
+        page,
+        limit: PAGE_SIZE,
+      });
+      setSuppressions(response.suppressions || []);
+      setTotal(response.total || 0);
+    } catch (error) {
+      console.error("Failed to fetch suppressions:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load the suppression list",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (page === 1) {
+      fetchSuppressions();
+    } else {
+      setPage(1);
+    }
+  };
+
+  const addSuppression = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      await suppressionsApi.addSuppression(newEmail.trim());
+      setNewEmail("");
+      await fetchSuppressions();
+    } catch (error) {
+      console.error("Failed to suppress address:", error);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to suppress address",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const importCsv = async (file: File) => {
+    setIsImporting(true);
+    try {
+      const csv = await readFileAsText(file);
+      const result = await suppressionsApi.importSuppressions(csv);
+      const parts = [`${result.imported} new`, `${result.existing} already suppressed`];
+      if (result.invalid > 0) parts.push(`${result.invalid} invalid row(s) skipped`);
+      toast({
+        title: "Import finished",
+        description: parts.join(", "),
+      });
+      await fetchSuppressions();
+    } catch (error) {
+      console.error("Failed to import suppressions:", error);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to import addresses",
+        variant: "destructive",
+      });
+    } finally {
+      setIsImporting(false);
+      if (importInputRef.current) {
+        importInputRef.current.value = "";
+      }
+    }
+  };
+
+  const exportCsv = async () => {
+    try {
+      const csv = await suppressionsApi.exportSuppressions();
+      const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "suppressions.csv";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Failed to export suppressions:", error);
+      toast({
+        title: "Error",
+        description: "Failed to export the suppression list",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const removeSuppression = async (suppression: Suppression) => {
+    if (!window.confirm(`Allow emails to ${suppression.email} again?`)) {
+      return;
+    }
+
+    try {
+      await suppressionsApi.deleteSuppression(suppression.id);
+      await fetchSuppressions();
+    } catch (error) {
+      console.error("Failed to remove suppression:", error);
+      toast({
+        title: "Error",
+        description: "Failed to remove the address from the list",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="container py-10 space-y-6">
+      <Button variant="ghost" onClick={() => navigate("/")}>
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        Back to Flow Editor
+      </Button>
+
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center">
+          <h1 className="text-2xl font-semibold mr-2">Suppression List</h1>
+          {isLoading && <Loader2 className="animate-spin h-5 w-5 ml-2" />}
+        </div>
+        <form onSubmit={handleSearch} className="flex items-center space-x-2">
+          <select
+            value={reasonFilter}
+            onChange={(e) => {
+              setReasonFilter(e.target.value as SuppressionReason | "");
+              setPage(1);
+            }}
+            className="p-2 border rounded text-sm"
+          >
+            <option value="">All reasons</option>
+            {REASONS.map(reason => (
+              <option key={reason} value={reason}>{reason}</option>
+            ))}
+          </select>
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search address"
+            className="w-[240px]"
+          />
+          <Button type="submit" variant="outline" size="sm" disabled={isLoading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </form>
+      </div>
+
+      <form onSubmit={addSuppression} className="flex items-center space-x-2">
+        <Input
+          type="email"
+          value={newEmail}
+          onChange={(e) => setNewEmail(e.target.value)}
+          placeholder="someone@example.com"
+          className="w-[300px]"
+        />
+        <Button type="submit" variant="outline" size="sm" disabled={!newEmail.trim()}>
+          <Plus className="mr-2 h-4 w-4" />
+          Suppress
+        </Button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".csv,text/csv,text/plain"
+          className="hidden"
+          onChange={(e) => e.target.files?.[0] && importCsv(e.target.files[0])}
+        />
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => importInputRef.current?.click()}
+          disabled={isImporting}
+          title="Import addresses from CSV"
+        >
+          {isImporting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Upload className="mr-2 h-4 w-4" />}
+          Import
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={exportCsv} disabled={total === 0}>
+          <Download className="mr-2 h-4 w-4" />
+          Export
+        </Button>
+      </form>
+
+      {suppressions.length === 0 && !isLoading ? (
+        <div className="text-center p-8 border rounded-md">
+          <p className="text-gray-500">No suppressed addresses. Hard bounces, spam complaints and unsubscribes are added here automatically.</p>
+        </div>
+      ) : (
+        <Table>
+          <TableCaption>
+            {total} address(es)
+          </TableCaption>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Address</TableHead>
+              <TableHead>Reason</TableHead>
+              <TableHead>Detail</TableHead>
+              <TableHead>Added</TableHead>
+              <TableHead className="w-[60px]"></TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {suppressions.map(suppression => (
+              <TableRow key={suppression.id}>
+                <TableCell className="font-medium">{suppression.email}</TableCell>
+                <TableCell>
+                  <span className={`text-xs px-2 py-1 rounded-full ${REASON_STYLES[suppression.reason]}`}>
+                    {suppression.reason}
+                  </span>
+                </TableCell>
+                <TableCell className="max-w-[300px] truncate text-xs text-gray-500" title={suppression.detail || ""}>
+                  {suppression.detail || "-"}
+                </TableCell>
+                <TableCell className="whitespace-nowrap">{new Date(suppression.createdAt).toLocaleString()}</TableCell>
+                <TableCell>
+                  <Button size="sm" variant="ghost" onClick={() => removeSuppression(suppression)} title="Allow emails again">
+                    <Trash className="h-4 w-4 text-red-500" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-end space-x-2">
+          <Button size="sm" variant="outline" onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>
+            Previous
+          </Button>
+          <span className="text-sm">Page {page} of {pageCount}</span>
+          <Button size="sm" variant="outline" onClick={() => setPage(page + 1)} disabled={page >= pageCount || isLoading}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuppressionsPage;
@@ -0,0 +1,73 @@
+import { toObjectId } from './db.js';
+import { normalizeTag } from '../shared/actions.js';
+import { renderMergeFields } from '../shared/mergeFields.js';
+
+/**
+ * Contact actions of tag, field and list action nodes.
+ *
+ * Each runs once, inline, when an enrollment reaches the node, and returns
+ * the history entry describing what happened. Enrollments without a contact
+ * (single emails to each node's recipient) skip them.
+ */
+
+/**
+ * Run a contact action step for an enrollment
+ * @param {Object} db - MongoDB database
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} run - Flow run the enrollment belongs to
+ * @param {Object} step - The action step of the flow run
+ * @param {Date} now - Current time
+ * @returns {Promise<String>} History action describing the outcome
+ */
+const runContactAction = async (db, enrollment, run, step, now) => {
+  const contactId = toObjectId(enrollment.contactId);
+  if (!contactId) {
+    return 'skipped: no contact';
+  }
+
+  const contacts = db.collection('contacts');
+  const filter = { _id: contactId, userId: enrollment.userId };
+
+  switch (step.type) {
+    case 'tagContact': {
+      const tag = normalizeTag(step.data.tag);
+      const remove = step.data.operation === 'remove';
+      const result = await contacts.updateOne(filter, {
+        [remove ? '$pull' : '$addToSet']: { tags: tag },
+        $set: { updatedAt: now }
+      });
+      if (!result.matchedCount) return 'skipped: contact not found';
+      return `tag "${tag}" ${remove ? 'removed' : 'added'}`;
+    }
+    case 'updateField': {
+      const contact = await contacts.findOne(filter);
+      if (!contact) return 'skipped: contact not found';
+
+      const field = String(step.data.field).trim();
+      const value = renderMergeFields(step.data.value || '', contact);
+      await contacts.updateOne(filter, { $set: { [`customFields.${field}`]: value, updatedAt: now } });
+      return `field ${field} set to "${value}"`;
+    }
+    case 'moveToList': {
+      const listId = toObjectId(step.data.leadListId);
+      const list = listId ? await db.collection('leadLists').findOne({ _id: listId, userId: enrollment.userId }) : null;
+      if (!list) return 'skipped: lead list not found';
+
+      const result = await contacts.updateOne(filter, { $addToSet: { listIds: list._id }, $set: { updatedAt: now } });
+      if (!result.matchedCount) return 'skipped: contact not found';
+
+      // The list the sequence was scheduled from is the one the contact leaves
+      const sourceId = toObjectId(run.leadListId);
+      if (sourceId && !sourceId.equals(list._id)) {
+        await contacts.updateOne(filter, { $pull: { listIds: sourceId } });
+      }
+      return `moved to ${list.name}`;
+    }
+    default:
+      return 'passed';
+  }
+};
+
+export {
+  runContactAction
+};
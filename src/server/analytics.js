@@ -0,0 +1,448 @@
+import { connectToDatabase, toObjectId } from './db.js';
+import { compileSequence } from '../shared/sequenceCompiler.js';
+import { getMetricRate } from '../shared/splits.js';
+import { countSplitEvents } from './splits.js';
+
+/**
+ * Campaign analytics.
+ *
+ * Metrics are aggregated from `emailEvents`. Every metric counts distinct
+ * messages, so an email opened five times is still one open. Delivered is
+ * derived as sent minus bounced, because SMTP acceptance is the only
+ * delivery signal a sender gets. Bounces the SMTP server refused at send
+ * time count as bounced but are not taken off delivered: those emails were
+ * never counted as sent.
+ */
+
+const METRICS = ['sent', 'delivered', 'opened', 'clicked', 'replied', 'bounced', 'unsubscribed'];
+
+// Event type recorded in `emailEvents` for each counted metric
+const METRIC_EVENT_TYPES = {
+  sent: 'sent',
+  opened: 'open',
+  clicked: 'click',
+  replied: 'reply',
+  bounced: 'bounce',
+  unsubscribed: 'unsubscribe'
+};
+
+// Counts key for bounces recorded when the send itself was refused, which have no sent event
+const SEND_TIME_BOUNCE = 'bounce:smtp';
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn per-event-type counts into the full metric set
+ * @param {Object} counts - Distinct message counts keyed by event type, with
+ *   bounces refused at send time under SEND_TIME_BOUNCE
+ * @returns {Object} Count for every metric in METRICS
+ */
+const buildMetrics = (counts = {}) => {
+  const metrics = {};
+
+  for (const [metric, type] of Object.entries(METRIC_EVENT_TYPES)) {
+    metrics[metric] = counts[type] || 0;
+  }
+
+  metrics.delivered = Math.max(metrics.sent - metrics.bounced, 0);
+  metrics.bounced += counts[SEND_TIME_BOUNCE] || 0;
+
+  return Object.fromEntries(METRICS.map(metric => [metric, metrics[metric]]));
+};
+
+/**
+ * Read the reporting period from the query string
+ * @param {Object} query - Express query (`from`, `to` as ISO dates)
+ * @returns {Object} `{ from, to }` dates, or `{ error }` when the range is invalid
+ */
+const parseDateRange = (query = {}) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime())) {
+    return { error: 'Invalid date range' };
+  }
+
+  if (from > to) {
+    return { error: 'The start of the range must be before its end' };
+  }
+
+  if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `The date range cannot be longer than ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+};
+
+/**
+ * List the UTC days of a period
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Array<String>} Days formatted as YYYY-MM-DD
+ */
+const listDays = (from, to) => {
+  const days = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  while (cursor <= to) {
+    days.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return days;
+};
+
+/**
+ * Build the event filter shared by the analytics endpoints
+ * @param {String} userId - Owner of the events
+ * @param {Object} range - `{ from, to }` reporting period
+ * @param {String} flowId - Only count events of this flow, if given
+ * @returns {Object} MongoDB filter
+ */
+const buildEventMatch = (userId, { from, to }, flowId) => {
+  const match = {
+    userId,
+    type: { $in: Object.values(METRIC_EVENT_TYPES) },
+    createdAt: { $gte: from, $lte: to }
+  };
+
+  if (flowId) {
+    match.flowId = flowId;
+  }
+
+  return match;
+};
+
+/**
+ * Count distinct messages per event type, grouped by extra keys. Bounces
+ * refused at send time are counted apart, as SEND_TIME_BOUNCE.
+ * @param {Object} db - MongoDB database
+ * @param {Object} match - Event filter
+ * @param {Object} groupKeys - Additional `$group` keys, e.g. `{ nodeId: '$nodeId' }`
+ * @returns {Array<Object>} Rows with the group keys, `type` and `count`
+ */
+const countEvents = (db, match, groupKeys) => db.collection('emailEvents').aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: {
+        ...groupKeys,
+        type: { $cond: [{ $and: [{ $eq: ['$type', 'bounce'] }, { $eq: ['$source', 'smtp'] }] }, SEND_TIME_BOUNCE, '$type'] }
+      },
+      messages: { $addToSet: '$messageId' }
+    }
+  },
+  { $project: { _id: 0, key: '$_id', count: { $size: '$messages' } } }
+]).toArray();
+
+/**
+ * Collect aggregation rows into metrics per group
+ * @param {Array<Object>} rows - Rows from countEvents
+ * @param {Function} getKey - Returns the group key of a row
+ * @returns {Map} Group key to metrics
+ */
+const collectMetrics = (rows, getKey) => {
+  const counts = new Map();
+
+  for (const row of rows) {
+    const key = getKey(row.key);
+    if (!counts.has(key)) counts.set(key, {});
+    const group = counts.get(key);
+    group[row.key.type] = (group[row.key.type] || 0) + row.count;
+  }
+
+  return new Map([...counts].map(([key, group]) => [key, buildMetrics(group)]));
+};
+
+/**
+ * Find the email steps of a flow in sequence order. The latest run is used
+ * when there is one, since that is what was actually sent.
+ * @param {Object} db - MongoDB database
+ * @param {Object} flow - Saved flow document
+ * @returns {Array<Object>} Compiled email steps
+ */
+const findFlowEmailSteps = async (db, flow) => {
+  const run = await db.collection('flowRuns')
+    .find({ flowId: flow._id.toString() })
+    .sort({ createdAt: -1 })
+    .limit(1)
+    .next();
+
+  let steps = run ? run.steps : [];
+  if (!run) {
+    try {
+      steps = compileSequence({ nodes: flow.nodes, edges: flow.edges }).steps;
+    } catch {
+      // A flow that does not compile has no steps to report on
+    }
+  }
+
+  return steps.filter(step => step.type === 'coldEmail');
+};
+
+/**
+ * Send the error of an invalid date range
+ * @param {Object} res - Express response object
+ * @param {Object} range - Result of parseDateRange
+ * @returns {Boolean} Whether an error response was sent
+ */
+const rejectInvalidRange = (res, range) => {
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * API endpoint for metric totals per flow and per email node
+ * @route GET /api/analytics/summary
+ * @param {Object} req - Express request object (`flowId`, `from`, `to` query)
+ * @param {Object} res - Express response object
+ */
+const getAnalyticsSummary = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const range = parseDateRange(req.query);
+    if (rejectInvalidRange(res, range)) return;
+
+    const { db } = await connectToDatabase();
+    const rows = await countEvents(
+      db,
+      buildEventMatch(userId, range, req.query.flowId),
+      { flowId: '$flowId', nodeId: '$nodeId' }
+    );
+
+    const flowIds = [...new Set(rows.map(row => row.key.flowId))].map(toObjectId).filter(Boolean);
+    const flows = await db.collection('flows')
+      .find({ _id: { $in: flowIds }, userId })
+      .project({ name: 1, nodes: 1 })
+      .toArray();
+    const flowsById = new Map(flows.map(flow => [flow._id.toString(), flow]));
+
+    const byFlow = collectMetrics(rows, key => key.flowId || null);
+    const byNode = collectMetrics(rows, key => JSON.stringify([key.flowId || null, key.nodeId || null]));
+
+    const nodes = [...byNode].map(([key, metrics]) => {
+      const [flowId, nodeId] = JSON.parse(key);
+      const node = flowsById.get(flowId)?.nodes?.find(item => item.id === nodeId);
+      return {
+        flowId,
+        nodeId,
+        label: node?.data?.label || nodeId || 'Single emails',
+        ...metrics
+      };
+    });
+
+    res.status(200).json({
+      from: range.from,
+      to: range.to,
+      totals: buildMetrics(rows.reduce((totals, row) => {
+        totals[row.key.type] = (totals[row.key.type] || 0) + row.count;
+        return totals;
+      }, {})),
+      flows: [...byFlow].map(([flowId, metrics]) => ({
+        flowId,
+        name: flowId ? (flowsById.get(flowId)?.name || 'Deleted flow') : 'Single emails',
+        ...metrics
+      })),
+      nodes
+    });
+  } catch (error) {
+    console.error('Error fetching analytics summary:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+};
+
+/**
+ * API endpoint for daily metrics over a period
+ * @route GET /api/analytics/timeseries
+ * @param {Object} req - Express request object (`flowId`, `from`, `to` query)
+ * @param {Object} res - Express response object
+ */
+const getAnalyticsTimeseries = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const range = parseDateRange(req.query);
+    if (rejectInvalidRange(res, range)) return;
+
+    const { db } = await connectToDatabase();
+    const rows = await countEvents(
+      db,
+      buildEventMatch(userId, range, req.query.flowId),
+      { date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } }
+    );
+
+    const byDate = collectMetrics(rows, key => key.date);
+
+    res.status(200).json({
+      from: range.from,
+      to: range.to,
+      series: listDays(range.from, range.to).map(date => ({
+        date,
+        ...(byDate.get(date) || buildMetrics())
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching analytics timeseries:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+};
+
+/**
+ * API endpoint for the step-by-step funnel of a flow
+ * @route GET /api/analytics/flows/:id/funnel
+ * @param {Object} req - Express request object (`from`, `to` query)
+ * @param {Object} res - Express response object
+ */
+const getFlowFunnel = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const flowId = req.params.id;
+
+    const flowObjectId = toObjectId(flowId);
+    if (!flowObjectId) {
+      return res.status(400).json({ error: 'Invalid flow ID format' });
+    }
+
+    const range = parseDateRange(req.query);
+    if (rejectInvalidRange(res, range)) return;
+
+    const { db } = await connectToDatabase();
+    const flow = await db.collection('flows').findOne({ _id: flowObjectId });
+
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    if (flow.userId !== userId) {
+      return res.status(403).json({ error: 'Not authorized to access this flow' });
+    }
+
+    const [steps, rows, enrollmentCounts] = await Promise.all([
+      findFlowEmailSteps(db, flow),
+      countEvents(db, buildEventMatch(userId, range, flowId), { nodeId: '$nodeId' }),
+      db.collection('enrollments').aggregate([
+        { $match: { userId, flowId, createdAt: { $gte: range.from, $lte: range.to } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+
+    const byNode = collectMetrics(rows, key => key.nodeId);
+
+    res.status(200).json({
+      flowId,
+      name: flow.name,
+      from: range.from,
+      to: range.to,
+      enrolled: enrollmentCounts.reduce((total, group) => total + group.count, 0),
+      completed: enrollmentCounts.find(group => group._id === 'completed')?.count || 0,
+      steps: steps.map(step => ({
+        nodeId: step.id,
+        label: step.data?.label || 'Email',
+        ...(byNode.get(step.id) || buildMetrics())
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching flow funnel:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+};
+
+/**
+ * Get the A/B split results of a flow: contacts and email metrics per
+ * variant of each split node, over all runs of the flow
+ * @route GET /api/analytics/flows/:id/splits
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFlowSplits = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const flowId = req.params.id;
+
+    const flowObjectId = toObjectId(flowId);
+    if (!flowObjectId) {
+      return res.status(400).json({ error: 'Invalid flow ID format' });
+    }
+
+    const { db } = await connectToDatabase();
+    const flow = await db.collection('flows').findOne({ _id: flowObjectId });
+
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    if (flow.userId !== userId) {
+      return res.status(403).json({ error: 'Not authorized to access this flow' });
+    }
+
+    const splitNodes = (flow.nodes || []).filter(node => node.type === 'split');
+    const [rows, tests] = await Promise.all([
+      countSplitEvents(db, { userId, flowId }),
+      db.collection('splitTests').find({ userId, flowId }).sort({ startedAt: -1 }).toArray()
+    ]);
+
+    const counts = new Map();
+    for (const { key, count } of rows) {
+      const id = JSON.stringify([key.nodeId, key.variantId]);
+      counts.set(id, { ...counts.get(id), [key.type]: count });
+    }
+
+    res.status(200).json({
+      flowId,
+      splits: splitNodes.map(node => {
+        const nodeTests = tests.filter(test => test.nodeId === node.id);
+        const latest = nodeTests[0];
+
+        return {
+          nodeId: node.id,
+          label: node.data?.label || 'A/B Split',
+          winner: latest?.winner || null,
+          decidedAt: latest?.decidedAt || null,
+          variants: (node.data?.variants || []).map(variant => {
+            const events = counts.get(JSON.stringify([node.id, variant.id])) || {};
+            const metrics = {
+              sent: events.sent || 0,
+              opened: events.open || 0,
+              clicked: events.click || 0,
+              replied: events.reply || 0
+            };
+
+            return {
+              id: variant.id,
+              name: variant.name,
+              percent: variant.percent,
+              // Contacts in the test group plus those sent down it as the winner
+              contacts: nodeTests.reduce((total, test) => total
+                + ((test.counts && test.counts[variant.id]) || 0)
+                + (test.winner === variant.id ? test.promoted || 0 : 0), 0),
+              ...metrics,
+              openRate: getMetricRate(metrics, 'opened'),
+              clickRate: getMetricRate(metrics, 'clicked'),
+              replyRate: getMetricRate(metrics, 'replied')
+            };
+          })
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching split results:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+};
+
+export {
+  METRICS,
+  METRIC_EVENT_TYPES,
+  SEND_TIME_BOUNCE,
+  buildMetrics,
+  parseDateRange,
+  listDays,
+  getAnalyticsSummary,
+  getAnalyticsTimeseries,
+  getFlowFunnel,
+  getFlowSplits
+};
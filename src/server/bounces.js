@@ -0,0 +1,258 @@
+import { ObjectId } from 'mongodb';
+import { addSuppression } from './suppressions.js';
+import { stopEnrollment } from './enrollments.js';
+
+/**
+ * Bounce and complaint processing.
+ *
+ * Bounces reach us two ways: the SMTP server rejects a recipient while we
+ * send, or a delivery status notification (DSN, RFC 3464) lands in the
+ * sender's mailbox later and is picked up by the `poll replies` job. Spam
+ * complaints arrive the same way, as feedback reports (ARF, RFC 5965).
+ *
+ * Every bounce is recorded as a `bounce` event and every complaint as a
+ * `complaint` event. Hard bounces and complaints also put the address on
+ * the user's suppression list and stop the contact's enrollment. Only
+ * failures that say the address itself is bad count as hard: addressing
+ * errors (X.1.x) and disabled mailboxes (5.2.1). Full mailboxes, policy
+ * blocks and temporary failures are soft, because the address may work
+ * again later.
+ */
+
+const ENHANCED_STATUS_PATTERN = /\b([245]\.\d{1,3}\.\d{1,3})\b/;
+
+// Plain SMTP codes that mean the mailbox does not exist, when no enhanced status is given
+const HARD_SMTP_CODES = [550, 551, 553];
+
+/**
+ * Decide whether a failed delivery is a hard or a soft bounce
+ * @param {String} status - Enhanced status code such as '5.1.1', if known
+ * @param {Number} smtpCode - Basic SMTP reply code, if known
+ * @returns {String} 'hard' or 'soft'
+ */
+const getBounceType = (status, smtpCode) => {
+  if (status) {
+    return /^5\.1\.\d+$/.test(status) || status === '5.2.1' ? 'hard' : 'soft';
+  }
+  return HARD_SMTP_CODES.includes(Number(smtpCode)) ? 'hard' : 'soft';
+};
+
+/**
+ * Read the enhanced status code out of an SMTP reply or DSN field
+ * @param {String} text - Reply text
+ * @returns {String|null} Status such as '5.1.1'
+ */
+const readEnhancedStatus = (text) => {
+  const match = String(text || '').match(ENHANCED_STATUS_PATTERN);
+  return match ? match[1] : null;
+};
+
+/**
+ * Check whether a send error is the SMTP server refusing the recipient
+ * @param {Error} error - Error thrown by nodemailer
+ * @returns {Object|null} `{ type, status, diagnostic }`, or null when the error is not a bounce
+ */
+const classifySmtpRejection = (error) => {
+  // Logins, dropped connections and rejected content are not the recipient's fault
+  const responseCode = Number(error && error.responseCode);
+  if (!error || error.code !== 'EENVELOPE' || !(responseCode >= 400)) {
+    return null;
+  }
+
+  const status = readEnhancedStatus(error.response);
+  return {
+    type: responseCode >= 500 ? getBounceType(status, responseCode) : 'soft',
+    status: status || String(responseCode),
+    diagnostic: error.response || error.message
+  };
+};
+
+/**
+ * Read a header-style field from a block of text
+ * @param {String} block - Unfolded header lines
+ * @param {String} name - Field name
+ * @returns {String|null} Field value
+ */
+const readField = (block, name) => {
+  const match = block.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'));
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Strip the address type from a DSN recipient field, e.g. "rfc822; a@b.com"
+ * @param {String} value - Final-Recipient or Original-Recipient value
+ * @returns {String|null} Lowercased address
+ */
+const readRecipient = (value) => {
+  if (!value) return null;
+  const address = value.includes(';') ? value.slice(value.indexOf(';') + 1) : value;
+  return address.trim().replace(/^<|>$/g, '').toLowerCase() || null;
+};
+
+/**
+ * Parse a bounce or complaint report from its raw MIME source
+ * @param {String|Buffer} raw - Full message source
+ * @returns {Object|null} `{ kind, recipients, originalMessageId }` where kind is
+ *   'bounce' or 'complaint', or null when the message is not a report we understand
+ */
+const parseBounceReport = (raw) => {
+  // Unfold continuation lines so every field sits on one line
+  const text = String(raw || '').replace(/\r\n/g, '\n').replace(/\n[ \t]+/g, ' ');
+  const headerEnd = text.indexOf('\n\n');
+  const headers = headerEnd === -1 ? text : text.slice(0, headerEnd);
+  const body = headerEnd === -1 ? '' : text.slice(headerEnd);
+
+  const reportType = (text.match(/multipart\/report;[^\n]*report-type="?([\w-]+)/i) || [])[1];
+  if (!reportType || !/^content-type:[^\n]*multipart\/report/im.test(headers)) {
+    return null;
+  }
+
+  // The returned original message, or its headers, come after the report part
+  const originalMessageId = (body.match(/^Message-ID:[ \t]*(<[^<>\s]+>)/im) || [])[1] || null;
+  const blocks = body.split(/\n\s*\n/);
+
+  if (reportType.toLowerCase() === 'delivery-status') {
+    const recipients = blocks
+      .filter(block => /^Final-Recipient:/im.test(block))
+      .map(block => {
+        const action = (readField(block, 'Action') || '').toLowerCase();
+        const status = readEnhancedStatus(readField(block, 'Status'));
+        return {
+          email: readRecipient(readField(block, 'Final-Recipient')),
+          action,
+          status,
+          diagnostic: readField(block, 'Diagnostic-Code'),
+          type: getBounceType(status)
+        };
+      })
+      // Delays and successful deliveries are progress reports, not bounces
+      .filter(recipient => recipient.email && recipient.action === 'failed');
+
+    return { kind: 'bounce', recipients, originalMessageId };
+  }
+
+  if (reportType.toLowerCase() === 'feedback-report') {
+    const report = blocks.find(block => /^Feedback-Type:/im.test(block)) || '';
+    return {
+      kind: 'complaint',
+      recipients: [{
+        email: readRecipient(readField(report, 'Original-Rcpt-To')),
+        status: null,
+        diagnostic: readField(report, 'Feedback-Type') || 'abuse',
+        type: 'complaint'
+      }],
+      originalMessageId
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Record a bounce or complaint, and suppress the address when it is a hard
+ * bounce or a complaint
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} bounce - `userId`, `email`, `type` ('hard', 'soft' or 'complaint'),
+ *   `status`, `diagnostic`, `source` ('smtp' or 'report'), the bounced email's
+ *   `original` details (its `sent` event, or the job's enrollment, contact, flow
+ *   and node IDs) and the `reportMessageId` of the report, when known
+ * @returns {Promise<Boolean>} False when the same report was already recorded
+ */
+const recordBounce = async (db, agenda, { userId, email, type, status, diagnostic, source, original = {}, reportMessageId = null }) => {
+  const eventType = type === 'complaint' ? 'complaint' : 'bounce';
+  const event = {
+    type: eventType,
+    // Rejections at send time have no sent message; give them their own ID so each counts once
+    messageId: original._id || new ObjectId(),
+    userId,
+    email,
+    bounceType: type,
+    status: status || null,
+    diagnostic: diagnostic || null,
+    source,
+    reportMessageId,
+    enrollmentId: original.enrollmentId || null,
+    contactId: original.contactId || null,
+    flowId: original.flowId || null,
+    nodeId: original.nodeId || null,
+    createdAt: new Date()
+  };
+
+  if (reportMessageId) {
+    // Mailboxes can be read again after a reset; count each report once per recipient
+    const result = await db.collection('emailEvents').updateOne(
+      { type: eventType, reportMessageId, email },
+      { $setOnInsert: event },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) return false;
+  } else {
+    await db.collection('emailEvents').insertOne(event);
+  }
+
+  if (type !== 'soft' && email) {
+    await addSuppression(db, { userId, email, reason: eventType, detail: status || diagnostic || null });
+
+    if (original.enrollmentId) {
+      await stopEnrollment(db, agenda, original.enrollmentId, {
+        reason: type === 'complaint' ? 'complained' : 'bounced',
+        nodeId: original.nodeId || null
+      });
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Handle the bounce and complaint reports among new mailbox messages
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} account - Sender account document the messages were read from
+ * @param {Array<Object>} messages - Messages from a mailbox reader; reports carry their `raw` source
+ * @returns {Promise<Number>} Number of new bounces and complaints
+ */
+const processBounceReports = async (db, agenda, account, messages) => {
+  let recorded = 0;
+
+  for (const message of messages) {
+    const report = message.raw ? parseBounceReport(message.raw) : null;
+    if (!report) continue;
+
+    const sent = report.originalMessageId
+      ? await db.collection('emailEvents').findOne({
+        type: 'sent',
+        userId: account.userId,
+        smtpMessageId: report.originalMessageId
+      })
+      : null;
+
+    for (const recipient of report.recipients) {
+      const email = recipient.email || (sent && sent.to) || null;
+      if (!email) continue;
+
+      const added = await recordBounce(db, agenda, {
+        userId: account.userId,
+        email,
+        type: recipient.type,
+        status: recipient.status,
+        diagnostic: recipient.diagnostic,
+        source: 'report',
+        original: sent || {},
+        reportMessageId: message.messageId || `${account._id}:${message.uid}`
+      });
+      if (added) recorded++;
+    }
+  }
+
+  return recorded;
+};
+
+export {
+  getBounceType,
+  classifySmtpRejection,
+  parseBounceReport,
+  recordBounce,
+  processBounceReports
+};
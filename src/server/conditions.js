@@ -0,0 +1,61 @@
+import { loadMergeContact } from './personalization.js';
+import { getFieldValue } from '../shared/mergeFields.js';
+import { matchesFieldCondition } from '../shared/conditions.js';
+
+/**
+ * Condition node evaluation.
+ *
+ * `advance enrollment` calls evaluateCondition when an enrollment reaches a
+ * condition node and follows the "yes" or "no" connection it picks. Opens
+ * and clicks are read from the `emailEvents` of the enrollment's most recent
+ * email, replies from any email of the enrollment, and fields from the
+ * enrolled contact.
+ */
+
+/**
+ * Find the most recent email an enrollment sent
+ * @param {Object} db - MongoDB database
+ * @param {String} enrollmentId - Enrollment ID
+ * @returns {Promise<Object|null>} Its `sent` event
+ */
+const findLastSentEmail = (db, enrollmentId) => db.collection('emailEvents').findOne(
+  { type: 'sent', enrollmentId },
+  { sort: { createdAt: -1 } }
+);
+
+/**
+ * Decide which way a condition node sends an enrollment
+ * @param {Object} db - MongoDB database
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} step - The condition step of the flow run
+ * @returns {Promise<Boolean>} True to follow the "yes" connection, false for "no"
+ */
+const evaluateCondition = async (db, enrollment, step) => {
+  const { conditionType, field, operator, value } = step.data;
+  const enrollmentId = enrollment._id.toString();
+  const events = db.collection('emailEvents');
+
+  if (conditionType === 'field') {
+    const contact = await loadMergeContact(db, enrollment.contactId, enrollment.email);
+    return matchesFieldCondition(getFieldValue(contact, field), operator, value);
+  }
+
+  if (conditionType === 'noReply') {
+    const reply = await events.findOne({ type: 'reply', enrollmentId }, { projection: { _id: 1 } });
+    return !reply;
+  }
+
+  // Opened or clicked: only the latest email counts, and nothing sent yet means no
+  const sent = await findLastSentEmail(db, enrollmentId);
+  if (!sent) return false;
+
+  const event = await events.findOne(
+    { messageId: sent._id, type: conditionType === 'clicked' ? 'click' : 'open' },
+    { projection: { _id: 1 } }
+  );
+  return !!event;
+};
+
+export {
+  evaluateCondition
+};
@@ -0,0 +1,138 @@
+/**
+ * Minimal CSV parsing for contact imports (RFC 4180 quoting rules)
+ */
+
+// Header aliases mapped to the contact fields we store directly
+const FIELD_ALIASES = {
+  email: 'email',
+  emailaddress: 'email',
+  mail: 'email',
+  firstname: 'firstName',
+  first: 'firstName',
+  givenname: 'firstName',
+  lastname: 'lastName',
+  last: 'lastName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  company: 'company',
+  companyname: 'company',
+  organization: 'company',
+  organisation: 'company'
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {String} text - CSV content
+ * @returns {Array<Array<String>>} Rows of cell values, blank lines removed
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Turn a CSV header into a contact field name
+ * @param {String} header - Column header from the CSV
+ * @returns {Object} `{ field, custom }` where custom fields go into `customFields`
+ */
+const mapHeader = (header) => {
+  const trimmed = header.trim();
+  const key = trimmed.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  if (FIELD_ALIASES[key]) {
+    return { field: FIELD_ALIASES[key], custom: false };
+  }
+
+  // Custom fields become camelCase so they work as merge fields
+  const field = trimmed
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (_, next) => (next ? next.toUpperCase() : ''))
+    .replace(/^[A-Z]/, first => first.toLowerCase());
+
+  return { field, custom: true };
+};
+
+/**
+ * Parse a contacts CSV with a header row
+ * @param {String} text - CSV content
+ * @returns {Array<Object>} Contacts with `email`, `firstName`, `lastName`,
+ *   `company` and `customFields`
+ * @throws {Error} When the CSV has no header or no email column
+ */
+const parseContactsCsv = (text) => {
+  const [headerRow, ...dataRows] = parseCsv(text);
+
+  if (!headerRow) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const columns = headerRow.map(mapHeader);
+
+  if (!columns.some(column => column.field === 'email' && !column.custom)) {
+    throw new Error('The CSV file must have an "email" column');
+  }
+
+  return dataRows.map(cells => {
+    const contact = { customFields: {} };
+
+    columns.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (!column.field || value === '') return;
+
+      if (column.custom) {
+        contact.customFields[column.field] = value;
+      } else {
+        contact[column.field] = value;
+      }
+    });
+
+    return contact;
+  });
+};
+
+export {
+  parseCsv,
+  mapHeader,
+  parseContactsCsv
+};
@@ -0,0 +1,107 @@
+import { MongoClient, ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name in ES Module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables from root directory
+dotenv.config({ path: path.resolve(__dirname, '../../.env') });
+
+// Check if running on Vercel serverless environment
+const isVercelServerless = process.env.VERCEL === '1';
+
+// MongoDB connection string from environment variables
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// Create a cached connection variable for serverless environment
+let cachedClient = null;
+let cachedDb = null;
+
+/**
+ * Connect to MongoDB with connection caching for serverless environments
+ */
+async function connectToDatabase() {
+  // If we have a cached connection, use it
+  if (cachedClient && cachedDb) {
+    // Check if cached client is still connected with a proper timeout
+    try {
+      // Use a quick timeout for ping to avoid hanging
+      await Promise.race([
+        cachedClient.db().admin().ping(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('Ping timeout')), 2000))
+      ]);
+      
+      // Only log when in non-serverless environment to reduce spam
+      if (!isVercelServerless) {
+        console.log('Using cached MongoDB connection');
+      }
+      return { client: cachedClient, db: cachedDb };
+    } catch (error) {
+      console.log(`Connection check failed: ${error.message}. Creating a new one...`);
+      // Connection is stale, close it safely and create a new one
+      try {
+        await cachedClient.close(true);
+      } catch (closeError) {
+        console.log('Error closing stale connection:', closeError.message);
+      }
+      cachedClient = null;
+      cachedDb = null;
+    }
+  }
+
+  // If no cached connection, create a new one
+  console.log(`[${new Date().toISOString()}] Creating new MongoDB connection`);
+  
+  // Connection options optimized for serverless
+  const options = {
+    serverSelectionTimeoutMS: 10000,
+    connectTimeoutMS: 10000,
+    socketTimeoutMS: 30000,
+    maxPoolSize: 10,
+    minPoolSize: 1,
+    retryWrites: true
+  };
+
+  try {
+    // Connect to database
+    const client = new MongoClient(MONGODB_URI, options);
+    await client.connect();
+    const db = client.db();
+    
+    // Cache the connection
+    cachedClient = client;
+    cachedDb = db;
+    
+    console.log(`[${new Date().toISOString()}] MongoDB connection established successfully`);
+    return { client, db };
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to decide whether to close MongoDB client or keep it open
+ * In serverless environments, we keep the connection open for reuse
+ */
+function shouldCloseClient() {
+  return !isVercelServerless; // Only close in non-serverless environments
+}
+
+/**
+ * Convert an ID from a request, job or stored document into an ObjectId
+ * @param {String} id - ID as a string, or an ObjectId
+ * @returns {ObjectId|null} ObjectId, or null when the ID is missing or its format is invalid
+ */
+function toObjectId(id) {
+  return id && ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+export {
+  connectToDatabase,
+  shouldCloseClient,
+  toObjectId
+};
@@ -0,0 +1,476 @@
+import { connectToDatabase, toObjectId } from './db.js';
+import { EMAIL_PATTERN, normalizeEmail } from './leadLists.js';
+import { recordEnrollmentEmail } from './enrollments.js';
+import { findSuppression } from './suppressions.js';
+import { extractMergeFields, MergeFieldSyntaxError } from '../shared/mergeFields.js';
+import { normalizeFormat } from '../shared/emailRenderer.js';
+import { normalizeEmailDocument, getEmailBody } from '../shared/emailDocument.js';
+
+/**
+ * Scheduled email management.
+ *
+ * Every email is a `send email` Agenda job in `emailJobs`; there is no
+ * separate emails collection. Jobs are scoped to their owner through
+ * `data.userId`, and their status is derived from Agenda's own fields.
+ */
+
+const EMAIL_STATUSES = ['scheduled', 'retrying', 'sending', 'sent', 'skipped', 'dead-letter'];
+
+// Emails Agenda has not picked up yet; only these can be edited or cancelled
+const PENDING_QUERY = { nextRunAt: { $ne: null }, lockedAt: null };
+
+// Agenda fields and retry data that identify each status. A job keeps
+// Agenda's `failedAt` after a successful retry, so `data.sentAt` decides.
+const EMAIL_STATUS_QUERIES = {
+  scheduled: { ...PENDING_QUERY, 'data.lastError': null },
+  retrying: { ...PENDING_QUERY, 'data.lastError': { $ne: null } },
+  sending: { lockedAt: { $ne: null } },
+  sent: {
+    nextRunAt: null,
+    lockedAt: null,
+    lastFinishedAt: { $ne: null },
+    'data.skippedReason': null,
+    $or: [{ failedAt: null }, { 'data.sentAt': { $ne: null } }]
+  },
+  // Finished without sending, e.g. because the address is suppressed
+  skipped: { nextRunAt: null, lockedAt: null, 'data.skippedReason': { $ne: null } },
+  'dead-letter': { nextRunAt: null, lockedAt: null, failedAt: { $ne: null }, 'data.sentAt': null, 'data.skippedReason': null }
+};
+
+// Newest activity first, except for pending emails which are listed by send time
+const EMAIL_STATUS_SORT = {
+  scheduled: { nextRunAt: 1 },
+  retrying: { nextRunAt: 1 },
+  sending: { lockedAt: 1 },
+  sent: { lastFinishedAt: -1 },
+  skipped: { lastFinishedAt: -1 },
+  'dead-letter': { failedAt: -1 }
+};
+
+const MAX_PAGE_SIZE = 200;
+
+const BULK_ACTIONS = ['cancel', 'reschedule', 'send-now', 'retry'];
+
+// Largest number of emails one bulk request may touch
+const MAX_BULK_SIZE = 500;
+
+/**
+ * Escape a search term for use in a regular expression
+ * @param {String} value - Raw search term
+ * @returns {String} Escaped term
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Work out the status of a `send email` job
+ * @param {Object} job - Agenda job document
+ * @returns {String} One of EMAIL_STATUSES
+ */
+const getEmailStatus = (job) => {
+  const data = job.data || {};
+  if (job.lockedAt) return 'sending';
+  if (job.nextRunAt) return data.lastError ? 'retrying' : 'scheduled';
+  if (data.skippedReason) return 'skipped';
+  return job.failedAt && !data.sentAt ? 'dead-letter' : 'sent';
+};
+
+/**
+ * Map a `send email` job for frontend consumption
+ * @param {Object} job - Agenda job document
+ * @returns {Object} Email data
+ */
+const mapEmail = (job) => {
+  const data = job.data || {};
+  const status = getEmailStatus(job);
+
+  return {
+    id: job._id.toString(),
+    to: data.to,
+    subject: data.subject || '',
+    body: data.body || '',
+    bodyDoc: data.bodyDoc || null,
+    format: normalizeFormat(data.format),
+    status,
+    scheduledFor: job.nextRunAt || null,
+    sentAt: status === 'sent' ? data.sentAt || job.lastFinishedAt : null,
+    attempts: data.attempts || 0,
+    lastError: status === 'sent' ? null : data.lastError || (status === 'dead-letter' ? job.failReason : null) || null,
+    errorType: status === 'sent' ? null : data.errorType || null,
+    deadLetteredAt: status === 'dead-letter' ? data.deadLetteredAt || job.failedAt : null,
+    skippedReason: status === 'skipped' ? data.skippedReason : null,
+    flowId: data.flowId || null,
+    nodeId: data.nodeId || null,
+    enrollmentId: data.enrollmentId || null,
+    contactId: data.contactId || null,
+    createdAt: job._id.getTimestamp()
+  };
+};
+
+/**
+ * Add flow names and node labels to a page of emails
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the flows
+ * @param {Array<Object>} emails - Emails from mapEmail
+ * @returns {Array<Object>} Emails with `flowName` and `nodeLabel`
+ */
+const addFlowDetails = async (db, userId, emails) => {
+  const flowIds = [...new Set(emails.map(email => email.flowId))].map(toObjectId).filter(Boolean);
+  const flows = flowIds.length === 0 ? [] : await db.collection('flows')
+    .find({ _id: { $in: flowIds }, userId })
+    .project({ name: 1, nodes: 1 })
+    .toArray();
+  const flowsById = new Map(flows.map(flow => [flow._id.toString(), flow]));
+
+  return emails.map(email => {
+    const flow = flowsById.get(email.flowId);
+    const node = flow?.nodes?.find(item => item.id === email.nodeId);
+    return {
+      ...email,
+      flowName: flow ? flow.name : null,
+      nodeLabel: node?.data?.label || null
+    };
+  });
+};
+
+/**
+ * Find a `send email` job and verify it belongs to the user
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the email
+ * @param {String} id - Job ID
+ * @returns {Object} `{ job }` on success or `{ status, error }` on failure
+ */
+const findOwnedEmail = async (db, userId, id) => {
+  const objectId = toObjectId(id);
+  if (!objectId) {
+    return { status: 400, error: 'Invalid email ID format' };
+  }
+
+  const job = await db.collection('emailJobs').findOne({ _id: objectId, name: 'send email' });
+  if (!job) {
+    return { status: 404, error: 'Email not found' };
+  }
+
+  if (!job.data || job.data.userId !== userId) {
+    return { status: 403, error: 'Not authorized to access this email' };
+  }
+
+  return { job };
+};
+
+/**
+ * API endpoint to list the user's scheduled and sent emails
+ * @route GET /api/emails
+ * @param {Object} req - Express request object (`status`, `flowId`, `search`,
+ *   `page`, `limit` query)
+ * @param {Object} res - Express response object
+ */
+const getEmails = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status, flowId, search } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const query = { name: 'send email', 'data.userId': userId };
+
+    if (status) {
+      if (!EMAIL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${EMAIL_STATUSES.join(', ')}` });
+      }
+      Object.assign(query, EMAIL_STATUS_QUERIES[status]);
+    }
+
+    if (flowId) {
+      query['data.flowId'] = flowId;
+    }
+
+    if (search && String(search).trim()) {
+      const pattern = new RegExp(escapeRegExp(String(search).trim()), 'i');
+      query.$and = [{ $or: [{ 'data.to': pattern }, { 'data.subject': pattern }] }];
+    }
+
+    const { db } = await connectToDatabase();
+    const jobsCollection = db.collection('emailJobs');
+
+    const [jobs, total] = await Promise.all([
+      jobsCollection
+        .find(query)
+        .sort(EMAIL_STATUS_SORT[status] || { _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      jobsCollection.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      emails: await addFlowDetails(db, userId, jobs.map(mapEmail)),
+      total,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching emails:', error);
+    res.status(500).json({ error: 'Failed to fetch emails' });
+  }
+};
+
+/**
+ * API endpoint to edit or reschedule an email before it is sent
+ * @route PUT /api/emails/:id
+ * @param {Object} req - Express request object (any of `to`, `subject`, `body`,
+ *   `bodyDoc`, `format`, `scheduledFor`)
+ * @param {Object} res - Express response object
+ */
+const updateEmail = async (req, res) => {
+  try {
+    const { db } = await connectToDatabase();
+    const { job, status, error } = await findOwnedEmail(db, req.user.id, req.params.id);
+    if (!job) {
+      return res.status(status).json({ error });
+    }
+
+    if (!['scheduled', 'retrying'].includes(getEmailStatus(job))) {
+      return res.status(409).json({ error: 'Only scheduled emails can be changed' });
+    }
+
+    const { to, subject, format, scheduledFor } = req.body;
+    const update = {};
+
+    if (to !== undefined) {
+      const email = normalizeEmail(to);
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ error: 'A valid recipient email address is required' });
+      }
+      const suppression = await findSuppression(db, req.user.id, email);
+      if (suppression) {
+        return res.status(400).json({ error: `${email} is on your suppression list (${suppression.reason})` });
+      }
+      update['data.to'] = email;
+    }
+
+    if (subject !== undefined) {
+      update['data.subject'] = String(subject);
+    }
+
+    // Jobs store the markdown body; a block document is kept alongside it for editing
+    if (req.body.body !== undefined || req.body.bodyDoc !== undefined) {
+      const bodyDoc = req.body.bodyDoc ? normalizeEmailDocument(req.body.bodyDoc) : null;
+      update['data.body'] = getEmailBody({ body: req.body.body, bodyDoc });
+      update['data.bodyDoc'] = bodyDoc;
+    }
+
+    if (format !== undefined) {
+      update['data.format'] = normalizeFormat(format);
+    }
+
+    if (scheduledFor !== undefined) {
+      const sendTime = new Date(scheduledFor);
+      if (!scheduledFor || Number.isNaN(sendTime.getTime())) {
+        return res.status(400).json({ error: 'scheduledFor must be a valid date' });
+      }
+      // A time in the past sends the email on the next Agenda poll
+      update.nextRunAt = sendTime;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    // Reject malformed merge fields now rather than when the job runs
+    try {
+      extractMergeFields(update['data.subject'] ?? job.data.subject);
+      extractMergeFields(update['data.body'] ?? job.data.body);
+    } catch (mergeError) {
+      if (mergeError instanceof MergeFieldSyntaxError) {
+        return res.status(400).json({ error: mergeError.message });
+      }
+      throw mergeError;
+    }
+
+    // Only touch the job if Agenda has not picked it up in the meantime
+    const result = await db.collection('emailJobs').findOneAndUpdate(
+      { _id: job._id, ...PENDING_QUERY },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      return res.status(409).json({ error: 'The email is already being sent' });
+    }
+
+    res.status(200).json({ message: 'Email updated successfully', email: mapEmail(result) });
+  } catch (error) {
+    console.error('Error updating email:', error);
+    res.status(500).json({ error: 'Failed to update email' });
+  }
+};
+
+/**
+ * API endpoint to cancel a scheduled email or remove a sent one from the outbox
+ * @route DELETE /api/emails/:id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteEmail = async (req, res) => {
+  try {
+    const { db } = await connectToDatabase();
+    const { job, status, error } = await findOwnedEmail(db, req.user.id, req.params.id);
+    if (!job) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await db.collection('emailJobs').deleteOne({ _id: job._id, lockedAt: null });
+    if (result.deletedCount === 0) {
+      return res.status(409).json({ error: 'The email is being sent and cannot be cancelled' });
+    }
+
+    const cancelled = ['scheduled', 'retrying'].includes(getEmailStatus(job));
+    if (cancelled && job.data.enrollmentId) {
+      await recordEnrollmentEmail(db, job.data.enrollmentId, { nodeId: job.data.nodeId, action: 'email cancelled' });
+    }
+
+    res.status(200).json({ message: cancelled ? 'Email cancelled successfully' : 'Email deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting email:', error);
+    res.status(500).json({ error: 'Failed to delete email' });
+  }
+};
+
+// Puts a dead-lettered email back in the queue with a fresh set of attempts
+const RESET_RETRY_FIELDS = {
+  'data.attempts': 0,
+  'data.lastError': null,
+  'data.errorType': null,
+  'data.deadLetteredAt': null
+};
+
+/**
+ * API endpoint to send a dead-lettered email again
+ * @route POST /api/emails/:id/retry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryEmail = async (req, res) => {
+  try {
+    const { db } = await connectToDatabase();
+    const { job, status, error } = await findOwnedEmail(db, req.user.id, req.params.id);
+    if (!job) {
+      return res.status(status).json({ error });
+    }
+
+    if (getEmailStatus(job) !== 'dead-letter') {
+      return res.status(409).json({ error: 'Only dead-lettered emails can be retried' });
+    }
+
+    const result = await db.collection('emailJobs').findOneAndUpdate(
+      { _id: job._id, ...EMAIL_STATUS_QUERIES['dead-letter'] },
+      { $set: { ...RESET_RETRY_FIELDS, nextRunAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      return res.status(409).json({ error: 'Only dead-lettered emails can be retried' });
+    }
+
+    if (job.data.enrollmentId) {
+      await recordEnrollmentEmail(db, job.data.enrollmentId, { nodeId: job.data.nodeId, action: 'email retry requested' });
+    }
+
+    res.status(200).json({ message: 'Email queued for another attempt', email: mapEmail(result) });
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.status(500).json({ error: 'Failed to retry email' });
+  }
+};
+
+/**
+ * API endpoint to cancel, reschedule or immediately send several pending
+ * emails, or retry several dead-lettered ones. Emails in any other state are skipped.
+ * @route POST /api/emails/bulk
+ * @param {Object} req - Express request object (`action`, `ids`, and
+ *   `scheduledFor` for reschedule)
+ * @param {Object} res - Express response object
+ */
+const bulkUpdateEmails = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { action, ids, scheduledFor } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${BULK_ACTIONS.join(', ')}` });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'At least one email ID is required' });
+    }
+
+    if (ids.length > MAX_BULK_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_SIZE} emails can be changed at once` });
+    }
+
+    const objectIds = ids.map(toObjectId);
+    if (objectIds.some(id => !id)) {
+      return res.status(400).json({ error: 'Invalid email ID format' });
+    }
+
+    let sendTime = new Date();
+    if (action === 'reschedule') {
+      sendTime = new Date(scheduledFor);
+      if (!scheduledFor || Number.isNaN(sendTime.getTime())) {
+        return res.status(400).json({ error: 'scheduledFor must be a valid date' });
+      }
+    }
+
+    const { db } = await connectToDatabase();
+    const jobsCollection = db.collection('emailJobs');
+    // Only the user's own emails that Agenda has not picked up yet, or dead-lettered ones for retry
+    const filter = {
+      _id: { $in: objectIds },
+      name: 'send email',
+      'data.userId': userId,
+      ...(action === 'retry' ? EMAIL_STATUS_QUERIES['dead-letter'] : PENDING_QUERY)
+    };
+
+    let updated = 0;
+
+    if (action === 'retry') {
+      const result = await jobsCollection.updateMany(filter, { $set: { ...RESET_RETRY_FIELDS, nextRunAt: sendTime } });
+      updated = result.modifiedCount;
+    } else if (action === 'cancel') {
+      const jobs = await jobsCollection.find(filter).project({ data: 1 }).toArray();
+      const result = await jobsCollection.deleteMany({ _id: { $in: jobs.map(job => job._id) }, lockedAt: null });
+      updated = result.deletedCount;
+
+      for (const job of jobs) {
+        if (job.data.enrollmentId) {
+          await recordEnrollmentEmail(db, job.data.enrollmentId, { nodeId: job.data.nodeId, action: 'email cancelled' });
+        }
+      }
+    } else {
+      // Sending now just moves the send time; Agenda picks the job up on its next poll
+      const result = await jobsCollection.updateMany(filter, { $set: { nextRunAt: sendTime } });
+      updated = result.modifiedCount;
+    }
+
+    res.status(200).json({
+      message: `${updated} email(s) updated`,
+      updated,
+      skipped: ids.length - updated
+    });
+  } catch (error) {
+    console.error('Error updating emails:', error);
+    res.status(500).json({ error: 'Failed to update emails' });
+  }
+};
+
+export {
+  EMAIL_STATUSES,
+  EMAIL_STATUS_QUERIES,
+  getEmailStatus,
+  mapEmail,
+  findOwnedEmail,
+  getEmails,
+  updateEmail,
+  deleteEmail,
+  retryEmail,
+  bulkUpdateEmails
+};
@@ -0,0 +1,919 @@
+import { ObjectId } from 'mongodb';
+import { connectToDatabase, toObjectId } from './db.js';
+import { addDelay, normalizeSchedulingOptions, snapToSendingWindow } from './scheduling.js';
+import { getEmailBody } from '../shared/emailDocument.js';
+import { findSuppression } from './suppressions.js';
+import { evaluateCondition } from './conditions.js';
+import { assignVariant } from './splits.js';
+import { runContactAction } from './actions.js';
+import { queueWebhook } from './webhooks.js';
+import { getReplyWaitDays, describeCondition } from '../shared/conditions.js';
+import { CONTACT_ACTION_TYPES, normalizeTag } from '../shared/actions.js';
+import { findGoalStep, findMatchingExitRule, describeExitRule } from '../shared/goals.js';
+import { normalizeEmail } from './leadLists.js';
+
+/**
+ * Per-contact sequence enrollments.
+ *
+ * Scheduling a sequence stores a snapshot of the compiled flow in `flowRuns`
+ * and creates one document per contact in `enrollments`. A single Agenda job,
+ * `advance enrollment`, then walks each enrollment through the graph: it
+ * queues `send email` jobs for email steps, reschedules itself for waits,
+ * picks the "yes" or "no" branch of condition steps and the variant of split
+ * steps, and runs action steps (see server/actions.js and server/webhooks.js)
+ * for each contact. A contact that meets one of the flow's exit rules jumps
+ * to its goal node (see shared/goals.js and applyExitRules).
+ */
+
+const ENROLLMENT_STATUSES = ['active', 'paused', 'completed', 'failed', 'stopped'];
+
+// History entry of a contact held back until a split test picks its winner
+const SPLIT_WAIT_ACTION = 'waiting for the split test winner';
+
+// Safety limit on the number of steps handled in one run of the job
+const MAX_STEPS_PER_ADVANCE = 100;
+
+// MongoDB error code for a write rejected by a unique index
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Enrollments that count as being in a flow; a contact has at most one of these per saved flow
+const UNFINISHED_STATUSES = ['active', 'paused'];
+
+// How long an email of a paused enrollment waits before checking again; resuming releases it sooner
+const PAUSED_EMAIL_RECHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Map an enrollment document for frontend consumption
+ * @param {Object} enrollment - Enrollment document
+ * @returns {Object} Enrollment data
+ */
+const mapEnrollment = (enrollment) => ({
+  id: enrollment._id.toString(),
+  runId: enrollment.runId.toString(),
+  flowId: enrollment.flowId,
+  contactId: enrollment.contactId,
+  email: enrollment.email,
+  status: enrollment.status,
+  currentNodeId: enrollment.currentNodeId,
+  nextStepAt: enrollment.nextStepAt,
+  history: enrollment.history || [],
+  lastError: enrollment.lastError || null,
+  createdAt: enrollment.createdAt,
+  updatedAt: enrollment.updatedAt,
+  completedAt: enrollment.completedAt || null,
+  stopReason: enrollment.stopReason || null,
+  stoppedAt: enrollment.stoppedAt || null,
+  goalReachedAt: enrollment.goalReachedAt || null
+});
+
+/**
+ * Find the step that follows another step in a flow run
+ * @param {Map} stepsById - Steps of the run keyed by node ID
+ * @param {Object} step - Current step
+ * @param {String} handle - Source handle to follow, for steps that branch
+ * @returns {Object|null} Next step, or null at the end of the sequence or branch
+ */
+const getNextStep = (stepsById, step, handle = null) => {
+  const next = handle ? step.next.find(edge => edge.handle === handle) : step.next[0];
+  return next ? stepsById.get(next.nodeId) || null : null;
+};
+
+/**
+ * Cancel the pending advance job of an enrollment, if any
+ * @param {Object} agenda - Agenda instance
+ * @param {ObjectId} enrollmentId - Enrollment ID
+ * @returns {Promise<Number>} Number of cancelled jobs
+ */
+const cancelAdvanceJobs = (agenda, enrollmentId) => {
+  return agenda.cancel({ name: 'advance enrollment', 'data.enrollmentId': enrollmentId.toString() });
+};
+
+/**
+ * Cancel the `send email` jobs of an enrollment that have not started yet
+ * @param {Object} agenda - Agenda instance
+ * @param {ObjectId} enrollmentId - Enrollment ID
+ * @returns {Promise<Number>} Number of cancelled jobs
+ */
+const cancelPendingEmails = (agenda, enrollmentId) => {
+  return agenda.cancel({
+    name: 'send email',
+    'data.enrollmentId': enrollmentId.toString(),
+    nextRunAt: { $ne: null },
+    lockedAt: null
+  });
+};
+
+/**
+ * Schedule the next run of the advance job for an enrollment
+ * @param {Object} agenda - Agenda instance
+ * @param {ObjectId} enrollmentId - Enrollment ID
+ * @param {Date} when - When the enrollment should move on
+ */
+const scheduleAdvance = (agenda, enrollmentId, when) => {
+  return agenda.schedule(when, 'advance enrollment', { enrollmentId: enrollmentId.toString() });
+};
+
+/**
+ * Build the flow run document that snapshots a compiled flow for its enrollments
+ * @param {Object} params - Run parameters
+ * @param {String} params.userId - Owner of the flow
+ * @param {String} params.flowId - Saved flow ID, if the flow was saved
+ * @param {Array<String>} params.senderIds - Sender accounts to rotate through for steps that do not pick their own
+ * @param {Object} params.compiled - Result of compileSequence
+ * @param {Object} params.schedulingOptions - Raw scheduling options from the request
+ * @param {Boolean} params.sendNow - Ignore sending windows and start immediately
+ * @param {String} params.leadListId - Lead list the contacts come from, if any
+ * @param {Date} now - Creation time
+ * @returns {Object} Flow run document without an `_id`
+ */
+const buildFlowRun = ({ userId, flowId, senderIds, compiled, schedulingOptions, sendNow, leadListId }, now) => {
+  const options = normalizeSchedulingOptions(schedulingOptions);
+
+  return {
+    userId,
+    flowId: flowId || null,
+    senderIds: senderIds || [],
+    entryId: compiled.entryId,
+    steps: compiled.steps,
+    schedulingOptions: {
+      startDate: options.startDate,
+      fromTime: options.fromTime,
+      toTime: options.toTime,
+      days: options.days
+    },
+    sendNow: !!sendNow,
+    leadListId: leadListId || null,
+    createdAt: now
+  };
+};
+
+/**
+ * Enroll contacts into a stored flow run
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} run - Flow run document
+ * @param {Array<Object>} contacts - Contacts to enroll (`_id`, `email`), or
+ *   `[null]` for a single enrollment that uses each node's own recipient
+ * @returns {Object} `{ enrollmentIds, startAt, alreadyEnrolled }` where
+ *   alreadyEnrolled counts contacts left out because they are in the flow already
+ */
+const enrollIntoRun = async (db, agenda, run, contacts) => {
+  const now = new Date();
+  const startAt = run.sendNow ? now : new Date(Math.max(new Date(run.schedulingOptions.startDate).getTime(), now.getTime()));
+
+  const enrollmentsCollection = db.collection('enrollments');
+  const documents = contacts.map(contact => ({
+    _id: new ObjectId(),
+    userId: run.userId,
+    runId: run._id,
+    flowId: run.flowId,
+    contactId: contact ? contact._id.toString() : null,
+    email: contact ? contact.email : null,
+    status: 'active',
+    currentNodeId: run.entryId,
+    nextStepAt: startAt,
+    history: [],
+    createdAt: now,
+    updatedAt: now
+  }));
+
+  let enrolled = documents;
+  try {
+    await enrollmentsCollection.insertMany(documents, { ordered: false });
+  } catch (error) {
+    // The unique index turns away contacts already active or paused in the flow,
+    // e.g. when two triggers for the same contact arrive at once
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (error.code !== DUPLICATE_KEY_ERROR || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) {
+      throw error;
+    }
+    const rejected = new Set(writeErrors.map(writeError => writeError.index));
+    enrolled = documents.filter((document, index) => !rejected.has(index));
+  }
+  const enrollmentIds = enrolled.map(document => document._id);
+
+  for (const enrollmentId of enrollmentIds) {
+    await scheduleAdvance(agenda, enrollmentId, startAt);
+  }
+
+  return { enrollmentIds, startAt, alreadyEnrolled: documents.length - enrolled.length };
+};
+
+/**
+ * Create the enrollment indexes, including the one that keeps a contact from
+ * being in a saved flow twice at once
+ * @param {Object} db - MongoDB database
+ */
+const ensureEnrollmentIndexes = async (db) => {
+  await db.collection('enrollments').createIndex({ userId: 1, flowId: 1, status: 1 });
+  await db.collection('enrollments').createIndex(
+    { flowId: 1, contactId: 1 },
+    {
+      unique: true,
+      partialFilterExpression: {
+        flowId: { $type: 'string' },
+        contactId: { $type: 'string' },
+        status: { $in: UNFINISHED_STATUSES }
+      }
+    }
+  );
+};
+
+/**
+ * Store a compiled flow and enroll contacts into it
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} params - Run parameters (see buildFlowRun) and `contacts`
+ *   to enroll (see enrollIntoRun)
+ * @returns {Object} `{ runId, enrollmentIds, startAt, alreadyEnrolled }`
+ */
+const enrollContacts = async (db, agenda, { contacts, ...params }) => {
+  const run = buildFlowRun(params, new Date());
+  const { insertedId } = await db.collection('flowRuns').insertOne(run);
+  const { enrollmentIds, startAt, alreadyEnrolled } = await enrollIntoRun(db, agenda, { ...run, _id: insertedId }, contacts);
+
+  return { runId: insertedId, enrollmentIds, startAt, alreadyEnrolled };
+};
+
+/**
+ * Move an enrollment forward through its flow until it reaches a wait,
+ * an email outside the sending window, or the end of the sequence
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {String} enrollmentId - Enrollment ID
+ */
+const advanceEnrollment = async (db, agenda, enrollmentId) => {
+  const enrollmentsCollection = db.collection('enrollments');
+  const enrollment = await enrollmentsCollection.findOne({ _id: toObjectId(enrollmentId) });
+
+  // Paused, finished or deleted enrollments are left alone
+  if (!enrollment || enrollment.status !== 'active') {
+    return;
+  }
+
+  const run = await db.collection('flowRuns').findOne({ _id: enrollment.runId });
+  if (!run) {
+    await enrollmentsCollection.updateOne(
+      { _id: enrollment._id },
+      { $set: { status: 'failed', lastError: 'Flow run not found', nextStepAt: null, updatedAt: new Date() } }
+    );
+    return;
+  }
+
+  // The contact was suppressed after enrolling, for example by unsubscribing from another flow
+  if (enrollment.email && await findSuppression(db, enrollment.userId, enrollment.email)) {
+    await stopEnrollment(db, agenda, enrollment._id, { reason: 'suppressed', nodeId: enrollment.currentNodeId });
+    return;
+  }
+
+  const stepsById = new Map(run.steps.map(step => [step.id, step]));
+  const options = normalizeSchedulingOptions(run.schedulingOptions);
+  const now = new Date();
+  const history = [];
+  let step = stepsById.get(enrollment.currentNodeId);
+  let nextStepAt = null;
+  // Hold on a "no reply after N days" condition; null clears a finished wait
+  let conditionWait = null;
+  // Split variants the contact was sent down, passed on to the emails that follow
+  const splits = [...(enrollment.splits || [])];
+  // Set when the contact reaches the goal during this run of the job
+  let goalReachedAt = null;
+
+  for (let handled = 0; step && !nextStepAt; handled++) {
+    if (handled === MAX_STEPS_PER_ADVANCE) {
+      // Let the job run again instead of hogging the worker
+      nextStepAt = now;
+      break;
+    }
+
+    if (step.type === 'coldEmail') {
+      // Hold the enrollment on this step until the next sending window opens
+      const sendAt = run.sendNow ? now : snapToSendingWindow(now, options);
+      if (sendAt > now) {
+        nextStepAt = sendAt;
+        break;
+      }
+
+      const to = enrollment.email || step.data.recipient;
+      if (to && !enrollment.email && await findSuppression(db, enrollment.userId, to)) {
+        history.push({ nodeId: step.id, type: step.type, action: 'skipped: address suppressed', at: now });
+      } else if (to) {
+        const job = await agenda.now('send email', {
+          to,
+          subject: step.data.subject || 'No Subject',
+          body: getEmailBody(step.data),
+          format: step.data.format,
+          userId: enrollment.userId,
+          contactId: enrollment.contactId,
+          enrollmentId: enrollment._id.toString(),
+          flowId: enrollment.flowId,
+          nodeId: step.id,
+          senderId: step.data.senderId || null,
+          senderIds: run.senderIds || [],
+          replyToPrevious: !!step.data.replyToPrevious,
+          splits
+        });
+        history.push({ nodeId: step.id, type: step.type, action: 'email queued', jobId: job.attrs._id, at: now });
+      } else {
+        history.push({ nodeId: step.id, type: step.type, action: 'skipped: no recipient', at: now });
+      }
+    } else if (step.type === 'waitDelay') {
+      // Move past the wait now and come back once it is over
+      history.push({ nodeId: step.id, type: step.type, action: `waiting ${step.data.delay} ${step.data.unit}`, at: now });
+      nextStepAt = addDelay(now, step.data.delay, step.data.unit);
+    } else if (step.type === 'condition') {
+      // Replies get the chance to arrive before "no reply" is decided; the enrollment stays on the condition meanwhile
+      if (step.data.conditionType === 'noReply') {
+        const wait = enrollment.conditionWait && enrollment.conditionWait.nodeId === step.id
+          ? enrollment.conditionWait
+          : null;
+
+        if (!wait || wait.until > now) {
+          conditionWait = wait || { nodeId: step.id, until: addDelay(now, getReplyWaitDays(step.data), 'days') };
+          nextStepAt = conditionWait.until;
+          if (!wait) {
+            history.push({ nodeId: step.id, type: step.type, action: `waiting ${getReplyWaitDays(step.data)} day(s) for a reply`, at: now });
+          }
+          break;
+        }
+      }
+
+      const matched = await evaluateCondition(db, enrollment, step);
+      const handle = matched ? 'yes' : 'no';
+      history.push({ nodeId: step.id, type: step.type, action: `${describeCondition(step.data)}: ${handle}`, handle, at: now });
+      step = getNextStep(stepsById, step, handle);
+      continue;
+    } else if (step.type === 'split') {
+      const assignment = await assignVariant(db, enrollment, step, now);
+
+      // Contacts outside the test sample wait here for the winner
+      if (assignment.waitUntil) {
+        nextStepAt = assignment.waitUntil;
+        const last = [...(enrollment.history || []), ...history].pop();
+        if (!last || last.nodeId !== step.id || last.action !== SPLIT_WAIT_ACTION) {
+          history.push({ nodeId: step.id, type: step.type, action: SPLIT_WAIT_ACTION, at: now });
+        }
+        break;
+      }
+
+      const variant = step.data.variants.find(item => item.id === assignment.variantId);
+      splits.push({ runId: run._id.toString(), nodeId: step.id, variantId: assignment.variantId });
+      history.push({
+        nodeId: step.id,
+        type: step.type,
+        action: `${assignment.promoted ? 'winner' : 'variant'}: ${variant ? variant.name : assignment.variantId}`,
+        handle: assignment.variantId,
+        at: now
+      });
+      step = getNextStep(stepsById, step, assignment.variantId);
+      continue;
+    } else if (CONTACT_ACTION_TYPES.includes(step.type)) {
+      const action = await runContactAction(db, enrollment, run, step, now);
+      history.push({ nodeId: step.id, type: step.type, action, at: now });
+
+      // A new tag can meet the exit rules of this flow and of the contact's other flows
+      if (step.type === 'tagContact' && step.data.operation !== 'remove' && !action.startsWith('skipped')) {
+        const trigger = { type: 'tagAdded', tag: normalizeTag(step.data.tag) };
+        await applyExitRules(db, agenda, { userId: enrollment.userId, contactId: enrollment.contactId, excludeId: enrollment._id }, trigger);
+
+        const goal = findGoalStep(run.steps);
+        const rule = goal && !enrollment.goalReachedAt && !goalReachedAt && findMatchingExitRule(goal.data.exitRules, trigger);
+        if (rule) {
+          goalReachedAt = now;
+          history.push({ nodeId: goal.id, type: goal.type, action: `goal reached: ${describeExitRule(rule)}`, at: now });
+          await cancelPendingEmails(agenda, enrollment._id);
+          step = goal;
+          continue;
+        }
+      }
+    } else if (step.type === 'goal') {
+      // Contacts that jumped here have the goal recorded already
+      if (!enrollment.goalReachedAt && !goalReachedAt) {
+        goalReachedAt = now;
+        history.push({ nodeId: step.id, type: step.type, action: 'goal reached', at: now });
+      }
+    } else if (step.type === 'webhook') {
+      // The call is retried in the background; the sequence does not wait for it
+      const job = await queueWebhook(db, agenda, enrollment, step, now);
+      history.push({ nodeId: step.id, type: step.type, action: 'webhook queued', jobId: job.attrs._id, at: now });
+    } else {
+      history.push({ nodeId: step.id, type: step.type, action: 'passed', at: now });
+    }
+
+    step = getNextStep(stepsById, step);
+  }
+
+  const update = {
+    currentNodeId: step ? step.id : null,
+    nextStepAt,
+    conditionWait,
+    splits,
+    updatedAt: now
+  };
+
+  if (goalReachedAt) {
+    update.goalReachedAt = goalReachedAt;
+  }
+
+  if (!step) {
+    update.status = 'completed';
+    update.completedAt = now;
+    update.nextStepAt = null;
+  }
+
+  // An exit rule met while this job ran has moved the enrollment to the goal; leave it there
+  await enrollmentsCollection.updateOne(
+    { _id: enrollment._id, status: 'active', goalReachedAt: enrollment.goalReachedAt || null },
+    { $set: update, $push: { history: { $each: history } } }
+  );
+
+  if (step && nextStepAt) {
+    await scheduleAdvance(agenda, enrollment._id, nextStepAt);
+  }
+};
+
+/**
+ * Register the enrollment Agenda jobs
+ * @param {Object} agenda - Agenda instance
+ */
+const defineEnrollmentJobs = (agenda) => {
+  agenda.define('advance enrollment', async (job) => {
+    const { enrollmentId } = job.attrs.data;
+
+    const { db } = await connectToDatabase();
+
+    try {
+      await advanceEnrollment(db, agenda, enrollmentId);
+    } catch (error) {
+      console.error(`Error advancing enrollment ${enrollmentId}:`, error);
+
+      await db.collection('enrollments').updateOne(
+        { _id: toObjectId(enrollmentId) },
+        { $set: { status: 'failed', lastError: error.message, nextStepAt: null, updatedAt: new Date() } }
+      );
+
+      throw error;
+    }
+  });
+};
+
+/**
+ * Record the outcome of a `send email` job on its enrollment
+ * @param {Object} db - MongoDB database
+ * @param {String} enrollmentId - Enrollment ID from the job data
+ * @param {Object} entry - History entry (`nodeId`, `action`, `messageId`, `error`)
+ */
+const recordEnrollmentEmail = async (db, enrollmentId, entry) => {
+  const objectId = toObjectId(enrollmentId);
+  if (!objectId) return;
+
+  const update = {
+    $push: { history: { type: 'coldEmail', at: new Date(), ...entry } },
+    $set: { updatedAt: new Date() }
+  };
+
+  if (entry.error) {
+    update.$set.status = 'failed';
+    update.$set.lastError = entry.error;
+    update.$set.nextStepAt = null;
+  }
+
+  await db.collection('enrollments').updateOne({ _id: objectId }, update);
+};
+
+/**
+ * Take an enrollment out of its sequence before it finishes, for example
+ * because the contact replied. Its pending advance and `send email` jobs are
+ * cancelled; an email Agenda is already sending checks the status itself.
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {String} enrollmentId - Enrollment ID
+ * @param {Object} details - `reason` for stopping and the `nodeId` that caused it, if any
+ * @returns {Promise<Boolean>} Whether the enrollment was still running and is now stopped
+ */
+const stopEnrollment = async (db, agenda, enrollmentId, { reason, nodeId = null }) => {
+  const objectId = toObjectId(enrollmentId);
+  if (!objectId) return false;
+
+  const now = new Date();
+  const result = await db.collection('enrollments').updateOne(
+    { _id: objectId, status: { $in: ['active', 'paused'] } },
+    {
+      $set: { status: 'stopped', stopReason: reason, stoppedAt: now, nextStepAt: null, updatedAt: now },
+      $push: { history: { nodeId, type: 'stop', action: `stopped: ${reason}`, at: now } }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await cancelAdvanceJobs(agenda, objectId);
+  await cancelPendingEmails(agenda, objectId);
+
+  return true;
+};
+
+/**
+ * Stop every unfinished enrollment of a saved flow, for example because the flow was deleted
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} flow - `userId` and `flowId` of the flow
+ * @param {String} reason - Why the enrollments stop, for the history
+ * @returns {Promise<Number>} Number of enrollments stopped
+ */
+const stopFlowEnrollments = async (db, agenda, { userId, flowId }, reason) => {
+  const enrollments = await db.collection('enrollments')
+    .find({ userId, flowId, status: { $in: UNFINISHED_STATUSES } })
+    .project({ _id: 1 })
+    .toArray();
+
+  let stopped = 0;
+  for (const enrollment of enrollments) {
+    if (await stopEnrollment(db, agenda, enrollment._id, { reason })) stopped++;
+  }
+
+  return stopped;
+};
+
+/**
+ * Move an enrollment to its flow's goal node, cancelling the emails it has
+ * queued. Paused enrollments stay paused, and continue from the goal when resumed.
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} goal - The goal step of the enrollment's flow run
+ * @param {String} reason - What the contact did, for the history
+ * @returns {Promise<Boolean>} False when the enrollment had finished or reached the goal already
+ */
+const reachGoal = async (db, agenda, enrollment, goal, reason) => {
+  const now = new Date();
+  const result = await db.collection('enrollments').updateOne(
+    { _id: enrollment._id, status: enrollment.status, goalReachedAt: null },
+    {
+      $set: { currentNodeId: goal.id, nextStepAt: now, conditionWait: null, goalReachedAt: now, updatedAt: now },
+      $push: { history: { nodeId: goal.id, type: goal.type, action: `goal reached: ${reason}`, at: now } }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await cancelAdvanceJobs(agenda, enrollment._id);
+  await cancelPendingEmails(agenda, enrollment._id);
+  if (enrollment.status === 'active') {
+    await scheduleAdvance(agenda, enrollment._id, now);
+  }
+
+  return true;
+};
+
+/**
+ * Pause an active enrollment; it stays on its current step until resumed.
+ * Emails it has queued already are held by the `send email` job (see holdPausedEmail).
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} enrollment - Enrollment document
+ */
+const pauseActiveEnrollment = async (db, agenda, enrollment) => {
+  await db.collection('enrollments').updateOne(
+    { _id: enrollment._id },
+    { $set: { status: 'paused', pausedAt: new Date(), updatedAt: new Date() } }
+  );
+  await cancelAdvanceJobs(agenda, enrollment._id);
+};
+
+/**
+ * Resume a paused enrollment from the step it stopped on
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} enrollment - Enrollment document
+ * @returns {Promise<Date>} When the enrollment moves on
+ */
+const resumePausedEnrollment = async (db, agenda, enrollment) => {
+  // Pick up where it left off, or straight away if the step is already due
+  const now = new Date();
+  const resumeAt = enrollment.nextStepAt && enrollment.nextStepAt > now ? enrollment.nextStepAt : now;
+
+  await db.collection('enrollments').updateOne(
+    { _id: enrollment._id },
+    { $set: { status: 'active', nextStepAt: resumeAt, updatedAt: now }, $unset: { pausedAt: '' } }
+  );
+  await scheduleAdvance(agenda, enrollment._id, resumeAt);
+
+  // Emails held while paused go out now instead of at their next check
+  await db.collection('emailJobs').updateMany(
+    { name: 'send email', 'data.enrollmentId': enrollment._id.toString(), 'data.heldWhilePaused': true, lockedAt: null },
+    { $set: { nextRunAt: now }, $unset: { 'data.heldWhilePaused': '' } }
+  );
+
+  return resumeAt;
+};
+
+/**
+ * Send the contact's unfinished enrollments whose flow has a matching exit
+ * rule to their goal
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} contact - `userId` plus any of `enrollmentId`, `contactId`,
+ *   `email` and `flowId` to pick the enrollments; `excludeId` leaves one out
+ * @param {Object} trigger - What happened (see matchesExitRule in shared/goals.js)
+ * @returns {Promise<Number>} Number of enrollments moved to their goal
+ */
+const applyExitRules = async (db, agenda, { userId, enrollmentId, contactId, email, flowId, excludeId }, trigger) => {
+  const query = { userId, status: { $in: ['active', 'paused'] }, goalReachedAt: null };
+
+  if (enrollmentId) {
+    const objectId = toObjectId(enrollmentId);
+    if (!objectId) return 0;
+    query._id = objectId;
+  } else if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  if (contactId) query.contactId = contactId;
+  if (email) query.email = normalizeEmail(email);
+  if (flowId) query.flowId = flowId;
+
+  const enrollments = await db.collection('enrollments').find(query).toArray();
+  if (enrollments.length === 0) {
+    return 0;
+  }
+
+  const runIds = [...new Set(enrollments.map(enrollment => enrollment.runId.toString()))];
+  const runs = await db.collection('flowRuns')
+    .find({ _id: { $in: runIds.map(toObjectId) } })
+    .toArray();
+  const goalsByRun = new Map(runs.map(run => [run._id.toString(), findGoalStep(run.steps)]));
+
+  let reached = 0;
+  for (const enrollment of enrollments) {
+    const goal = goalsByRun.get(enrollment.runId.toString());
+    const rule = goal && findMatchingExitRule(goal.data.exitRules, trigger);
+
+    if (rule && await reachGoal(db, agenda, enrollment, goal, describeExitRule(rule))) {
+      reached++;
+    }
+  }
+
+  return reached;
+};
+
+/**
+ * Read the status of the enrollment a `send email` job belongs to
+ * @param {Object} db - MongoDB database
+ * @param {String} enrollmentId - Enrollment ID from the job data
+ * @returns {Promise<String|null>} One of ENROLLMENT_STATUSES, or null when there is no such enrollment
+ */
+const findEnrollmentStatus = async (db, enrollmentId) => {
+  const objectId = toObjectId(enrollmentId);
+  if (!objectId) return null;
+
+  const enrollment = await db.collection('enrollments').findOne({ _id: objectId }, { projection: { status: 1 } });
+  return enrollment ? enrollment.status : null;
+};
+
+/**
+ * Hold a `send email` job of a paused enrollment instead of sending it. It
+ * checks again later, and resumePausedEnrollment releases it straight away.
+ * @param {Object} job - Agenda job; Agenda saves its changes when the job finishes
+ * @param {Date} now - Current time
+ */
+const holdPausedEmail = (job, now = new Date()) => {
+  job.attrs.data.heldWhilePaused = true;
+  job.attrs.nextRunAt = new Date(now.getTime() + PAUSED_EMAIL_RECHECK_MS);
+};
+
+/**
+ * Find an enrollment and verify it belongs to the user
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the enrollment
+ * @param {String} id - Enrollment ID
+ * @returns {Object} `{ enrollment }` on success or `{ status, error }` on failure
+ */
+const findOwnedEnrollment = async (db, userId, id) => {
+  const objectId = toObjectId(id);
+  if (!objectId) {
+    return { status: 400, error: 'Invalid enrollment ID format' };
+  }
+
+  const enrollment = await db.collection('enrollments').findOne({ _id: objectId });
+  if (!enrollment) {
+    return { status: 404, error: 'Enrollment not found' };
+  }
+
+  if (enrollment.userId !== userId) {
+    return { status: 403, error: 'Not authorized to access this enrollment' };
+  }
+
+  return { enrollment };
+};
+
+/**
+ * Create the enrollment route handlers
+ * @param {Function} getAgenda - Returns an initialized Agenda instance
+ * @returns {Object} Express handlers
+ */
+const createEnrollmentHandlers = (getAgenda) => {
+  /**
+   * API endpoint to list enrollments
+   * @route GET /api/enrollments
+   * @param {Object} req - Express request object (`flowId`, `status`, `page`, `limit` query)
+   * @param {Object} res - Express response object
+   */
+  const getEnrollments = async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const query = { userId };
+
+      if (req.query.flowId) {
+        query.flowId = req.query.flowId;
+      }
+
+      if (req.query.status) {
+        if (!ENROLLMENT_STATUSES.includes(req.query.status)) {
+          return res.status(400).json({ error: `Status must be one of: ${ENROLLMENT_STATUSES.join(', ')}` });
+        }
+        query.status = req.query.status;
+      }
+
+      const { db } = await connectToDatabase();
+      const enrollmentsCollection = db.collection('enrollments');
+
+      const [enrollments, total] = await Promise.all([
+        enrollmentsCollection.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        enrollmentsCollection.countDocuments(query)
+      ]);
+
+      res.status(200).json({
+        enrollments: enrollments.map(mapEnrollment),
+        total,
+        page,
+        limit
+      });
+    } catch (error) {
+      console.error('Error fetching enrollments:', error);
+      res.status(500).json({ error: 'Failed to fetch enrollments' });
+    }
+  };
+
+  /**
+   * API endpoint to inspect one enrollment, including the step it is on
+   * @route GET /api/enrollments/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const getEnrollment = async (req, res) => {
+    try {
+      const { db } = await connectToDatabase();
+      const { enrollment, status, error } = await findOwnedEnrollment(db, req.user.id, req.params.id);
+      if (!enrollment) {
+        return res.status(status).json({ error });
+      }
+
+      const run = await db.collection('flowRuns').findOne({ _id: enrollment.runId });
+      const currentStep = run && run.steps.find(step => step.id === enrollment.currentNodeId);
+
+      res.status(200).json({
+        enrollment: {
+          ...mapEnrollment(enrollment),
+          currentStep: currentStep ? {
+            id: currentStep.id,
+            type: currentStep.type,
+            label: currentStep.data.label || currentStep.type
+          } : null
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching enrollment:', error);
+      res.status(500).json({ error: 'Failed to fetch enrollment' });
+    }
+  };
+
+  /**
+   * API endpoint to pause an active enrollment
+   * @route POST /api/enrollments/:id/pause
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const pauseEnrollment = async (req, res) => {
+    try {
+      const { db } = await connectToDatabase();
+      const { enrollment, status, error } = await findOwnedEnrollment(db, req.user.id, req.params.id);
+      if (!enrollment) {
+        return res.status(status).json({ error });
+      }
+
+      if (enrollment.status !== 'active') {
+        return res.status(400).json({ error: `Only active enrollments can be paused (this one is ${enrollment.status})` });
+      }
+
+      const agenda = await getAgenda();
+      await pauseActiveEnrollment(db, agenda, enrollment);
+
+      res.status(200).json({ message: 'Enrollment paused', enrollmentId: req.params.id });
+    } catch (error) {
+      console.error('Error pausing enrollment:', error);
+      res.status(500).json({ error: 'Failed to pause enrollment' });
+    }
+  };
+
+  /**
+   * API endpoint to resume a paused enrollment from the step it stopped on
+   * @route POST /api/enrollments/:id/resume
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const resumeEnrollment = async (req, res) => {
+    try {
+      const { db } = await connectToDatabase();
+      const { enrollment, status, error } = await findOwnedEnrollment(db, req.user.id, req.params.id);
+      if (!enrollment) {
+        return res.status(status).json({ error });
+      }
+
+      if (enrollment.status !== 'paused') {
+        return res.status(400).json({ error: `Only paused enrollments can be resumed (this one is ${enrollment.status})` });
+      }
+
+      const agenda = await getAgenda();
+      const resumeAt = await resumePausedEnrollment(db, agenda, enrollment);
+
+      res.status(200).json({ message: 'Enrollment resumed', enrollmentId: req.params.id, nextStepAt: resumeAt });
+    } catch (error) {
+      console.error('Error resuming enrollment:', error);
+      res.status(500).json({ error: 'Failed to resume enrollment' });
+    }
+  };
+
+  /**
+   * API endpoint to report an event from another system, such as a purchase
+   * or a booked demo. Enrollments of the contact whose goal has an `event`
+   * exit rule with that name move to the goal.
+   * @route POST /api/enrollments/events
+   * @param {Object} req - Express request object (`event` plus `email` or `contactId`, optional `flowId`)
+   * @param {Object} res - Express response object
+   */
+  const postEnrollmentEvent = async (req, res) => {
+    try {
+      const { event, email, contactId, flowId } = req.body || {};
+
+      if (!event || typeof event !== 'string' || !event.trim()) {
+        return res.status(400).json({ error: 'Event name is required' });
+      }
+      if (!email && !contactId) {
+        return res.status(400).json({ error: 'Identify the contact with an email or a contactId' });
+      }
+
+      const { db } = await connectToDatabase();
+      const agenda = await getAgenda();
+      const matched = await applyExitRules(
+        db,
+        agenda,
+        {
+          userId: req.user.id,
+          email: email ? String(email) : null,
+          contactId: contactId ? String(contactId) : null,
+          flowId: flowId ? String(flowId) : null
+        },
+        { type: 'event', event: event.trim() }
+      );
+
+      res.status(200).json({ event: event.trim(), matched });
+    } catch (error) {
+      console.error('Error recording enrollment event:', error);
+      res.status(500).json({ error: 'Failed to record event' });
+    }
+  };
+
+  return {
+    getEnrollments,
+    getEnrollment,
+    pauseEnrollment,
+    resumeEnrollment,
+    postEnrollmentEvent
+  };
+};
+
+export {
+  ENROLLMENT_STATUSES,
+  buildFlowRun,
+  enrollIntoRun,
+  enrollContacts,
+  ensureEnrollmentIndexes,
+  advanceEnrollment,
+  defineEnrollmentJobs,
+  recordEnrollmentEmail,
+  stopEnrollment,
+  stopFlowEnrollments,
+  cancelPendingEmails,
+  pauseActiveEnrollment,
+  resumePausedEnrollment,
+  reachGoal,
+  applyExitRules,
+  findEnrollmentStatus,
+  holdPausedEmail,
+  createEnrollmentHandlers
+};
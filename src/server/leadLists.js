@@ -0,0 +1,510 @@
+import { ObjectId } from 'mongodb';
+import { connectToDatabase, toObjectId } from './db.js';
+import { parseContactsCsv, mapHeader } from './csv.js';
+import { CUSTOM_FIELD_PATTERN } from '../shared/actions.js';
+import { STANDARD_FIELDS } from '../shared/mergeFields.js';
+
+// Basic shape check; the SMTP server has the final word on deliverability
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Largest page of contacts returned by the contacts endpoint
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Normalize an email address for de-duplication
+ * @param {String} email - Raw email address
+ * @returns {String} Trimmed, lower-cased email address
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Turn a custom field key from an import or API payload into a field name
+ * that is safe as a MongoDB path and usable as a merge field
+ * @param {String} key - Raw key, e.g. "Job Title" or "jobTitle"
+ * @returns {String|null} camelCase field name, or null when nothing usable is left
+ */
+const normalizeCustomFieldKey = (key) => {
+  const { field, custom } = mapHeader(String(key));
+  return custom && CUSTOM_FIELD_PATTERN.test(field) && !STANDARD_FIELDS.includes(field) ? field : null;
+};
+
+/**
+ * Map a lead list document for frontend consumption
+ * @param {Object} list - Lead list document
+ * @param {Number} contactCount - Number of contacts in the list
+ * @returns {Object} Lead list summary
+ */
+const mapLeadList = (list, contactCount) => ({
+  id: list._id.toString(),
+  name: list.name,
+  description: list.description || '',
+  contactCount,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt
+});
+
+/**
+ * Map a contact document for frontend consumption
+ * @param {Object} contact - Contact document
+ * @returns {Object} Contact data
+ */
+const mapContact = (contact) => ({
+  id: contact._id.toString(),
+  email: contact.email,
+  firstName: contact.firstName || '',
+  lastName: contact.lastName || '',
+  company: contact.company || '',
+  customFields: contact.customFields || {},
+  tags: contact.tags || [],
+  createdAt: contact.createdAt,
+  updatedAt: contact.updatedAt
+});
+
+/**
+ * Find a lead list and verify it belongs to the user
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the list
+ * @param {String} id - Lead list ID
+ * @returns {Object} `{ list }` on success or `{ status, error }` on failure
+ */
+const findOwnedLeadList = async (db, userId, id) => {
+  const objectId = toObjectId(id);
+  if (!objectId) {
+    return { status: 400, error: 'Invalid lead list ID format' };
+  }
+
+  const list = await db.collection('leadLists').findOne({ _id: objectId });
+  if (!list) {
+    return { status: 404, error: 'Lead list not found' };
+  }
+
+  if (list.userId !== userId) {
+    return { status: 403, error: 'Not authorized to access this lead list' };
+  }
+
+  return { list };
+};
+
+/**
+ * Create the indexes of the contacts collection; contacts are merged by email
+ * @param {Object} db - MongoDB database
+ */
+const ensureContactIndexes = async (db) => {
+  await db.collection('contacts').createIndex({ userId: 1, email: 1 }, { unique: true });
+};
+
+/**
+ * Add contacts to a lead list, merging them with existing contacts by email
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the contacts
+ * @param {ObjectId|null} listId - Lead list to add the contacts to, or null to only save them
+ * @param {Array<Object>} contacts - Contacts with at least an `email`
+ * @returns {Object} Import statistics
+ */
+const upsertContacts = async (db, userId, listId, contacts) => {
+  const contactsCollection = db.collection('contacts');
+  const seen = new Set();
+  const invalid = [];
+  const operations = [];
+  let duplicates = 0;
+  const now = new Date();
+
+  for (const contact of contacts) {
+    const email = normalizeEmail(contact.email);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      invalid.push(contact.email || '');
+      continue;
+    }
+
+    // Only the first occurrence of an email within one import counts
+    if (seen.has(email)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(email);
+
+    const fields = { updatedAt: now };
+    for (const key of ['firstName', 'lastName', 'company']) {
+      if (contact[key]) {
+        fields[key] = String(contact[key]).trim();
+      }
+    }
+    // Keys become update paths, so `$`, `.` and empty keys must never get through
+    for (const [key, value] of Object.entries(contact.customFields || {})) {
+      const field = normalizeCustomFieldKey(key);
+      if (field) {
+        fields[`customFields.${field}`] = value;
+      }
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { userId, email },
+        update: {
+          $set: fields,
+          $setOnInsert: { userId, email, createdAt: now },
+          ...(listId ? { $addToSet: { listIds: listId } } : {})
+        },
+        upsert: true
+      }
+    });
+  }
+
+  let created = 0;
+  let updated = 0;
+
+  if (operations.length > 0) {
+    const result = await contactsCollection.bulkWrite(operations, { ordered: false });
+    created = result.upsertedCount;
+    updated = result.matchedCount;
+  }
+
+  return {
+    total: contacts.length,
+    created,
+    updated,
+    duplicates,
+    invalid
+  };
+};
+
+/**
+ * Get every contact in a lead list
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the list
+ * @param {String} leadListId - Lead list ID
+ * @returns {Array<Object>} Contact documents
+ */
+const findLeadListContacts = async (db, userId, leadListId) => {
+  const listId = toObjectId(leadListId);
+  if (!listId) {
+    return [];
+  }
+
+  return db.collection('contacts')
+    .find({ userId, listIds: listId })
+    .sort({ createdAt: 1 })
+    .toArray();
+};
+
+/**
+ * Read contacts from an import request body
+ * @param {Object} body - Request body with either `csv` text or a `contacts` array
+ * @returns {Array<Object>} Contacts to import
+ * @throws {Error} When the CSV cannot be used
+ */
+const readImportedContacts = (body) => {
+  if (typeof body.csv === 'string') {
+    return parseContactsCsv(body.csv);
+  }
+  return Array.isArray(body.contacts) ? body.contacts : [];
+};
+
+/**
+ * API endpoint to get all lead lists for a user
+ * @route GET /api/lead-lists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLeadLists = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { db } = await connectToDatabase();
+
+    const lists = await db.collection('leadLists')
+      .find({ userId })
+      .sort({ updatedAt: -1 })
+      .toArray();
+
+    const leadLists = await Promise.all(lists.map(async list => {
+      const contactCount = await db.collection('contacts').countDocuments({ userId, listIds: list._id });
+      return mapLeadList(list, contactCount);
+    }));
+
+    res.status(200).json({ leadLists });
+  } catch (error) {
+    console.error('Error fetching lead lists:', error);
+    res.status(500).json({ error: 'Failed to fetch lead lists' });
+  }
+};
+
+/**
+ * API endpoint to create a lead list, optionally importing a CSV straight away
+ * @route POST /api/lead-lists
+ * @param {Object} req - Express request object (`name`, `description`, optional `csv`)
+ * @param {Object} res - Express response object
+ */
+const createLeadList = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const userId = req.user.id;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Lead list name is required' });
+    }
+
+    let contacts;
+    try {
+      contacts = readImportedContacts(req.body);
+    } catch (csvError) {
+      return res.status(400).json({ error: csvError.message });
+    }
+
+    const { db } = await connectToDatabase();
+    const now = new Date();
+
+    const result = await db.collection('leadLists').insertOne({
+      name: name.trim(),
+      description: description || '',
+      userId,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    const importResult = await upsertContacts(db, userId, result.insertedId, contacts);
+
+    res.status(201).json({
+      message: 'Lead list created successfully',
+      leadListId: result.insertedId,
+      name: name.trim(),
+      import: importResult
+    });
+  } catch (error) {
+    console.error('Error creating lead list:', error);
+    res.status(500).json({ error: 'Failed to create lead list' });
+  }
+};
+
+/**
+ * API endpoint to get a specific lead list
+ * @route GET /api/lead-lists/:id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLeadList = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { db } = await connectToDatabase();
+
+    const { list, status, error } = await findOwnedLeadList(db, userId, req.params.id);
+    if (!list) {
+      return res.status(status).json({ error });
+    }
+
+    const contactCount = await db.collection('contacts').countDocuments({ userId, listIds: list._id });
+
+    res.status(200).json({ leadList: mapLeadList(list, contactCount) });
+  } catch (error) {
+    console.error('Error fetching lead list:', error);
+    res.status(500).json({ error: 'Failed to fetch lead list' });
+  }
+};
+
+/**
+ * API endpoint to rename or describe a lead list
+ * @route PUT /api/lead-lists/:id
+ * @param {Object} req - Express request object (`name`, `description`)
+ * @param {Object} res - Express response object
+ */
+const updateLeadList = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const userId = req.user.id;
+    const { db } = await connectToDatabase();
+
+    const { list, status, error } = await findOwnedLeadList(db, userId, req.params.id);
+    if (!list) {
+      return res.status(status).json({ error });
+    }
+
+    await db.collection('leadLists').updateOne(
+      { _id: list._id },
+      {
+        $set: {
+          name: (name && name.trim()) || list.name,
+          description: description !== undefined ? description : list.description,
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    res.status(200).json({
+      message: 'Lead list updated successfully',
+      leadListId: list._id,
+      name: (name && name.trim()) || list.name
+    });
+  } catch (error) {
+    console.error('Error updating lead list:', error);
+    res.status(500).json({ error: 'Failed to update lead list' });
+  }
+};
+
+/**
+ * API endpoint to delete a lead list. Contacts are kept but leave the list.
+ * @route DELETE /api/lead-lists/:id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteLeadList = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { db } = await connectToDatabase();
+
+    const { list, status, error } = await findOwnedLeadList(db, userId, req.params.id);
+    if (!list) {
+      return res.status(status).json({ error });
+    }
+
+    await db.collection('contacts').updateMany(
+      { userId, listIds: list._id },
+      { $pull: { listIds: list._id } }
+    );
+    await db.collection('leadLists').deleteOne({ _id: list._id });
+
+    res.status(200).json({
+      message: 'Lead list deleted successfully',
+      leadListId: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting lead list:', error);
+    res.status(500).json({ error: 'Failed to delete lead list' });
+  }
+};
+
+/**
+ * API endpoint to import contacts into a lead list from CSV text or JSON
+ * @route POST /api/lead-lists/:id/import
+ * @param {Object} req - Express request object (`csv` or `contacts`)
+ * @param {Object} res - Express response object
+ */
+const importLeadListContacts = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    let contacts;
+    try {
+      contacts = readImportedContacts(req.body);
+    } catch (csvError) {
+      return res.status(400).json({ error: csvError.message });
+    }
+
+    if (contacts.length === 0) {
+      return res.status(400).json({ error: 'No contacts found to import' });
+    }
+
+    const { db } = await connectToDatabase();
+
+    const { list, status, error } = await findOwnedLeadList(db, userId, req.params.id);
+    if (!list) {
+      return res.status(status).json({ error });
+    }
+
+    const importResult = await upsertContacts(db, userId, list._id, contacts);
+    await db.collection('leadLists').updateOne({ _id: list._id }, { $set: { updatedAt: new Date() } });
+
+    res.status(200).json({
+      message: 'Contacts imported successfully',
+      import: importResult
+    });
+  } catch (error) {
+    console.error('Error importing contacts:', error);
+    res.status(500).json({ error: 'Failed to import contacts' });
+  }
+};
+
+/**
+ * API endpoint to list the contacts in a lead list
+ * @route GET /api/lead-lists/:id/contacts
+ * @param {Object} req - Express request object (`page`, `limit`, `search` query)
+ * @param {Object} res - Express response object
+ */
+const getLeadListContacts = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const { db } = await connectToDatabase();
+
+    const { list, status, error } = await findOwnedLeadList(db, userId, req.params.id);
+    if (!list) {
+      return res.status(status).json({ error });
+    }
+
+    const query = { userId, listIds: list._id };
+    if (req.query.search) {
+      const pattern = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }, { company: pattern }];
+    }
+
+    const contactsCollection = db.collection('contacts');
+    const [contacts, total] = await Promise.all([
+      contactsCollection.find(query).sort({ createdAt: 1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      contactsCollection.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      contacts: contacts.map(mapContact),
+      total,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching lead list contacts:', error);
+    res.status(500).json({ error: 'Failed to fetch contacts' });
+  }
+};
+
+/**
+ * API endpoint to remove a contact from a lead list
+ * @route DELETE /api/lead-lists/:id/contacts/:contactId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeLeadListContact = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const contactId = toObjectId(req.params.contactId);
+
+    if (!contactId) {
+      return res.status(400).json({ error: 'Invalid contact ID format' });
+    }
+
+    const { db } = await connectToDatabase();
+
+    const { list, status, error } = await findOwnedLeadList(db, userId, req.params.id);
+    if (!list) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await db.collection('contacts').updateOne(
+      { _id: contactId, userId, listIds: list._id },
+      { $pull: { listIds: list._id }, $set: { updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Contact not found in this lead list' });
+    }
+
+    res.status(200).json({ message: 'Contact removed from lead list' });
+  } catch (error) {
+    console.error('Error removing contact from lead list:', error);
+    res.status(500).json({ error: 'Failed to remove contact' });
+  }
+};
+
+export {
+  EMAIL_PATTERN,
+  normalizeEmail,
+  findLeadListContacts,
+  ensureContactIndexes,
+  upsertContacts,
+  getLeadLists,
+  createLeadList,
+  getLeadList,
+  updateLeadList,
+  deleteLeadList,
+  importLeadListContacts,
+  getLeadListContacts,
+  removeLeadListContact
+};
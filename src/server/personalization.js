@@ -0,0 +1,170 @@
+import { connectToDatabase, toObjectId } from './db.js';
+import { findLeadListContacts } from './leadLists.js';
+import {
+  STANDARD_FIELDS,
+  MergeFieldSyntaxError,
+  renderMergeFields,
+  extractMergeFields,
+  validateMergeFields
+} from '../shared/mergeFields.js';
+import { getEmailBody } from '../shared/emailDocument.js';
+import { getBodyMergeOptions } from '../shared/emailRenderer.js';
+
+/**
+ * Load the contact an email is personalized for
+ * @param {Object} db - MongoDB database
+ * @param {String} contactId - Contact ID from the job data, if any
+ * @param {String} to - Recipient address, used when there is no stored contact
+ * @returns {Object} Contact fields for merge field rendering
+ */
+const loadMergeContact = async (db, contactId, to) => {
+  const objectId = toObjectId(contactId);
+  if (objectId) {
+    const contact = await db.collection('contacts').findOne({ _id: objectId });
+    if (contact) {
+      return contact;
+    }
+  }
+
+  return { email: to, customFields: {} };
+};
+
+/**
+ * Render the subject and body of an email for its recipient
+ * @param {Object} db - MongoDB database
+ * @param {Object} email - Email data (`to`, `subject`, `body`, `contactId`, `format`)
+ * @returns {Object} `{ subject, body }` with merge fields filled in
+ * @throws {MergeFieldSyntaxError} When the subject or body is malformed
+ */
+const personalizeEmail = async (db, { to, subject, body, contactId, format }) => {
+  const contact = await loadMergeContact(db, contactId, to);
+
+  return {
+    subject: renderMergeFields(subject, contact),
+    body: renderMergeFields(body, contact, getBodyMergeOptions(format))
+  };
+};
+
+/**
+ * Find the first email step whose subject or body cannot be parsed
+ * @param {Array<Object>} steps - Compiled sequence steps
+ * @returns {Object|null} `{ message, nodeId }` for the first broken step, or null
+ */
+const findMergeFieldSyntaxError = (steps) => {
+  for (const step of steps) {
+    if (step.type !== 'coldEmail') continue;
+
+    try {
+      extractMergeFields(step.data.subject);
+      extractMergeFields(getEmailBody(step.data));
+    } catch (error) {
+      if (error instanceof MergeFieldSyntaxError) {
+        return { message: `${step.data.label || 'Email'}: ${error.message}`, nodeId: step.id };
+      }
+      throw error;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Collect the custom field names used by a set of contacts
+ * @param {Array<Object>} contacts - Contacts with `customFields`
+ * @returns {Array<String>} Sorted field names
+ */
+const collectCustomFields = (contacts) => {
+  const names = new Set();
+  contacts.forEach(contact => Object.keys(contact.customFields || {}).forEach(name => names.add(name)));
+  return [...names].sort();
+};
+
+/**
+ * API endpoint to check merge fields before a sequence is scheduled.
+ * Reports syntax errors, fields no contact can have and fields without a
+ * fallback that some contacts leave empty.
+ * @route POST /api/merge-fields/validate
+ * @param {Object} req - Express request object (`nodes` or `flowId`, optional
+ *   `leadListId`, or a single `subject` and `body`/`bodyDoc`)
+ * @param {Object} res - Express response object
+ */
+const validateMergeFieldsHandler = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { flowId, subject, body, bodyDoc } = req.body;
+    let { nodes, leadListId } = req.body;
+    const { db } = await connectToDatabase();
+
+    // Fall back to the saved flow when the graph itself was not submitted
+    if (!nodes && flowId) {
+      const flowObjectId = toObjectId(flowId);
+      if (!flowObjectId) {
+        return res.status(400).json({ error: 'Invalid flow ID format' });
+      }
+
+      const flow = await db.collection('flows').findOne({ _id: flowObjectId });
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+
+      if (flow.userId !== userId) {
+        return res.status(403).json({ error: 'Not authorized to access this flow' });
+      }
+
+      nodes = flow.nodes;
+    }
+
+    // A single subject and body is checked as if it were one email node
+    if (!Array.isArray(nodes)) {
+      if (typeof subject !== 'string' && typeof body !== 'string' && !bodyDoc) {
+        return res.status(400).json({ error: 'Flow nodes or a subject and body are required' });
+      }
+      nodes = [{ id: 'template', type: 'coldEmail', data: { label: 'Template', subject, body, bodyDoc } }];
+    }
+
+    // The lead list of the flow's Lead Source node decides which contacts are checked
+    if (!leadListId) {
+      const leadSource = nodes.find(node => node.type === 'leadSource' && node.data?.leadListId);
+      leadListId = leadSource ? leadSource.data.leadListId : null;
+    }
+
+    const contacts = leadListId ? await findLeadListContacts(db, userId, leadListId) : null;
+    const customFields = contacts ? collectCustomFields(contacts) : [];
+
+    const results = nodes
+      .filter(node => node.type === 'coldEmail')
+      .map(node => {
+        const data = node.data || {};
+        // Without a lead list the email goes to the node's own recipient, who only has an address
+        const recipients = contacts || (data.recipient ? [{ email: data.recipient, customFields: {} }] : []);
+
+        return {
+          nodeId: node.id,
+          label: data.label || 'Email',
+          subject: validateMergeFields(data.subject, { customFields, contacts: recipients }),
+          body: validateMergeFields(getEmailBody(data), { customFields, contacts: recipients })
+        };
+      });
+
+    const valid = results.every(result => [result.subject, result.body].every(check =>
+      !check.error && check.unknown.length === 0 && check.missing.length === 0
+    ));
+
+    res.status(200).json({
+      valid,
+      fields: [...STANDARD_FIELDS, ...customFields],
+      contactCount: contacts ? contacts.length : null,
+      results
+    });
+  } catch (error) {
+    console.error('Error validating merge fields:', error);
+    res.status(500).json({ error: 'Failed to validate merge fields' });
+  }
+};
+
+export {
+  loadMergeContact,
+  personalizeEmail,
+  findMergeFieldSyntaxError,
+  validateMergeFieldsHandler
+};
@@ -0,0 +1,60 @@
+import { lookup as lookupHost } from 'dns/promises';
+import { isIP } from 'net';
+import { isPrivateAddress, isBlockedWebhookHost } from '../shared/actions.js';
+
+/**
+ * Checks on hosts that users type in.
+ *
+ * Webhook URLs and the SMTP and IMAP servers of sender accounts are all
+ * connected to from this server, so before each connection the host is
+ * resolved, and this machine or a private, loopback or link-local address
+ * is refused. Otherwise any user could reach services inside our network.
+ * Connections that can take a `lookup` function are pinned to the checked
+ * addresses, so the name cannot be resolved a second time to somewhere else.
+ */
+
+/**
+ * Make sure a host only resolves to public addresses. Resolve it again before
+ * every connection, so a name that starts pointing inside the network is caught too.
+ * @param {String} hostname - Host name or IP address, IPv6 optionally in brackets
+ * @param {Object} options - `label` naming the host in the error, and `lookup`
+ *   (dns.promises.lookup or a stand-in)
+ * @returns {Promise<Array<String>>} The addresses the host resolved to
+ * @throws {Error} With code EBLOCKED when the host is, or resolves to, a blocked address
+ */
+const checkPublicHost = async (hostname, { label = 'Host', lookup = lookupHost } = {}) => {
+  const host = String(hostname || '').replace(/^\[(.*)\]$/, '$1');
+  const addresses = isIP(host) ? [host] : (await lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+  const blocked = isBlockedWebhookHost(host) ? host : addresses.find(isPrivateAddress);
+
+  if (blocked) {
+    const error = new Error(`${label} ${host} is a private address (${blocked}); only public servers can be used`);
+    error.code = 'EBLOCKED';
+    throw error;
+  }
+
+  return addresses;
+};
+
+/**
+ * Build a `lookup` for net.connect and tls.connect that hands out addresses
+ * already checked instead of resolving the host again
+ * @param {Array<String>} addresses - Addresses returned by checkPublicHost
+ * @returns {Function} dns.lookup-style function
+ */
+const createPinnedLookup = (addresses) => {
+  const entries = addresses.map(address => ({ address, family: isIP(address) }));
+
+  return (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, entries);
+    } else {
+      callback(null, entries[0].address, entries[0].family);
+    }
+  };
+};
+
+export {
+  checkPublicHost,
+  createPinnedLookup
+};
@@ -0,0 +1,284 @@
+import { ImapFlow } from 'imapflow';
+import { connectToDatabase } from './db.js';
+import { decryptSecret } from './senders.js';
+import { stopEnrollment, applyExitRules } from './enrollments.js';
+import { processBounceReports } from './bounces.js';
+import { checkPublicHost } from './publicHosts.js';
+
+/**
+ * Reply detection.
+ *
+ * The recurring `poll replies` job reads the inbox of every sender account
+ * that has an IMAP host. A message whose In-Reply-To or References header
+ * names the Message-ID of an email we sent is a reply: it is recorded as a
+ * `reply` event against that email and the contact's enrollment is stopped,
+ * so the rest of the sequence never goes out, unless the flow has a goal
+ * with a "replied" exit rule, in which case the contact jumps to the goal
+ * instead. Bounce and complaint reports
+ * found in the same inbox are handed to bounces.js instead.
+ *
+ * The IMAP host must resolve to a public address before every read (see
+ * publicHosts.js). Each account remembers how far it has been read
+ * (`replyCursor`). Mailboxes are read through a small reader interface, `{ fetchNewMessages(cursor),
+ * close() }`, so tests can swap the IMAP connection for a local stand-in.
+ */
+
+const DEFAULT_POLL_INTERVAL = '5 minutes';
+
+// How far back the first read of a mailbox looks
+const FIRST_POLL_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const MESSAGE_ID_PATTERN = /<[^<>\s]+>/g;
+
+/**
+ * Pull the Message-IDs out of a header value
+ * @param {String|Array<String>} value - In-Reply-To or References value(s)
+ * @returns {Array<String>} Message-IDs with their angle brackets
+ */
+const extractMessageIds = (value) => {
+  const text = Array.isArray(value) ? value.filter(Boolean).join(' ') : String(value || '');
+  return text.match(MESSAGE_ID_PATTERN) || [];
+};
+
+/**
+ * Read one header from the raw header block IMAP returns
+ * @param {Buffer|String} headers - Raw header lines
+ * @param {String} name - Header name
+ * @returns {String} Header value, empty when missing
+ */
+const readHeader = (headers, name) => {
+  // Unfold continuation lines before reading the value
+  const text = String(headers || '').replace(/\r?\n[ \t]+/g, ' ');
+  const match = text.match(new RegExp(`^${name}:(.*)$`, 'im'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Read the References header from the raw header block IMAP returns
+ * @param {Buffer|String} headers - Raw `References:` header lines
+ * @returns {Array<String>} Referenced Message-IDs
+ */
+const parseReferencesHeader = (headers) => extractMessageIds(readHeader(headers, 'references'));
+
+/**
+ * Create a reader for an IMAP inbox
+ * @param {Object} config - `{ host, port, secure, user, pass }`
+ * @returns {Object} `{ fetchNewMessages(cursor), close() }`
+ */
+const createImapReader = ({ host, port, secure, user, pass }) => {
+  const client = new ImapFlow({ host, port, secure, auth: { user, pass }, logger: false });
+
+  return {
+    /**
+     * Read the messages that arrived since the cursor
+     * @param {Object} cursor - `{ uidValidity, lastUid, since }` from the previous read
+     * @returns {Promise<Object>} `{ messages, cursor }`; bounce and complaint
+     *   reports carry their full source as `raw`
+     */
+    async fetchNewMessages(cursor = {}) {
+      await client.connect();
+      const lock = await client.getMailboxLock('INBOX');
+
+      try {
+        const uidValidity = String(client.mailbox.uidValidity);
+        // UIDs only carry on while UIDVALIDITY stays the same
+        const resumed = cursor.uidValidity === uidValidity && Number.isInteger(cursor.lastUid);
+        const since = cursor.since ? new Date(cursor.since) : new Date(Date.now() - FIRST_POLL_LOOKBACK_MS);
+        const uids = (await client.search(
+          resumed ? { uid: `${cursor.lastUid + 1}:*` } : { since },
+          { uid: true }
+        )) || [];
+        // "n:*" always matches the newest message, even when it was read before
+        const newUids = resumed ? uids.filter(uid => uid > cursor.lastUid) : uids;
+
+        const fetched = newUids.length > 0
+          ? await client.fetchAll(newUids.join(','), { uid: true, envelope: true, headers: ['references', 'content-type'] }, { uid: true })
+          : [];
+
+        const messages = fetched.map(message => ({
+          uid: message.uid,
+          messageId: message.envelope.messageId || null,
+          inReplyTo: message.envelope.inReplyTo || null,
+          references: parseReferencesHeader(message.headers),
+          from: message.envelope.from?.[0]?.address || null,
+          subject: message.envelope.subject || '',
+          date: message.envelope.date || null,
+          isReport: /multipart\/report/i.test(readHeader(message.headers, 'content-type'))
+        }));
+
+        // Only reports are downloaded in full, to read their delivery status
+        for (const message of messages) {
+          if (message.isReport) {
+            const { source } = await client.fetchOne(message.uid, { source: true }, { uid: true });
+            message.raw = source.toString('utf8');
+          }
+          delete message.isReport;
+        }
+
+        const lastUid = Math.max(resumed ? cursor.lastUid : Number(client.mailbox.uidNext) - 1, ...newUids);
+        return { messages, cursor: { uidValidity, lastUid, since: new Date() } };
+      } finally {
+        lock.release();
+      }
+    },
+
+    async close() {
+      try {
+        await client.logout();
+      } catch {
+        client.close();
+      }
+    }
+  };
+};
+
+/**
+ * Record the replies among new messages and stop the enrollments they answer
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} account - Sender account document the messages were read from
+ * @param {Array<Object>} messages - Messages from a mailbox reader
+ * @returns {Promise<Number>} Number of new replies
+ */
+const processReplies = async (db, agenda, account, messages) => {
+  const events = db.collection('emailEvents');
+  let replies = 0;
+
+  for (const message of messages) {
+    // Bounce reports quote the original message's ID too, but are not replies
+    if (message.raw) continue;
+
+    const referenced = extractMessageIds([message.inReplyTo, ...(message.references || [])]);
+    if (referenced.length === 0) continue;
+
+    // Replies may land in any of the user's mailboxes, whichever one sent the original
+    const sent = await events.findOne(
+      { type: 'sent', userId: account.userId, smtpMessageId: { $in: referenced } },
+      { sort: { createdAt: -1 } }
+    );
+    if (!sent) continue;
+
+    // Mailboxes can be read again after a reset; count each reply once
+    const replyMessageId = message.messageId || `${account._id}:${message.uid}`;
+    const result = await events.updateOne(
+      { type: 'reply', replyMessageId },
+      {
+        $setOnInsert: {
+          type: 'reply',
+          messageId: sent._id,
+          replyMessageId,
+          userId: sent.userId,
+          enrollmentId: sent.enrollmentId || null,
+          contactId: sent.contactId || null,
+          flowId: sent.flowId || null,
+          nodeId: sent.nodeId || null,
+          senderId: account._id.toString(),
+          from: message.from || null,
+          subject: message.subject || '',
+          receivedAt: message.date || null,
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) continue;
+
+    replies++;
+    if (sent.enrollmentId) {
+      const reachedGoal = await applyExitRules(db, agenda, { userId: sent.userId, enrollmentId: sent.enrollmentId }, { type: 'replied' });
+      if (!reachedGoal) {
+        await stopEnrollment(db, agenda, sent.enrollmentId, { reason: 'replied', nodeId: sent.nodeId });
+      }
+    }
+  }
+
+  return replies;
+};
+
+/**
+ * Describe why a mailbox could not be read without passing on what the IMAP
+ * server or the socket said, which could reveal other hosts' services
+ * @param {Error} error - Error from connecting, logging in or reading
+ * @returns {String} Message stored on the account
+ */
+const describeReadError = (error) => {
+  if (error.code === 'EBLOCKED') return error.message;
+  if (error.authenticationFailed) return 'The IMAP server rejected the username or password';
+  return 'Could not read the mailbox; check the IMAP host, port and security settings';
+};
+
+/**
+ * Read every mailbox with an IMAP host once and handle the replies, bounces
+ * and complaints found. One mailbox failing to connect does not hold up the others.
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} options - `createReader(config)` to read mailboxes with, defaults to IMAP,
+ *   and `lookup` to resolve their hosts with, for tests
+ * @returns {Promise<Object>} `{ mailboxes, replies, bounces }` counts
+ */
+const pollReplies = async (db, agenda, { createReader = createImapReader, lookup } = {}) => {
+  const accountsCollection = db.collection('senderAccounts');
+  const accounts = await accountsCollection.find({ imapHost: { $nin: [null, ''] } }).toArray();
+  let replies = 0;
+  let bounces = 0;
+
+  for (const account of accounts) {
+    let reader = null;
+
+    try {
+      await checkPublicHost(account.imapHost, { label: 'IMAP host', lookup });
+      reader = createReader({
+        host: account.imapHost,
+        port: account.imapPort,
+        secure: account.imapSecure !== false,
+        user: account.username,
+        pass: decryptSecret(account.password)
+      });
+
+      const { messages, cursor } = await reader.fetchNewMessages(account.replyCursor || {});
+      replies += await processReplies(db, agenda, account, messages);
+      bounces += await processBounceReports(db, agenda, account, messages);
+
+      await accountsCollection.updateOne(
+        { _id: account._id },
+        { $set: { replyCursor: cursor, repliesCheckedAt: new Date(), replyError: null } }
+      );
+    } catch (error) {
+      console.error(`Error checking replies for sender account ${account._id}:`, error);
+      await accountsCollection.updateOne({ _id: account._id }, { $set: { replyError: describeReadError(error) } });
+    } finally {
+      if (reader) {
+        await reader.close();
+      }
+    }
+  }
+
+  return { mailboxes: accounts.length, replies, bounces };
+};
+
+/**
+ * Register the reply polling job and schedule it to recur
+ * @param {Object} agenda - Agenda instance, already started
+ * @param {String} interval - How often to poll, in Agenda's interval format
+ */
+const scheduleReplyPolling = async (agenda, interval = process.env.REPLY_POLL_INTERVAL || DEFAULT_POLL_INTERVAL) => {
+  agenda.define('poll replies', async () => {
+    const { db } = await connectToDatabase();
+    const { mailboxes, replies, bounces } = await pollReplies(db, agenda);
+
+    if (replies > 0 || bounces > 0) {
+      console.log(`Found ${replies} new reply(ies) and ${bounces} bounce(s) or complaint(s) across ${mailboxes} mailbox(es)`);
+    }
+  });
+
+  await agenda.every(interval, 'poll replies');
+};
+
+export {
+  extractMessageIds,
+  parseReferencesHeader,
+  createImapReader,
+  processReplies,
+  pollReplies,
+  scheduleReplyPolling
+};
@@ -0,0 +1,116 @@
+import { MergeFieldSyntaxError } from '../shared/mergeFields.js';
+
+/**
+ * Retry policy for failed sends.
+ *
+ * Transient failures (SMTP 4xx replies, dropped or refused connections,
+ * email API rate limits and server errors) are retried with exponential
+ * backoff until the attempts run out. Permanent failures (SMTP 5xx replies
+ * such as an unknown mailbox, rejected envelopes, requests the email API
+ * refuses, broken merge fields, missing sender accounts, no public URL for
+ * the unsubscribe link) are not retried.
+ * Either way an email that will not be retried is dead-lettered, and can
+ * only be sent again by hand.
+ */
+
+// Network, SMTP client and email API error codes worth trying again later
+const TRANSIENT_ERROR_CODES = [
+  'ECONNECTION',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EDNS',
+  'EAI_AGAIN',
+  'EHTTPRETRY',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ESOCKET',
+  'ETIMEDOUT'
+];
+
+// Errors that will fail the same way however often they are retried
+const PERMANENT_ERROR_CODES = ['EAUTH', 'EBLOCKED', 'EENVELOPE', 'EHTTP', 'EMESSAGE', 'ENOUNSUBSCRIBE', 'ESENDER'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_SECONDS = 60;
+const DEFAULT_MAX_DELAY_SECONDS = 6 * 60 * 60;
+
+/**
+ * Read a positive integer setting
+ * @param {String} value - Raw environment value
+ * @param {Number} fallback - Value used when the setting is missing or invalid
+ * @returns {Number} Parsed setting
+ */
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Read the retry policy from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} `{ maxAttempts, baseDelayMs, maxDelayMs }`
+ */
+const getRetryPolicy = (env = process.env) => ({
+  maxAttempts: readPositiveInt(env.EMAIL_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+  baseDelayMs: readPositiveInt(env.EMAIL_RETRY_BASE_DELAY, DEFAULT_BASE_DELAY_SECONDS) * 1000,
+  maxDelayMs: readPositiveInt(env.EMAIL_RETRY_MAX_DELAY, DEFAULT_MAX_DELAY_SECONDS) * 1000
+});
+
+/**
+ * Decide whether a send error is worth retrying
+ * @param {Error} error - Error thrown while sending
+ * @returns {String} 'transient' or 'permanent'
+ */
+const classifySendError = (error) => {
+  if (error instanceof MergeFieldSyntaxError) {
+    return 'permanent';
+  }
+
+  // SMTP replies: 4xx means try again later, 5xx means the server refuses for good
+  const responseCode = Number(error && error.responseCode);
+  if (responseCode >= 500) return 'permanent';
+  if (responseCode >= 400) return 'transient';
+
+  const code = error && error.code;
+  if (PERMANENT_ERROR_CODES.includes(code)) return 'permanent';
+  if (TRANSIENT_ERROR_CODES.includes(code)) return 'transient';
+
+  // Anything else, such as the transporter failing to start, may clear up by itself
+  return 'transient';
+};
+
+/**
+ * Get the wait before the next attempt
+ * @param {Number} attempt - Number of attempts made so far
+ * @param {Object} policy - Result of getRetryPolicy
+ * @returns {Number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, policy) =>
+  Math.min(policy.baseDelayMs * 2 ** Math.max(attempt - 1, 0), policy.maxDelayMs);
+
+/**
+ * Plan what happens after a failed attempt
+ * @param {Error} error - Error thrown while sending
+ * @param {Number} attempt - Number of attempts made so far, including this one
+ * @param {Object} policy - Result of getRetryPolicy
+ * @param {Date} now - Time of the failure
+ * @returns {Object} `{ errorType, retryAt }` where retryAt is null when the
+ *   email should be dead-lettered
+ */
+const planRetry = (error, attempt, policy = getRetryPolicy(), now = new Date()) => {
+  const errorType = classifySendError(error);
+
+  if (errorType === 'permanent' || attempt >= policy.maxAttempts) {
+    return { errorType, retryAt: null };
+  }
+
+  return { errorType, retryAt: new Date(now.getTime() + getRetryDelay(attempt, policy)) };
+};
+
+export {
+  getRetryPolicy,
+  classifySendError,
+  getRetryDelay,
+  planRetry
+};
@@ -0,0 +1,199 @@
+import { getReplyWaitDays } from '../shared/conditions.js';
+
+/**
+ * Send-time calculation for email sequences.
+ *
+ * Waits accumulate along the compiled sequence path, and every email is then
+ * snapped to the next allowed day and time window from the scheduling options.
+ */
+
+// Map of day names to day numbers (0 = Sunday, 1 = Monday, etc.)
+const DAY_NUMBERS = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6
+};
+
+// How far ahead to look for an allowed sending day before giving up
+const MAX_DAYS_AHEAD = 14;
+
+/**
+ * Parse a "HH:MM" string into minutes since midnight
+ * @param {String} value - Time string
+ * @returns {Number} Minutes since midnight, or NaN when invalid
+ */
+const parseTimeOfDay = (value) => {
+  const [hours, minutes = 0] = String(value).split(':').map(Number);
+  if (!Number.isInteger(hours) || !Number.isInteger(minutes)) {
+    return NaN;
+  }
+  return hours * 60 + minutes;
+};
+
+/**
+ * Apply defaults to the scheduling options sent by the client
+ * @param {Object} schedulingOptions - Options for scheduling (days, time range, start date)
+ * @returns {Object} Options with `startDate` as a Date, the raw values, and parsed
+ *   `windowStart`/`windowEnd` minutes and `dayNumbers`
+ * @throws {Error} When the time range or days are invalid
+ */
+const normalizeSchedulingOptions = (schedulingOptions = {}) => {
+  const options = {
+    startDate: new Date(),
+    fromTime: '09:00',
+    toTime: '17:00',
+    days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    ...schedulingOptions
+  };
+
+  const startDate = options.startDate instanceof Date ?
+    options.startDate :
+    new Date(options.startDate);
+
+  if (isNaN(startDate.getTime())) {
+    throw new Error('Scheduling start date is invalid');
+  }
+
+  const windowStart = parseTimeOfDay(options.fromTime);
+  const windowEnd = parseTimeOfDay(options.toTime);
+
+  if (isNaN(windowStart) || isNaN(windowEnd) || windowStart >= windowEnd) {
+    throw new Error('Scheduling "from" time must be earlier than the "to" time');
+  }
+
+  const dayNumbers = (options.days || [])
+    .map(day => DAY_NUMBERS[String(day).toLowerCase()])
+    .filter(day => day !== undefined);
+
+  if (dayNumbers.length === 0) {
+    throw new Error('At least one sending day must be selected');
+  }
+
+  return {
+    ...options,
+    startDate,
+    windowStart,
+    windowEnd,
+    dayNumbers
+  };
+};
+
+/**
+ * Add a wait duration to a date
+ * @param {Date} date - Date to start from
+ * @param {number} delay - Amount of time to wait
+ * @param {string} unit - Time unit (minutes, hours, days)
+ * @returns {Date} New date after the wait
+ */
+const addDelay = (date, delay, unit) => {
+  const result = new Date(date);
+  const amount = Number(delay) || 0;
+
+  if (unit === 'minutes') {
+    result.setMinutes(result.getMinutes() + amount);
+  } else if (unit === 'hours') {
+    result.setHours(result.getHours() + amount);
+  } else if (unit === 'days') {
+    result.setDate(result.getDate() + amount);
+  }
+
+  return result;
+};
+
+/**
+ * Move a date forward to the next allowed day and time window.
+ * Dates already inside a window are returned unchanged.
+ * @param {Date} date - Earliest acceptable send time
+ * @param {Object} options - Normalized scheduling options
+ * @returns {Date} Send time inside an allowed window
+ * @throws {Error} When no allowed window exists within the look-ahead period
+ */
+const snapToSendingWindow = (date, options) => {
+  const candidate = new Date(date);
+
+  for (let daysChecked = 0; daysChecked <= MAX_DAYS_AHEAD; daysChecked++) {
+    if (options.dayNumbers.includes(candidate.getDay())) {
+      const minuteOfDay = candidate.getHours() * 60 + candidate.getMinutes();
+
+      if (minuteOfDay < options.windowStart) {
+        candidate.setHours(Math.floor(options.windowStart / 60), options.windowStart % 60, 0, 0);
+        return candidate;
+      }
+
+      if (minuteOfDay <= options.windowEnd) {
+        return candidate;
+      }
+    }
+
+    // Try the start of the next day
+    candidate.setDate(candidate.getDate() + 1);
+    candidate.setHours(0, 0, 0, 0);
+  }
+
+  throw new Error('No allowed sending window found for the selected days');
+};
+
+/**
+ * Work out when each email of a compiled sequence should go out.
+ * Walks the path from the entry node, adding up every wait along the way.
+ * Condition and split nodes are followed down every branch, since each contact
+ * may take any of them; an email reached by more than one branch is planned once.
+ * @param {Object} compiled - Result of compileSequence
+ * @param {Object} options - Normalized scheduling options
+ * @param {Object} settings - Planning settings
+ * @param {Boolean} settings.sendNow - Start immediately and ignore the sending windows
+ * @param {Date} settings.now - Current time (defaults to the real clock)
+ * @returns {Array} List of `{ step, sendTime }` for every coldEmail step in path order
+ */
+const planSequence = (compiled, options, { sendNow = false, now = new Date() } = {}) => {
+  const stepsById = new Map(compiled.steps.map(step => [step.id, step]));
+  const planned = [];
+  const visited = new Set();
+
+  const walk = (start, startCursor) => {
+    let step = start;
+    let cursor = startCursor;
+
+    while (step && !visited.has(step.id)) {
+      visited.add(step.id);
+
+      if (step.type === 'waitDelay') {
+        cursor = addDelay(cursor, step.data.delay, step.data.unit);
+      } else if (step.type === 'coldEmail') {
+        const sendTime = sendNow ? new Date(cursor) : snapToSendingWindow(cursor, options);
+        planned.push({ step, sendTime });
+
+        // Following waits count from when this email actually goes out
+        cursor = sendTime;
+      } else if (step.type === 'condition' || step.type === 'split') {
+        if (step.type === 'condition' && step.data.conditionType === 'noReply') {
+          cursor = addDelay(cursor, getReplyWaitDays(step.data), 'days');
+        }
+
+        for (const branch of step.next.slice(1)) {
+          walk(stepsById.get(branch.nodeId), cursor);
+        }
+      }
+
+      step = step.next.length > 0 ? stepsById.get(step.next[0].nodeId) : null;
+    }
+  };
+
+  // Never schedule in the past; immediate sends get a minute of headroom
+  walk(stepsById.get(compiled.entryId), sendNow ?
+    addDelay(now, 1, 'minutes') :
+    new Date(Math.max(options.startDate.getTime(), now.getTime())));
+
+  return planned;
+};
+
+export {
+  addDelay,
+  normalizeSchedulingOptions,
+  planSequence,
+  snapToSendingWindow
+};
@@ -0,0 +1,138 @@
+import { toObjectId } from './db.js';
+import { normalizeSchedulingOptions, snapToSendingWindow } from './scheduling.js';
+
+/**
+ * Sender mailbox rotation and sending limits.
+ *
+ * A flow can send from a pool of sender accounts. Every send reserves the
+ * least recently used mailbox that is under its daily cap and past its
+ * minimum gap, so a large sequence is spread across the pool instead of
+ * going out from one box. Days follow the server clock, like the sending
+ * windows. When every mailbox is busy or capped, the send is pushed back to
+ * when the first one frees up.
+ */
+
+const DEFAULT_DAILY_LIMIT = 50;
+const DEFAULT_MIN_GAP_SECONDS = 60;
+
+/**
+ * Get the day a send counts towards
+ * @param {Date} date - Time of the send
+ * @returns {String} Local date as YYYY-MM-DD
+ */
+const getSendDay = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Get the sending limits of an account, filling in the defaults
+ * @param {Object} account - Sender account document
+ * @returns {Object} `{ dailyLimit, minGapSeconds }`
+ */
+const getSenderLimits = (account) => ({
+  dailyLimit: Number.isInteger(account.dailyLimit) ? account.dailyLimit : DEFAULT_DAILY_LIMIT,
+  minGapSeconds: Number.isInteger(account.minGapSeconds) ? account.minGapSeconds : DEFAULT_MIN_GAP_SECONDS
+});
+
+/**
+ * Count the emails an account has sent today
+ * @param {Object} account - Sender account document
+ * @param {Date} now - Current time
+ * @returns {Number} Sends counted against today's cap
+ */
+const getSentToday = (account, now = new Date()) =>
+  (account.sendDay === getSendDay(now) ? account.sentToday || 0 : 0);
+
+/**
+ * Work out when an account can send again
+ * @param {Object} account - Sender account document
+ * @param {Date} now - Current time
+ * @returns {Date} `now` when the account is free, otherwise the first moment it will be
+ */
+const getSenderAvailableAt = (account, now = new Date()) => {
+  const { dailyLimit } = getSenderLimits(account);
+  let availableAt = account.nextSendAt && account.nextSendAt > now ? new Date(account.nextSendAt) : new Date(now);
+
+  // A capped mailbox waits for the next day
+  if (getSentToday(account, now) >= dailyLimit) {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(0, 0, 0, 0);
+    availableAt = new Date(Math.max(availableAt.getTime(), tomorrow.getTime()));
+  }
+
+  return availableAt;
+};
+
+/**
+ * Atomically claim one send from the least recently used free mailbox of a pool.
+ * The send counts against the cap even if it then fails, since the SMTP server
+ * saw the attempt.
+ * @param {Object} db - MongoDB database
+ * @param {Array<Object>} pool - Sender account documents to choose from
+ * @param {Date} now - Current time
+ * @returns {Object|null} The reserved account, or null when none is free
+ */
+const reserveSender = async (db, pool, now = new Date()) => {
+  const day = getSendDay(now);
+  const sentToday = { $cond: [{ $eq: ['$sendDay', day] }, { $ifNull: ['$sentToday', 0] }, 0] };
+
+  return db.collection('senderAccounts').findOneAndUpdate(
+    {
+      _id: { $in: pool.map(account => account._id) },
+      $or: [{ nextSendAt: null }, { nextSendAt: { $lte: now } }],
+      $expr: { $lt: [sentToday, { $ifNull: ['$dailyLimit', DEFAULT_DAILY_LIMIT] }] }
+    },
+    [{
+      $set: {
+        sentToday: { $add: [sentToday, 1] },
+        sendDay: day,
+        lastSentAt: now,
+        nextSendAt: { $add: [now, { $multiply: [{ $ifNull: ['$minGapSeconds', DEFAULT_MIN_GAP_SECONDS] }, 1000] }] }
+      }
+    }],
+    { sort: { lastSentAt: 1 }, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Work out when a send that found every mailbox busy should run again
+ * @param {Object} db - MongoDB database
+ * @param {Array<Object>} pool - Sender account documents of the email
+ * @param {String} enrollmentId - Enrollment the email belongs to, if any
+ * @param {Date} now - Current time
+ * @returns {Date} When the first mailbox frees up, moved into the flow's sending window
+ */
+const getDeferredSendTime = async (db, pool, enrollmentId, now = new Date()) => {
+  const availableAt = new Date(Math.min(...pool.map(account => getSenderAvailableAt(account, now).getTime())));
+
+  const objectId = toObjectId(enrollmentId);
+  if (!objectId) {
+    return availableAt;
+  }
+
+  const enrollment = await db.collection('enrollments').findOne({ _id: objectId });
+  const run = enrollment && await db.collection('flowRuns').findOne({ _id: enrollment.runId });
+  if (!run || run.sendNow) {
+    return availableAt;
+  }
+
+  try {
+    return snapToSendingWindow(availableAt, normalizeSchedulingOptions(run.schedulingOptions));
+  } catch {
+    // The flow has no window left in the look-ahead period; send as soon as a mailbox is free
+    return availableAt;
+  }
+};
+
+export {
+  DEFAULT_DAILY_LIMIT,
+  DEFAULT_MIN_GAP_SECONDS,
+  getSendDay,
+  getSenderLimits,
+  getSentToday,
+  getSenderAvailableAt,
+  reserveSender,
+  getDeferredSendTime
+};
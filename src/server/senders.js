@@ -0,0 +1,593 @@
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { ObjectId } from 'mongodb';
+import { connectToDatabase, toObjectId } from './db.js';
+import { EMAIL_PATTERN, normalizeEmail } from './leadLists.js';
+import { getNonSmtpTransport } from './transports.js';
+import { checkPublicHost } from './publicHosts.js';
+import { isBlockedWebhookHost } from '../shared/actions.js';
+import { DEFAULT_DAILY_LIMIT, DEFAULT_MIN_GAP_SECONDS, getSenderLimits, getSentToday } from './senderPool.js';
+
+/**
+ * Per-user sender accounts.
+ *
+ * Each user can connect their own SMTP mailboxes in `senderAccounts`.
+ * Passwords are encrypted at rest with AES-256-GCM and never leave the
+ * server. The `send email` job resolves the accounts an email may use,
+ * reserves one of them (see senderPool.js) and reuses one cached
+ * nodemailer transport per account. Accounts with an IMAP host are also
+ * read for replies (see replies.js), logging in with the same credentials.
+ * Both hosts must be public servers; they are checked when saved and
+ * resolved again before every connection (see publicHosts.js).
+ */
+
+const SENDER_ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.SENDER_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-secret-key-change-this')
+  .digest();
+
+const ENCRYPTION_VERSION = 'v1';
+
+const DEFAULT_IMAP_PORT = 993;
+
+// Transports by account ID, rebuilt when the account changes
+const transportCache = new Map();
+
+/**
+ * Error thrown when an email's sender account cannot be used
+ */
+class SenderAccountError extends Error {
+  /**
+   * @param {String} message - Human readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SenderAccountError';
+    // Retrying will not bring a deleted account or a lost key back
+    this.code = 'ESENDER';
+  }
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {String} value - Plain text secret
+ * @returns {String} `v1:iv:tag:ciphertext`, base64 encoded parts
+ */
+const encryptSecret = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', SENDER_ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [ENCRYPTION_VERSION, iv, cipher.getAuthTag(), encrypted]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {String} stored - Value produced by encryptSecret
+ * @returns {String} Plain text secret
+ * @throws {SenderAccountError} When the value was not encrypted with the current key
+ */
+const decryptSecret = (stored) => {
+  const [version, iv, tag, encrypted] = String(stored || '').split(':');
+  if (version !== ENCRYPTION_VERSION || !iv || !tag || encrypted === undefined) {
+    throw new SenderAccountError('Sender password is not stored in a readable format');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SENDER_ENCRYPTION_KEY, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new SenderAccountError('Sender password could not be decrypted; reconnect the account');
+  }
+};
+
+/**
+ * Map a sender account for frontend consumption, without its password
+ * @param {Object} account - Sender account document
+ * @returns {Object} Sender account data
+ */
+const mapSenderAccount = (account) => ({
+  id: account._id.toString(),
+  label: account.label,
+  fromName: account.fromName || '',
+  fromEmail: account.fromEmail,
+  replyTo: account.replyTo || '',
+  host: account.host,
+  port: account.port,
+  secure: !!account.secure,
+  username: account.username,
+  imapHost: account.imapHost || '',
+  imapPort: account.imapPort || DEFAULT_IMAP_PORT,
+  imapSecure: account.imapSecure !== false,
+  isDefault: !!account.isDefault,
+  ...getSenderLimits(account),
+  sentToday: getSentToday(account),
+  lastSentAt: account.lastSentAt || null,
+  lastVerifiedAt: account.lastVerifiedAt || null,
+  repliesCheckedAt: account.repliesCheckedAt || null,
+  replyError: account.replyError || null,
+  lastError: account.lastError || null,
+  createdAt: account.createdAt,
+  updatedAt: account.updatedAt
+});
+
+/**
+ * Format the From header of a sender account
+ * @param {Object} account - Sender account document
+ * @returns {Object|String} Nodemailer address
+ */
+const getFromAddress = (account) =>
+  (account.fromName ? { name: account.fromName, address: account.fromEmail } : account.fromEmail);
+
+/**
+ * Validate and normalize sender account fields from a request
+ * @param {Object} body - Request body
+ * @param {Object} existing - Stored account when updating, whose values fill the gaps
+ * @returns {Object} `{ fields }` to store, or `{ error }`
+ */
+const readSenderFields = (body, existing = {}) => {
+  const value = (key) => (body[key] !== undefined ? body[key] : existing[key]);
+
+  const fromEmail = normalizeEmail(value('fromEmail'));
+  if (!EMAIL_PATTERN.test(fromEmail)) {
+    return { error: 'A valid from address is required' };
+  }
+
+  const replyTo = normalizeEmail(value('replyTo'));
+  if (replyTo && !EMAIL_PATTERN.test(replyTo)) {
+    return { error: 'Reply-to must be a valid email address' };
+  }
+
+  const host = String(value('host') || '').trim();
+  if (!host) {
+    return { error: 'SMTP host is required' };
+  }
+  if (isBlockedWebhookHost(host)) {
+    return { error: 'SMTP host must be a public server, not this machine or a private address' };
+  }
+
+  const port = parseInt(value('port'), 10);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return { error: 'SMTP port must be a number between 1 and 65535' };
+  }
+
+  const dailyLimit = value('dailyLimit') === undefined ? DEFAULT_DAILY_LIMIT : Number(value('dailyLimit'));
+  if (!Number.isInteger(dailyLimit) || dailyLimit < 1) {
+    return { error: 'Daily limit must be a whole number of at least 1' };
+  }
+
+  const minGapSeconds = value('minGapSeconds') === undefined ? DEFAULT_MIN_GAP_SECONDS : Number(value('minGapSeconds'));
+  if (!Number.isInteger(minGapSeconds) || minGapSeconds < 0) {
+    return { error: 'Minimum gap must be a whole number of seconds' };
+  }
+
+  // Reply detection is off until an IMAP host is given
+  const imapHost = String(value('imapHost') || '').trim();
+  const imapPort = value('imapPort') === undefined || value('imapPort') === '' ? DEFAULT_IMAP_PORT : Number(value('imapPort'));
+  if (imapHost && isBlockedWebhookHost(imapHost)) {
+    return { error: 'IMAP host must be a public server, not this machine or a private address' };
+  }
+  if (imapHost && (!Number.isInteger(imapPort) || imapPort < 1 || imapPort > 65535)) {
+    return { error: 'IMAP port must be a number between 1 and 65535' };
+  }
+
+  // Keep the stored password unless a new one is given
+  const password = body.password ? encryptSecret(body.password) : existing.password;
+  if (!password) {
+    return { error: 'SMTP password is required' };
+  }
+
+  return {
+    fields: {
+      label: String(value('label') || '').trim() || fromEmail,
+      fromName: String(value('fromName') || '').trim(),
+      fromEmail,
+      replyTo,
+      host,
+      port,
+      secure: value('secure') === undefined ? port === 465 : !!value('secure'),
+      username: String(value('username') || '').trim() || fromEmail,
+      dailyLimit,
+      minGapSeconds,
+      imapHost,
+      imapPort,
+      imapSecure: value('imapSecure') === undefined ? imapPort === DEFAULT_IMAP_PORT : !!value('imapSecure'),
+      password
+    }
+  };
+};
+
+/**
+ * Get the cached transport of a sender account, creating it when the
+ * account is new or has changed since the transport was built
+ * @param {Object} account - Sender account document
+ * @returns {Object} Nodemailer transport
+ */
+const getSenderTransport = (account) => {
+  // Outside SMTP mode the configured transport delivers, with the account's From and Reply-To
+  const nonSmtpTransport = getNonSmtpTransport();
+  if (nonSmtpTransport) {
+    return nonSmtpTransport;
+  }
+
+  const id = account._id.toString();
+  const version = new Date(account.updatedAt).getTime();
+  const cached = transportCache.get(id);
+
+  if (cached && cached.version === version) {
+    return cached.transport;
+  }
+
+  if (cached) {
+    cached.transport.close();
+  }
+
+  const transport = nodemailer.createTransport({
+    host: account.host,
+    port: account.port,
+    secure: account.secure,
+    auth: {
+      user: account.username,
+      pass: decryptSecret(account.password)
+    }
+  });
+
+  transportCache.set(id, { version, transport });
+  return transport;
+};
+
+/**
+ * Get the transport of a sender account after checking that its SMTP host
+ * still resolves to a public address
+ * @param {Object} account - Sender account document
+ * @param {Object} options - `lookup`, for tests
+ * @returns {Promise<Object>} Nodemailer transport
+ * @throws {Error} With code EBLOCKED when the host resolves to a private address
+ */
+const openSenderTransport = async (account, { lookup } = {}) => {
+  // Outside SMTP mode the account's host is never connected to
+  if (!getNonSmtpTransport()) {
+    await checkPublicHost(account.host, { label: 'SMTP host', lookup });
+  }
+  return getSenderTransport(account);
+};
+
+/**
+ * Close and forget the cached transport of an account
+ * @param {String} id - Sender account ID
+ */
+const clearSenderTransport = (id) => {
+  const cached = transportCache.get(String(id));
+  if (cached) {
+    cached.transport.close();
+    transportCache.delete(String(id));
+  }
+};
+
+/**
+ * Find the sender account an email goes out through
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the email
+ * @param {String} senderId - Account chosen for the email, if any
+ * @returns {Object|null} Sender account, or null to use the server's own mailbox
+ * @throws {SenderAccountError} When the chosen account no longer exists
+ */
+const resolveSenderAccount = async (db, userId, senderId) => {
+  const accounts = db.collection('senderAccounts');
+
+  if (senderId) {
+    const objectId = toObjectId(senderId);
+    const account = objectId && await accounts.findOne({ _id: objectId, userId });
+    if (!account) {
+      throw new SenderAccountError('The sender account for this email no longer exists');
+    }
+    return account;
+  }
+
+  return accounts.findOne({ userId, isDefault: true });
+};
+
+/**
+ * Find the sender accounts an email may rotate through. A sender picked for
+ * the step wins over the flow's pool, which wins over the user's default.
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the email
+ * @param {Object} choice - `{ senderId, senderIds }` from the job data
+ * @returns {Array<Object>} Sender accounts, or an empty list to use the server's own mailbox
+ * @throws {SenderAccountError} When none of the chosen accounts exist anymore
+ */
+const resolveSenderPool = async (db, userId, { senderId, senderIds } = {}) => {
+  const ids = (senderIds || []).map(toObjectId).filter(Boolean);
+
+  if (senderId || ids.length === 0) {
+    const account = await resolveSenderAccount(db, userId, senderId);
+    return account ? [account] : [];
+  }
+
+  // Accounts removed since the flow was scheduled simply drop out of the pool
+  const pool = await db.collection('senderAccounts').find({ _id: { $in: ids }, userId }).toArray();
+  if (pool.length === 0) {
+    throw new SenderAccountError('None of the sender accounts for this email exist anymore');
+  }
+  return pool;
+};
+
+/**
+ * Check that every sender ID belongs to the user
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the accounts
+ * @param {Array<String>} senderIds - Sender IDs to check; empty values are ignored
+ * @returns {String|null} The first unknown ID, or null when all are valid
+ */
+const findUnknownSender = async (db, userId, senderIds) => {
+  const ids = [...new Set(senderIds.filter(Boolean).map(String))];
+
+  for (const id of ids) {
+    const objectId = toObjectId(id);
+    if (!objectId || !await db.collection('senderAccounts').countDocuments({ _id: objectId, userId })) {
+      return id;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find a sender account and verify it belongs to the user
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the account
+ * @param {String} id - Sender account ID
+ * @returns {Object} `{ account }` on success or `{ status, error }` on failure
+ */
+const findOwnedSenderAccount = async (db, userId, id) => {
+  const objectId = toObjectId(id);
+  if (!objectId) {
+    return { status: 400, error: 'Invalid sender account ID format' };
+  }
+
+  const account = await db.collection('senderAccounts').findOne({ _id: objectId });
+  if (!account) {
+    return { status: 404, error: 'Sender account not found' };
+  }
+
+  if (account.userId !== userId) {
+    return { status: 403, error: 'Not authorized to access this sender account' };
+  }
+
+  return { account };
+};
+
+/**
+ * Make an account the user's only default sender
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the account
+ * @param {ObjectId} accountId - Account to make the default
+ */
+const setDefaultSender = async (db, userId, accountId) => {
+  const accounts = db.collection('senderAccounts');
+  await accounts.updateMany({ userId, _id: { $ne: accountId } }, { $set: { isDefault: false } });
+  await accounts.updateOne({ _id: accountId }, { $set: { isDefault: true } });
+};
+
+/**
+ * Create the indexes of the sender accounts collection
+ * @param {Object} db - MongoDB database
+ */
+const ensureSenderAccountIndexes = async (db) => {
+  await db.collection('senderAccounts').createIndex({ userId: 1, isDefault: 1 });
+};
+
+/**
+ * API endpoint to get all sender accounts for the current user
+ * @route GET /api/senders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSenderAccounts = async (req, res) => {
+  try {
+    const { db } = await connectToDatabase();
+    const accounts = await db.collection('senderAccounts')
+      .find({ userId: req.user.id })
+      .sort({ isDefault: -1, label: 1 })
+      .toArray();
+
+    res.status(200).json({ senders: accounts.map(mapSenderAccount) });
+  } catch (error) {
+    console.error('Error fetching sender accounts:', error);
+    res.status(500).json({ error: 'Failed to fetch sender accounts' });
+  }
+};
+
+/**
+ * API endpoint to connect a new SMTP mailbox
+ * @route POST /api/senders
+ * @param {Object} req - Express request object (`label`, `fromName`, `fromEmail`,
+ *   `replyTo`, `host`, `port`, `secure`, `username`, `password`, `dailyLimit`,
+ *   `minGapSeconds`, `isDefault`)
+ * @param {Object} res - Express response object
+ */
+const createSenderAccount = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { fields, error } = readSenderFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { db } = await connectToDatabase();
+    const accounts = db.collection('senderAccounts');
+
+    // The first account becomes the default so it is used without further setup
+    const isFirst = (await accounts.countDocuments({ userId })) === 0;
+    const now = new Date();
+    const result = await accounts.insertOne({
+      ...fields,
+      userId,
+      isDefault: false,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    if (isFirst || req.body.isDefault) {
+      await setDefaultSender(db, userId, result.insertedId);
+    }
+
+    const account = await accounts.findOne({ _id: result.insertedId });
+    res.status(201).json({ message: 'Sender account created successfully', sender: mapSenderAccount(account) });
+  } catch (error) {
+    console.error('Error creating sender account:', error);
+    res.status(500).json({ error: 'Failed to create sender account' });
+  }
+};
+
+/**
+ * API endpoint to update a sender account. The password is only replaced
+ * when a new one is sent.
+ * @route PUT /api/senders/:id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSenderAccount = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { db } = await connectToDatabase();
+    const { account, status, error } = await findOwnedSenderAccount(db, userId, req.params.id);
+    if (!account) {
+      return res.status(status).json({ error });
+    }
+
+    const { fields, error: fieldError } = readSenderFields(req.body, account);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    // A different IMAP server has its own message numbering; start reading it afresh
+    const imapChanged = fields.imapHost !== (account.imapHost || '') || fields.username !== account.username;
+
+    await db.collection('senderAccounts').updateOne(
+      { _id: account._id },
+      {
+        $set: { ...fields, lastError: null, updatedAt: new Date() },
+        ...(imapChanged ? { $unset: { replyCursor: '', replyError: '' } } : {})
+      }
+    );
+
+    if (req.body.isDefault) {
+      await setDefaultSender(db, userId, account._id);
+    }
+
+    clearSenderTransport(account._id);
+
+    const updated = await db.collection('senderAccounts').findOne({ _id: account._id });
+    res.status(200).json({ message: 'Sender account updated successfully', sender: mapSenderAccount(updated) });
+  } catch (error) {
+    console.error('Error updating sender account:', error);
+    res.status(500).json({ error: 'Failed to update sender account' });
+  }
+};
+
+/**
+ * API endpoint to remove a sender account. Emails still queued for it
+ * fail instead of silently going out from another mailbox.
+ * @route DELETE /api/senders/:id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSenderAccount = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { db } = await connectToDatabase();
+    const { account, status, error } = await findOwnedSenderAccount(db, userId, req.params.id);
+    if (!account) {
+      return res.status(status).json({ error });
+    }
+
+    const accounts = db.collection('senderAccounts');
+    await accounts.deleteOne({ _id: account._id });
+    clearSenderTransport(account._id);
+
+    // Hand the default role to another account, if there is one
+    if (account.isDefault) {
+      const next = await accounts.find({ userId }).sort({ createdAt: 1 }).limit(1).next();
+      if (next) {
+        await setDefaultSender(db, userId, next._id);
+      }
+    }
+
+    res.status(200).json({ message: 'Sender account deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting sender account:', error);
+    res.status(500).json({ error: 'Failed to delete sender account' });
+  }
+};
+
+/**
+ * Describe why an account could not be verified without passing on what the
+ * SMTP server or the socket said, which could reveal other hosts' services
+ * @param {Error} error - Error from connecting or logging in
+ * @returns {String} Message for the user
+ */
+const describeVerifyError = (error) => {
+  if (error.code === 'EBLOCKED') return error.message;
+  if (error.code === 'EAUTH') return 'The SMTP server rejected the username or password';
+  return 'Could not connect to the SMTP server; check the host, port and security settings';
+};
+
+/**
+ * API endpoint to check that a sender account can log in to its SMTP server
+ * @route POST /api/senders/:id/verify
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifySenderAccount = async (req, res) => {
+  try {
+    const { db } = await connectToDatabase();
+    const { account, status, error } = await findOwnedSenderAccount(db, req.user.id, req.params.id);
+    if (!account) {
+      return res.status(status).json({ error });
+    }
+
+    let verifyError = null;
+    try {
+      await (await openSenderTransport(account)).verify();
+    } catch (smtpError) {
+      console.error(`Error verifying sender account ${account._id}:`, smtpError);
+      verifyError = describeVerifyError(smtpError);
+    }
+
+    const now = new Date();
+    await db.collection('senderAccounts').updateOne(
+      { _id: account._id },
+      { $set: verifyError ? { lastError: verifyError } : { lastVerifiedAt: now, lastError: null } }
+    );
+
+    res.status(200).json({ success: !verifyError, error: verifyError, verifiedAt: verifyError ? null : now });
+  } catch (error) {
+    console.error('Error verifying sender account:', error);
+    res.status(500).json({ error: 'Failed to verify sender account' });
+  }
+};
+
+export {
+  SenderAccountError,
+  encryptSecret,
+  decryptSecret,
+  mapSenderAccount,
+  getFromAddress,
+  readSenderFields,
+  getSenderTransport,
+  openSenderTransport,
+  describeVerifyError,
+  resolveSenderAccount,
+  resolveSenderPool,
+  findUnknownSender,
+  ensureSenderAccountIndexes,
+  getSenderAccounts,
+  createSenderAccount,
+  updateSenderAccount,
+  deleteSenderAccount,
+  verifySenderAccount
+};
@@ -1,13 +1,101 @@
 import express from 'express';
 import cors from 'cors';
-import { MongoClient, ObjectId } from 'mongodb';
+import { ObjectId } from 'mongodb';
 import Agenda from 'agenda';
-import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { authenticateJWT } from './auth.js';
 import { registerUser, loginUser } from './users.js';
+import { connectToDatabase, shouldCloseClient, toObjectId } from './db.js';
+import {
+  findLeadListContacts,
+  getLeadLists,
+  createLeadList,
+  getLeadList,
+  updateLeadList,
+  deleteLeadList,
+  importLeadListContacts,
+  getLeadListContacts,
+  removeLeadListContact,
+  ensureContactIndexes,
+  normalizeEmail
+} from './leadLists.js';
+import {
+  enrollContacts,
+  ensureEnrollmentIndexes,
+  defineEnrollmentJobs,
+  recordEnrollmentEmail,
+  stopFlowEnrollments,
+  findEnrollmentStatus,
+  holdPausedEmail,
+  createEnrollmentHandlers
+} from './enrollments.js';
+import { scheduleReplyPolling } from './replies.js';
+import { classifySmtpRejection, recordBounce } from './bounces.js';
+import {
+  ensureSuppressionIndexes,
+  findSuppression,
+  findSuppressedEmails,
+  getSuppressions,
+  createSuppression,
+  importSuppressions,
+  exportSuppressions,
+  deleteSuppression
+} from './suppressions.js';
+import { getThreadFields, findThreadParent } from './threading.js';
+import { createTriggerHandlers, ensureTriggerIndexes } from './triggers.js';
+import { ensureSplitTestIndexes } from './splits.js';
+import { defineWebhookJobs, ensureWebhookCallIndexes, getWebhookCalls } from './webhooks.js';
+import {
+  MISSING_BASE_URL_ERROR,
+  addUnsubscribeLink,
+  createUnsubscribeHandlers
+} from './unsubscribes.js';
+import {
+  personalizeEmail,
+  findMergeFieldSyntaxError,
+  validateMergeFieldsHandler
+} from './personalization.js';
+import { extractMergeFields, MergeFieldSyntaxError } from '../shared/mergeFields.js';
+import { renderEmail, normalizeFormat } from '../shared/emailRenderer.js';
+import { normalizeEmailDocument, getEmailBody } from '../shared/emailDocument.js';
+import {
+  getTrackingBaseUrl,
+  ensureEmailEventIndexes,
+  addTracking,
+  recordSentMessage,
+  createTrackingHandlers
+} from './tracking.js';
+import { getAnalyticsSummary, getAnalyticsTimeseries, getFlowFunnel, getFlowSplits } from './analytics.js';
+import { getEmails, updateEmail, deleteEmail, bulkUpdateEmails, retryEmail } from './emails.js';
+import { planRetry } from './retries.js';
+import { reserveSender, getDeferredSendTime } from './senderPool.js';
+import {
+  getTransportName,
+  isDeliveryConfigured,
+  getDefaultFromAddress,
+  createDeliveryTransport,
+  getCapturedMessages,
+  getCapturedMessage,
+  getCapturedMessageRaw,
+  clearCapturedMessages
+} from './transports.js';
+import {
+  getFromAddress,
+  openSenderTransport,
+  resolveSenderAccount,
+  resolveSenderPool,
+  findUnknownSender,
+  ensureSenderAccountIndexes,
+  getSenderAccounts,
+  createSenderAccount,
+  updateSenderAccount,
+  deleteSenderAccount,
+  verifySenderAccount
+} from './senders.js';
+import { compileSequence, SequenceCompileError } from '../shared/sequenceCompiler.js';
+import { normalizeSchedulingOptions, planSequence, addDelay } from './scheduling.js';
 
 // Check if running on Vercel serverless environment
 const isVercelServerless = process.env.VERCEL === '1';
@@ -75,78 +163,12 @@ app.use(cors({
 // Handle preflight requests
 app.options('*', cors());
 
-app.use(express.json());
+// Allow larger bodies so lead list CSV imports fit in a single request
+app.use(express.json({ limit: '5mb' }));
 
 // MongoDB connection string from environment variables
 const MONGODB_URI = process.env.MONGODB_URI;
 
-// Create a cached connection variable for serverless environment
-let cachedClient = null;
-let cachedDb = null;
-
-/**
- * Connect to MongoDB with connection caching for serverless environments
- */
-async function connectToDatabase() {
-  // If we have a cached connection, use it
-  if (cachedClient && cachedDb) {
-    // Check if cached client is still connected with a proper timeout
-    try {
-      // Use a quick timeout for ping to avoid hanging
-      await Promise.race([
-        cachedClient.db().admin().ping(),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Ping timeout')), 2000))
-      ]);
-      
-      // Only log when in non-serverless environment to reduce spam
-      if (!isVercelServerless) {
-        console.log('Using cached MongoDB connection');
-      }
-      return { client: cachedClient, db: cachedDb };
-    } catch (error) {
-      console.log(`Connection check failed: ${error.message}. Creating a new one...`);
-      // Connection is stale, close it safely and create a new one
-      try {
-        await cachedClient.close(true);
-      } catch (closeError) {
-        console.log('Error closing stale connection:', closeError.message);
-      }
-      cachedClient = null;
-      cachedDb = null;
-    }
-  }
-
-  // If no cached connection, create a new one
-  console.log(`[${new Date().toISOString()}] Creating new MongoDB connection`);
-  
-  // Connection options optimized for serverless
-  const options = {
-    serverSelectionTimeoutMS: 10000,
-    connectTimeoutMS: 10000,
-    socketTimeoutMS: 30000,
-    maxPoolSize: 10,
-    minPoolSize: 1,
-    retryWrites: true
-  };
-
-  try {
-    // Connect to database
-    const client = new MongoClient(MONGODB_URI, options);
-    await client.connect();
-    const db = client.db();
-    
-    // Cache the connection
-    cachedClient = client;
-    cachedDb = db;
-    
-    console.log(`[${new Date().toISOString()}] MongoDB connection established successfully`);
-    return { client, db };
-  } catch (error) {
-    console.error('Error connecting to MongoDB:', error.message);
-    throw error;
-  }
-}
-
 // Declare agenda variable to be initialized after MongoDB connection
 let agenda;
 
@@ -160,24 +182,15 @@ let transporter = null;
  * Initialize the email transporter with the current settings
  */
 function initializeTransporter() {
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    console.error('EMAIL_USER or EMAIL_PASS is not set in environment variables');
-    return false;
-  }
-
   try {
-    console.log(`Setting up email transporter with ${process.env.EMAIL_USER} via ${process.env.EMAIL_HOST || 'smtp.gmail.com'}`);
-    
-    transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-      port: parseInt(process.env.EMAIL_PORT || '587', 10),
-      secure: process.env.EMAIL_SECURE === 'true',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      },
-      debug: true // Enable debug output
-    });
+    if (!isDeliveryConfigured()) {
+      console.error(`The ${getTransportName()} email transport is missing its settings in environment variables`);
+      return false;
+    }
+
+    console.log(`Setting up ${getTransportName()} email transporter for ${getDefaultFromAddress()}`);
+    
+    transporter = createDeliveryTransport();
     
     return true;
   } catch (error) {
@@ -216,29 +229,23 @@ app.get('/api/health', async (req, res) => {
   res.status(200).json({ 
     status: 'Server is running', 
     databaseConnected: dbConnected,
+    emailTransport: getTransportName(),
     serverless: isVercelServerless 
   });
 });
 
-/**
- * Helper function to decide whether to close MongoDB client or keep it open
- * In serverless environments, we keep the connection open for reuse
- */
-function shouldCloseClient() {
-  return !isVercelServerless; // Only close in non-serverless environments
-}
-
 /**
  * API endpoint to save a flow configuration
  * @route POST /api/flows
  * @param {string} name - Name of the flow
  * @param {Array} nodes - Flow nodes configuration
  * @param {Array} edges - Flow edges configuration
+ * @param {Array} senderIds - Sender accounts the flow rotates through
  * @returns {Object} Saved flow data with ID
  */
 app.post('/api/flows', authenticateJWT, async (req, res) => {
   try {
-    const { name, nodes, edges } = req.body;
+    const { name, nodes, edges, senderIds } = req.body;
     const userId = req.user.id;
     
     if (!name) {
@@ -249,11 +256,19 @@ app.post('/api/flows', authenticateJWT, async (req, res) => {
     const { client, db } = await connectToDatabase();
     const flowsCollection = db.collection('flows');
     
+    if (senderIds !== undefined && (!Array.isArray(senderIds) || await findUnknownSender(db, userId, senderIds))) {
+      if (shouldCloseClient()) {
+        await client.close();
+      }
+      return res.status(400).json({ error: 'Sender account not found' });
+    }
+    
     // Save the flow
     const result = await flowsCollection.insertOne({
       name,
       nodes,
       edges,
+      senderIds: senderIds || [],
       userId,
       createdAt: new Date(),
       updatedAt: new Date()
@@ -282,12 +297,13 @@ app.post('/api/flows', authenticateJWT, async (req, res) => {
  * @param {string} name - Name of the flow
  * @param {Array} nodes - Flow nodes configuration
  * @param {Array} edges - Flow edges configuration
+ * @param {Array} senderIds - Sender accounts the flow rotates through
  * @returns {Object} Updated flow data
  */
 app.put('/api/flows/:id', authenticateJWT, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, nodes, edges } = req.body;
+    const { name, nodes, edges, senderIds } = req.body;
     const userId = req.user.id;
     
     // Connect to MongoDB
@@ -311,6 +327,13 @@ app.put('/api/flows/:id', authenticateJWT, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to modify this flow' });
     }
     
+    if (senderIds !== undefined && (!Array.isArray(senderIds) || await findUnknownSender(db, userId, senderIds))) {
+      if (shouldCloseClient()) {
+        await client.close();
+      }
+      return res.status(400).json({ error: 'Sender account not found' });
+    }
+    
     // Update the flow
     await flowsCollection.updateOne(
       { _id: new ObjectId(id) },
@@ -319,6 +342,7 @@ app.put('/api/flows/:id', authenticateJWT, async (req, res) => {
           name: name || flow.name,
           nodes: nodes || flow.nodes,
           edges: edges || flow.edges,
+          senderIds: senderIds || flow.senderIds || [],
           updatedAt: new Date()
         } 
       }
@@ -408,6 +432,7 @@ app.get('/api/flows/:id', authenticateJWT, async (req, res) => {
       name: flow.name,
       nodes: flow.nodes,
       edges: flow.edges,
+      senderIds: flow.senderIds || [],
       createdAt: flow.createdAt,
       updatedAt: flow.updatedAt
     });
@@ -452,13 +477,17 @@ app.delete('/api/flows/:id', authenticateJWT, async (req, res) => {
     // Delete the flow
     await flowsCollection.deleteOne({ _id: new ObjectId(id) });
     
+    // Its contacts would otherwise keep going through the snapshot in their flow run
+    const stoppedEnrollments = await stopFlowEnrollments(db, await getAgenda(), { userId, flowId: id }, 'flow deleted');
+    
     if (shouldCloseClient()) {
       await client.close();
     }
     
     res.status(200).json({
       message: 'Flow deleted successfully',
-      flowId: id
+      flowId: id,
+      stoppedEnrollments
     });
   } catch (error) {
     console.error('Error deleting flow:', error);
@@ -472,13 +501,19 @@ app.delete('/api/flows/:id', authenticateJWT, async (req, res) => {
  * @param {string} name - Name of the template
  * @param {string} subject - Email subject
  * @param {string} body - Email body content
+ * @param {Object} bodyDoc - Block editor document; takes precedence over body
+ * @param {string} format - Body format ('html' renders markdown, 'plain' sends text only)
  * @returns {Object} Saved template data with ID
  */
 app.post('/api/templates', authenticateJWT, async (req, res) => {
   try {
-    const { name, subject, body } = req.body;
+    const { name, subject, format } = req.body;
     const userId = req.user.id;
     
+    // Block editor documents are stored alongside the markdown body they produce
+    const bodyDoc = normalizeEmailDocument(req.body.bodyDoc);
+    const body = getEmailBody({ body: req.body.body, bodyDoc });
+    
     if (!name || !subject || !body) {
       return res.status(400).json({ error: 'Template name, subject, and body are required' });
     }
@@ -492,6 +527,8 @@ app.post('/api/templates', authenticateJWT, async (req, res) => {
       name,
       subject,
       body,
+      bodyDoc,
+      format: normalizeFormat(format),
       userId,
       createdAt: new Date(),
       updatedAt: new Date()
@@ -527,7 +564,7 @@ app.get('/api/templates', authenticateJWT, async (req, res) => {
     
     // Get all templates for the user
     const templates = await templatesCollection.find({ userId })
-      .project({ name: 1, subject: 1, createdAt: 1, updatedAt: 1 })
+      .project({ name: 1, subject: 1, format: 1, createdAt: 1, updatedAt: 1 })
       .sort({ updatedAt: -1 })
       .toArray();
     
@@ -540,6 +577,7 @@ app.get('/api/templates', authenticateJWT, async (req, res) => {
       id: template._id.toString(),
       name: template.name,
       subject: template.subject,
+      format: normalizeFormat(template.format),
       createdAt: template.createdAt,
       updatedAt: template.updatedAt
     }));
@@ -598,6 +636,7 @@ app.get('/api/templates/:id', authenticateJWT, async (req, res) => {
     // Include id for frontend consumption
     const mappedTemplate = {
       ...template,
+      format: normalizeFormat(template.format),
       id: template._id.toString()
     };
     
@@ -662,6 +701,55 @@ app.delete('/api/templates/:id', authenticateJWT, async (req, res) => {
   }
 });
 
+// Lead list and contact routes - JWT required
+app.get('/api/lead-lists', authenticateJWT, getLeadLists);
+app.post('/api/lead-lists', authenticateJWT, createLeadList);
+app.get('/api/lead-lists/:id', authenticateJWT, getLeadList);
+app.put('/api/lead-lists/:id', authenticateJWT, updateLeadList);
+app.delete('/api/lead-lists/:id', authenticateJWT, deleteLeadList);
+app.post('/api/lead-lists/:id/import', authenticateJWT, importLeadListContacts);
+app.get('/api/lead-lists/:id/contacts', authenticateJWT, getLeadListContacts);
+app.delete('/api/lead-lists/:id/contacts/:contactId', authenticateJWT, removeLeadListContact);
+
+// Merge field routes - JWT required
+app.post('/api/merge-fields/validate', authenticateJWT, validateMergeFieldsHandler);
+
+// Analytics routes - JWT required
+app.get('/api/analytics/summary', authenticateJWT, getAnalyticsSummary);
+app.get('/api/analytics/timeseries', authenticateJWT, getAnalyticsTimeseries);
+app.get('/api/analytics/flows/:id/funnel', authenticateJWT, getFlowFunnel);
+app.get('/api/analytics/flows/:id/splits', authenticateJWT, getFlowSplits);
+
+// Webhook call log routes - JWT required
+app.get('/api/webhook-calls', authenticateJWT, getWebhookCalls);
+
+// Scheduled email routes - JWT required
+app.get('/api/emails', authenticateJWT, getEmails);
+app.post('/api/emails/bulk', authenticateJWT, bulkUpdateEmails);
+app.put('/api/emails/:id', authenticateJWT, updateEmail);
+app.delete('/api/emails/:id', authenticateJWT, deleteEmail);
+app.post('/api/emails/:id/retry', authenticateJWT, retryEmail);
+
+// Capture mailbox routes - JWT required, only answer when EMAIL_TRANSPORT=capture
+app.get('/api/mailbox', authenticateJWT, getCapturedMessages);
+app.get('/api/mailbox/:id', authenticateJWT, getCapturedMessage);
+app.get('/api/mailbox/:id/raw', authenticateJWT, getCapturedMessageRaw);
+app.delete('/api/mailbox', authenticateJWT, clearCapturedMessages);
+
+// Suppression list routes - JWT required
+app.get('/api/suppressions', authenticateJWT, getSuppressions);
+app.post('/api/suppressions', authenticateJWT, createSuppression);
+app.post('/api/suppressions/import', authenticateJWT, importSuppressions);
+app.get('/api/suppressions/export', authenticateJWT, exportSuppressions);
+app.delete('/api/suppressions/:id', authenticateJWT, deleteSuppression);
+
+// Sender account routes - JWT required
+app.get('/api/senders', authenticateJWT, getSenderAccounts);
+app.post('/api/senders', authenticateJWT, createSenderAccount);
+app.put('/api/senders/:id', authenticateJWT, updateSenderAccount);
+app.delete('/api/senders/:id', authenticateJWT, deleteSenderAccount);
+app.post('/api/senders/:id/verify', authenticateJWT, verifySenderAccount);
+
 /**
  * Initialize Agenda scheduling system with improved connection handling
  */
@@ -692,56 +780,208 @@ const initializeAgenda = async () => {
 
     // Define Agenda job for sending emails
     agenda.define('send email', async (job) => {
-      const { to, subject, body, userId } = job.attrs.data;
+      const { to, subject, body, format, userId, contactId, enrollmentId, flowId, nodeId, senderId, senderIds, replyToPrevious, splits } = job.attrs.data;
+      const attempt = (job.attrs.data.attempts || 0) + 1;
       
       try {
         console.log(`[${new Date().toISOString()}] Attempting to send email to ${to} with subject "${subject}"`);
         
-        // Verify we have a transporter
-        if (!transporter) {
-          console.log('Transporter not available, initializing...');
-          if (!initializeTransporter()) {
-            throw new Error('Failed to initialize email transporter');
+        const { db } = await connectToDatabase();
+        
+        // The contact replied or was otherwise taken out of the sequence after this email was queued
+        const enrollmentStatus = enrollmentId ? await findEnrollmentStatus(db, enrollmentId) : null;
+        if (enrollmentStatus === 'stopped') {
+          console.log(`Enrollment ${enrollmentId} was stopped, not sending email to ${to}`);
+          job.attrs.data.skippedReason = 'Enrollment stopped';
+          return;
+        }
+        
+        // Paused contacts get nothing until they are resumed
+        if (enrollmentStatus === 'paused') {
+          holdPausedEmail(job);
+          console.log(`Enrollment ${enrollmentId} is paused, holding email to ${to} until ${job.attrs.nextRunAt.toISOString()}`);
+          return;
+        }
+        
+        // Addresses that bounced, complained or unsubscribed never get another email
+        const suppression = await findSuppression(db, userId, to);
+        if (suppression) {
+          console.log(`${to} is suppressed (${suppression.reason}), not sending email`);
+          job.attrs.data.skippedReason = `Address suppressed (${suppression.reason})`;
+          if (enrollmentId) {
+            await recordEnrollmentEmail(db, enrollmentId, { nodeId, action: 'email skipped: address suppressed' });
           }
+          return;
         }
         
-        // Verify transporter is working with a test
-        await new Promise((resolve, reject) => {
-          transporter.verify(function (error) {
-            if (error) {
-              console.error('Transporter verification failed:', error);
-              reject(error);
-            } else {
-              console.log('Transporter is ready to send messages');
-              resolve();
+        // Send through the user's own mailboxes when any are chosen or one is set as their default
+        const pool = await resolveSenderPool(db, userId, { senderId, senderIds });
+        const sender = pool.length > 0 ? await reserveSender(db, pool) : null;
+        let mailer;
+        
+        // Every mailbox is capped or sent too recently: wait for one instead of counting a failed attempt
+        if (pool.length > 0 && !sender) {
+          job.attrs.nextRunAt = await getDeferredSendTime(db, pool, enrollmentId);
+          console.log(`All sender accounts are at their limits, deferring email to ${to} until ${job.attrs.nextRunAt.toISOString()}`);
+          return;
+        }
+        
+        if (sender) {
+          mailer = await openSenderTransport(sender);
+        } else {
+          // Verify we have a transporter
+          if (!transporter) {
+            console.log('Transporter not available, initializing...');
+            if (!initializeTransporter()) {
+              throw new Error('Failed to initialize email transporter');
             }
+          }
+          
+          // Verify transporter is working with a test
+          await new Promise((resolve, reject) => {
+            transporter.verify(function (error) {
+              if (error) {
+                console.error('Transporter verification failed:', error);
+                reject(error);
+              } else {
+                console.log('Transporter is ready to send messages');
+                resolve();
+              }
+            });
           });
-        });
+          mailer = transporter;
+        }
 
-        const info = await transporter.sendMail({
-          from: process.env.EMAIL_USER,
+        // Fill in merge fields for this recipient
+        const personalized = await personalizeEmail(db, { to, subject, body, contactId, format });
+        
+        // Build the HTML part and its plain-text alternative (plain mode sends text only)
+        const rendered = renderEmail({ body: personalized.body, format });
+        
+        // Follow-ups sent as replies continue the thread of the enrollment's previous email
+        const threadParent = replyToPrevious ? await findThreadParent(db, { enrollmentId, to }) : null;
+        const thread = threadParent ? getThreadFields(threadParent) : null;
+        const sentSubject = thread ? thread.subject : personalized.subject;
+        
+        // Track opens and clicks on HTML emails through the server's public URL
+        const messageId = new ObjectId();
+        const trackingBaseUrl = getTrackingBaseUrl();
+        const tracked = rendered.html && trackingBaseUrl
+          ? addTracking(rendered.html, { baseUrl: trackingBaseUrl, messageId })
+          : { html: rendered.html, links: [] };
+        
+        // Every email needs an unsubscribe link; without a public URL this throws and the email is dead-lettered.
+        // The footer goes in after tracking so its link is not rewritten
+        const content = addUnsubscribeLink({ html: tracked.html, text: rendered.text }, trackingBaseUrl, messageId);
+
+        const info = await mailer.sendMail({
+          // Only read by the capture transport, to keep each user's mailbox apart
+          userId,
+          from: sender ? getFromAddress(sender) : getDefaultFromAddress(),
+          ...(sender && sender.replyTo ? { replyTo: sender.replyTo } : {}),
           to,
-          subject,
-          text: body,
-          html: `<div>${body}</div>`
+          subject: sentSubject,
+          ...(thread ? { inReplyTo: thread.inReplyTo, references: thread.references } : {}),
+          text: content.text,
+          ...(content.html ? { html: content.html } : {}),
+          headers: content.headers
+        });
+        
+        await recordSentMessage(db, {
+          messageId,
+          userId,
+          to,
+          subject: sentSubject,
+          smtpMessageId: info.messageId,
+          references: thread ? thread.references : [],
+          enrollmentId: enrollmentId || null,
+          contactId: contactId || null,
+          flowId: flowId || null,
+          nodeId: nodeId || null,
+          senderId: sender ? sender._id.toString() : null,
+          splits: splits || [],
+          links: tracked.links
         });
 
         console.log(`Email sent: ${info.messageId} by user ${userId}`);
         console.log('Email response:', JSON.stringify(info));
+        
+        if (enrollmentId) {
+          await recordEnrollmentEmail(db, enrollmentId, { nodeId, action: 'email sent', messageId: info.messageId });
+        }
+        
+        // Agenda saves the job data when the job finishes
+        Object.assign(job.attrs.data, { attempts: attempt, sentAt: new Date(), lastError: null, errorType: null });
+        
         return info;
       } catch (error) {
-        console.error(`Error sending email to ${to}:`, error);
+        console.error(`Error sending email to ${to} (attempt ${attempt}):`, error);
         
-        // Try to reinitialize the transporter on error
-        console.log('Attempting to reinitialize email transporter...');
-        initializeTransporter();
+        // Transient failures are retried later; the rest are dead-lettered
+        const { errorType, retryAt } = planRetry(error, attempt);
+        Object.assign(job.attrs.data, { attempts: attempt, lastError: error.message, errorType });
+        
+        if (retryAt) {
+          job.attrs.nextRunAt = retryAt;
+          console.log(`Retrying email to ${to} at ${retryAt.toISOString()}`);
+        } else {
+          job.attrs.data.deadLetteredAt = new Date();
+          console.log(`Email to ${to} moved to dead letter after ${attempt} attempt(s)`);
+        }
+        
+        // The receiving server refused the recipient; soft bounces only count once they stop being retried
+        const { db } = await connectToDatabase();
+        const bounce = retryAt ? null : classifySmtpRejection(error);
+        
+        if (enrollmentId) {
+          // A hard bounce stops the enrollment below instead of failing it
+          await recordEnrollmentEmail(db, enrollmentId, retryAt
+            ? { nodeId, action: `email retry ${attempt} scheduled`, reason: error.message, retryAt }
+            : bounce && bounce.type === 'hard'
+              ? { nodeId, action: 'email bounced', reason: error.message }
+              : { nodeId, action: 'email failed', error: error.message });
+        }
+        
+        if (bounce) {
+          await recordBounce(db, agenda, {
+            userId,
+            email: to,
+            ...bounce,
+            source: 'smtp',
+            original: { enrollmentId, contactId, flowId, nodeId }
+          });
+        }
+        
+        // Try to reinitialize the transporter on error; sender account transports are rebuilt when edited
+        if (!senderId && !senderIds?.length) {
+          console.log('Attempting to reinitialize email transporter...');
+          initializeTransporter();
+        }
         
         throw error;
       }
     });
 
+    // Define the job that walks each enrollment through its flow
+    defineEnrollmentJobs(agenda);
+    
+    // Define the job that calls webhook nodes' URLs
+    defineWebhookJobs(agenda);
+    
+    await ensureEmailEventIndexes(db);
+    await ensureContactIndexes(db);
+    await ensureSenderAccountIndexes(db);
+    await ensureSuppressionIndexes(db);
+    await ensureSplitTestIndexes(db);
+    await ensureWebhookCallIndexes(db);
+    await ensureEnrollmentIndexes(db);
+    await ensureTriggerIndexes(db);
+
     await agenda.start();
     console.log('Agenda started successfully');
+    
+    // Check connected mailboxes for replies in the background
+    await scheduleReplyPolling(agenda);
     agendaInitialized = true;
     return agenda;
   } catch (error) {
@@ -751,6 +991,63 @@ const initializeAgenda = async () => {
   }
 };
 
+/**
+ * Get the Agenda instance, initializing it first if needed
+ * @returns {Object} Initialized Agenda instance
+ */
+const getAgenda = async () => {
+  if (!agenda || !agendaInitialized) {
+    await initializeAgenda();
+  }
+  
+  if (!agenda) {
+    throw new Error('Scheduling service is not available');
+  }
+  
+  return agenda;
+};
+
+// Enrollment routes - JWT required
+const {
+  getEnrollments,
+  getEnrollment,
+  pauseEnrollment,
+  resumeEnrollment,
+  postEnrollmentEvent
+} = createEnrollmentHandlers(getAgenda);
+
+app.get('/api/enrollments', authenticateJWT, getEnrollments);
+app.post('/api/enrollments/events', authenticateJWT, postEnrollmentEvent);
+app.get('/api/enrollments/:id', authenticateJWT, getEnrollment);
+app.post('/api/enrollments/:id/pause', authenticateJWT, pauseEnrollment);
+app.post('/api/enrollments/:id/resume', authenticateJWT, resumeEnrollment);
+
+// Flow trigger routes - JWT required, except the inbound webhook whose signed URL stands in for it
+const {
+  getFlowTrigger,
+  updateFlowTrigger,
+  enrollFlowContact,
+  receiveFlowWebhook
+} = createTriggerHandlers(getAgenda);
+
+app.get('/api/flows/:id/trigger', authenticateJWT, getFlowTrigger);
+app.put('/api/flows/:id/trigger', authenticateJWT, updateFlowTrigger);
+app.post('/api/flows/:id/enroll', authenticateJWT, enrollFlowContact);
+// Signup forms post form-encoded fields rather than JSON
+app.post('/hooks/flows/:token', express.urlencoded({ extended: false, limit: '100kb' }), receiveFlowWebhook);
+
+// Open and click tracking routes - public, they are hit from recipients' mail clients
+const { trackOpen, trackClick } = createTrackingHandlers(getAgenda);
+
+app.get('/t/open/:token', trackOpen);
+app.get('/t/click/:token', trackClick);
+
+// Unsubscribe routes - public, they are hit from recipients' mail clients
+const { showUnsubscribePage, unsubscribe } = createUnsubscribeHandlers(getAgenda);
+
+app.get('/u/:token', showUnsubscribePage);
+app.post('/u/:token', unsubscribe);
+
 // Define protected routes - JWT required for these routes
 // FIX: Change the middleware application to avoid path-to-regexp issues
 // Instead of applying to all '/api' routes, apply to specific protected endpoints
@@ -761,6 +1058,9 @@ const initializeAgenda = async () => {
  * @param {string} to - Email recipient
  * @param {string} subject - Email subject
  * @param {string} body - Email content
+ * @param {Object} bodyDoc - Block editor document; takes precedence over body
+ * @param {string} format - Body format ('html' or 'plain')
+ * @param {string} senderId - Sender account to send from (defaults to the user's default account)
  * @param {number} delay - Time delay before sending
  * @param {string} unit - Time unit (minutes, hours, days)
  * @returns {Object} Scheduling confirmation with time
@@ -769,15 +1069,36 @@ app.post('/api/schedule-email', authenticateJWT, async (req, res) => {
   try {
     console.log(`[${new Date().toISOString()}] Received request to schedule email`);
     
-    // First, verify email settings are configured
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-      console.error('EMAIL_USER or EMAIL_PASS is not set in environment variables');
+    const { to, subject, format, delay, unit, senderId } = req.body;
+    const body = getEmailBody(req.body);
+    const userId = req.user.id;
+    
+    // Emails go out through the chosen or default sender account, or else the server's own mailbox
+    const { db: senderDb } = await connectToDatabase();
+    if (senderId && await findUnknownSender(senderDb, userId, [senderId])) {
+      return res.status(400).json({ error: 'Sender account not found' });
+    }
+    
+    const suppression = to ? await findSuppression(senderDb, userId, to) : null;
+    if (suppression) {
+      return res.status(400).json({ error: `${to} is on your suppression list (${suppression.reason})` });
+    }
+    
+    const sender = await resolveSenderAccount(senderDb, userId, senderId);
+    if (!sender && !isDeliveryConfigured()) {
+      console.error(`The ${getTransportName()} email transport is missing its settings in environment variables`);
       return res.status(500).json({ 
         error: 'Email configuration is missing', 
-        details: 'The server is not configured with valid email credentials'
+        details: 'Connect a sender account, or configure the server with valid email credentials'
       });
     }
     
+    // Every email carries an unsubscribe link, which needs the server's public URL
+    if (!getTrackingBaseUrl()) {
+      console.error(MISSING_BASE_URL_ERROR);
+      return res.status(500).json({ error: 'Email configuration is missing', details: MISSING_BASE_URL_ERROR });
+    }
+    
     // Make sure Agenda is initialized before using it
     if (!agenda || !agendaInitialized) {
       console.log('Agenda not initialized, initializing now...');
@@ -789,20 +1110,21 @@ app.post('/api/schedule-email', authenticateJWT, async (req, res) => {
       return res.status(503).json({ error: 'Scheduling service is not available' });
     }
     
-    const { to, subject, body, delay, unit } = req.body;
-    const userId = req.user.id;
+    // Reject malformed merge fields now rather than when the job runs
+    try {
+      extractMergeFields(subject);
+      extractMergeFields(body);
+    } catch (mergeError) {
+      if (mergeError instanceof MergeFieldSyntaxError) {
+        return res.status(400).json({ error: mergeError.message });
+      }
+      throw mergeError;
+    }
     
     console.log(`Scheduling email to: ${to}, subject: ${subject}, delay: ${delay} ${unit}`);
     
     // Calculate when to send the email
-    let sendTime = new Date();
-    if (unit === 'minutes') {
-      sendTime.setMinutes(sendTime.getMinutes() + delay);
-    } else if (unit === 'hours') {
-      sendTime.setHours(sendTime.getHours() + delay);
-    } else if (unit === 'days') {
-      sendTime.setDate(sendTime.getDate() + delay);
-    }
+    const sendTime = addDelay(new Date(), delay, unit);
     
     console.log(`Email will be sent at: ${sendTime.toISOString()}`);
     
@@ -811,7 +1133,7 @@ app.post('/api/schedule-email', authenticateJWT, async (req, res) => {
       await connectToDatabase();
       
       // Verify transporter is working
-      if (!transporter) {
+      if (!sender && !transporter) {
         console.log('Email transporter not initialized, initializing now...');
         if (!initializeTransporter()) {
           return res.status(500).json({ error: 'Failed to initialize email service' });
@@ -823,7 +1145,9 @@ app.post('/api/schedule-email', authenticateJWT, async (req, res) => {
         to,
         subject,
         body,
-        userId
+        format: normalizeFormat(format),
+        userId,
+        senderId: senderId || null
       });
       
       console.log(`Job scheduled with ID: ${job.attrs._id}`);
@@ -857,7 +1181,9 @@ app.post('/api/schedule-email', authenticateJWT, async (req, res) => {
           to,
           subject,
           body,
-          userId
+          format: normalizeFormat(format),
+          userId,
+          senderId: senderId || null
         });
         
         res.status(200).json({ 
@@ -877,14 +1203,78 @@ app.post('/api/schedule-email', authenticateJWT, async (req, res) => {
 
 /**
  * API endpoint to schedule an entire email sequence
+ * The flow graph is compiled on the server by following its edges, so the
+ * order of the submitted nodes does not matter.
  * @route POST /api/schedule-sequence
- * @param {Array} sequence - Array of email sequence nodes
+ * @param {Array} nodes - Flow nodes (ReactFlow format)
+ * @param {Array} edges - Flow edges (ReactFlow format)
+ * @param {string} flowId - Saved flow to schedule when nodes and edges are not sent
+ * @param {Array} senderIds - Sender accounts to rotate through for steps that do not pick their own
  * @param {Object} schedulingOptions - Options for scheduling (days, time range, start date)
  * @param {Boolean} sendNow - Whether to send the emails immediately
  * @returns {Object} Array of scheduled emails with times
  */
 app.post('/api/schedule-sequence', authenticateJWT, async (req, res) => {
   try {
+    const { flowId, schedulingOptions, sendNow } = req.body;
+    let { nodes, edges, senderIds } = req.body;
+    const userId = req.user.id;
+    const scheduledEmails = [];
+    
+    // The flow ID ends up on the run and every enrollment, so it must be one of the user's flows
+    // even when the graph itself was submitted
+    if (flowId !== undefined && flowId !== null) {
+      const flowObjectId = typeof flowId === 'string' ? toObjectId(flowId) : null;
+      if (!flowObjectId) {
+        return res.status(400).json({ error: 'Invalid flow ID format' });
+      }
+
+      const { db } = await connectToDatabase();
+      const flow = await db.collection('flows').findOne({ _id: flowObjectId });
+
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+
+      if (flow.userId !== userId) {
+        return res.status(403).json({ error: 'Not authorized to schedule this flow' });
+      }
+
+      // Fall back to the saved flow when the graph itself was not submitted
+      if (!nodes) {
+        nodes = flow.nodes;
+        edges = flow.edges;
+        senderIds = senderIds ?? flow.senderIds;
+      }
+    }
+    
+    if (!Array.isArray(nodes)) {
+      return res.status(400).json({ error: 'Flow nodes and edges are required to schedule a sequence' });
+    }
+    
+    // Every email carries an unsubscribe link, which needs the server's public URL
+    if (!getTrackingBaseUrl()) {
+      console.error(MISSING_BASE_URL_ERROR);
+      return res.status(500).json({ error: 'Email configuration is missing', details: MISSING_BASE_URL_ERROR });
+    }
+    
+    // Compile the graph into an ordered sequence, rejecting loops and disconnected nodes
+    let entryId;
+    let sequence;
+    try {
+      ({ entryId, steps: sequence } = compileSequence({ nodes, edges }));
+    } catch (compileError) {
+      if (compileError instanceof SequenceCompileError) {
+        return res.status(400).json({ error: compileError.message, nodeIds: compileError.nodeIds });
+      }
+      throw compileError;
+    }
+    
+    const mergeFieldError = findMergeFieldSyntaxError(sequence);
+    if (mergeFieldError) {
+      return res.status(400).json({ error: mergeFieldError.message, nodeIds: [mergeFieldError.nodeId] });
+    }
+    
     // Make sure Agenda is initialized before using it
     if (!agenda || !agendaInitialized) {
       await initializeAgenda();
@@ -894,198 +1284,125 @@ app.post('/api/schedule-sequence', authenticateJWT, async (req, res) => {
       return res.status(503).json({ error: 'Scheduling service is not available' });
     }
     
-    const { sequence, schedulingOptions, sendNow } = req.body;
-    const userId = req.user.id;
-    const scheduledEmails = [];
+    // Work out send times: waits add up along the path, then snap to the sending window
+    let options;
+    let plannedEmails;
+    try {
+      options = normalizeSchedulingOptions(schedulingOptions);
+      plannedEmails = planSequence({ entryId, steps: sequence }, options, { sendNow: !!sendNow });
+    } catch (planError) {
+      return res.status(400).json({ error: planError.message });
+    }
     
-    // If sendNow is true, send all emails immediately
-    if (sendNow) {
-      let hasValidEmails = false;
-      let hasMissingRecipients = false;
+    // Make sure we have a database connection for agenda operations
+    const { db } = await connectToDatabase();
+    
+    if (senderIds !== undefined && senderIds !== null && !Array.isArray(senderIds)) {
+      return res.status(400).json({ error: 'senderIds must be an array' });
+    }
+    
+    const stepSenderIds = sequence.map(step => step.data?.senderId);
+    if (await findUnknownSender(db, userId, [...(senderIds || []), ...stepSenderIds])) {
+      return res.status(400).json({ error: 'Sender account not found' });
+    }
+    
+    // A lead source with a list enrolls every contact in it; otherwise each node's recipient is used
+    const leadSource = sequence.find(step => step.type === 'leadSource' && step.data?.leadListId);
+    let contacts = null;
+    let suppressedContacts = 0;
+    
+    if (leadSource) {
+      contacts = await findLeadListContacts(db, userId, leadSource.data.leadListId);
       
-      console.log('Immediate send mode selected. Processing sequence with', sequence.length, 'items');
+      if (contacts.length === 0) {
+        return res.status(400).json({ 
+          error: `The lead list selected in the "${leadSource.data.label || 'Lead Source'}" node has no contacts.`,
+          message: sendNow ? 'Failed to send emails' : 'Failed to schedule emails'
+        });
+      }
       
-      // Make sure we have a database connection for agenda operations
-      await connectToDatabase();
+      // Contacts on the suppression list are left out of the sequence altogether
+      const suppressed = await findSuppressedEmails(db, userId, contacts.map(contact => contact.email));
+      suppressedContacts = contacts.length;
+      contacts = contacts.filter(contact => !suppressed.has(normalizeEmail(contact.email)));
+      suppressedContacts -= contacts.length;
       
-      for (const item of sequence) {
-        if (item.type === 'coldEmail') {
-          // Validate that recipient exists
-          if (!item.data?.recipient) {
-            console.warn('Missing recipient in email node:', item.id);
-            hasMissingRecipients = true;
-            continue; // Skip this item
-          }
-          
-          hasValidEmails = true;
-          
-          // Log the data we're processing
-          console.log('Scheduling immediate email to:', item.data.recipient, 
-                     'Subject:', item.data.subject?.substring(0, 30));
-          
-          // Schedule for immediate sending (within the next minute)
-          const sendTime = new Date();
-          sendTime.setMinutes(sendTime.getMinutes() + 1);  // Add a minute to ensure it's in the future
-          
-          try {
-            // Schedule the email with error handling
-            await agenda.schedule(sendTime, 'send email', {
-              to: item.data.recipient,
-              subject: item.data.subject || 'No Subject',
-              body: item.data.body || '',
-              userId
-            });
-            
-            scheduledEmails.push({
-              email: item.data.recipient,
-              subject: item.data.subject || 'No Subject',
-              scheduledFor: sendTime
-            });
-            
-            console.log('Successfully scheduled immediate email to:', item.data.recipient);
-          } catch (err) {
-            console.error('Error scheduling individual email:', err);
-            
-            // If there's a connection error, try to reinitialize Agenda
-            if (err.name === 'MongoNotConnectedError') {
-              console.log('Attempting to reconnect to MongoDB for Agenda...');
-              await initializeAgenda();
-              
-              // Try to schedule the email again after reconnection
-              try {
-                await agenda.schedule(sendTime, 'send email', {
-                  to: item.data.recipient,
-                  subject: item.data.subject || 'No Subject',
-                  body: item.data.body || '',
-                  userId
-                });
-                
-                scheduledEmails.push({
-                  email: item.data.recipient,
-                  subject: item.data.subject || 'No Subject',
-                  scheduledFor: sendTime
-                });
-                
-                console.log('Successfully scheduled email after reconnection');
-              } catch (retryErr) {
-                console.error('Failed to schedule email after reconnection:', retryErr);
-              }
-            }
-          }
-        }
+      if (contacts.length === 0) {
+        return res.status(400).json({ 
+          error: `Every contact in the lead list selected in the "${leadSource.data.label || 'Lead Source'}" node is on your suppression list.`,
+          message: sendNow ? 'Failed to send emails' : 'Failed to schedule emails'
+        });
       }
+    } else {
+      const missingRecipients = plannedEmails.filter(({ step }) => !step.data?.recipient);
       
-      if (!hasValidEmails) {
-        const errorMessage = hasMissingRecipients 
-          ? 'None of your email nodes have recipient addresses. Please add recipient email addresses to your nodes.' 
+      if (missingRecipients.length === plannedEmails.length) {
+        const errorMessage = missingRecipients.length > 0 
+          ? 'None of your email nodes have recipient addresses. Add a lead list to the Lead Source node or recipient addresses to your email nodes.' 
           : 'No valid email nodes found in the sequence.';
         
         return res.status(400).json({ 
           error: errorMessage,
-          message: 'Failed to send emails'
+          message: sendNow ? 'Failed to send emails' : 'Failed to schedule emails'
         });
       }
-      
-      return res.status(200).json({ 
-        message: 'Sequence sent successfully', 
-        scheduledEmails
-      });
     }
     
-    // If we're here, then we're scheduling for later
-    // Default scheduling options if not provided
-    const options = {
-      startDate: new Date(),
-      fromTime: '09:00',
-      toTime: '17:00',
-      days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
-      ...schedulingOptions
-    };
-    
-    // Convert startDate string to Date object if it's not already
-    const startDate = options.startDate instanceof Date ? 
-      options.startDate : 
-      new Date(options.startDate);
-    
-    // Parse time strings
-    const [fromHour] = options.fromTime.split(':').map(Number);
-    const [toHour] = options.toTime.split(':').map(Number);
-    
-    // Create a map of day names to day numbers (0 = Sunday, 1 = Monday, etc.)
-    const dayMap = {
-      sunday: 0,
-      monday: 1,
-      tuesday: 2,
-      wednesday: 3,
-      thursday: 4,
-      friday: 5,
-      saturday: 6
-    };
+    console.log(`${sendNow ? 'Immediate send' : 'Scheduled send'} mode selected. Processing ${plannedEmails.length} email(s)` +
+      (contacts ? ` for ${contacts.length} contact(s)` : ''));
     
-    // Convert day names to day numbers
-    const scheduleDays = options.days.map(day => dayMap[day.toLowerCase()]);
-    
-    // Generate schedule for each email in the sequence
-    let emailIndex = 0;
-    let currentDate = new Date(startDate);
+    // Enroll each contact; the advance job walks them through the flow one step at a time
+    const { runId, enrollmentIds, alreadyEnrolled } = await enrollContacts(db, agenda, {
+      userId,
+      flowId,
+      senderIds: senderIds || [],
+      compiled: { entryId, steps: sequence },
+      schedulingOptions,
+      sendNow: !!sendNow,
+      leadListId: leadSource ? leadSource.data.leadListId : null,
+      contacts: contacts || [null]
+    });
     
-    // Process each node in the sequence
-    for (const item of sequence) {
-      if (item.type === 'coldEmail') {
-        // Find the next valid day for scheduling
-        let foundValidDay = false;
-        let daysChecked = 0;
-        
-        while (!foundValidDay && daysChecked < 14) { // Check up to 14 days ahead
-          const dayOfWeek = currentDate.getDay();
-          
-          if (scheduleDays.includes(dayOfWeek)) {
-            // This is a valid day to send
-            foundValidDay = true;
-            
-            // Choose a random hour within the specified range
-            const randomHour = Math.floor(Math.random() * (toHour - fromHour + 1)) + fromHour;
-            const randomMinute = Math.floor(Math.random() * 60);
-            
-            // Set the send time
-            const sendTime = new Date(currentDate);
-            sendTime.setHours(randomHour, randomMinute, 0, 0);
-            
-            // Only schedule if the time is in the future
-            if (sendTime > new Date()) {
-              // Schedule the email
-              await agenda.schedule(sendTime, 'send email', {
-                to: item.data.recipient,
-                subject: item.data.subject,
-                body: item.data.body,
-                userId
-              });
-              
-              scheduledEmails.push({
-                email: item.data.recipient,
-                subject: item.data.subject,
-                scheduledFor: sendTime
-              });
-              
-              // Move to the next day for the next email
-              currentDate.setDate(currentDate.getDate() + 1);
-            }
-          } else {
-            // Move to the next day
-            currentDate.setDate(currentDate.getDate() + 1);
-          }
-          
-          daysChecked++;
-        }
-        
-        emailIndex++;
+    // Report the projected send times so the client can show what was scheduled
+    for (const { step, sendTime } of plannedEmails) {
+      const recipients = contacts ? contacts.map(contact => contact.email) : [step.data?.recipient];
+      
+      for (const email of recipients.filter(Boolean)) {
+        scheduledEmails.push({
+          email,
+          subject: step.data.subject || 'No Subject',
+          nodeId: step.id,
+          scheduledFor: sendTime
+        });
       }
     }
     
+    if (sendNow) {
+      return res.status(200).json({ 
+        message: 'Sequence sent successfully', 
+        scheduledEmails,
+        runId,
+        enrollments: enrollmentIds.length,
+        enrolledContacts: contacts ? enrollmentIds.length : 0,
+        alreadyEnrolledContacts: alreadyEnrolled,
+        suppressedContacts
+      });
+    }
+    
     res.status(200).json({ 
       message: 'Sequence scheduled successfully', 
       scheduledEmails,
-      schedulingOptions: options
+      runId,
+      enrollments: enrollmentIds.length,
+      enrolledContacts: contacts ? enrollmentIds.length : 0,
+      alreadyEnrolledContacts: alreadyEnrolled,
+      suppressedContacts,
+      schedulingOptions: {
+        startDate: options.startDate,
+        fromTime: options.fromTime,
+        toTime: options.toTime,
+        days: options.days
+      }
     });
   } catch (error) {
     console.error('Error scheduling sequence:', error);
@@ -1108,14 +1425,7 @@ async function scheduleEmail({ to, subject, body, delay, unit, userId }) {
     throw new Error('Scheduling service is not available');
   }
   
-  let sendTime = new Date();
-  if (unit === 'minutes') {
-    sendTime.setMinutes(sendTime.getMinutes() + delay);
-  } else if (unit === 'hours') {
-    sendTime.setHours(sendTime.getHours() + delay);
-  } else if (unit === 'days') {
-    sendTime.setDate(sendTime.getDate() + delay);
-  }
+  const sendTime = addDelay(new Date(), delay, unit);
   
   try {
     // Make sure we have a database connection for agenda operations
@@ -1254,10 +1564,10 @@ const start = async () => {
           console.log('Agenda initialized successfully during startup');
           
           // Check if the email configuration is valid
-          if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-            console.error('⚠️ WARNING: EMAIL_USER or EMAIL_PASS is not set. Emails will not be sent!');
+          if (!isDeliveryConfigured()) {
+            console.error(`⚠️ WARNING: The ${getTransportName()} email transport is not configured. Emails will not be sent!`);
           } else {
-            console.log(`Email configured for: ${process.env.EMAIL_USER}`);
+            console.log(`Email configured for: ${getDefaultFromAddress()} via ${getTransportName()}`);
             
             // Test the email connection
             if (!transporter) {
@@ -1377,7 +1687,7 @@ app.get('/api/diagnose-email', async (req, res) => {
     }
     
     // Test email configuration
-    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    if (isDeliveryConfigured()) {
       diagnosticResults.email.configured = true;
       
       // Initialize transporter if needed
@@ -1414,6 +1724,7 @@ app.get('/api/diagnose-email', async (req, res) => {
         NODE_ENV: process.env.NODE_ENV,
         PORT: process.env.PORT,
         MONGODB_URI_SET: !!process.env.MONGODB_URI,
+        EMAIL_TRANSPORT: getTransportName(),
         EMAIL_HOST_SET: !!process.env.EMAIL_HOST,
         EMAIL_USER_SET: !!process.env.EMAIL_USER,
         EMAIL_PASS_SET: !!process.env.EMAIL_PASS
@@ -1445,7 +1756,7 @@ app.post('/api/test-email', async (req, res) => {
       if (!initializeTransporter()) {
         return res.status(500).json({ 
           error: 'Failed to initialize email service',
-          details: 'Check your EMAIL_USER and EMAIL_PASS environment variables'
+          details: `Check the settings of the ${getTransportName()} transport in your environment variables`
         });
       }
     }
@@ -1454,7 +1765,7 @@ app.post('/api/test-email', async (req, res) => {
     
     // Try to send a test email
     const info = await transporter.sendMail({
-      from: process.env.EMAIL_USER,
+      from: getDefaultFromAddress(),
       to: to,
       subject: 'Test Email from Flow Email Automator',
       text: 'This is a test email from your Flow Email Automator application.',
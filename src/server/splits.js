@@ -0,0 +1,163 @@
+import { addDelay } from './scheduling.js';
+import { chooseVariant, pickWinner } from '../shared/splits.js';
+
+/**
+ * A/B split tests.
+ *
+ * Each split node of a flow run has a document in `splitTests` with the
+ * number of contacts sent down each variant and, once decided, the winner.
+ * Contacts that pass a split carry `{ runId, nodeId, variantId }` in their
+ * enrollment's `splits`, and every email sent after it stores the same
+ * entries on its `sent` event, so opens, clicks and replies can be counted
+ * per variant (see countSplitEvents).
+ */
+
+// Event types a split test is judged on
+const SPLIT_EVENT_TYPES = ['sent', 'open', 'click', 'reply'];
+
+/**
+ * Count distinct messages per split variant and event type. Events are
+ * matched to their `sent` event to find the variants the message belongs to.
+ * @param {Object} db - MongoDB database
+ * @param {Object} eventMatch - Filter on the events, e.g. `{ userId, flowId }`
+ * @param {Object} splitMatch - Filter on the split entries (`runId`, `nodeId`), if any
+ * @returns {Promise<Array<Object>>} Rows with `key: { nodeId, variantId, type }` and `count`
+ */
+const countSplitEvents = (db, eventMatch, splitMatch = {}) => db.collection('emailEvents').aggregate([
+  { $match: { ...eventMatch, type: { $in: SPLIT_EVENT_TYPES } } },
+  { $lookup: { from: 'emailEvents', localField: 'messageId', foreignField: '_id', as: 'sent' } },
+  { $unwind: '$sent' },
+  { $unwind: '$sent.splits' },
+  { $match: Object.fromEntries(Object.entries(splitMatch).map(([key, value]) => [`sent.splits.${key}`, value])) },
+  {
+    $group: {
+      _id: { nodeId: '$sent.splits.nodeId', variantId: '$sent.splits.variantId', type: '$type' },
+      messages: { $addToSet: '$messageId' }
+    }
+  },
+  { $project: { _id: 0, key: '$_id', count: { $size: '$messages' } } }
+]).toArray();
+
+/**
+ * Decide the winner of a split test from its variants' results so far.
+ * Only the first caller decides; everyone gets the same winner.
+ * @param {Object} db - MongoDB database
+ * @param {Object} test - Split test document
+ * @param {Object} step - The split step of the flow run
+ * @param {Date} now - Current time
+ * @returns {Promise<String>} Winning variant ID
+ */
+const decideWinner = async (db, test, step, now) => {
+  const rows = await countSplitEvents(
+    db,
+    { userId: test.userId, flowId: test.flowId },
+    { runId: test.runId, nodeId: test.nodeId }
+  );
+
+  const results = {};
+  for (const { key, count } of rows) {
+    results[key.variantId] = results[key.variantId] || {};
+    results[key.variantId][key.type] = count;
+  }
+  const metrics = Object.fromEntries(Object.entries(results).map(([variantId, counts]) => [variantId, {
+    sent: counts.sent || 0,
+    opened: counts.open || 0,
+    clicked: counts.click || 0,
+    replied: counts.reply || 0
+  }]));
+
+  const winner = pickWinner(step.data.variants, metrics, step.data.winnerMetric);
+  const decided = await db.collection('splitTests').findOneAndUpdate(
+    { _id: test._id, winner: null },
+    { $set: { winner, decidedAt: now, results: metrics } },
+    { returnDocument: 'after' }
+  );
+
+  if (decided) return decided.winner;
+  const current = await db.collection('splitTests').findOne({ _id: test._id });
+  return current.winner;
+};
+
+/**
+ * Send an enrollment down a variant of a split node
+ * @param {Object} db - MongoDB database
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} step - The split step of the flow run
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} `{ variantId, promoted }`, or `{ waitUntil }` while the
+ *   contact has to wait for the test to end
+ */
+const assignVariant = async (db, enrollment, step, now) => {
+  const tests = db.collection('splitTests');
+  const { variants, autoWinner } = step.data;
+  const sampleSize = Number(step.data.sampleSize);
+  const filter = { runId: enrollment.runId.toString(), nodeId: step.id };
+
+  const upsertTest = () => tests.findOneAndUpdate(
+    filter,
+    {
+      $setOnInsert: {
+        ...filter,
+        userId: enrollment.userId,
+        flowId: enrollment.flowId || null,
+        counts: {},
+        total: 0,
+        promoted: 0,
+        startedAt: now,
+        decideAt: autoWinner ? addDelay(now, Number(step.data.testHours), 'hours') : null,
+        winner: null,
+        decidedAt: null
+      }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  let test;
+  try {
+    test = await upsertTest();
+  } catch (error) {
+    // Two contacts reached a new split at once; the other one created the test
+    if (error.code !== 11000) throw error;
+    test = await tests.findOne(filter);
+  }
+
+  if (!test.winner) {
+    const variantId = chooseVariant(variants, test.counts);
+    // The sample size caps the test group; the check and the count happen in one update
+    const assigned = await tests.updateOne(
+      { _id: test._id, winner: null, ...(autoWinner ? { total: { $lt: sampleSize } } : {}) },
+      { $inc: { total: 1, [`counts.${variantId}`]: 1 } }
+    );
+    if (assigned.modifiedCount > 0) {
+      return { variantId, promoted: false };
+    }
+
+    test = await tests.findOne({ _id: test._id });
+  }
+
+  if (!test.winner) {
+    if (now < test.decideAt) {
+      return { waitUntil: test.decideAt };
+    }
+    test.winner = await decideWinner(db, test, step, now);
+  }
+
+  await tests.updateOne({ _id: test._id }, { $inc: { promoted: 1 } });
+  return { variantId: test.winner, promoted: true };
+};
+
+/**
+ * Create the indexes of the split tests
+ * @param {Object} db - MongoDB database
+ */
+const ensureSplitTestIndexes = async (db) => {
+  await db.collection('splitTests').createIndex({ runId: 1, nodeId: 1 }, { unique: true });
+  await db.collection('splitTests').createIndex({ userId: 1, flowId: 1 });
+};
+
+export {
+  countSplitEvents,
+  decideWinner,
+  assignVariant,
+  ensureSplitTestIndexes
+};
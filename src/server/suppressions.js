@@ -0,0 +1,312 @@
+import { connectToDatabase, toObjectId } from './db.js';
+import { EMAIL_PATTERN, normalizeEmail } from './leadLists.js';
+import { parseCsv } from './csv.js';
+
+/**
+ * Per-user suppression list.
+ *
+ * Addresses in `suppressions` never get another email from the user who
+ * owns the entry. Hard bounces and spam complaints (see bounces.js) and
+ * unsubscribes (see unsubscribes.js) add them automatically, and users can
+ * add, import, export or remove addresses by hand. Scheduling leaves
+ * suppressed contacts out, and the `send email` job checks the list again
+ * right before every send.
+ */
+
+const SUPPRESSION_REASONS = ['bounce', 'complaint', 'unsubscribe', 'manual'];
+
+// Largest number of addresses one import may add
+const MAX_IMPORT_SIZE = 50000;
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Map a suppression for frontend consumption
+ * @param {Object} suppression - Suppression document
+ * @returns {Object} Suppression data
+ */
+const mapSuppression = (suppression) => ({
+  id: suppression._id.toString(),
+  email: suppression.email,
+  reason: suppression.reason,
+  detail: suppression.detail || null,
+  createdAt: suppression.createdAt
+});
+
+/**
+ * Create the indexes of the suppression list
+ * @param {Object} db - MongoDB database
+ */
+const ensureSuppressionIndexes = async (db) => {
+  await db.collection('suppressions').createIndex({ userId: 1, email: 1 }, { unique: true });
+};
+
+/**
+ * Add an address to a user's suppression list. The first reason recorded
+ * for an address is kept.
+ * @param {Object} db - MongoDB database
+ * @param {Object} entry - `userId`, `email`, `reason` and an optional `detail`
+ * @returns {Promise<Boolean>} Whether the address was newly suppressed
+ */
+const addSuppression = async (db, { userId, email, reason, detail = null }) => {
+  const result = await db.collection('suppressions').updateOne(
+    { userId, email: normalizeEmail(email) },
+    { $setOnInsert: { userId, email: normalizeEmail(email), reason, detail, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+/**
+ * Find the suppression that blocks an address, if any
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the list
+ * @param {String} email - Recipient address
+ * @returns {Promise<Object|null>} Suppression document
+ */
+const findSuppression = (db, userId, email) =>
+  db.collection('suppressions').findOne({ userId, email: normalizeEmail(email) });
+
+/**
+ * Find which of a set of addresses are suppressed
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the list
+ * @param {Array<String>} emails - Recipient addresses
+ * @returns {Promise<Set<String>>} Suppressed addresses, normalized
+ */
+const findSuppressedEmails = async (db, userId, emails) => {
+  const normalized = [...new Set(emails.filter(Boolean).map(normalizeEmail))];
+  if (normalized.length === 0) return new Set();
+
+  const suppressions = await db.collection('suppressions')
+    .find({ userId, email: { $in: normalized } })
+    .project({ email: 1 })
+    .toArray();
+  return new Set(suppressions.map(suppression => suppression.email));
+};
+
+/**
+ * Read the addresses of a suppression import. The CSV may have a header
+ * row with an "email" column; otherwise the first column is used.
+ * @param {String} csv - CSV text, or one address per line
+ * @returns {Object} `{ emails, invalid }` with valid normalized addresses and the number of bad rows
+ */
+const readImportedEmails = (csv) => {
+  const rows = parseCsv(csv);
+  const header = (rows[0] || []).map(cell => cell.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  const headerColumn = header.findIndex(cell => cell === 'email' || cell === 'emailaddress');
+  const column = Math.max(headerColumn, 0);
+  const dataRows = headerColumn === -1 ? rows : rows.slice(1);
+
+  const emails = new Set();
+  let invalid = 0;
+  for (const cells of dataRows) {
+    const email = normalizeEmail(cells[column]);
+    if (EMAIL_PATTERN.test(email)) {
+      emails.add(email);
+    } else {
+      invalid++;
+    }
+  }
+
+  return { emails: [...emails], invalid };
+};
+
+/**
+ * Quote a value for a CSV export
+ * @param {*} value - Cell value
+ * @returns {String} CSV cell
+ */
+const toCsvCell = (value) => {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * API endpoint to list the user's suppressed addresses, newest first
+ * @route GET /api/suppressions
+ * @param {Object} req - Express request object (`reason`, `search`, `page`, `limit` query)
+ * @param {Object} res - Express response object
+ */
+const getSuppressions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const query = { userId };
+
+    if (req.query.reason) {
+      if (!SUPPRESSION_REASONS.includes(req.query.reason)) {
+        return res.status(400).json({ error: `Reason must be one of: ${SUPPRESSION_REASONS.join(', ')}` });
+      }
+      query.reason = req.query.reason;
+    }
+
+    if (req.query.search) {
+      query.email = new RegExp(String(req.query.search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const { db } = await connectToDatabase();
+    const suppressionsCollection = db.collection('suppressions');
+    const [suppressions, total] = await Promise.all([
+      suppressionsCollection.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      suppressionsCollection.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      suppressions: suppressions.map(mapSuppression),
+      total,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    res.status(500).json({ error: 'Failed to fetch suppressions' });
+  }
+};
+
+/**
+ * API endpoint to suppress an address by hand
+ * @route POST /api/suppressions
+ * @param {Object} req - Express request object (`email`, optional `detail`)
+ * @param {Object} res - Express response object
+ */
+const createSuppression = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const email = normalizeEmail(req.body.email);
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    const { db } = await connectToDatabase();
+    const detail = req.body.detail ? String(req.body.detail).trim() : null;
+    const created = await addSuppression(db, { userId, email, reason: 'manual', detail });
+    const suppression = await findSuppression(db, userId, email);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Address suppressed' : 'Address was already suppressed',
+      suppression: mapSuppression(suppression)
+    });
+  } catch (error) {
+    console.error('Error creating suppression:', error);
+    res.status(500).json({ error: 'Failed to suppress address' });
+  }
+};
+
+/**
+ * API endpoint to suppress many addresses at once from CSV text. Addresses
+ * already on the list keep their original reason.
+ * @route POST /api/suppressions/import
+ * @param {Object} req - Express request object (`csv`)
+ * @param {Object} res - Express response object
+ */
+const importSuppressions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    if (typeof req.body.csv !== 'string' || !req.body.csv.trim()) {
+      return res.status(400).json({ error: 'CSV text with the addresses to suppress is required' });
+    }
+
+    const { emails, invalid } = readImportedEmails(req.body.csv);
+    if (emails.length > MAX_IMPORT_SIZE) {
+      return res.status(400).json({ error: `An import can add at most ${MAX_IMPORT_SIZE} addresses` });
+    }
+
+    let imported = 0;
+    if (emails.length > 0) {
+      const { db } = await connectToDatabase();
+      const now = new Date();
+      const result = await db.collection('suppressions').bulkWrite(emails.map(email => ({
+        updateOne: {
+          filter: { userId, email },
+          update: { $setOnInsert: { userId, email, reason: 'manual', detail: 'Imported', createdAt: now } },
+          upsert: true
+        }
+      })), { ordered: false });
+      imported = result.upsertedCount;
+    }
+
+    res.status(200).json({
+      message: `${imported} address(es) suppressed`,
+      imported,
+      existing: emails.length - imported,
+      invalid
+    });
+  } catch (error) {
+    console.error('Error importing suppressions:', error);
+    res.status(500).json({ error: 'Failed to import suppressions' });
+  }
+};
+
+/**
+ * API endpoint to download the whole suppression list as CSV
+ * @route GET /api/suppressions/export
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportSuppressions = async (req, res) => {
+  try {
+    const { db } = await connectToDatabase();
+    const suppressions = await db.collection('suppressions')
+      .find({ userId: req.user.id })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const lines = [
+      'email,reason,detail,createdAt',
+      ...suppressions.map(suppression => [suppression.email, suppression.reason, suppression.detail, suppression.createdAt]
+        .map(toCsvCell)
+        .join(','))
+    ];
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="suppressions.csv"');
+    res.status(200).send(`${lines.join('\n')}\n`);
+  } catch (error) {
+    console.error('Error exporting suppressions:', error);
+    res.status(500).json({ error: 'Failed to export suppressions' });
+  }
+};
+
+/**
+ * API endpoint to remove an address from the suppression list, so it can
+ * be emailed again
+ * @route DELETE /api/suppressions/:id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSuppression = async (req, res) => {
+  try {
+    const objectId = toObjectId(req.params.id);
+    if (!objectId) {
+      return res.status(400).json({ error: 'Invalid suppression ID format' });
+    }
+
+    const { db } = await connectToDatabase();
+    const result = await db.collection('suppressions').deleteOne({ _id: objectId, userId: req.user.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    res.status(200).json({ message: 'Suppression removed' });
+  } catch (error) {
+    console.error('Error deleting suppression:', error);
+    res.status(500).json({ error: 'Failed to remove suppression' });
+  }
+};
+
+export {
+  SUPPRESSION_REASONS,
+  mapSuppression,
+  ensureSuppressionIndexes,
+  addSuppression,
+  findSuppression,
+  findSuppressedEmails,
+  readImportedEmails,
+  getSuppressions,
+  createSuppression,
+  importSuppressions,
+  exportSuppressions,
+  deleteSuppression
+};
@@ -0,0 +1,55 @@
+/**
+ * Threaded follow-ups.
+ *
+ * An email step with `replyToPrevious` set goes out as a reply to the last
+ * email the same enrollment sent to the same recipient: it takes that
+ * email's subject with "Re:" and points `In-Reply-To` and `References` at
+ * its Message-ID, so mail clients show the sequence as one conversation.
+ * The previous email is looked up from its `sent` event when the follow-up
+ * is sent; when there is none yet, the follow-up starts its own thread.
+ */
+
+const REPLY_PREFIX_PATTERN = /^\s*re\s*:/i;
+
+/**
+ * Prefix a subject with "Re:" unless it already has one
+ * @param {String} subject - Subject of the email being answered
+ * @returns {String} Reply subject
+ */
+const getReplySubject = (subject) => {
+  const text = String(subject || '').trim();
+  return REPLY_PREFIX_PATTERN.test(text) ? text : `Re: ${text}`;
+};
+
+/**
+ * Build the threading fields of a reply to a sent message
+ * @param {Object} previous - The `sent` event of the email being answered
+ * @returns {Object} `{ subject, inReplyTo, references }` for nodemailer
+ */
+const getThreadFields = (previous) => ({
+  subject: getReplySubject(previous.subject),
+  inReplyTo: previous.smtpMessageId,
+  // References lists the whole thread, oldest first
+  references: [...(previous.references || []), previous.smtpMessageId]
+});
+
+/**
+ * Find the email a threaded follow-up answers
+ * @param {Object} db - MongoDB database
+ * @param {Object} params - `enrollmentId` and `to` of the follow-up
+ * @returns {Promise<Object|null>} The previous email's `sent` event
+ */
+const findThreadParent = async (db, { enrollmentId, to }) => {
+  if (!enrollmentId) return null;
+
+  return db.collection('emailEvents').findOne(
+    { type: 'sent', enrollmentId, to, smtpMessageId: { $nin: [null, ''] } },
+    { sort: { createdAt: -1 } }
+  );
+};
+
+export {
+  getReplySubject,
+  getThreadFields,
+  findThreadParent
+};
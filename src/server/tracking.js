@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import { connectToDatabase, toObjectId } from './db.js';
+import { applyExitRules } from './enrollments.js';
+
+/**
+ * Open and click tracking.
+ *
+ * Every tracked email gets a `sent` document in `emailEvents` whose `_id` is
+ * the message ID used in tracking tokens. The `send email` job injects a
+ * tracking pixel and rewrites links through `/t/click/:token`; the public
+ * `/t/*` routes then record `open` and `click` events against that message.
+ * A click also counts towards the `clicked` exit rules of the flow's goal.
+ */
+
+const TRACKING_SECRET = process.env.TRACKING_SECRET || process.env.JWT_SECRET || 'fallback-secret-key-change-this';
+
+// 1x1 transparent GIF returned by the open pixel
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const TRACKED_LINK_PATTERN = /(<a\s[^>]*?href=")(https?:\/\/[^"]+)(")/gi;
+
+/**
+ * Get the public base URL tracking links point at
+ * @returns {String|null} Base URL without a trailing slash, or null when tracking is not configured
+ */
+const getTrackingBaseUrl = () => {
+  const baseUrl = process.env.TRACKING_BASE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '');
+  return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+};
+
+/**
+ * Sign the parts of a tracking token
+ * @param {String} value - Token content to sign
+ * @returns {String} Truncated base64url HMAC
+ */
+const sign = (value) => crypto
+  .createHmac('sha256', TRACKING_SECRET)
+  .update(value)
+  .digest('base64url')
+  .slice(0, 22);
+
+/**
+ * Create a signed tracking token
+ * @param {String} messageId - Tracked message ID
+ * @param {Number} linkIndex - Index of the rewritten link, omitted for the open pixel
+ * @returns {String} Token for a `/t/*` URL
+ */
+const createTrackingToken = (messageId, linkIndex) => {
+  const value = linkIndex === undefined ? String(messageId) : `${messageId}.${linkIndex}`;
+  return `${value}.${sign(value)}`;
+};
+
+/**
+ * Verify a tracking token and read its contents
+ * @param {String} token - Token from a `/t/*` URL
+ * @returns {Object|null} `{ messageId, linkIndex }`, or null when the token is invalid
+ */
+const readTrackingToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length < 2 || parts.length > 3) return null;
+
+  const signature = parts.pop();
+  const value = parts.join('.');
+  const expected = sign(value);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const [id, linkIndex] = parts;
+  const messageId = toObjectId(id);
+  if (!messageId) return null;
+
+  return {
+    messageId,
+    linkIndex: linkIndex === undefined ? null : Number(linkIndex)
+  };
+};
+
+/**
+ * Create the signed token of an unsubscribe link. It is signed apart from the
+ * tracking tokens, so an open pixel URL cannot be replayed as an unsubscribe.
+ * @param {String} messageId - ID of the sent message
+ * @returns {String} Token for a `/u/:token` URL
+ */
+const createUnsubscribeToken = (messageId) => `${messageId}.${sign(`unsubscribe.${messageId}`)}`;
+
+/**
+ * Verify an unsubscribe token
+ * @param {String} token - Token from a `/u/:token` URL
+ * @returns {ObjectId|null} ID of the sent message, or null when the token is invalid
+ */
+const readUnsubscribeToken = (token) => {
+  const [messageId, signature, ...rest] = String(token || '').split('.');
+  if (!signature || rest.length > 0 || !toObjectId(messageId)) return null;
+
+  const expected = sign(`unsubscribe.${messageId}`);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  return toObjectId(messageId);
+};
+
+/**
+ * Undo the HTML escaping the renderer applies to link targets
+ * @param {String} url - Escaped URL from an href attribute
+ * @returns {String} Original URL
+ */
+const unescapeUrl = (url) => url
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Create the indexes used to look up and aggregate email events
+ * @param {Object} db - MongoDB database
+ */
+const ensureEmailEventIndexes = async (db) => {
+  const events = db.collection('emailEvents');
+  await events.createIndex({ messageId: 1, type: 1 });
+  await events.createIndex({ userId: 1, type: 1, createdAt: 1 });
+  // Replies are matched to sent emails by their SMTP Message-ID
+  await events.createIndex({ smtpMessageId: 1 }, { sparse: true });
+  await events.createIndex({ replyMessageId: 1 }, { sparse: true });
+  // Threaded follow-ups look up the enrollment's previous email
+  await events.createIndex({ enrollmentId: 1, type: 1, createdAt: -1 }, { sparse: true });
+  await events.createIndex({ reportMessageId: 1, email: 1 }, { sparse: true });
+};
+
+/**
+ * Rewrite the links of an HTML email and add an open pixel
+ * @param {String} html - Rendered HTML document
+ * @param {Object} options - Tracking options
+ * @param {String} options.baseUrl - Public base URL of the tracking routes
+ * @param {ObjectId} options.messageId - Tracked message ID
+ * @returns {Object} `{ html, links }` where links lists the original URLs by token index
+ */
+const addTracking = (html, { baseUrl, messageId }) => {
+  const links = [];
+
+  const rewritten = html.replace(TRACKED_LINK_PATTERN, (match, before, url, after) => {
+    // Rendered URLs are HTML-escaped; store the real target
+    links.push(unescapeUrl(url));
+    return `${before}${baseUrl}/t/click/${createTrackingToken(messageId, links.length - 1)}${after}`;
+  });
+
+  const pixel = `<img src="${baseUrl}/t/open/${createTrackingToken(messageId)}" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px;">`;
+  const withPixel = rewritten.includes('</body>')
+    ? rewritten.replace('</body>', `${pixel}\n</body>`)
+    : `${rewritten}${pixel}`;
+
+  return { html: withPixel, links };
+};
+
+/**
+ * Record a sent message so later opens and clicks can be attributed to it
+ * @param {Object} db - MongoDB database
+ * @param {Object} message - Message details (`messageId`, `userId`, `to`, `subject`,
+ *   `smtpMessageId`, `references`, `enrollmentId`, `contactId`, `flowId`, `nodeId`, `senderId`, `splits`, `links`)
+ */
+const recordSentMessage = async (db, message) => {
+  const { messageId, ...details } = message;
+  await db.collection('emailEvents').insertOne({
+    _id: messageId,
+    type: 'sent',
+    messageId,
+    ...details,
+    links: details.links || [],
+    createdAt: new Date()
+  });
+};
+
+/**
+ * Record an open or click against the message it belongs to
+ * @param {Object} db - MongoDB database
+ * @param {Object} sent - The message's `sent` event
+ * @param {String} type - 'open' or 'click'
+ * @param {Object} req - Express request object, for the user agent and IP
+ * @param {Object} extra - Additional event fields, such as the clicked `url`
+ */
+const recordTrackingEvent = async (db, sent, type, req, extra = {}) => {
+  await db.collection('emailEvents').insertOne({
+    type,
+    messageId: sent._id,
+    userId: sent.userId,
+    enrollmentId: sent.enrollmentId || null,
+    contactId: sent.contactId || null,
+    flowId: sent.flowId || null,
+    nodeId: sent.nodeId || null,
+    ...extra,
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip,
+    createdAt: new Date()
+  });
+};
+
+/**
+ * Create the public tracking route handlers
+ * @param {Function} getAgenda - Resolves the initialized Agenda instance
+ * @returns {Object} Express route handlers
+ */
+const createTrackingHandlers = (getAgenda) => {
+  /**
+   * Public endpoint for the open tracking pixel. Always answers with the image
+   * so a bad token never shows a broken image in the recipient's mail client.
+   * @route GET /t/open/:token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const trackOpen = async (req, res) => {
+    try {
+      const token = readTrackingToken(req.params.token);
+
+      if (token && token.linkIndex === null) {
+        const { db } = await connectToDatabase();
+        const sent = await db.collection('emailEvents').findOne({ _id: token.messageId, type: 'sent' });
+
+        if (sent) {
+          await recordTrackingEvent(db, sent, 'open', req);
+        }
+      }
+    } catch (error) {
+      console.error('Error recording email open:', error);
+    }
+
+    res.set({
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      Pragma: 'no-cache',
+      Expires: '0'
+    });
+    res.status(200).send(PIXEL);
+  };
+
+  /**
+   * Public endpoint for tracked links: records the click, moves the enrollment
+   * to its goal when the flow exits on that click, and redirects to the original URL
+   * @route GET /t/click/:token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const trackClick = async (req, res) => {
+    try {
+      const token = readTrackingToken(req.params.token);
+      if (!token || token.linkIndex === null) {
+        return res.status(404).send('Link not found');
+      }
+
+      const { db } = await connectToDatabase();
+      const sent = await db.collection('emailEvents').findOne({ _id: token.messageId, type: 'sent' });
+      const url = sent && sent.links[token.linkIndex];
+
+      if (!url) {
+        return res.status(404).send('Link not found');
+      }
+
+      await recordTrackingEvent(db, sent, 'click', req, { url, linkIndex: token.linkIndex });
+
+      // The recipient still gets to the link when the goal cannot be applied
+      if (sent.enrollmentId) {
+        try {
+          const agenda = await getAgenda();
+          await applyExitRules(db, agenda, { userId: sent.userId, enrollmentId: sent.enrollmentId }, { type: 'clicked', url });
+        } catch (error) {
+          console.error('Error applying click exit rules:', error);
+        }
+      }
+
+      res.redirect(302, url);
+    } catch (error) {
+      console.error('Error recording email click:', error);
+      res.status(500).send('Failed to follow link');
+    }
+  };
+
+  return {
+    trackOpen,
+    trackClick
+  };
+};
+
+export {
+  getTrackingBaseUrl,
+  createTrackingToken,
+  readTrackingToken,
+  createUnsubscribeToken,
+  readUnsubscribeToken,
+  ensureEmailEventIndexes,
+  addTracking,
+  recordSentMessage,
+  createTrackingHandlers
+};
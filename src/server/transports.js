@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Delivery transports.
+ *
+ * `EMAIL_TRANSPORT` decides how every email leaves the server:
+ * - `smtp` (default) sends through the SMTP server in `EMAIL_HOST`, or
+ *   through each user's own sender accounts.
+ * - `http` posts each message as JSON to an email provider's API at
+ *   `EMAIL_HTTP_URL`.
+ * - `capture` sends nothing. Messages are kept in an in-memory mailbox, and
+ *   also written as .eml files when `EMAIL_CAPTURE_DIR` is set, so that
+ *   development and CI can run whole sequences offline. Each message keeps
+ *   the `userId` passed to sendMail, and users only see their own.
+ *
+ * All three are nodemailer transports, so callers build and send messages
+ * the same way whichever one is configured.
+ */
+
+const TRANSPORT_NAMES = ['smtp', 'http', 'capture'];
+
+const DEFAULT_CAPTURE_LIMIT = 200;
+
+// Newest first; shared by every capture transport in the process
+const capturedMessages = [];
+
+// Transport used for sender accounts when delivery does not go through SMTP
+let sharedTransport = null;
+
+/**
+ * Read the configured transport name
+ * @param {Object} env - Environment variables
+ * @returns {String} 'smtp', 'http' or 'capture'
+ * @throws {Error} When EMAIL_TRANSPORT names an unknown transport
+ */
+const getTransportName = (env = process.env) => {
+  const name = String(env.EMAIL_TRANSPORT || 'smtp').trim().toLowerCase();
+  if (!TRANSPORT_NAMES.includes(name)) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}"; use one of ${TRANSPORT_NAMES.join(', ')}`);
+  }
+  return name;
+};
+
+/**
+ * Check that the configured transport has the settings it needs
+ * @param {Object} env - Environment variables
+ * @returns {Boolean} Whether the server can deliver email on its own
+ */
+const isDeliveryConfigured = (env = process.env) => {
+  switch (getTransportName(env)) {
+    case 'http':
+      return !!env.EMAIL_HTTP_URL;
+    case 'capture':
+      return true;
+    default:
+      return !!(env.EMAIL_USER && env.EMAIL_PASS);
+  }
+};
+
+/**
+ * Get the From address of emails sent without a sender account
+ * @param {Object} env - Environment variables
+ * @returns {String} Sender address
+ */
+const getDefaultFromAddress = (env = process.env) =>
+  env.EMAIL_FROM || env.EMAIL_USER || 'flow-automator@localhost';
+
+/**
+ * Build the raw MIME message of an email being sent
+ * @param {Object} mail - Nodemailer mail object
+ * @returns {Promise<Buffer>} RFC 822 message
+ */
+const buildRawMessage = (mail) => new Promise((resolve, reject) => {
+  mail.message.build((error, raw) => (error ? reject(error) : resolve(raw)));
+});
+
+/**
+ * Create a custom nodemailer transport from a send function
+ * @param {String} name - Transport name, shown in logs
+ * @param {Function} deliver - Async function taking the mail object and raw message, returning the response text
+ * @returns {Object} Nodemailer transport
+ */
+const createCustomTransport = (name, deliver) => nodemailer.createTransport({
+  name,
+  version: '1.0.0',
+  send(mail, callback) {
+    buildRawMessage(mail)
+      .then(raw => deliver(mail, raw))
+      .then(response => callback(null, {
+        envelope: mail.message.getEnvelope(),
+        messageId: mail.message.messageId(),
+        response
+      }))
+      .catch(callback);
+  },
+  // Nothing to log in to; accept both the callback and the promise style
+  verify(callback) {
+    if (callback) {
+      callback(null, true);
+      return undefined;
+    }
+    return Promise.resolve(true);
+  }
+});
+
+/**
+ * Create a transport that posts messages to an email provider's HTTP API.
+ * The JSON body carries the usual fields plus the full MIME message as
+ * base64 `raw`, for providers that only take raw messages.
+ * @param {Object} options - `{ url, apiKey, fetchImpl }`
+ * @returns {Object} Nodemailer transport
+ */
+const createHttpTransport = ({ url, apiKey, fetchImpl = fetch }) => createCustomTransport('http', async (mail, raw) => {
+  const { data } = mail;
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify({
+      from: data.from,
+      to: data.to,
+      replyTo: data.replyTo,
+      subject: data.subject,
+      text: data.text,
+      html: data.html,
+      headers: data.headers,
+      messageId: mail.message.messageId(),
+      inReplyTo: data.inReplyTo,
+      references: data.references,
+      raw: raw.toString('base64')
+    })
+  });
+
+  const text = await response.text();
+  if (!response.ok) {
+    const error = new Error(`Email API responded with ${response.status}: ${text.slice(0, 200)}`);
+    // Rate limits and server errors clear up; anything else is a problem with the request
+    error.code = response.status === 429 || response.status >= 500 ? 'EHTTPRETRY' : 'EHTTP';
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return `${response.status} ${text.slice(0, 200)}`.trim();
+});
+
+/**
+ * Create a transport that keeps messages in memory instead of sending them.
+ * The sending user comes from the `userId` option of sendMail; other transports ignore it.
+ * @param {Object} options - `{ dir, limit }`; `dir` also writes each message as an .eml file
+ * @returns {Object} Nodemailer transport
+ */
+const createCaptureTransport = ({ dir, limit = DEFAULT_CAPTURE_LIMIT } = {}) =>
+  createCustomTransport('capture', async (mail, raw) => {
+    const { data } = mail;
+    const envelope = mail.message.getEnvelope();
+    const id = crypto.randomUUID();
+    let file = null;
+
+    if (dir) {
+      await fs.mkdir(dir, { recursive: true });
+      file = path.join(dir, `${Date.now()}-${id}.eml`);
+      await fs.writeFile(file, raw);
+    }
+
+    capturedMessages.unshift({
+      id,
+      userId: data.userId || null,
+      messageId: mail.message.messageId(),
+      from: envelope.from,
+      to: envelope.to,
+      subject: String(data.subject || ''),
+      text: typeof data.text === 'string' ? data.text : null,
+      html: typeof data.html === 'string' ? data.html : null,
+      raw: raw.toString('utf8'),
+      file,
+      capturedAt: new Date()
+    });
+    capturedMessages.splice(limit);
+
+    return `Captured ${id}`;
+  });
+
+/**
+ * Create the transport selected by the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Nodemailer transport
+ */
+const createDeliveryTransport = (env = process.env) => {
+  switch (getTransportName(env)) {
+    case 'http':
+      return createHttpTransport({ url: env.EMAIL_HTTP_URL, apiKey: env.EMAIL_HTTP_API_KEY });
+    case 'capture':
+      return createCaptureTransport({
+        dir: env.EMAIL_CAPTURE_DIR,
+        limit: parseInt(env.EMAIL_CAPTURE_LIMIT, 10) || DEFAULT_CAPTURE_LIMIT
+      });
+    default:
+      return nodemailer.createTransport({
+        host: env.EMAIL_HOST || 'smtp.gmail.com',
+        port: parseInt(env.EMAIL_PORT || '587', 10),
+        secure: env.EMAIL_SECURE === 'true',
+        auth: {
+          user: env.EMAIL_USER,
+          pass: env.EMAIL_PASS
+        },
+        debug: true // Enable debug output
+      });
+  }
+};
+
+/**
+ * Get the transport that sender accounts use when delivery does not go
+ * through SMTP. The account still decides the From and Reply-To.
+ * @returns {Object|null} Nodemailer transport, or null in SMTP mode
+ */
+const getNonSmtpTransport = () => {
+  if (getTransportName() === 'smtp') {
+    return null;
+  }
+
+  if (!sharedTransport) {
+    sharedTransport = createDeliveryTransport();
+  }
+  return sharedTransport;
+};
+
+/**
+ * Get the captured messages, newest first
+ * @returns {Array<Object>} Captured messages
+ */
+const listCapturedMessages = () => [...capturedMessages];
+
+/**
+ * Map a captured message for the mailbox list
+ * @param {Object} message - Captured message
+ * @returns {Object} Message without its bodies
+ */
+const summarizeCapturedMessage = ({ id, messageId, from, to, subject, file, capturedAt }) =>
+  ({ id, messageId, from, to, subject, file, capturedAt });
+
+/**
+ * Guard for the mailbox endpoints, which only exist with the capture transport
+ * @param {Object} res - Express response object
+ * @returns {Boolean} Whether the request may continue
+ */
+const requireCapture = (res) => {
+  if (getTransportName() !== 'capture') {
+    res.status(404).json({ error: 'The capture mailbox is only available when EMAIL_TRANSPORT=capture' });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Find one of the user's captured messages
+ * @param {String} userId - User who sent the message
+ * @param {String} id - Captured message ID
+ * @returns {Object|undefined} Captured message
+ */
+const findCapturedMessage = (userId, id) =>
+  capturedMessages.find(item => item.id === id && item.userId === userId);
+
+/**
+ * API endpoint to list the user's captured messages, newest first
+ * @route GET /api/mailbox
+ * @param {Object} req - Express request object (optional `to` filter)
+ * @param {Object} res - Express response object
+ */
+const getCapturedMessages = (req, res) => {
+  if (!requireCapture(res)) return;
+
+  const to = String(req.query.to || '').trim().toLowerCase();
+  const messages = capturedMessages.filter(message => message.userId === req.user.id &&
+    (!to || message.to.some(address => address.toLowerCase().includes(to))));
+
+  res.status(200).json({ messages: messages.map(summarizeCapturedMessage), total: messages.length });
+};
+
+/**
+ * API endpoint to get a captured message with its bodies
+ * @route GET /api/mailbox/:id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCapturedMessage = (req, res) => {
+  if (!requireCapture(res)) return;
+
+  const message = findCapturedMessage(req.user.id, req.params.id);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  res.status(200).json(message);
+};
+
+/**
+ * API endpoint to download a captured message as an .eml file
+ * @route GET /api/mailbox/:id/raw
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCapturedMessageRaw = (req, res) => {
+  if (!requireCapture(res)) return;
+
+  const message = findCapturedMessage(req.user.id, req.params.id);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  res.set('Content-Type', 'message/rfc822');
+  res.set('Content-Disposition', `attachment; filename="${message.id}.eml"`);
+  res.status(200).send(message.raw);
+};
+
+/**
+ * API endpoint to remove the user's messages from the capture mailbox. Files
+ * already written stay on disk.
+ * @route DELETE /api/mailbox
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const clearCapturedMessages = (req, res) => {
+  if (!requireCapture(res)) return;
+
+  const kept = capturedMessages.filter(message => message.userId !== req.user.id);
+  const count = capturedMessages.length - kept.length;
+  capturedMessages.splice(0, capturedMessages.length, ...kept);
+  res.status(200).json({ message: 'Mailbox cleared', deleted: count });
+};
+
+export {
+  getTransportName,
+  isDeliveryConfigured,
+  getDefaultFromAddress,
+  createHttpTransport,
+  createCaptureTransport,
+  createDeliveryTransport,
+  getNonSmtpTransport,
+  listCapturedMessages,
+  getCapturedMessages,
+  getCapturedMessage,
+  getCapturedMessageRaw,
+  clearCapturedMessages
+};
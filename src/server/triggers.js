@@ -0,0 +1,428 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { connectToDatabase, toObjectId } from './db.js';
+import { mapHeader } from './csv.js';
+import { upsertContacts, normalizeEmail } from './leadLists.js';
+import { findSuppression } from './suppressions.js';
+import { findMergeFieldSyntaxError } from './personalization.js';
+import { buildFlowRun, enrollIntoRun } from './enrollments.js';
+import { normalizeSchedulingOptions } from './scheduling.js';
+import { getTrackingBaseUrl } from './tracking.js';
+import { MISSING_BASE_URL_ERROR } from './unsubscribes.js';
+import { compileSequence, SequenceCompileError } from '../shared/sequenceCompiler.js';
+
+/**
+ * Entry triggers that enroll contacts into a saved flow one at a time.
+ *
+ * Besides scheduling a whole lead list from the editor, a flow can take
+ * contacts from its signed inbound webhook URL (`/hooks/flows/:token`, public,
+ * for signup forms and CRMs) or from `POST /api/flows/:id/enroll` (JWT). Both
+ * create or update the contact by email and enroll it, unless it is
+ * suppressed or already in the flow. Triggered contacts share one flow run
+ * per saved version of the flow, so split tests keep counting across them.
+ */
+
+const TRIGGER_SECRET = process.env.TRIGGER_SECRET || process.env.JWT_SECRET || 'fallback-secret-key-change-this';
+
+// Contact fields a trigger payload can set directly; the rest become custom fields
+const CONTACT_FIELDS = ['email', 'firstName', 'lastName', 'company'];
+
+/**
+ * Sign a flow's webhook key into the token of its webhook URL
+ * @param {String} flowId - Flow ID
+ * @param {String} webhookKey - Random key stored on the flow; a new key revokes old URLs
+ * @returns {String} base64url HMAC
+ */
+const sign = (flowId, webhookKey) => crypto
+  .createHmac('sha256', TRIGGER_SECRET)
+  .update(`flow-webhook.${flowId}.${webhookKey}`)
+  .digest('base64url');
+
+/**
+ * Create the token of a flow's inbound webhook URL
+ * @param {String} flowId - Flow ID
+ * @param {String} webhookKey - The flow's current webhook key
+ * @returns {String} Token for a `/hooks/flows/:token` URL
+ */
+const createWebhookToken = (flowId, webhookKey) => `${flowId}.${sign(String(flowId), webhookKey)}`;
+
+/**
+ * Check a webhook token against the flow it names
+ * @param {String} token - Token from a `/hooks/flows/:token` URL
+ * @param {Object} flow - The flow, or null when it was not found
+ * @returns {Boolean} Whether the token is valid and the flow's webhook is enabled
+ */
+const verifyWebhookToken = (token, flow) => {
+  const [flowId, signature, ...rest] = String(token || '').split('.');
+  const webhookKey = flow && flow.trigger && flow.trigger.webhookKey;
+  if (!webhookKey || !signature || rest.length > 0 || flowId !== flow._id.toString()) return false;
+
+  const expected = sign(flowId, webhookKey);
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+/**
+ * Read the flow ID of a webhook token, before its signature is checked
+ * @param {String} token - Token from a `/hooks/flows/:token` URL
+ * @returns {ObjectId|null} Flow ID, or null when the token is malformed
+ */
+const readWebhookFlowId = (token) => toObjectId(String(token || '').split('.')[0]);
+
+/**
+ * Read a contact from a trigger payload. Accepts the contact fields at the
+ * top level or under `contact`; other fields, such as the inputs of a signup
+ * form, become custom fields the same way CSV columns do.
+ * @param {Object} body - JSON or form-encoded request body
+ * @returns {Object} Contact with `email`, `firstName`, `lastName`, `company` and `customFields`
+ */
+const readTriggerContact = (body = {}) => {
+  const record = body.contact && typeof body.contact === 'object' ? body.contact : body;
+  const contact = { customFields: {} };
+
+  for (const [key, value] of Object.entries(record)) {
+    if (key === 'customFields' || value === null || value === undefined || typeof value === 'object') continue;
+
+    const text = String(value).trim();
+    const { field, custom } = mapHeader(key);
+    if (!field || text === '') continue;
+
+    if (custom) {
+      contact.customFields[field] = text;
+    } else if (CONTACT_FIELDS.includes(field)) {
+      contact[field] = text;
+    }
+  }
+
+  if (record.customFields && typeof record.customFields === 'object' && !Array.isArray(record.customFields)) {
+    for (const [key, value] of Object.entries(record.customFields)) {
+      if (value !== null && value !== undefined && typeof value !== 'object') {
+        contact.customFields[key] = String(value).trim();
+      }
+    }
+  }
+
+  return contact;
+};
+
+/**
+ * Find the flow run triggered contacts of a flow join, creating it when the
+ * flow has changed since the last one
+ * @param {Object} db - MongoDB database
+ * @param {Object} flow - Saved flow
+ * @param {Object} compiled - Result of compileSequence for the flow
+ * @param {String} leadListId - Lead list of the flow's lead source, if any
+ * @returns {Promise<Object>} Flow run document
+ */
+const findTriggerRun = async (db, flow, compiled, leadListId) => {
+  const flowId = flow._id.toString();
+  const filter = { flowId, trigger: true, flowUpdatedAt: flow.updatedAt };
+  const run = buildFlowRun({
+    userId: flow.userId,
+    flowId,
+    senderIds: flow.senderIds || [],
+    compiled,
+    schedulingOptions: (flow.trigger && flow.trigger.schedulingOptions) || undefined,
+    sendNow: false,
+    leadListId
+  }, new Date());
+
+  try {
+    return await db.collection('flowRuns').findOneAndUpdate(
+      filter,
+      { $setOnInsert: { ...run, ...filter } },
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (error) {
+    // Two contacts arrived at once after the flow changed; the other one created the run
+    if (error.code !== 11000) throw error;
+    return db.collection('flowRuns').findOne(filter);
+  }
+};
+
+/**
+ * Create the index that gives each version of a flow a single triggered run
+ * @param {Object} db - MongoDB database
+ */
+const ensureTriggerIndexes = async (db) => {
+  await db.collection('flowRuns').createIndex(
+    { flowId: 1, trigger: 1, flowUpdatedAt: 1 },
+    { unique: true, partialFilterExpression: { trigger: true } }
+  );
+};
+
+/**
+ * Create or update a contact from a trigger payload and enroll it into a flow
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} flow - Saved flow
+ * @param {Object} body - Trigger payload (see readTriggerContact)
+ * @returns {Promise<Object>} `{ enrolled, reason, enrollmentId, contactId }` on
+ *   success or `{ status, error, nodeIds }` on failure
+ */
+const enrollTriggeredContact = async (db, agenda, flow, body) => {
+  const contact = readTriggerContact(body);
+  if (!contact.email) {
+    return { status: 400, error: 'The contact email is required' };
+  }
+
+  // Every email carries an unsubscribe link, which needs the server's public URL
+  if (!getTrackingBaseUrl()) {
+    return { status: 500, error: MISSING_BASE_URL_ERROR };
+  }
+
+  let compiled;
+  try {
+    compiled = compileSequence({ nodes: flow.nodes, edges: flow.edges });
+  } catch (compileError) {
+    if (compileError instanceof SequenceCompileError) {
+      return { status: 400, error: compileError.message, nodeIds: compileError.nodeIds };
+    }
+    throw compileError;
+  }
+
+  const mergeFieldError = findMergeFieldSyntaxError(compiled.steps);
+  if (mergeFieldError) {
+    return { status: 400, error: mergeFieldError.message, nodeIds: [mergeFieldError.nodeId] };
+  }
+
+  // The contact joins the lead source's list, so list actions and later schedules see it
+  const leadSource = compiled.steps.find(step => step.type === 'leadSource' && step.data.leadListId);
+  const leadListId = leadSource ? leadSource.data.leadListId : null;
+
+  const userId = flow.userId;
+  const { invalid } = await upsertContacts(db, userId, leadListId ? toObjectId(leadListId) : null, [contact]);
+  if (invalid.length > 0) {
+    return { status: 400, error: `"${contact.email}" is not a valid email address` };
+  }
+
+  const saved = await db.collection('contacts').findOne({ userId, email: normalizeEmail(contact.email) });
+  const contactId = saved._id.toString();
+  const flowId = flow._id.toString();
+
+  if (await findSuppression(db, userId, saved.email)) {
+    return { enrolled: false, reason: 'suppressed', enrollmentId: null, contactId };
+  }
+
+  // Re-sent payloads, such as a CRM retrying, do not start the flow twice
+  const findExisting = () => db.collection('enrollments').findOne({
+    userId,
+    flowId,
+    contactId,
+    status: { $in: ['active', 'paused'] }
+  });
+  const alreadyEnrolled = (existing) =>
+    ({ enrolled: false, reason: 'already enrolled', enrollmentId: existing ? existing._id.toString() : null, contactId });
+
+  const existing = await findExisting();
+  if (existing) {
+    return alreadyEnrolled(existing);
+  }
+
+  const run = await findTriggerRun(db, flow, compiled, leadListId);
+  const { enrollmentIds } = await enrollIntoRun(db, agenda, run, [saved]);
+
+  // The unique index turned the contact away: a simultaneous trigger enrolled it first
+  if (enrollmentIds.length === 0) {
+    return alreadyEnrolled(await findExisting());
+  }
+
+  return { enrolled: true, reason: null, enrollmentId: enrollmentIds[0].toString(), contactId };
+};
+
+/**
+ * Describe a flow's triggers for the client
+ * @param {Object} flow - Saved flow
+ * @returns {Object} Trigger settings with the webhook URL, when enabled
+ */
+const mapFlowTrigger = (flow) => {
+  const flowId = flow._id.toString();
+  const webhookKey = flow.trigger && flow.trigger.webhookKey;
+  const webhookPath = webhookKey ? `/hooks/flows/${createWebhookToken(flowId, webhookKey)}` : null;
+  const baseUrl = getTrackingBaseUrl();
+
+  return {
+    flowId,
+    webhookEnabled: !!webhookKey,
+    webhookPath,
+    webhookUrl: webhookPath && baseUrl ? `${baseUrl}${webhookPath}` : null,
+    enrollPath: `/api/flows/${flowId}/enroll`,
+    schedulingOptions: (flow.trigger && flow.trigger.schedulingOptions) || null
+  };
+};
+
+/**
+ * Find a flow and verify it belongs to the user
+ * @param {Object} db - MongoDB database
+ * @param {String} userId - Owner of the flow
+ * @param {String} id - Flow ID
+ * @returns {Object} `{ flow }` on success or `{ status, error }` on failure
+ */
+const findOwnedFlow = async (db, userId, id) => {
+  const objectId = toObjectId(id);
+  if (!objectId) {
+    return { status: 400, error: 'Invalid flow ID format' };
+  }
+
+  const flow = await db.collection('flows').findOne({ _id: objectId });
+  if (!flow) {
+    return { status: 404, error: 'Flow not found' };
+  }
+
+  if (flow.userId !== userId) {
+    return { status: 403, error: 'Not authorized to access this flow' };
+  }
+
+  return { flow };
+};
+
+/**
+ * Send the outcome of a trigger
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of enrollTriggeredContact
+ */
+const sendTriggerResult = (res, result) => {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, ...(result.nodeIds ? { nodeIds: result.nodeIds } : {}) });
+  }
+  res.status(result.enrolled ? 201 : 200).json(result);
+};
+
+/**
+ * Create the flow trigger route handlers
+ * @param {Function} getAgenda - Resolves the initialized Agenda instance
+ * @returns {Object} Express route handlers
+ */
+const createTriggerHandlers = (getAgenda) => {
+  /**
+   * API endpoint to read a flow's triggers
+   * @route GET /api/flows/:id/trigger
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const getFlowTrigger = async (req, res) => {
+    try {
+      const { db } = await connectToDatabase();
+      const { flow, status, error } = await findOwnedFlow(db, req.user.id, req.params.id);
+      if (!flow) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(200).json({ trigger: mapFlowTrigger(flow) });
+    } catch (error) {
+      console.error('Error fetching flow trigger:', error);
+      res.status(500).json({ error: 'Failed to fetch flow trigger' });
+    }
+  };
+
+  /**
+   * API endpoint to change a flow's triggers: turn the inbound webhook on or
+   * off, give it a new URL, or set the sending window of triggered contacts
+   * @route PUT /api/flows/:id/trigger
+   * @param {Object} req - Express request object (`webhookEnabled`, `rotateWebhook`, `schedulingOptions` body)
+   * @param {Object} res - Express response object
+   */
+  const updateFlowTrigger = async (req, res) => {
+    try {
+      const { webhookEnabled, rotateWebhook, schedulingOptions } = req.body || {};
+      const { db } = await connectToDatabase();
+      const { flow, status, error } = await findOwnedFlow(db, req.user.id, req.params.id);
+      if (!flow) {
+        return res.status(status).json({ error });
+      }
+
+      const trigger = { ...(flow.trigger || {}) };
+
+      if (webhookEnabled === false) {
+        trigger.webhookKey = null;
+      } else if ((webhookEnabled === true && !trigger.webhookKey) || (rotateWebhook && trigger.webhookKey)) {
+        trigger.webhookKey = crypto.randomBytes(24).toString('base64url');
+      }
+
+      const update = { trigger };
+      if (schedulingOptions !== undefined) {
+        const { fromTime, toTime, days } = schedulingOptions || {};
+        trigger.schedulingOptions = schedulingOptions ? { fromTime, toTime, days } : null;
+
+        try {
+          normalizeSchedulingOptions(trigger.schedulingOptions || undefined);
+        } catch (optionsError) {
+          return res.status(400).json({ error: optionsError.message });
+        }
+
+        // Contacts triggered from now on get a flow run with the new window
+        update.updatedAt = new Date();
+      }
+
+      await db.collection('flows').updateOne({ _id: flow._id }, { $set: update });
+
+      res.status(200).json({ trigger: mapFlowTrigger({ ...flow, trigger }) });
+    } catch (error) {
+      console.error('Error updating flow trigger:', error);
+      res.status(500).json({ error: 'Failed to update flow trigger' });
+    }
+  };
+
+  /**
+   * API endpoint to enroll one contact into a saved flow, creating or updating the contact
+   * @route POST /api/flows/:id/enroll
+   * @param {Object} req - Express request object (contact fields, at the top level or under `contact`)
+   * @param {Object} res - Express response object
+   */
+  const enrollFlowContact = async (req, res) => {
+    try {
+      const { db } = await connectToDatabase();
+      const { flow, status, error } = await findOwnedFlow(db, req.user.id, req.params.id);
+      if (!flow) {
+        return res.status(status).json({ error });
+      }
+
+      const agenda = await getAgenda();
+      sendTriggerResult(res, await enrollTriggeredContact(db, agenda, flow, req.body));
+    } catch (error) {
+      console.error('Error enrolling contact:', error);
+      res.status(500).json({ error: 'Failed to enroll contact' });
+    }
+  };
+
+  /**
+   * Public endpoint of a flow's inbound webhook; the signed token stands in
+   * for authentication. Takes JSON or a form post.
+   * @route POST /hooks/flows/:token
+   * @param {Object} req - Express request object (contact fields, at the top level or under `contact`)
+   * @param {Object} res - Express response object
+   */
+  const receiveFlowWebhook = async (req, res) => {
+    try {
+      const flowId = readWebhookFlowId(req.params.token);
+      const { db } = await connectToDatabase();
+      const flow = flowId ? await db.collection('flows').findOne({ _id: flowId }) : null;
+
+      if (!verifyWebhookToken(req.params.token, flow)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const agenda = await getAgenda();
+      sendTriggerResult(res, await enrollTriggeredContact(db, agenda, flow, req.body));
+    } catch (error) {
+      console.error('Error handling flow webhook:', error);
+      res.status(500).json({ error: 'Failed to enroll contact' });
+    }
+  };
+
+  return {
+    getFlowTrigger,
+    updateFlowTrigger,
+    enrollFlowContact,
+    receiveFlowWebhook
+  };
+};
+
+export {
+  createWebhookToken,
+  verifyWebhookToken,
+  readTriggerContact,
+  enrollTriggeredContact,
+  ensureTriggerIndexes,
+  createTriggerHandlers
+};
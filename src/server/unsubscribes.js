@@ -0,0 +1,241 @@
+import { connectToDatabase } from './db.js';
+import { createUnsubscribeToken, readUnsubscribeToken } from './tracking.js';
+import { addSuppression } from './suppressions.js';
+import { stopEnrollment } from './enrollments.js';
+import { normalizeEmail } from './leadLists.js';
+import { escapeHtml } from '../shared/emailRenderer.js';
+
+/**
+ * Unsubscribe links.
+ *
+ * The `send email` job adds an unsubscribe footer to every email and sets the
+ * `List-Unsubscribe` and `List-Unsubscribe-Post` headers, so mail clients can
+ * show their own one-click button. The links need the server's public URL
+ * (TRACKING_BASE_URL); without it nothing is scheduled or sent. Both point at `/u/:token`: a GET shows a confirmation
+ * page and a POST unsubscribes. Unsubscribing puts the address on the
+ * sender's suppression list and stops every sequence it is enrolled in.
+ */
+
+// Why sends and schedules are refused when the server has no public URL
+const MISSING_BASE_URL_ERROR = 'TRACKING_BASE_URL is not set: every email needs an unsubscribe link, ' +
+  'so set it to the public URL of this server before sending';
+
+/**
+ * Build the unsubscribe URL of a sent message
+ * @param {String} baseUrl - Public base URL of the server
+ * @param {ObjectId} messageId - ID of the sent message
+ * @returns {String} Unsubscribe URL
+ */
+const getUnsubscribeUrl = (baseUrl, messageId) => `${baseUrl}/u/${createUnsubscribeToken(messageId)}`;
+
+/**
+ * Get the headers that let mail clients offer one-click unsubscribe (RFC 8058)
+ * @param {String} url - Unsubscribe URL
+ * @returns {Object} Message headers
+ */
+const getUnsubscribeHeaders = (url) => ({
+  'List-Unsubscribe': `<${url}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+/**
+ * Add the unsubscribe footer to both parts of an email
+ * @param {Object} content - `{ html, text }`; html is null for plain-text emails
+ * @param {String} url - Unsubscribe URL
+ * @returns {Object} `{ html, text }` with the footer added
+ */
+const addUnsubscribeFooter = ({ html, text }, url) => {
+  const footer = `<p style="margin:24px 0 0;font-size:12px;color:#6b7280;">Don't want these emails? <a href="${escapeHtml(url)}" style="color:#6b7280;">Unsubscribe</a></p>`;
+  const footedHtml = !html
+    ? html
+    : html.includes('</body>')
+      ? html.replace('</body>', `${footer}\n</body>`)
+      : `${html}${footer}`;
+
+  return {
+    html: footedHtml,
+    text: `${text || ''}\n\n--\nUnsubscribe: ${url}\n`
+  };
+};
+
+/**
+ * Add the unsubscribe footer and headers to an email about to go out
+ * @param {Object} content - `{ html, text }`; html is null for plain-text emails
+ * @param {String} baseUrl - Public base URL of the server, from getTrackingBaseUrl
+ * @param {ObjectId} messageId - ID of the message being sent
+ * @returns {Object} `{ html, text, headers }`
+ * @throws {Error} With code ENOUNSUBSCRIBE when there is no base URL, so the email is not sent without an opt-out
+ */
+const addUnsubscribeLink = (content, baseUrl, messageId) => {
+  if (!baseUrl) {
+    const error = new Error(MISSING_BASE_URL_ERROR);
+    error.code = 'ENOUNSUBSCRIBE';
+    throw error;
+  }
+
+  const url = getUnsubscribeUrl(baseUrl, messageId);
+  return { ...addUnsubscribeFooter(content, url), headers: getUnsubscribeHeaders(url) };
+};
+
+/**
+ * Unsubscribe the recipient of a sent message: suppress the address, record
+ * an `unsubscribe` event and stop the sequences it is still enrolled in
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} sent - The message's `sent` event
+ * @returns {Promise<Number>} Number of enrollments stopped
+ */
+const unsubscribeRecipient = async (db, agenda, sent) => {
+  const email = normalizeEmail(sent.to);
+  await addSuppression(db, { userId: sent.userId, email, reason: 'unsubscribe', detail: null });
+
+  // Mail clients may post the one-click request more than once; count it once per message
+  await db.collection('emailEvents').updateOne(
+    { type: 'unsubscribe', messageId: sent._id },
+    {
+      $setOnInsert: {
+        type: 'unsubscribe',
+        messageId: sent._id,
+        userId: sent.userId,
+        email,
+        enrollmentId: sent.enrollmentId || null,
+        contactId: sent.contactId || null,
+        flowId: sent.flowId || null,
+        nodeId: sent.nodeId || null,
+        createdAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  const enrollments = await db.collection('enrollments')
+    .find({ userId: sent.userId, email, status: { $in: ['active', 'paused'] } })
+    .project({ _id: 1 })
+    .toArray();
+  const enrollmentIds = new Set(enrollments.map(enrollment => enrollment._id.toString()));
+  if (sent.enrollmentId) {
+    enrollmentIds.add(sent.enrollmentId);
+  }
+
+  let stopped = 0;
+  for (const enrollmentId of enrollmentIds) {
+    const wasStopped = await stopEnrollment(db, agenda, enrollmentId, {
+      reason: 'unsubscribed',
+      nodeId: enrollmentId === sent.enrollmentId ? sent.nodeId || null : null
+    });
+    if (wasStopped) stopped++;
+  }
+
+  return stopped;
+};
+
+/**
+ * Render the small page shown to recipients who follow an unsubscribe link
+ * @param {String} title - Page heading
+ * @param {String} message - Text below the heading
+ * @param {String} formAction - Action of a confirmation form, omitted when there is nothing to confirm
+ * @returns {String} HTML document
+ */
+const renderUnsubscribePage = (title, message, formAction) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:48px 16px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<div style="max-width:420px;margin:0 auto;padding:32px;background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;text-align:center;">
+<h1 style="margin:0 0 12px;font-size:20px;">${escapeHtml(title)}</h1>
+<p style="margin:0;font-size:14px;line-height:1.5;color:#4b5563;">${escapeHtml(message)}</p>
+${formAction ? `<form method="post" action="${escapeHtml(formAction)}" style="margin:24px 0 0;">
+<button type="submit" style="padding:10px 20px;border:0;border-radius:6px;background:#111827;color:#ffffff;font-size:14px;cursor:pointer;">Unsubscribe</button>
+</form>` : ''}
+</div>
+</body>
+</html>`;
+
+/**
+ * Create the public unsubscribe route handlers
+ * @param {Function} getAgenda - Resolves the initialized Agenda instance
+ * @returns {Object} Express route handlers
+ */
+const createUnsubscribeHandlers = (getAgenda) => {
+  /**
+   * Find the sent message an unsubscribe token points at
+   * @param {String} token - Token from the URL
+   * @returns {Promise<Object>} `{ db, sent }`; sent is null for unknown or tampered tokens
+   */
+  const findUnsubscribeMessage = async (token) => {
+    const messageId = readUnsubscribeToken(token);
+    if (!messageId) return { db: null, sent: null };
+
+    const { db } = await connectToDatabase();
+    const sent = await db.collection('emailEvents').findOne({ _id: messageId, type: 'sent' });
+    return { db, sent };
+  };
+
+  /**
+   * Public endpoint for the unsubscribe link in the email footer. Only asks
+   * for confirmation, so link scanners that follow every URL unsubscribe no one.
+   * @route GET /u/:token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const showUnsubscribePage = async (req, res) => {
+    try {
+      const { sent } = await findUnsubscribeMessage(req.params.token);
+      if (!sent) {
+        return res.status(404).send(renderUnsubscribePage('Link not found', 'This unsubscribe link is not valid.'));
+      }
+
+      res.status(200).send(renderUnsubscribePage(
+        'Unsubscribe',
+        `Stop receiving emails from this sender at ${sent.to}?`,
+        `/u/${req.params.token}`
+      ));
+    } catch (error) {
+      console.error('Error showing unsubscribe page:', error);
+      res.status(500).send(renderUnsubscribePage('Something went wrong', 'Please try again later.'));
+    }
+  };
+
+  /**
+   * Public endpoint that unsubscribes the recipient. Mail clients post here
+   * directly for one-click unsubscribe; the confirmation page's form does too.
+   * @route POST /u/:token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const unsubscribe = async (req, res) => {
+    try {
+      const { db, sent } = await findUnsubscribeMessage(req.params.token);
+      if (!sent) {
+        return res.status(404).send(renderUnsubscribePage('Link not found', 'This unsubscribe link is not valid.'));
+      }
+
+      const agenda = await getAgenda();
+      await unsubscribeRecipient(db, agenda, sent);
+
+      res.status(200).send(renderUnsubscribePage(
+        'You have been unsubscribed',
+        `${sent.to} will not receive any more emails from this sender.`
+      ));
+    } catch (error) {
+      console.error('Error unsubscribing recipient:', error);
+      res.status(500).send(renderUnsubscribePage('Something went wrong', 'Please try again later.'));
+    }
+  };
+
+  return { showUnsubscribePage, unsubscribe };
+};
+
+export {
+  MISSING_BASE_URL_ERROR,
+  getUnsubscribeUrl,
+  getUnsubscribeHeaders,
+  addUnsubscribeFooter,
+  addUnsubscribeLink,
+  unsubscribeRecipient,
+  createUnsubscribeHandlers
+};
@@ -0,0 +1,264 @@
+import { lookup as lookupHost } from 'dns/promises';
+import { Agent, fetch as undiciFetch } from 'undici';
+import { connectToDatabase, toObjectId } from './db.js';
+import { getRetryPolicy, planRetry } from './retries.js';
+import { checkPublicHost, createPinnedLookup } from './publicHosts.js';
+import { getWebhookAttempts, parseWebhookData } from '../shared/actions.js';
+
+/**
+ * Outbound webhooks of webhook action nodes.
+ *
+ * When an enrollment reaches a webhook node, a `call webhook` job is queued
+ * with the JSON payload, and the enrollment moves on without waiting for it.
+ * The job POSTs the payload and logs every attempt in `webhookCalls`. Network
+ * errors, timeouts, 429 and 5xx responses are retried with the same backoff
+ * as emails, up to the node's `maxAttempts`; other 4xx responses are not.
+ * Before every attempt the host is resolved, and calls to this machine or a
+ * private, loopback or link-local address are refused. The request then
+ * connects to the address that was checked rather than resolving the name
+ * again, and redirects are not followed.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Longest response body kept in the call log
+const MAX_LOGGED_RESPONSE_LENGTH = 2000;
+
+/**
+ * Map a webhook call log entry for frontend consumption
+ * @param {Object} call - Webhook call document
+ * @returns {Object} Webhook call data
+ */
+const mapWebhookCall = (call) => ({
+  id: call._id.toString(),
+  flowId: call.flowId,
+  nodeId: call.nodeId,
+  enrollmentId: call.enrollmentId,
+  url: call.url,
+  attempt: call.attempt,
+  status: call.status,
+  ok: call.ok,
+  responseBody: call.responseBody,
+  error: call.error,
+  durationMs: call.durationMs,
+  retryAt: call.retryAt,
+  createdAt: call.createdAt
+});
+
+/**
+ * Build the JSON body a webhook node posts for a contact
+ * @param {Object} params - `enrollment`, `step`, `contact` (may be null) and `now`
+ * @returns {Object} Webhook payload
+ */
+const buildWebhookPayload = ({ enrollment, step, contact, now }) => ({
+  event: 'sequence.webhook',
+  flowId: enrollment.flowId || null,
+  runId: enrollment.runId.toString(),
+  nodeId: step.id,
+  enrollmentId: enrollment._id.toString(),
+  contact: contact
+    ? {
+      id: contact._id ? contact._id.toString() : null,
+      email: contact.email,
+      firstName: contact.firstName || '',
+      lastName: contact.lastName || '',
+      company: contact.company || '',
+      customFields: contact.customFields || {},
+      tags: contact.tags || []
+    }
+    : null,
+  data: parseWebhookData(step.data.payload),
+  triggeredAt: now.toISOString()
+});
+
+/**
+ * Queue the call of a webhook node for an enrollment
+ * @param {Object} db - MongoDB database
+ * @param {Object} agenda - Agenda instance
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} step - The webhook step of the flow run
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} The queued Agenda job
+ */
+const queueWebhook = async (db, agenda, enrollment, step, now) => {
+  const contactId = toObjectId(enrollment.contactId);
+  const contact = contactId ? await db.collection('contacts').findOne({ _id: contactId, userId: enrollment.userId }) : null;
+
+  return agenda.now('call webhook', {
+    userId: enrollment.userId,
+    enrollmentId: enrollment._id.toString(),
+    flowId: enrollment.flowId || null,
+    nodeId: step.id,
+    url: step.data.url,
+    maxAttempts: getWebhookAttempts(step.data),
+    payload: buildWebhookPayload({ enrollment, step, contact: contact || (enrollment.email ? { email: enrollment.email } : null), now })
+  });
+};
+
+/**
+ * Make sure a webhook URL only reaches public addresses
+ * @param {String} url - Webhook URL
+ * @param {Function} lookup - dns.promises.lookup or a stand-in
+ * @returns {Promise<Array<String>>} The addresses the host resolved to
+ * @throws {Error} With code EBLOCKED when the host is, or resolves to, a blocked address
+ */
+const checkWebhookTarget = (url, lookup) =>
+  checkPublicHost(new URL(url).hostname, { label: 'Webhook host', lookup });
+
+/**
+ * Make one attempt at a webhook call and log it
+ * @param {Object} db - MongoDB database
+ * @param {Object} call - Job data (`userId`, `enrollmentId`, `flowId`, `nodeId`, `url`, `maxAttempts`, `payload`)
+ * @param {Number} attempt - Number of this attempt, starting at 1
+ * @param {Object} options - `fetchImpl`, `lookup` and `now`, for tests
+ * @returns {Promise<Object>} `{ ok, status, error, retryAt }` where retryAt is null
+ *   when the call will not be tried again
+ */
+const callWebhook = async (db, call, attempt, { fetchImpl = undiciFetch, lookup = lookupHost, now = new Date() } = {}) => {
+  const started = Date.now();
+  let status = null;
+  let responseBody = null;
+  let failure = null;
+  let dispatcher = null;
+
+  try {
+    const addresses = await checkWebhookTarget(call.url, lookup);
+    dispatcher = new Agent({ connect: { lookup: createPinnedLookup(addresses) } });
+    const response = await fetchImpl(call.url, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'email-flow-automator' },
+      body: JSON.stringify(call.payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      dispatcher
+    });
+    status = response.status;
+    responseBody = (await response.text()).slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+
+    if (!response.ok) {
+      failure = new Error(`Webhook responded with HTTP ${response.status}`);
+      failure.code = response.status === 429 || response.status >= 500 ? 'EHTTPRETRY' : 'EHTTP';
+    }
+  } catch (error) {
+    failure = error;
+  } finally {
+    if (dispatcher) {
+      await dispatcher.destroy();
+    }
+  }
+
+  const retryAt = failure
+    ? planRetry(failure, attempt, { ...getRetryPolicy(), maxAttempts: call.maxAttempts }, now).retryAt
+    : null;
+
+  await db.collection('webhookCalls').insertOne({
+    userId: call.userId,
+    flowId: call.flowId,
+    nodeId: call.nodeId,
+    enrollmentId: call.enrollmentId,
+    url: call.url,
+    attempt,
+    status,
+    ok: !failure,
+    responseBody,
+    error: failure ? failure.message : null,
+    durationMs: Date.now() - started,
+    retryAt,
+    createdAt: now
+  });
+
+  return { ok: !failure, status, error: failure ? failure.message : null, retryAt };
+};
+
+/**
+ * Register the webhook Agenda job
+ * @param {Object} agenda - Agenda instance
+ */
+const defineWebhookJobs = (agenda) => {
+  agenda.define('call webhook', async (job) => {
+    const data = job.attrs.data;
+    const attempt = (data.attempts || 0) + 1;
+    const { db } = await connectToDatabase();
+
+    const result = await callWebhook(db, data, attempt);
+    Object.assign(job.attrs.data, { attempts: attempt, lastError: result.error });
+
+    // The enrollment has moved on already, so a failed call only shows up in its history
+    const entry = result.ok
+      ? { action: `webhook delivered (HTTP ${result.status})` }
+      : result.retryAt
+        ? { action: `webhook retry ${attempt} scheduled`, reason: result.error, retryAt: result.retryAt }
+        : { action: 'webhook failed', reason: result.error };
+    const enrollmentId = toObjectId(data.enrollmentId);
+    if (enrollmentId) {
+      await db.collection('enrollments').updateOne(
+        { _id: enrollmentId },
+        { $push: { history: { nodeId: data.nodeId, type: 'webhook', ...entry, at: new Date() } } }
+      );
+    }
+
+    if (!result.ok) {
+      if (result.retryAt) {
+        job.attrs.nextRunAt = result.retryAt;
+      }
+      throw new Error(result.error);
+    }
+  });
+};
+
+/**
+ * Create the indexes of the webhook call log
+ * @param {Object} db - MongoDB database
+ */
+const ensureWebhookCallIndexes = async (db) => {
+  await db.collection('webhookCalls').createIndex({ userId: 1, nodeId: 1, createdAt: -1 });
+  await db.collection('webhookCalls').createIndex({ enrollmentId: 1 });
+};
+
+/**
+ * API endpoint to read the webhook call log, newest first
+ * @route GET /api/webhook-calls
+ * @param {Object} req - Express request object (`flowId`, `nodeId`, `enrollmentId`, `page`, `limit` query)
+ * @param {Object} res - Express response object
+ */
+const getWebhookCalls = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = { userId };
+
+    for (const key of ['flowId', 'nodeId', 'enrollmentId']) {
+      if (req.query[key]) {
+        query[key] = String(req.query[key]);
+      }
+    }
+
+    const { db } = await connectToDatabase();
+    const callsCollection = db.collection('webhookCalls');
+
+    const [calls, total] = await Promise.all([
+      callsCollection.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      callsCollection.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      calls: calls.map(mapWebhookCall),
+      total,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching webhook calls:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook calls' });
+  }
+};
+
+export {
+  buildWebhookPayload,
+  queueWebhook,
+  callWebhook,
+  defineWebhookJobs,
+  ensureWebhookCallIndexes,
+  getWebhookCalls
+};
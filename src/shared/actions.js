@@ -0,0 +1,253 @@
+import { STANDARD_FIELDS, MergeFieldSyntaxError, extractMergeFields } from './mergeFields.js';
+
+/**
+ * Action node rules shared by the flow editor and the API server.
+ *
+ * Action nodes do something other than send email when an enrollment
+ * reaches them, then move straight on to the next step:
+ *   tagContact  - add or remove a tag on the contact
+ *   updateField - set a custom field of the contact (merge fields allowed)
+ *   moveToList  - add the contact to another lead list and take it off the
+ *                 list the sequence was scheduled from
+ *   webhook     - POST a JSON payload to a URL, retried in the background
+ * The server side lives in server/actions.js and server/webhooks.js.
+ */
+
+const CONTACT_ACTION_TYPES = ['tagContact', 'updateField', 'moveToList'];
+
+const ACTION_NODE_TYPES = [...CONTACT_ACTION_TYPES, 'webhook'];
+
+const TAG_OPERATIONS = ['add', 'remove'];
+
+const MAX_TAG_LENGTH = 50;
+
+// Same shape as merge field names, so updated fields can be used in later emails
+const CUSTOM_FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DEFAULT_WEBHOOK_ATTEMPTS = 3;
+const MAX_WEBHOOK_ATTEMPTS = 10;
+
+// IPv4 ranges a webhook may not reach: this host, private and carrier networks,
+// link-local (cloud metadata), benchmarking, multicast and reserved addresses
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+/**
+ * Normalize a tag for storage and comparison
+ * @param {String} tag - Raw tag
+ * @returns {String} Trimmed, lower-cased tag
+ */
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase();
+
+/**
+ * Read the number of attempts a webhook node allows
+ * @param {Object} data - Webhook node data
+ * @returns {Number} Whole attempts from 1 to MAX_WEBHOOK_ATTEMPTS
+ */
+const getWebhookAttempts = (data) => {
+  const attempts = parseInt(data && data.maxAttempts, 10);
+  return Number.isFinite(attempts) && attempts > 0 ? Math.min(attempts, MAX_WEBHOOK_ATTEMPTS) : DEFAULT_WEBHOOK_ATTEMPTS;
+};
+
+/**
+ * Parse the extra JSON a webhook node sends along
+ * @param {String} text - JSON object text, may be empty
+ * @returns {Object} Parsed object, empty when no extra data is set
+ * @throws {SyntaxError} When the text is not a JSON object
+ */
+const parseWebhookData = (text) => {
+  if (!text || !String(text).trim()) return {};
+
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new SyntaxError('Extra data must be a JSON object');
+  }
+  return data;
+};
+
+/**
+ * Parse a dotted IPv4 address
+ * @param {String} address - Address text
+ * @returns {Number|null} Address as a number, or null when it is not an IPv4 address
+ */
+const parseIpv4 = (address) => {
+  const parts = address.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+};
+
+/**
+ * Parse an IPv6 address, including `::` shorthand and a dotted IPv4 tail
+ * @param {String} address - Address text
+ * @returns {Array<Number>|null} The eight 16-bit groups, or null when it is not an IPv6 address
+ */
+const parseIpv6 = (address) => {
+  let text = address.replace(/%.*$/, '');
+  const tail = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (tail) {
+    const ipv4 = parseIpv4(tail[2]);
+    if (ipv4 === null) return null;
+    text = `${tail[1]}${Math.floor(ipv4 / 65536).toString(16)}:${(ipv4 % 65536).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const [head, rest] = halves.map(half => (half ? half.split(':') : []));
+  const groups = halves.length === 2
+    ? [...head, ...Array(8 - head.length - rest.length).fill('0'), ...rest]
+    : head;
+  if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+  return groups.map(group => parseInt(group, 16));
+};
+
+/**
+ * Tell whether an IP address is one a webhook must not reach: loopback,
+ * private, link-local or otherwise not on the public internet.
+ * IPv4-mapped and NAT64 IPv6 addresses are judged by their IPv4 part.
+ * @param {String} address - IPv4 or IPv6 address, IPv6 optionally in brackets
+ * @returns {Boolean} True for a blocked address; false for public ones and non-addresses
+ */
+const isPrivateAddress = (address) => {
+  const text = String(address || '').replace(/^\[(.*)\]$/, '$1');
+
+  const ipv4 = parseIpv4(text);
+  if (ipv4 !== null) {
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(ipv4 / size) === Math.floor(parseIpv4(base) / size);
+    });
+  }
+
+  const groups = parseIpv6(text);
+  if (!groups) return false;
+
+  const embeddedIpv4 = `${groups[6] >> 8}.${groups[6] & 255}.${groups[7] >> 8}.${groups[7] & 255}`;
+  const isMapped = groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff;
+  const isNat64 = groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0);
+  if (isMapped || isNat64) return isPrivateAddress(embeddedIpv4);
+
+  return groups.slice(0, 6).every(group => group === 0) || // unspecified, loopback and IPv4-compatible
+    (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // link-local
+    (groups[0] & 0xffc0) === 0xfec0 || // site-local
+    (groups[0] & 0xff00) === 0xff00; // multicast
+};
+
+/**
+ * Tell whether a URL host names this machine or a blocked address outright.
+ * Names still have to be resolved before a call; see server/webhooks.js.
+ * @param {String} hostname - Host of a parsed URL
+ * @returns {Boolean} True when the host must not be called
+ */
+const isBlockedWebhookHost = (hostname) => {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+};
+
+/**
+ * Check an action node's settings
+ * @param {String} type - One of ACTION_NODE_TYPES
+ * @param {Object} data - Node data
+ * @returns {String|null} Description of the problem, or null when the action is valid
+ */
+const findActionProblem = (type, data = {}) => {
+  switch (type) {
+    case 'tagContact': {
+      if (!TAG_OPERATIONS.includes(data.operation || 'add')) {
+        return `The tag operation must be one of ${TAG_OPERATIONS.join(', ')}.`;
+      }
+      const tag = normalizeTag(data.tag);
+      if (!tag || tag.length > MAX_TAG_LENGTH) {
+        return `Enter a tag of at most ${MAX_TAG_LENGTH} characters.`;
+      }
+      return null;
+    }
+    case 'updateField': {
+      const field = String(data.field || '').trim();
+      if (!CUSTOM_FIELD_PATTERN.test(field)) {
+        return 'Enter a field name made of letters, digits and underscores.';
+      }
+      if (STANDARD_FIELDS.includes(field)) {
+        return `"${field}" is a standard field; only custom fields can be updated.`;
+      }
+      try {
+        extractMergeFields(data.value || '');
+      } catch (error) {
+        if (error instanceof MergeFieldSyntaxError) return error.message;
+        throw error;
+      }
+      return null;
+    }
+    case 'moveToList':
+      return data.leadListId ? null : 'Choose the lead list to move the contact to.';
+    case 'webhook': {
+      let url;
+      try {
+        url = new URL(String(data.url || ''));
+      } catch {
+        return 'Enter the full URL of the webhook.';
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return 'The webhook URL must start with http:// or https://.';
+      }
+      if (isBlockedWebhookHost(url.hostname)) {
+        return 'The webhook URL must point to a public server, not a local or private address.';
+      }
+      try {
+        parseWebhookData(data.payload);
+      } catch {
+        return 'Extra data must be a JSON object.';
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Describe an action in a few words, for the node on the canvas
+ * @param {String} type - One of ACTION_NODE_TYPES
+ * @param {Object} data - Node data
+ * @returns {String} Short description
+ */
+const describeAction = (type, data = {}) => {
+  switch (type) {
+    case 'tagContact':
+      return `${data.operation === 'remove' ? 'Remove' : 'Add'} tag "${normalizeTag(data.tag)}"`;
+    case 'updateField':
+      return `Set ${data.field || 'field'} to "${data.value || ''}"`;
+    case 'moveToList':
+      return `Move to ${data.leadListName || 'a lead list'}`;
+    case 'webhook':
+      return `POST ${data.url || 'no URL set'}`;
+    default:
+      return '';
+  }
+};
+
+export {
+  CONTACT_ACTION_TYPES,
+  ACTION_NODE_TYPES,
+  TAG_OPERATIONS,
+  MAX_WEBHOOK_ATTEMPTS,
+  CUSTOM_FIELD_PATTERN,
+  normalizeTag,
+  getWebhookAttempts,
+  parseWebhookData,
+  isPrivateAddress,
+  isBlockedWebhookHost,
+  findActionProblem,
+  describeAction
+};
@@ -0,0 +1,111 @@
+/**
+ * Condition node rules shared by the flow editor and the API server.
+ *
+ * A `condition` node routes each enrollment down its "yes" or its "no"
+ * connection. The server evaluates it per contact when the enrollment
+ * reaches it (see server/conditions.js); this module holds the parts both
+ * sides need: the condition types, their validation and field matching.
+ */
+
+const CONDITION_TYPES = ['opened', 'clicked', 'noReply', 'field'];
+
+// Source handles of a condition node, in the order they are drawn
+const CONDITION_HANDLES = ['yes', 'no'];
+
+const FIELD_OPERATORS = ['equals', 'notEquals', 'contains', 'isSet', 'isNotSet'];
+
+const DEFAULT_REPLY_WAIT_DAYS = 3;
+
+/**
+ * Read the number of days a "no reply after N days" condition waits
+ * @param {Object} data - Condition node data
+ * @returns {Number} Whole days, at least one
+ */
+const getReplyWaitDays = (data) => {
+  const days = parseInt(data && data.days, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_REPLY_WAIT_DAYS;
+};
+
+/**
+ * Check a condition node's settings
+ * @param {Object} data - Condition node data
+ * @returns {String|null} Description of the problem, or null when the condition is valid
+ */
+const findConditionProblem = (data = {}) => {
+  if (!CONDITION_TYPES.includes(data.conditionType)) {
+    return `Choose what to check: one of ${CONDITION_TYPES.join(', ')}.`;
+  }
+
+  if (data.conditionType === 'field') {
+    if (!data.field || !String(data.field).trim()) {
+      return 'Choose the contact field to check.';
+    }
+    if (!FIELD_OPERATORS.includes(data.operator || 'equals')) {
+      return `The field comparison must be one of ${FIELD_OPERATORS.join(', ')}.`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Compare a contact field value against a field condition. Text comparisons
+ * ignore case and surrounding whitespace.
+ * @param {String} actual - The contact's value, empty when unset
+ * @param {String} operator - One of FIELD_OPERATORS
+ * @param {String} expected - Value from the condition
+ * @returns {Boolean} Whether the condition holds
+ */
+const matchesFieldCondition = (actual, operator, expected) => {
+  const value = String(actual ?? '').trim().toLowerCase();
+  const target = String(expected ?? '').trim().toLowerCase();
+
+  switch (operator || 'equals') {
+    case 'notEquals':
+      return value !== target;
+    case 'contains':
+      return value.includes(target);
+    case 'isSet':
+      return value !== '';
+    case 'isNotSet':
+      return value === '';
+    default:
+      return value === target;
+  }
+};
+
+/**
+ * Describe a condition in a few words, for the node on the canvas
+ * @param {Object} data - Condition node data
+ * @returns {String} Short description
+ */
+const describeCondition = (data = {}) => {
+  switch (data.conditionType) {
+    case 'opened':
+      return 'Opened previous email';
+    case 'clicked':
+      return 'Clicked previous email';
+    case 'noReply':
+      return `No reply after ${getReplyWaitDays(data)} day(s)`;
+    case 'field': {
+      const operator = data.operator || 'equals';
+      if (operator === 'isSet' || operator === 'isNotSet') {
+        return `${data.field || 'field'} ${operator === 'isSet' ? 'is set' : 'is not set'}`;
+      }
+      const verb = { equals: 'is', notEquals: 'is not', contains: 'contains' }[operator];
+      return `${data.field || 'field'} ${verb} "${data.value || ''}"`;
+    }
+    default:
+      return 'No condition set';
+  }
+};
+
+export {
+  CONDITION_TYPES,
+  CONDITION_HANDLES,
+  FIELD_OPERATORS,
+  getReplyWaitDays,
+  findConditionProblem,
+  matchesFieldCondition,
+  describeCondition
+};
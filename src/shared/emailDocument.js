@@ -0,0 +1,171 @@
+/**
+ * Structured email documents produced by the block editor.
+ *
+ * A document is a list of blocks (paragraphs, headings, lists, quotes, images
+ * and dividers). Text inside blocks keeps the inline markdown of the email
+ * renderer (**bold**, *italic*, [links](https://...)) and merge fields, so a
+ * document converts losslessly into the markdown body that gets personalized
+ * and rendered at send time.
+ */
+
+import { parseBlocks } from './emailRenderer.js';
+
+const DOCUMENT_VERSION = 1;
+
+/**
+ * Block types the editor can create
+ */
+const BLOCK_TYPES = ['paragraph', 'heading', 'list', 'quote', 'image', 'divider'];
+
+let blockCounter = 0;
+
+/**
+ * Generate an ID for a new block
+ * @returns {String} ID unique within the editor session
+ */
+const createBlockId = () => `b${Date.now().toString(36)}${(blockCounter++).toString(36)}`;
+
+/**
+ * Create an empty block of a given type
+ * @param {String} type - One of BLOCK_TYPES
+ * @returns {Object} New block
+ */
+const createBlock = (type) => {
+  const id = createBlockId();
+
+  switch (type) {
+    case 'heading':
+      return { id, type, level: 2, text: '' };
+    case 'list':
+      return { id, type, ordered: false, items: [''] };
+    case 'image':
+      return { id, type, src: '', alt: '', href: '' };
+    case 'divider':
+      return { id, type };
+    case 'quote':
+      return { id, type, text: '' };
+    default:
+      return { id, type: 'paragraph', text: '' };
+  }
+};
+
+/**
+ * Coerce a value from a request or editor into a string
+ * @param {*} value - Any value
+ * @returns {String} String value, empty for null or undefined
+ */
+const toText = (value) => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * Validate a document and drop anything the renderer does not understand
+ * @param {Object} doc - Document from the editor or a request body
+ * @returns {Object|null} Clean document, or null when the value is not a document
+ */
+const normalizeEmailDocument = (doc) => {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.blocks)) {
+    return null;
+  }
+
+  const blocks = doc.blocks
+    .filter(block => block && BLOCK_TYPES.includes(block.type))
+    .map(block => {
+      const id = block.id ? String(block.id) : createBlockId();
+
+      switch (block.type) {
+        case 'heading':
+          return { id, type: 'heading', level: [1, 2, 3].includes(block.level) ? block.level : 2, text: toText(block.text) };
+        case 'list':
+          return { id, type: 'list', ordered: !!block.ordered, items: (Array.isArray(block.items) ? block.items : []).map(toText) };
+        case 'image':
+          return { id, type: 'image', src: toText(block.src).trim(), alt: toText(block.alt), href: toText(block.href).trim() };
+        case 'divider':
+          return { id, type: 'divider' };
+        default:
+          return { id, type: block.type, text: toText(block.text) };
+      }
+    });
+
+  return { version: DOCUMENT_VERSION, blocks };
+};
+
+/**
+ * Convert a document into the markdown body the renderer understands
+ * @param {Object} doc - Email document
+ * @returns {String} Markdown body
+ */
+const documentToMarkdown = (doc) => {
+  const normalized = normalizeEmailDocument(doc);
+  if (!normalized) return '';
+
+  return normalized.blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return block.text.trim() ? `${'#'.repeat(block.level)} ${block.text.trim()}` : '';
+      case 'list':
+        return block.items
+          .filter(item => item.trim())
+          .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item.trim()}`)
+          .join('\n');
+      case 'quote':
+        return block.text.trim() ? block.text.trim().split('\n').map(line => `> ${line}`).join('\n') : '';
+      case 'image': {
+        if (!block.src) return '';
+        const image = `![${block.alt.replace(/[[\]]/g, '')}](${block.src})`;
+        return block.href ? `[${image}](${block.href})` : image;
+      }
+      case 'divider':
+        return '---';
+      default:
+        return block.text.trim();
+    }
+  }).filter(Boolean).join('\n\n');
+};
+
+/**
+ * Convert a markdown body into a document, e.g. when leaving the source view
+ * @param {String} markdown - Markdown body
+ * @returns {Object} Email document
+ */
+const markdownToDocument = (markdown) => ({
+  version: DOCUMENT_VERSION,
+  blocks: parseBlocks(markdown).map(block => {
+    const id = createBlockId();
+
+    switch (block.type) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+        return { id, type: 'heading', level: Number(block.type[1]), text: block.lines.join(' ') };
+      case 'ul':
+      case 'ol':
+        return { id, type: 'list', ordered: block.type === 'ol', items: block.items };
+      case 'blockquote':
+        return { id, type: 'quote', text: block.lines.join('\n') };
+      case 'img':
+        return { id, type: 'image', src: block.src, alt: block.alt, href: block.href || '' };
+      case 'hr':
+        return { id, type: 'divider' };
+      default:
+        return { id, type: 'paragraph', text: block.lines.join('\n') };
+    }
+  })
+});
+
+/**
+ * Get the markdown body of an email, preferring its structured document
+ * @param {Object} email - Node data or template with `body` and optional `bodyDoc`
+ * @returns {String} Markdown body
+ */
+const getEmailBody = ({ body, bodyDoc } = {}) => {
+  const normalized = normalizeEmailDocument(bodyDoc);
+  return normalized ? documentToMarkdown(normalized) : toText(body);
+};
+
+export {
+  BLOCK_TYPES,
+  createBlock,
+  normalizeEmailDocument,
+  documentToMarkdown,
+  markdownToDocument,
+  getEmailBody
+};
@@ -0,0 +1,324 @@
+/**
+ * Email rendering shared by the email editor and the API server.
+ *
+ * Bodies are authored in a small markdown dialect and turned into
+ * email-client-safe HTML (every tag carries inline styles, all authored text
+ * is escaped) together with a generated plain-text alternative. Plain mode
+ * skips the HTML part entirely.
+ *
+ * Supported markdown:
+ *   # Heading, ## Heading, ### Heading
+ *   **bold**, *italic*, _italic_
+ *   [link text](https://example.com) and bare https:// links
+ *   - bullet lists, 1. numbered lists
+ *   > quotes
+ *   ![alt text](https://example.com/image.png) on its own line, optionally
+ *   wrapped in a link: [![alt text](https://...)](https://...)
+ *   --- horizontal rule
+ *   \* and other backslash escapes for literal markdown characters
+ * Blank lines separate paragraphs; single line breaks are kept.
+ */
+
+/**
+ * Body formats a template or email node can use
+ */
+const EMAIL_FORMATS = ['html', 'plain'];
+
+const DEFAULT_FORMAT = 'html';
+
+// Inline styles applied to every generated tag, since most clients drop <style> blocks
+const STYLES = {
+  body: 'margin:0;padding:0;background-color:#ffffff;',
+  wrapper: 'font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.5;color:#222222;max-width:600px;padding:16px;',
+  p: 'margin:0 0 16px 0;',
+  h1: 'margin:0 0 16px 0;font-size:24px;line-height:1.25;font-weight:bold;',
+  h2: 'margin:0 0 14px 0;font-size:20px;line-height:1.25;font-weight:bold;',
+  h3: 'margin:0 0 12px 0;font-size:17px;line-height:1.25;font-weight:bold;',
+  ul: 'margin:0 0 16px 0;padding:0 0 0 24px;',
+  ol: 'margin:0 0 16px 0;padding:0 0 0 24px;',
+  li: 'margin:0 0 4px 0;',
+  blockquote: 'margin:0 0 16px 0;padding:0 0 0 12px;border-left:3px solid #dddddd;color:#555555;',
+  hr: 'border:none;border-top:1px solid #dddddd;margin:16px 0;',
+  img: 'display:block;max-width:100%;height:auto;border:0;margin:0 0 16px 0;',
+  a: 'color:#1a73e8;text-decoration:underline;'
+};
+
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+const IMAGE_URL_PATTERN = /^https?:\/\//i;
+
+const LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+const BARE_URL_PATTERN = /(^|[\s(])(https?:\/\/[^\s<)]+)/g;
+
+const IMAGE_LINE_PATTERN = /^!\[([^\]]*)\]\((\S+?)\)$/;
+
+const LINKED_IMAGE_LINE_PATTERN = /^\[!\[([^\]]*)\]\((\S+?)\)\]\((\S+?)\)$/;
+
+// Characters that start or end markdown syntax, including block markers and URL schemes
+const MARKDOWN_SPECIAL_PATTERN = /[\\`*_[\]()#+\-.!>:]/g;
+
+const ESCAPED_CHARACTER_PATTERN = /\\([\\`*_[\]()#+\-.!>:])/g;
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Escape text so markdown rendering shows it literally, e.g. merge field values
+ * taken from contacts. Line breaks are folded so a value cannot start new blocks.
+ * @param {String} text - Raw text
+ * @returns {String} Text with markdown characters backslash-escaped
+ */
+const escapeMarkdown = (text) => String(text)
+  .replace(/\s*[\r\n]+\s*/g, ' ')
+  .replace(MARKDOWN_SPECIAL_PATTERN, '\\$&');
+
+/**
+ * Remove backslash escapes from text that is used outside inline rendering
+ * @param {String} text - Markdown text
+ * @returns {String} Text with escaped characters restored
+ */
+const unescapeMarkdown = (text) => String(text).replace(ESCAPED_CHARACTER_PATTERN, '$1');
+
+/**
+ * Normalize a body format, falling back to the default for unknown values
+ * @param {String} format - Requested format
+ * @returns {String} One of EMAIL_FORMATS
+ */
+const normalizeFormat = (format) => (EMAIL_FORMATS.includes(format) ? format : DEFAULT_FORMAT);
+
+/**
+ * Merge field options for a body, so contact values stay literal text in markdown bodies
+ * @param {String} format - Body format
+ * @returns {Object} Options for renderMergeFields
+ */
+const getBodyMergeOptions = (format) => (normalizeFormat(format) === 'html' ? { escapeValue: escapeMarkdown } : {});
+
+/**
+ * Split markdown into blocks: headings, lists, quotes, images, rules and paragraphs
+ * @param {String} markdown - Authored body
+ * @returns {Array<Object>} Blocks with `type` and `lines`, `items` or image `src`, `alt` and `href`
+ */
+const parseBlocks = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let current = null;
+
+  const close = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\s+$/, '');
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+    const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+    const quote = /^>\s?(.*)$/.exec(line);
+    const image = IMAGE_LINE_PATTERN.exec(line.trim());
+    const linkedImage = LINKED_IMAGE_LINE_PATTERN.exec(line.trim());
+
+    if (line.trim() === '') {
+      close();
+    } else if (/^(-{3,}|\*{3,})$/.test(line.trim())) {
+      close();
+      blocks.push({ type: 'hr' });
+    } else if (image || linkedImage) {
+      close();
+      const [alt, src, href] = (linkedImage || image).slice(1).map(part => (part === undefined ? null : unescapeMarkdown(part)));
+      blocks.push({ type: 'img', alt, src, href });
+    } else if (heading) {
+      close();
+      blocks.push({ type: `h${heading[1].length}`, lines: [heading[2]] });
+    } else if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      if (!current || current.type !== type) {
+        close();
+        current = { type, items: [] };
+      }
+      current.items.push((bullet || numbered)[1]);
+    } else if (quote) {
+      if (!current || current.type !== 'blockquote') {
+        close();
+        current = { type: 'blockquote', lines: [] };
+      }
+      current.lines.push(quote[1]);
+    } else {
+      if (!current || current.type !== 'p') {
+        close();
+        current = { type: 'p', lines: [] };
+      }
+      current.lines.push(line);
+    }
+  }
+
+  close();
+  return blocks;
+};
+
+/**
+ * Render inline markdown (emphasis and links) as HTML
+ * @param {String} text - One line of authored text
+ * @returns {String} HTML with all authored text escaped
+ */
+const renderInlineHtml = (text) => {
+  const links = [];
+  const escaped = [];
+
+  // Pull escaped characters and then links out first so no rule treats them as markup
+  const withPlaceholders = text
+    .replace(ESCAPED_CHARACTER_PATTERN, (_, character) => {
+      escaped.push(character);
+      return `\u0001${escaped.length - 1}\u0001`;
+    })
+    .replace(LINK_PATTERN, (match, label, url) => {
+      if (!SAFE_URL_PATTERN.test(url)) return match;
+      links.push({ label, url });
+      return `\u0000${links.length - 1}\u0000`;
+    })
+    .replace(BARE_URL_PATTERN, (match, before, url) => {
+      links.push({ label: url, url });
+      return `${before}\u0000${links.length - 1}\u0000`;
+    });
+
+  return escapeHtml(withPlaceholders)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*(?!\s)(.+?)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => {
+      const { label, url } = links[Number(index)];
+      return `<a href="${escapeHtml(url)}" style="${STYLES.a}" target="_blank">${escapeHtml(label)}</a>`;
+    })
+    .replace(/\u0001(\d+)\u0001/g, (_, index) => escapeHtml(escaped[Number(index)]));
+};
+
+/**
+ * Render inline markdown as plain text, keeping link targets readable
+ * @param {String} text - One line of authored text
+ * @returns {String} Text without markdown markers
+ */
+const renderInlineText = (text) => {
+  const escaped = [];
+
+  return text
+    .replace(ESCAPED_CHARACTER_PATTERN, (_, character) => {
+      escaped.push(character);
+      return `\u0001${escaped.length - 1}\u0001`;
+    })
+    .replace(LINK_PATTERN, (match, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/(^|[^*])\*(?!\s)(.+?)\*(?!\*)/g, '$1$2')
+    .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, '$1$2')
+    .replace(/\u0001(\d+)\u0001/g, (_, index) => escaped[Number(index)]);
+};
+
+/**
+ * Turn markdown into the inner HTML of an email
+ * @param {String} markdown - Authored body
+ * @returns {String} HTML fragment with inline styles
+ */
+const markdownToHtml = (markdown) => parseBlocks(markdown).map(block => {
+  switch (block.type) {
+    case 'hr':
+      return `<hr style="${STYLES.hr}">`;
+    case 'img': {
+      if (!IMAGE_URL_PATTERN.test(block.src)) return '';
+      const img = `<img src="${escapeHtml(block.src)}" alt="${escapeHtml(block.alt)}" style="${STYLES.img}">`;
+      return block.href && SAFE_URL_PATTERN.test(block.href)
+        ? `<a href="${escapeHtml(block.href)}" target="_blank">${img}</a>`
+        : img;
+    }
+    case 'ul':
+    case 'ol':
+      return `<${block.type} style="${STYLES[block.type]}">` +
+        block.items.map(item => `<li style="${STYLES.li}">${renderInlineHtml(item)}</li>`).join('') +
+        `</${block.type}>`;
+    default:
+      return `<${block.type} style="${STYLES[block.type]}">${block.lines.map(renderInlineHtml).join('<br>')}</${block.type}>`;
+  }
+}).join('\n');
+
+/**
+ * Turn markdown into a readable plain-text alternative
+ * @param {String} markdown - Authored body
+ * @returns {String} Plain text
+ */
+const markdownToText = (markdown) => parseBlocks(markdown).map(block => {
+  switch (block.type) {
+    case 'hr':
+      return '----------';
+    case 'img':
+      return block.href ? `${block.alt || 'Image'} (${block.href})` : block.alt;
+    case 'ul':
+      return block.items.map(item => `- ${renderInlineText(item)}`).join('\n');
+    case 'ol':
+      return block.items.map((item, index) => `${index + 1}. ${renderInlineText(item)}`).join('\n');
+    case 'blockquote':
+      return block.lines.map(line => `> ${renderInlineText(line)}`).join('\n');
+    default:
+      return block.lines.map(renderInlineText).join('\n');
+  }
+}).filter(Boolean).join('\n\n');
+
+/**
+ * Wrap an HTML fragment in a complete email document
+ * @param {String} content - Inner HTML
+ * @returns {String} HTML document
+ */
+const wrapHtmlDocument = (content) => [
+  '<!DOCTYPE html>',
+  '<html>',
+  '<head>',
+  '<meta charset="utf-8">',
+  '<meta name="viewport" content="width=device-width, initial-scale=1">',
+  '</head>',
+  `<body style="${STYLES.body}">`,
+  `<div style="${STYLES.wrapper}">`,
+  content,
+  '</div>',
+  '</body>',
+  '</html>'
+].join('\n');
+
+/**
+ * Render an email body for sending
+ * @param {Object} email - Email content
+ * @param {String} email.body - Authored body (markdown in HTML mode)
+ * @param {String} email.format - 'html' or 'plain'
+ * @returns {Object} `{ html, text }` where html is null in plain mode
+ */
+const renderEmail = ({ body, format } = {}) => {
+  if (normalizeFormat(format) === 'plain') {
+    return { html: null, text: String(body || '') };
+  }
+
+  return {
+    html: wrapHtmlDocument(markdownToHtml(body)),
+    text: markdownToText(body)
+  };
+};
+
+export {
+  EMAIL_FORMATS,
+  DEFAULT_FORMAT,
+  SAFE_URL_PATTERN,
+  IMAGE_URL_PATTERN,
+  escapeHtml,
+  escapeMarkdown,
+  getBodyMergeOptions,
+  normalizeFormat,
+  parseBlocks,
+  markdownToHtml,
+  markdownToText,
+  wrapHtmlDocument,
+  renderEmail
+};
@@ -0,0 +1,111 @@
+import { normalizeTag } from './actions.js';
+
+/**
+ * Goal node rules shared by the flow editor and the API server.
+ *
+ * A flow can have one `goal` node. Its `exitRules` apply to the whole flow:
+ * as soon as a contact meets one, wherever it is in the sequence, its
+ * enrollment jumps to the goal and its pending emails are cancelled. The
+ * goal's own connections, if any, run after that. A goal can also be reached
+ * by connecting a step to it. The server side lives in server/enrollments.js.
+ */
+
+const EXIT_RULE_TYPES = ['replied', 'clicked', 'tagAdded', 'event'];
+
+// Names of external events posted through the API
+const EVENT_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+/**
+ * Check a goal node's exit rules
+ * @param {Object} data - Goal node data
+ * @returns {String|null} Description of the problem, or null when the goal is valid
+ */
+const findGoalProblem = (data = {}) => {
+  const rules = data.exitRules || [];
+  if (!Array.isArray(rules)) {
+    return 'Exit rules must be a list.';
+  }
+
+  for (const rule of rules) {
+    if (!rule || !EXIT_RULE_TYPES.includes(rule.type)) {
+      return `Every exit rule needs a type: one of ${EXIT_RULE_TYPES.join(', ')}.`;
+    }
+    if (rule.type === 'tagAdded' && !normalizeTag(rule.tag)) {
+      return 'Enter the tag an exit rule waits for.';
+    }
+    if (rule.type === 'event' && !EVENT_NAME_PATTERN.test(String(rule.event || '').trim())) {
+      return 'Event names are 1 to 64 letters, digits, dots, dashes, colons or underscores.';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether something that happened to a contact meets an exit rule
+ * @param {Object} rule - Exit rule of a goal node
+ * @param {Object} trigger - `{ type, url }` for clicks, `{ type, tag }` for tags,
+ *   `{ type, event }` for external events, `{ type }` for replies
+ * @returns {Boolean} Whether the rule is met
+ */
+const matchesExitRule = (rule, trigger) => {
+  if (!rule || !trigger || rule.type !== trigger.type) return false;
+
+  switch (rule.type) {
+    case 'clicked': {
+      // Without a URL any link counts; with one, the clicked link must contain it
+      const url = String(rule.url || '').trim().toLowerCase();
+      return !url || String(trigger.url || '').toLowerCase().includes(url);
+    }
+    case 'tagAdded':
+      return normalizeTag(rule.tag) === normalizeTag(trigger.tag);
+    case 'event':
+      return String(rule.event || '').trim().toLowerCase() === String(trigger.event || '').trim().toLowerCase();
+    default:
+      return true;
+  }
+};
+
+/**
+ * Find the first exit rule a trigger meets
+ * @param {Array<Object>} rules - Exit rules of a goal node
+ * @param {Object} trigger - See matchesExitRule
+ * @returns {Object|null} The matching rule
+ */
+const findMatchingExitRule = (rules, trigger) => (rules || []).find(rule => matchesExitRule(rule, trigger)) || null;
+
+/**
+ * Describe an exit rule in a few words
+ * @param {Object} rule - Exit rule
+ * @returns {String} Short description
+ */
+const describeExitRule = (rule = {}) => {
+  switch (rule.type) {
+    case 'replied':
+      return 'replied';
+    case 'clicked':
+      return rule.url ? `clicked a link to ${rule.url}` : 'clicked a link';
+    case 'tagAdded':
+      return `tag "${normalizeTag(rule.tag)}" added`;
+    case 'event':
+      return `event "${rule.event || ''}"`;
+    default:
+      return 'unknown rule';
+  }
+};
+
+/**
+ * Find the goal step of a compiled sequence
+ * @param {Array<Object>} steps - Compiled steps
+ * @returns {Object|null} The goal step
+ */
+const findGoalStep = (steps) => (steps || []).find(step => step.type === 'goal') || null;
+
+export {
+  EXIT_RULE_TYPES,
+  findGoalProblem,
+  matchesExitRule,
+  findMatchingExitRule,
+  describeExitRule,
+  findGoalStep
+};
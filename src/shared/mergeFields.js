@@ -0,0 +1,258 @@
+/**
+ * Merge-field personalization shared by the email editor and the API server.
+ *
+ * Supported syntax:
+ *   {{firstName}}                  - contact field or custom field
+ *   {{firstName|there}}            - field with a fallback when it is empty
+ *   {{#if company}}...{{/if}}      - section shown only when the field has a value
+ *   {{#if company}}...{{else}}...{{/if}}
+ *   {{#unless company}}...{{/unless}}
+ */
+
+/**
+ * Fields every contact has. Anything else is looked up in `customFields`.
+ */
+const STANDARD_FIELDS = ['email', 'firstName', 'lastName', 'fullName', 'company'];
+
+// Field names follow the camelCase keys produced by the CSV import
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+/**
+ * Error thrown when a template cannot be parsed
+ */
+class MergeFieldSyntaxError extends Error {
+  /**
+   * @param {String} message - Human readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MergeFieldSyntaxError';
+  }
+}
+
+/**
+ * Parse a field tag such as `firstName|there`
+ * @param {String} expression - Tag content without the braces
+ * @returns {Object} `{ name, fallback }` where fallback is null when not given
+ * @throws {MergeFieldSyntaxError} When the field name is not valid
+ */
+const parseFieldExpression = (expression) => {
+  const separator = expression.indexOf('|');
+  const name = (separator === -1 ? expression : expression.slice(0, separator)).trim();
+  const fallback = separator === -1 ? null : expression.slice(separator + 1).trim();
+
+  if (!FIELD_NAME_PATTERN.test(name)) {
+    throw new MergeFieldSyntaxError(`"{{${expression}}}" is not a valid merge field`);
+  }
+
+  return { name, fallback };
+};
+
+/**
+ * Parse a template into a tree of text, field and conditional nodes
+ * @param {String} template - Subject or body text
+ * @returns {Array<Object>} Parsed nodes
+ * @throws {MergeFieldSyntaxError} When tags are malformed or conditionals are unbalanced
+ */
+const parseTemplate = (template) => {
+  const root = { children: [] };
+  const stack = [root];
+  const text = String(template || '');
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.otherwise : block.children;
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const tag = match[1];
+    const opening = /^#(if|unless)\s+(.*)$/.exec(tag);
+
+    if (opening) {
+      const name = opening[2].trim();
+      if (!FIELD_NAME_PATTERN.test(name)) {
+        throw new MergeFieldSyntaxError(`"{{${tag}}}" must name a single field`);
+      }
+      const block = { type: 'if', name, negate: opening[1] === 'unless', children: [], otherwise: [], inElse: false };
+      current().push(block);
+      stack.push(block);
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (stack.length === 1 || block.inElse) {
+        throw new MergeFieldSyntaxError('"{{else}}" must be inside an {{#if}} or {{#unless}} section');
+      }
+      block.inElse = true;
+    } else if (tag === '/if' || tag === '/unless') {
+      const block = stack[stack.length - 1];
+      if (stack.length === 1 || (tag === '/if') === block.negate) {
+        throw new MergeFieldSyntaxError(`"{{${tag}}}" does not close an open section`);
+      }
+      stack.pop();
+    } else {
+      current().push({ type: 'field', ...parseFieldExpression(tag) });
+    }
+  }
+
+  if (lastIndex < text.length) {
+    current().push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new MergeFieldSyntaxError(`"{{#${block.negate ? 'unless' : 'if'} ${block.name}}}" is never closed`);
+  }
+
+  return root.children;
+};
+
+/**
+ * Look up the value of a merge field for a contact
+ * @param {Object} contact - Contact with standard fields and `customFields`
+ * @param {String} name - Field name
+ * @returns {String} Trimmed value, or an empty string when the contact has none
+ */
+const getFieldValue = (contact, name) => {
+  if (!contact) return '';
+
+  let value;
+  if (name === 'fullName') {
+    value = [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+  } else if (STANDARD_FIELDS.includes(name)) {
+    value = contact[name];
+  } else {
+    value = contact.customFields ? contact.customFields[name] : undefined;
+  }
+
+  return value === undefined || value === null ? '' : String(value).trim();
+};
+
+/**
+ * Render parsed nodes for a contact
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @param {Object} contact - Contact to personalize for
+ * @param {Function} escapeValue - Applied to contact values, not to authored fallbacks
+ * @returns {String} Rendered text
+ */
+const renderNodes = (nodes, contact, escapeValue) => nodes.map(node => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  if (node.type === 'field') {
+    const value = getFieldValue(contact, node.name);
+    return value ? escapeValue(value) : node.fallback || '';
+  }
+
+  const hasValue = getFieldValue(contact, node.name) !== '';
+  return renderNodes(hasValue !== node.negate ? node.children : node.otherwise, contact, escapeValue);
+}).join('');
+
+/**
+ * Fill in the merge fields of a subject or body for one contact
+ * @param {String} template - Text containing merge fields
+ * @param {Object} contact - Contact with standard fields and `customFields`
+ * @param {Object} options - Rendering options
+ * @param {Function} options.escapeValue - Escapes contact values for the template's markup,
+ *   so a value such as `[Click](https://...)` stays literal text
+ * @returns {String} Personalized text
+ * @throws {MergeFieldSyntaxError} When the template is malformed
+ */
+const renderMergeFields = (template, contact = {}, { escapeValue = value => value } = {}) =>
+  renderNodes(parseTemplate(template), contact, escapeValue);
+
+/**
+ * List the merge fields a template uses
+ * @param {String} template - Text containing merge fields
+ * @returns {Array<Object>} `{ name, fallback, conditional }` per distinct use; `conditional`
+ *   is true for fields that only appear as an {{#if}}/{{#unless}} condition
+ * @throws {MergeFieldSyntaxError} When the template is malformed
+ */
+const extractMergeFields = (template) => {
+  const fields = [];
+  const seen = new Set();
+
+  const add = (name, fallback, conditional) => {
+    const key = `${name}|${fallback}|${conditional}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      fields.push({ name, fallback, conditional });
+    }
+  };
+
+  const walk = (nodes) => nodes.forEach(node => {
+    if (node.type === 'field') {
+      add(node.name, node.fallback, false);
+    } else if (node.type === 'if') {
+      add(node.name, null, true);
+      walk(node.children);
+      walk(node.otherwise);
+    }
+  });
+
+  walk(parseTemplate(template));
+  return fields;
+};
+
+/**
+ * Check a template against the fields available for a set of contacts
+ * @param {String} template - Text containing merge fields
+ * @param {Object} options - Validation options
+ * @param {Array<String>} options.customFields - Custom field names the contacts may have
+ * @param {Array<Object>} options.contacts - Contacts the template will be sent to
+ * @returns {Object} `{ error, unknown, missing }` where `error` is a syntax error message
+ *   or null, `unknown` lists fields no contact can have and `missing` lists
+ *   `{ field, contacts }` for fields without a fallback that some contacts leave empty
+ */
+const validateMergeFields = (template, { customFields = [], contacts = [] } = {}) => {
+  let fields;
+  try {
+    fields = extractMergeFields(template);
+  } catch (error) {
+    if (error instanceof MergeFieldSyntaxError) {
+      return { error: error.message, unknown: [], missing: [] };
+    }
+    throw error;
+  }
+
+  const known = new Set([...STANDARD_FIELDS, ...customFields]);
+  const unknown = [];
+  const missing = [];
+
+  for (const { name, fallback, conditional } of fields) {
+    if (!known.has(name)) {
+      if (!unknown.includes(name)) unknown.push(name);
+      continue;
+    }
+
+    // Conditions and fields with a fallback handle empty values on their own
+    if (conditional || fallback !== null || missing.some(entry => entry.field === name)) {
+      continue;
+    }
+
+    const count = contacts.filter(contact => getFieldValue(contact, name) === '').length;
+    if (count > 0) {
+      missing.push({ field: name, contacts: count });
+    }
+  }
+
+  return { error: null, unknown, missing };
+};
+
+export {
+  STANDARD_FIELDS,
+  MergeFieldSyntaxError,
+  getFieldValue,
+  renderMergeFields,
+  extractMergeFields,
+  validateMergeFields
+};
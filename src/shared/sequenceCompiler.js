@@ -0,0 +1,262 @@
+import { CONDITION_HANDLES, findConditionProblem } from './conditions.js';
+import { findSplitProblem } from './splits.js';
+import { ACTION_NODE_TYPES, findActionProblem } from './actions.js';
+import { findGoalProblem } from './goals.js';
+
+/**
+ * Sequence compiler shared by the flow editor and the API server.
+ *
+ * Turns the ReactFlow graph (nodes + edges) into an ordered list of steps by
+ * walking the edges from the entry node, instead of trusting the order in
+ * which nodes happen to sit in the `nodes` array. A goal node does not need
+ * to be connected: contacts can jump to it from anywhere (see goals.js).
+ */
+
+/**
+ * Node types that are allowed to have more than one outgoing connection.
+ * Every other node must lead to at most one next step.
+ */
+const BRANCHING_NODE_TYPES = ['condition', 'split'];
+
+/**
+ * Error thrown when a flow cannot be compiled into a sequence
+ */
+class SequenceCompileError extends Error {
+  /**
+   * @param {String} message - Human readable description of the problem
+   * @param {Array<String>} nodeIds - IDs of the nodes involved in the problem
+   */
+  constructor(message, nodeIds = []) {
+    super(message);
+    this.name = 'SequenceCompileError';
+    this.nodeIds = nodeIds;
+  }
+}
+
+/**
+ * Describe a node for error messages, preferring its label over its ID
+ * @param {Object} node - ReactFlow node
+ * @returns {String} Short description of the node
+ */
+const describeNode = (node) => {
+  const label = node.data && node.data.label;
+  return label ? `"${label}"` : `"${node.type || 'node'}" (${node.id})`;
+};
+
+/**
+ * Compile a ReactFlow graph into an ordered email sequence
+ * @param {Object} flow - Flow graph
+ * @param {Array} flow.nodes - ReactFlow nodes
+ * @param {Array} flow.edges - ReactFlow edges
+ * @returns {Object} `{ entryId, steps }` where steps are in topological order and
+ *   each step carries `next`, the list of `{ nodeId, handle }` it connects to
+ * @throws {SequenceCompileError} When the graph is empty, has a cycle, orphan
+ *   nodes, more than one entry node, or dangling edges
+ */
+const compileSequence = ({ nodes, edges } = {}) => {
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    throw new SequenceCompileError('The flow has no nodes. Add at least one node to your sequence.');
+  }
+
+  const edgeList = Array.isArray(edges) ? edges : [];
+  const nodesById = new Map();
+
+  for (const node of nodes) {
+    if (!node || !node.id) {
+      throw new SequenceCompileError('Every node in the flow must have an ID.');
+    }
+    if (nodesById.has(node.id)) {
+      throw new SequenceCompileError(`Node ID "${node.id}" is used more than once.`, [node.id]);
+    }
+    nodesById.set(node.id, node);
+  }
+
+  // Build adjacency lists, ignoring duplicate connections between the same handles
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  const incoming = new Map(nodes.map(node => [node.id, []]));
+  const seenEdges = new Set();
+
+  for (const edge of edgeList) {
+    if (!nodesById.has(edge.source) || !nodesById.has(edge.target)) {
+      throw new SequenceCompileError(
+        `Connection "${edge.id}" points to a node that does not exist.`,
+        [edge.source, edge.target].filter(id => nodesById.has(id))
+      );
+    }
+    if (edge.source === edge.target) {
+      throw new SequenceCompileError(
+        `${describeNode(nodesById.get(edge.source))} is connected to itself. Sequences cannot loop.`,
+        [edge.source]
+      );
+    }
+
+    const handle = edge.sourceHandle || null;
+    const key = `${edge.source}:${handle}->${edge.target}`;
+    if (seenEdges.has(key)) continue;
+    seenEdges.add(key);
+
+    outgoing.get(edge.source).push({ nodeId: edge.target, handle });
+    incoming.get(edge.target).push(edge.source);
+  }
+
+  const goals = nodes.filter(node => node.type === 'goal');
+  if (goals.length > 1) {
+    throw new SequenceCompileError(
+      `The flow has more than one goal: ${goals.map(describeNode).join(', ')}. Keep one and put all exit rules on it.`,
+      goals.map(node => node.id)
+    );
+  }
+  for (const goal of goals) {
+    const problem = findGoalProblem(goal.data);
+    if (problem) {
+      throw new SequenceCompileError(`${describeNode(goal)}: ${problem}`, [goal.id]);
+    }
+  }
+  if (goals.length === nodes.length) {
+    throw new SequenceCompileError('The flow has only a goal. Add the steps that lead up to it.', goals.map(node => node.id));
+  }
+
+  // A node that is neither connected to nor from anything is an orphan; goals are reached by jumping
+  if (nodes.length > 1) {
+    const orphans = nodes.filter(node =>
+      node.type !== 'goal' && outgoing.get(node.id).length === 0 && incoming.get(node.id).length === 0
+    );
+    if (orphans.length > 0) {
+      throw new SequenceCompileError(
+        `${orphans.map(describeNode).join(', ')} ${orphans.length === 1 ? 'is' : 'are'} not connected to the sequence. Connect or delete ${orphans.length === 1 ? 'it' : 'them'}.`,
+        orphans.map(node => node.id)
+      );
+    }
+  }
+
+  const roots = nodes.filter(node => incoming.get(node.id).length === 0 && node.type !== 'goal');
+
+  if (roots.length === 0) {
+    throw new SequenceCompileError(
+      'The flow has no entry node because its connections form a loop. Sequences cannot loop.',
+      nodes.map(node => node.id)
+    );
+  }
+
+  if (roots.length > 1) {
+    throw new SequenceCompileError(
+      `The flow has more than one entry node: ${roots.map(describeNode).join(', ')}. Connect them into a single sequence.`,
+      roots.map(node => node.id)
+    );
+  }
+
+  for (const node of nodes) {
+    if (outgoing.get(node.id).length > 1 && !BRANCHING_NODE_TYPES.includes(node.type)) {
+      throw new SequenceCompileError(
+        `${describeNode(node)} has more than one outgoing connection. Only one next step is allowed.`,
+        [node.id]
+      );
+    }
+  }
+
+  // Condition nodes route down their "yes" or "no" handle, so each handle leads to at most one step
+  for (const node of nodes.filter(item => item.type === 'condition')) {
+    const problem = findConditionProblem(node.data);
+    if (problem) {
+      throw new SequenceCompileError(`${describeNode(node)}: ${problem}`, [node.id]);
+    }
+
+    const handles = outgoing.get(node.id).map(next => next.handle);
+    if (handles.some(handle => !CONDITION_HANDLES.includes(handle))) {
+      throw new SequenceCompileError(
+        `${describeNode(node)} must be connected from its "yes" or "no" handle.`,
+        [node.id]
+      );
+    }
+    if (new Set(handles).size < handles.length) {
+      throw new SequenceCompileError(
+        `${describeNode(node)} has more than one connection from the same handle. Each of "yes" and "no" leads to one step.`,
+        [node.id]
+      );
+    }
+  }
+
+  // Split nodes have one handle per variant
+  for (const node of nodes.filter(item => item.type === 'split')) {
+    const problem = findSplitProblem(node.data);
+    if (problem) {
+      throw new SequenceCompileError(`${describeNode(node)}: ${problem}`, [node.id]);
+    }
+
+    const variantIds = node.data.variants.map(variant => variant.id);
+    const handles = outgoing.get(node.id).map(next => next.handle);
+    if (handles.some(handle => !variantIds.includes(handle))) {
+      throw new SequenceCompileError(
+        `${describeNode(node)} must be connected from one of its variant handles.`,
+        [node.id]
+      );
+    }
+    if (new Set(handles).size < handles.length) {
+      throw new SequenceCompileError(
+        `${describeNode(node)} has more than one connection from the same variant. Each variant leads to one step.`,
+        [node.id]
+      );
+    }
+  }
+
+  // Action nodes run unattended, so their settings are checked up front
+  for (const node of nodes.filter(item => ACTION_NODE_TYPES.includes(item.type))) {
+    const problem = findActionProblem(node.type, node.data);
+    if (problem) {
+      throw new SequenceCompileError(`${describeNode(node)}: ${problem}`, [node.id]);
+    }
+  }
+
+  // Kahn's algorithm starting from the single entry node; a goal nothing leads
+  // to is walked after everything the entry node reaches
+  const entry = roots[0];
+  const remainingIncoming = new Map(nodes.map(node => [node.id, incoming.get(node.id).length]));
+  const queue = [entry.id];
+  const detachedGoals = goals.filter(node => incoming.get(node.id).length === 0).map(node => node.id);
+  const ordered = [];
+
+  while (queue.length > 0 || detachedGoals.length > 0) {
+    const nodeId = queue.length > 0 ? queue.shift() : detachedGoals.shift();
+    ordered.push(nodeId);
+
+    for (const { nodeId: targetId } of outgoing.get(nodeId)) {
+      const count = remainingIncoming.get(targetId) - 1;
+      remainingIncoming.set(targetId, count);
+      if (count === 0) {
+        queue.push(targetId);
+      }
+    }
+  }
+
+  // With a single entry node, anything not reached is part of (or behind) a loop
+  if (ordered.length < nodes.length) {
+    const visited = new Set(ordered);
+    const looped = nodes.filter(node => !visited.has(node.id));
+    throw new SequenceCompileError(
+      `The flow contains a loop involving ${looped.map(describeNode).join(', ')}. Sequences cannot loop.`,
+      looped.map(node => node.id)
+    );
+  }
+
+  const steps = ordered.map(nodeId => {
+    const node = nodesById.get(nodeId);
+    const data = { ...(node.data || {}) };
+
+    return {
+      id: node.id,
+      type: node.type,
+      data,
+      delay: data.delay || 0,
+      unit: data.unit || 'hours',
+      next: outgoing.get(node.id)
+    };
+  });
+
+  return { entryId: entry.id, steps };
+};
+
+export {
+  BRANCHING_NODE_TYPES,
+  SequenceCompileError,
+  compileSequence
+};
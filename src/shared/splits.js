@@ -0,0 +1,132 @@
+/**
+ * A/B split node rules shared by the flow editor and the API server.
+ *
+ * A `split` node sends each contact down one of its variant branches, by
+ * percentage. With `autoWinner` set, only the first `sampleSize` contacts
+ * are split; the rest wait at the node until `testHours` after the first
+ * contact arrived, and then all follow the variant with the best
+ * `winnerMetric` rate. The server side lives in server/splits.js.
+ */
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+
+// Metrics a winner can be picked on, as rates of the variant's sent emails
+const WINNER_METRICS = ['opened', 'clicked', 'replied'];
+
+// Variant IDs double as handle IDs and as keys of stored counts
+const VARIANT_ID_PATTERN = /^[a-z0-9]+$/;
+
+/**
+ * Default variants of a new split node
+ * @returns {Array<Object>} Two even variants
+ */
+const getDefaultVariants = () => [
+  { id: 'a', name: 'Variant A', percent: 50 },
+  { id: 'b', name: 'Variant B', percent: 50 }
+];
+
+/**
+ * Check a split node's settings
+ * @param {Object} data - Split node data
+ * @returns {String|null} Description of the problem, or null when the split is valid
+ */
+const findSplitProblem = (data = {}) => {
+  const variants = Array.isArray(data.variants) ? data.variants : [];
+
+  if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return `A split needs between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants.`;
+  }
+
+  const ids = variants.map(variant => variant && variant.id);
+  if (ids.some(id => !VARIANT_ID_PATTERN.test(String(id || ''))) || new Set(ids).size < ids.length) {
+    return 'Every variant needs its own ID made of lowercase letters and digits.';
+  }
+
+  const percents = variants.map(variant => Number(variant.percent));
+  if (percents.some(percent => !Number.isInteger(percent) || percent < 0 || percent > 100)) {
+    return 'Variant percentages must be whole numbers from 0 to 100.';
+  }
+  if (percents.reduce((total, percent) => total + percent, 0) !== 100) {
+    return 'Variant percentages must add up to 100.';
+  }
+
+  if (data.autoWinner) {
+    if (!WINNER_METRICS.includes(data.winnerMetric)) {
+      return `Pick the winner on one of ${WINNER_METRICS.join(', ')}.`;
+    }
+    if (!(Number(data.sampleSize) >= variants.length)) {
+      return 'The test sample must have at least one contact per variant.';
+    }
+    if (!(Number(data.testHours) > 0)) {
+      return 'The test window must be longer than zero hours.';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick the variant for the next contact, keeping the split as close to the
+ * percentages as possible. Deterministic, so tests and retries agree.
+ * @param {Array<Object>} variants - Variants with `id` and `percent`
+ * @param {Object} counts - Contacts assigned so far, keyed by variant ID
+ * @returns {String} Variant ID
+ */
+const chooseVariant = (variants, counts = {}) => {
+  const total = variants.reduce((sum, variant) => sum + (counts[variant.id] || 0), 0);
+  let best = variants[0];
+  let bestDeficit = -Infinity;
+
+  for (const variant of variants) {
+    const deficit = (variant.percent / 100) * (total + 1) - (counts[variant.id] || 0);
+    if (deficit > bestDeficit) {
+      best = variant;
+      bestDeficit = deficit;
+    }
+  }
+
+  return best.id;
+};
+
+/**
+ * Rate of a metric among a variant's sent emails
+ * @param {Object} metrics - Variant metrics (`sent`, `opened`, ...)
+ * @param {String} metric - One of WINNER_METRICS
+ * @returns {Number} Rate from 0 to 1
+ */
+const getMetricRate = (metrics, metric) => (metrics && metrics.sent ? (metrics[metric] || 0) / metrics.sent : 0);
+
+/**
+ * Pick the winning variant of a test; ties go to the variant listed first
+ * @param {Array<Object>} variants - Variants of the split
+ * @param {Map|Object} metricsByVariant - Metrics keyed by variant ID
+ * @param {String} metric - One of WINNER_METRICS
+ * @returns {String} Winning variant ID
+ */
+const pickWinner = (variants, metricsByVariant, metric) => {
+  const lookup = id => (metricsByVariant instanceof Map ? metricsByVariant.get(id) : metricsByVariant[id]);
+  let winner = variants[0].id;
+  let bestRate = -1;
+
+  for (const variant of variants) {
+    const rate = getMetricRate(lookup(variant.id), metric);
+    if (rate > bestRate) {
+      winner = variant.id;
+      bestRate = rate;
+    }
+  }
+
+  return winner;
+};
+
+export {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  WINNER_METRICS,
+  getDefaultVariants,
+  findSplitProblem,
+  chooseVariant,
+  getMetricRate,
+  pickWinner
+};
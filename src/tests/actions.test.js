@@ -0,0 +1,168 @@
+import http from 'http';
+import { ObjectId } from 'mongodb';
+import { Agent, fetch } from 'undici';
+import { findActionProblem, describeAction } from '../shared/actions.js';
+import { runContactAction } from '../server/actions.js';
+import { buildWebhookPayload, callWebhook } from '../server/webhooks.js';
+import { createPinnedLookup } from '../server/publicHosts.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+describe('Action nodes', () => {
+  const contact = { _id: new ObjectId(), userId: 'user1', email: 'lead@example.com', company: 'Acme', customFields: {} };
+  const enrollment = { _id: new ObjectId(), runId: new ObjectId(), userId: 'user1', flowId: 'flow1', contactId: contact._id.toString() };
+  const now = new Date('2026-01-01T00:00:00Z');
+  const step = (type, data) => ({ id: type, type, data });
+
+  test('action settings are validated', () => {
+    expect(findActionProblem('tagContact', { tag: ' ' })).toMatch(/Enter a tag/);
+    expect(findActionProblem('updateField', { field: 'company', value: 'x' })).toMatch(/standard field/);
+    expect(findActionProblem('updateField', { field: 'stage', value: '{{#if company}}' })).toMatch(/never closed/);
+    expect(findActionProblem('moveToList', {})).toMatch(/lead list/);
+    expect(findActionProblem('webhook', { url: 'ftp://example.com' })).toMatch(/http/);
+    expect(findActionProblem('webhook', { url: 'https://example.com/hook', payload: '[1]' })).toMatch(/JSON object/);
+    expect(findActionProblem('webhook', { url: 'https://example.com/hook', payload: '{"a":1}' })).toBeNull();
+    expect(findActionProblem('webhook', { url: 'http://localhost:3000/api' })).toMatch(/public server/);
+    expect(findActionProblem('webhook', { url: 'http://169.254.169.254/latest/meta-data' })).toMatch(/public server/);
+    expect(findActionProblem('webhook', { url: 'http://[::ffff:127.0.0.1]/' })).toMatch(/public server/);
+    expect(describeAction('tagContact', { operation: 'remove', tag: ' Hot ' })).toBe('Remove tag "hot"');
+  });
+
+  test('tags are added and removed in lower case', async () => {
+    const db = createFakeDb({ contacts: [{ ...contact, customFields: {} }] });
+
+    expect(await runContactAction(db, enrollment, {}, step('tagContact', { tag: 'Hot' }), now)).toBe('tag "hot" added');
+    expect(await runContactAction(db, enrollment, {}, step('tagContact', { operation: 'remove', tag: 'hot' }), now)).toBe('tag "hot" removed');
+    expect(db.collection('contacts').updates).toEqual([
+      { $addToSet: { tags: 'hot' }, $set: { updatedAt: now } },
+      { $pull: { tags: 'hot' }, $set: { updatedAt: now } }
+    ]);
+  });
+
+  test('field values are personalized for the contact', async () => {
+    const db = createFakeDb({ contacts: [{ ...contact, customFields: {} }] });
+
+    expect(await runContactAction(db, enrollment, {}, step('updateField', { field: 'stage', value: 'contacted at {{company}}' }), now))
+      .toBe('field stage set to "contacted at Acme"');
+    expect(db.collection('contacts').updates).toEqual([{ $set: { 'customFields.stage': 'contacted at Acme', updatedAt: now } }]);
+  });
+
+  test('moving to a list takes the contact off the list the sequence came from', async () => {
+    const source = { _id: new ObjectId(), userId: 'user1', name: 'Cold' };
+    const target = { _id: new ObjectId(), userId: 'user1', name: 'Warm' };
+    const db = createFakeDb({ contacts: [{ ...contact, customFields: {} }], leadLists: [source, target] });
+    const run = { leadListId: source._id.toString() };
+
+    expect(await runContactAction(db, enrollment, run, step('moveToList', { leadListId: target._id.toString() }), now)).toBe('moved to Warm');
+    expect(db.collection('contacts').updates).toEqual([
+      { $addToSet: { listIds: target._id }, $set: { updatedAt: now } },
+      { $pull: { listIds: source._id } }
+    ]);
+    expect(await runContactAction(db, enrollment, run, step('moveToList', { leadListId: new ObjectId().toString() }), now))
+      .toBe('skipped: lead list not found');
+    expect(await runContactAction(db, { ...enrollment, contactId: null }, run, step('tagContact', { tag: 'hot' }), now))
+      .toBe('skipped: no contact');
+  });
+
+  test('webhook payloads carry the contact and the node\'s extra data', () => {
+    const payload = buildWebhookPayload({
+      enrollment,
+      step: step('webhook', { payload: '{"pipeline":"outbound"}' }),
+      contact: { ...contact, tags: ['hot'] },
+      now
+    });
+
+    expect(payload).toMatchObject({
+      event: 'sequence.webhook',
+      flowId: 'flow1',
+      nodeId: 'webhook',
+      enrollmentId: enrollment._id.toString(),
+      contact: { id: contact._id.toString(), email: 'lead@example.com', company: 'Acme', tags: ['hot'] },
+      data: { pipeline: 'outbound' },
+      triggeredAt: now.toISOString()
+    });
+  });
+
+  test('webhook calls are logged, and only transient failures are retried', async () => {
+    const db = createFakeDb();
+    const call = { userId: 'user1', nodeId: 'webhook', url: 'https://crm.example.com/hook', maxAttempts: 2, payload: { a: 1 } };
+    const lookup = async () => [{ address: '93.184.216.34', family: 4 }];
+    const respond = (status, text = '') => async (url, options) => {
+      expect(JSON.parse(options.body)).toEqual({ a: 1 });
+      return { ok: status < 300, status, text: async () => text };
+    };
+
+    expect(await callWebhook(db, call, 1, { fetchImpl: respond(200, 'ok'), lookup, now }))
+      .toEqual({ ok: true, status: 200, error: null, retryAt: null });
+
+    const unavailable = await callWebhook(db, call, 1, { fetchImpl: respond(503), lookup, now });
+    expect(unavailable.retryAt).toBeInstanceOf(Date);
+    expect(unavailable.retryAt > now).toBe(true);
+
+    expect((await callWebhook(db, call, 2, { fetchImpl: respond(503), lookup, now })).retryAt).toBeNull();
+    expect((await callWebhook(db, call, 1, { fetchImpl: respond(400), lookup, now })).retryAt).toBeNull();
+
+    const refused = await callWebhook(db, call, 1, {
+      fetchImpl: async () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); },
+      lookup,
+      now
+    });
+    expect(refused).toMatchObject({ ok: false, status: null, error: 'connect ECONNREFUSED' });
+    expect(refused.retryAt).toBeInstanceOf(Date);
+
+    expect(db.collection('webhookCalls').documents.map(logged => [logged.attempt, logged.status, logged.ok])).toEqual([
+      [1, 200, true], [1, 503, false], [2, 503, false], [1, 400, false], [1, null, false]
+    ]);
+    expect(db.collection('webhookCalls').documents[0].responseBody).toBe('ok');
+  });
+
+  test('webhooks to private addresses are refused and logged, including names that resolve to one', async () => {
+    const db = createFakeDb();
+    const call = { userId: 'user1', nodeId: 'webhook', url: 'https://internal.example.com/hook', maxAttempts: 3, payload: {} };
+    const fetched = [];
+    const fetchImpl = async (url) => {
+      fetched.push(url);
+      return { ok: true, status: 200, text: async () => '' };
+    };
+
+    for (const address of ['10.0.0.5', '127.0.0.1', '169.254.169.254', '::1', 'fd12::1', '::ffff:192.168.0.1']) {
+      const result = await callWebhook(db, call, 1, { fetchImpl, lookup: async () => [{ address }], now });
+      expect(result).toMatchObject({ ok: false, status: null, retryAt: null });
+      expect(result.error).toMatch(/private address/);
+    }
+    const mixed = await callWebhook(db, call, 1, {
+      fetchImpl,
+      lookup: async () => [{ address: '93.184.216.34' }, { address: '10.0.0.5' }],
+      now
+    });
+    expect(mixed.ok).toBe(false);
+    expect((await callWebhook(db, { ...call, url: 'http://127.0.0.1:27017/' }, 1, { fetchImpl, now })).ok).toBe(false);
+
+    expect(fetched).toEqual([]);
+    expect(db.collection('webhookCalls').documents).toHaveLength(8);
+    expect(db.collection('webhookCalls').documents[0].error).toMatch(/internal\.example\.com is a private address \(10\.0\.0\.5\)/);
+  });
+
+  test('webhook requests connect to the checked address instead of resolving the host again', async () => {
+    const db = createFakeDb();
+    const call = { userId: 'user1', nodeId: 'webhook', url: 'https://crm.example.com/hook', maxAttempts: 1, payload: {} };
+    const dispatchers = [];
+    const fetchImpl = async (url, options) => {
+      dispatchers.push(options.dispatcher);
+      return { ok: true, status: 200, text: async () => '' };
+    };
+    await callWebhook(db, call, 1, { fetchImpl, lookup: async () => [{ address: '93.184.216.34' }], now });
+    expect(dispatchers[0]).toBeInstanceOf(Agent);
+
+    // A name that does not resolve at all still reaches the pinned address
+    const server = http.createServer((req, res) => res.end(req.headers.host));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const agent = new Agent({ connect: { lookup: createPinnedLookup(['127.0.0.1']) } });
+    try {
+      const response = await fetch(`http://hooks.invalid:${server.address().port}/`, { dispatcher: agent });
+      expect(await response.text()).toBe(`hooks.invalid:${server.address().port}`);
+    } finally {
+      await agent.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,42 @@
+import { SEND_TIME_BOUNCE, buildMetrics, parseDateRange, listDays } from '../server/analytics.js';
+
+describe('Campaign analytics', () => {
+  test('buildMetrics maps event types to metrics and derives delivered', () => {
+    expect(buildMetrics({ sent: 10, open: 4, click: 2, reply: 1, bounce: 3, unsubscribe: 1 })).toEqual({
+      sent: 10,
+      delivered: 7,
+      opened: 4,
+      clicked: 2,
+      replied: 1,
+      bounced: 3,
+      unsubscribed: 1
+    });
+    expect(buildMetrics()).toEqual({
+      sent: 0, delivered: 0, opened: 0, clicked: 0, replied: 0, bounced: 0, unsubscribed: 0
+    });
+  });
+
+  test('bounces refused at send time are bounced but were never sent or delivered', () => {
+    expect(buildMetrics({ sent: 10, bounce: 3, [SEND_TIME_BOUNCE]: 2 })).toMatchObject({
+      sent: 10,
+      delivered: 7,
+      bounced: 5
+    });
+    expect(buildMetrics({ [SEND_TIME_BOUNCE]: 4 })).toMatchObject({ sent: 0, delivered: 0, bounced: 4 });
+  });
+
+  test('parseDateRange defaults to the last 30 days and rejects bad ranges', () => {
+    const { from, to } = parseDateRange({ to: '2024-03-31T00:00:00.000Z' });
+    expect(from.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+    expect(to.toISOString()).toBe('2024-03-31T00:00:00.000Z');
+
+    expect(parseDateRange({ from: 'yesterday' }).error).toBe('Invalid date range');
+    expect(parseDateRange({ from: '2024-04-01', to: '2024-03-01' }).error).toMatch(/before its end/);
+    expect(parseDateRange({ from: '2022-01-01', to: '2024-01-01' }).error).toMatch(/366 days/);
+  });
+
+  test('listDays covers every UTC day of the range', () => {
+    expect(listDays(new Date('2024-02-28T15:00:00Z'), new Date('2024-03-01T09:00:00Z')))
+      .toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+  });
+});
@@ -0,0 +1,110 @@
+import { classifySmtpRejection, getBounceType, parseBounceReport } from '../server/bounces.js';
+
+// Delivery status notification in the shape most mail servers send (RFC 3464)
+const DSN = [
+  'From: Mail Delivery System <MAILER-DAEMON@mx.example.com>',
+  'To: jane@acme.com',
+  'Subject: Undelivered Mail Returned to Sender',
+  'Message-ID: <dsn-1@mx.example.com>',
+  'Content-Type: multipart/report; report-type=delivery-status;',
+  '\tboundary="BOUNDARY"',
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/plain',
+  '',
+  'Your message could not be delivered.',
+  '',
+  '--BOUNDARY',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; mx.example.com',
+  '',
+  'Final-Recipient: rfc822; Lead@Example.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550 5.1.1 <lead@example.com>: Recipient address',
+  ' rejected: User unknown',
+  '',
+  'Final-Recipient: rfc822; later@example.com',
+  'Action: delayed',
+  'Status: 4.4.1',
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/rfc822-headers',
+  '',
+  'From: jane@acme.com',
+  'To: lead@example.com',
+  'Message-ID: <sent-1@acme.com>',
+  '',
+  '--BOUNDARY--',
+  ''
+].join('\r\n');
+
+// Spam complaint forwarded by a mailbox provider (RFC 5965)
+const ARF = [
+  'From: abuse@provider.example',
+  'Message-ID: <arf-1@provider.example>',
+  'Content-Type: multipart/report; report-type=feedback-report; boundary="B"',
+  '',
+  '--B',
+  'Content-Type: message/feedback-report',
+  '',
+  'Feedback-Type: abuse',
+  'Original-Rcpt-To: <lead@example.com>',
+  '',
+  '--B',
+  'Content-Type: message/rfc822',
+  '',
+  'Message-ID: <sent-2@acme.com>',
+  'Subject: Quick question',
+  '',
+  '--B--',
+  ''
+].join('\r\n');
+
+describe('Bounce processing', () => {
+  test('only bad addresses count as hard bounces', () => {
+    expect(getBounceType('5.1.1')).toBe('hard');
+    expect(getBounceType('5.2.1')).toBe('hard');
+    expect(getBounceType('5.2.2')).toBe('soft');
+    expect(getBounceType('5.7.1')).toBe('soft');
+    expect(getBounceType('4.2.2')).toBe('soft');
+    expect(getBounceType(null, 550)).toBe('hard');
+    expect(getBounceType(null, 554)).toBe('soft');
+  });
+
+  test('SMTP recipient rejections are bounces; other send errors are not', () => {
+    expect(classifySmtpRejection({
+      code: 'EENVELOPE',
+      responseCode: 550,
+      response: '550 5.1.1 <lead@example.com>: Recipient address rejected'
+    })).toMatchObject({ type: 'hard', status: '5.1.1' });
+    expect(classifySmtpRejection({ code: 'EENVELOPE', responseCode: 452, response: '452 4.2.2 Mailbox full' }))
+      .toMatchObject({ type: 'soft', status: '4.2.2' });
+    expect(classifySmtpRejection({ code: 'EAUTH', responseCode: 535, response: '535 5.7.8 Bad credentials' })).toBeNull();
+    expect(classifySmtpRejection({ code: 'ECONNECTION' })).toBeNull();
+  });
+
+  test('delivery status notifications list the failed recipients and the original message', () => {
+    const report = parseBounceReport(DSN);
+
+    expect(report.kind).toBe('bounce');
+    expect(report.originalMessageId).toBe('<sent-1@acme.com>');
+    expect(report.recipients).toEqual([{
+      email: 'lead@example.com',
+      action: 'failed',
+      status: '5.1.1',
+      diagnostic: 'smtp; 550 5.1.1 <lead@example.com>: Recipient address rejected: User unknown',
+      type: 'hard'
+    }]);
+  });
+
+  test('feedback reports are complaints, and ordinary mail is not a report', () => {
+    expect(parseBounceReport(ARF)).toEqual({
+      kind: 'complaint',
+      recipients: [{ email: 'lead@example.com', status: null, diagnostic: 'abuse', type: 'complaint' }],
+      originalMessageId: '<sent-2@acme.com>'
+    });
+    expect(parseBounceReport('Subject: Re: Hello\r\nContent-Type: text/plain\r\n\r\nSounds good')).toBeNull();
+  });
+});
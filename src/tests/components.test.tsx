@@ -1,6 +1,7 @@
 
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
+import { ReactFlowProvider } from 'reactflow';
 import LoginForm from '../components/auth/LoginForm';
 import RegisterForm from '../components/auth/RegisterForm';
 import ColdEmailNode from '../components/nodes/ColdEmailNode';
@@ -9,13 +10,6 @@ import NodeConfiguration from '../components/NodeConfiguration';
 // Mock the fetch API
 global.fetch = jest.fn();
 
-// Mock Toast component
-jest.mock('@/components/ui/use-toast', () => ({
-  useToast: () => ({
-    toast: jest.fn()
-  })
-}));
-
 describe('Authentication Components', () => {
   beforeEach(() => {
     // Reset mocks
@@ -25,8 +19,8 @@ describe('Authentication Components', () => {
   test('LoginForm renders correctly', () => {
     render(<LoginForm onSuccess={() => {}} />);
     
-    expect(screen.getByLabelText(/Email/i)).toBeInTheDocument();
-    expect(screen.getByLabelText(/Password/i)).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('your@email.com')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('••••••••')).toBeInTheDocument();
     expect(screen.getByRole('button', { name: /Login/i })).toBeInTheDocument();
   });
 
@@ -39,8 +33,8 @@ describe('Authentication Components', () => {
     
     render(<LoginForm onSuccess={mockOnSuccess} />);
     
-    fireEvent.change(screen.getByLabelText(/Email/i), { target: { value: 'test@example.com' } });
-    fireEvent.change(screen.getByLabelText(/Password/i), { target: { value: 'password123' } });
+    fireEvent.change(screen.getByPlaceholderText('your@email.com'), { target: { value: 'test@example.com' } });
+    fireEvent.change(screen.getByPlaceholderText('••••••••'), { target: { value: 'password123' } });
     fireEvent.click(screen.getByRole('button', { name: /Login/i }));
     
     await waitFor(() => {
@@ -58,9 +52,9 @@ describe('Authentication Components', () => {
   test('RegisterForm renders correctly', () => {
     render(<RegisterForm onSuccess={() => {}} />);
     
-    expect(screen.getByLabelText(/Name/i)).toBeInTheDocument();
-    expect(screen.getByLabelText(/Email/i)).toBeInTheDocument();
-    expect(screen.getByLabelText(/Password/i)).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Your Name')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('your@email.com')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('••••••••')).toBeInTheDocument();
     expect(screen.getByRole('button', { name: /Register/i })).toBeInTheDocument();
   });
 });
@@ -74,7 +68,12 @@ describe('Node Components', () => {
       recipient: 'test@example.com'
     };
     
-    render(<ColdEmailNode data={mockData} isConnectable={true} />);
+    // Handles read the flow store, so nodes only render inside a provider
+    render(
+      <ReactFlowProvider>
+        <ColdEmailNode data={mockData} isConnectable={true} />
+      </ReactFlowProvider>
+    );
     
     expect(screen.getByText('Test Email')).toBeInTheDocument();
     expect(screen.getByText(/Subject: Test Subject/i)).toBeInTheDocument();
@@ -99,11 +98,11 @@ describe('Node Components', () => {
     render(<NodeConfiguration node={mockNode} onUpdate={mockUpdate} onClose={mockClose} />);
     
     // Change label input
-    fireEvent.change(screen.getByLabelText(/Node Label/i), { target: { value: 'Updated Label' } });
+    fireEvent.change(screen.getByDisplayValue('Test Email'), { target: { value: 'Updated Label' } });
     expect(mockUpdate).toHaveBeenCalledWith({ label: 'Updated Label' });
     
     // Change subject input
-    fireEvent.change(screen.getByLabelText(/Email Subject/i), { target: { value: 'Updated Subject' } });
+    fireEvent.change(screen.getByDisplayValue('Original Subject'), { target: { value: 'Updated Subject' } });
     expect(mockUpdate).toHaveBeenCalledWith({ subject: 'Updated Subject' });
   });
 });
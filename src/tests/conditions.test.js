@@ -0,0 +1,50 @@
+import { ObjectId } from 'mongodb';
+import { matchesFieldCondition, describeCondition } from '../shared/conditions.js';
+import { evaluateCondition } from '../server/conditions.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+describe('Condition nodes', () => {
+  const enrollment = { _id: new ObjectId(), email: 'lead@example.com' };
+  const enrollmentId = enrollment._id.toString();
+  const step = (data) => ({ id: 'check', type: 'condition', data });
+
+  test('field conditions compare without regard to case or whitespace', () => {
+    expect(matchesFieldCondition(' Acme ', 'equals', 'acme')).toBe(true);
+    expect(matchesFieldCondition('Acme', 'notEquals', 'acme')).toBe(false);
+    expect(matchesFieldCondition('Acme Corp', 'contains', 'corp')).toBe(true);
+    expect(matchesFieldCondition('', 'isSet')).toBe(false);
+    expect(matchesFieldCondition('', 'isNotSet')).toBe(true);
+    expect(describeCondition({ conditionType: 'noReply', days: 5 })).toBe('No reply after 5 day(s)');
+  });
+
+  test('opens and clicks are read from the latest email only', async () => {
+    const first = new ObjectId();
+    const second = new ObjectId();
+    const db = createFakeDb({
+      emailEvents: [
+        { _id: first, type: 'sent', enrollmentId, createdAt: new Date('2026-01-01T00:00:00Z') },
+        { type: 'click', messageId: first },
+        { _id: second, type: 'sent', enrollmentId, createdAt: new Date('2026-01-02T00:00:00Z') },
+        { type: 'open', messageId: second }
+      ]
+    });
+
+    expect(await evaluateCondition(db, enrollment, step({ conditionType: 'opened' }))).toBe(true);
+    expect(await evaluateCondition(db, enrollment, step({ conditionType: 'clicked' }))).toBe(false);
+    expect(await evaluateCondition(createFakeDb(), enrollment, step({ conditionType: 'opened' }))).toBe(false);
+  });
+
+  test('replies and contact fields decide the other condition types', async () => {
+    const contactId = new ObjectId();
+    const db = createFakeDb({
+      emailEvents: [{ type: 'reply', enrollmentId }],
+      contacts: [{ _id: contactId, email: 'lead@example.com', company: 'Acme', customFields: { industry: 'SaaS' } }]
+    });
+    const withContact = { ...enrollment, contactId: contactId.toString() };
+
+    expect(await evaluateCondition(db, enrollment, step({ conditionType: 'noReply', days: 2 }))).toBe(false);
+    expect(await evaluateCondition(createFakeDb(), enrollment, step({ conditionType: 'noReply' }))).toBe(true);
+    expect(await evaluateCondition(db, withContact, step({ conditionType: 'field', field: 'industry', operator: 'equals', value: 'saas' }))).toBe(true);
+    expect(await evaluateCondition(db, withContact, step({ conditionType: 'field', field: 'company', operator: 'contains', value: 'globex' }))).toBe(false);
+  });
+});
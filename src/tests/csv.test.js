@@ -0,0 +1,37 @@
+import { parseCsv, parseContactsCsv } from '../server/csv.js';
+
+describe('CSV parsing', () => {
+  test('parseCsv handles quotes, escaped quotes and CRLF line endings', () => {
+    const rows = parseCsv('name,note\r\n"Doe, Jane","She said ""hi"""\r\n\r\nBob,plain\n');
+
+    expect(rows).toEqual([
+      ['name', 'note'],
+      ['Doe, Jane', 'She said "hi"'],
+      ['Bob', 'plain']
+    ]);
+  });
+
+  test('parseContactsCsv maps common headers and keeps other columns as custom fields', () => {
+    const contacts = parseContactsCsv(
+      '\uFEFFEmail Address,First Name,last_name,Company,Job Title\n' +
+      'jane@example.com,Jane,Doe,Acme,CTO\n' +
+      'bob@example.com,Bob,,,\n'
+    );
+
+    expect(contacts).toEqual([
+      {
+        email: 'jane@example.com',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        company: 'Acme',
+        customFields: { jobTitle: 'CTO' }
+      },
+      { email: 'bob@example.com', firstName: 'Bob', customFields: {} }
+    ]);
+  });
+
+  test('parseContactsCsv requires an email column', () => {
+    expect(() => parseContactsCsv('name,company\nJane,Acme')).toThrow(/email/);
+    expect(() => parseContactsCsv('')).toThrow(/empty/);
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  normalizeEmailDocument,
+  documentToMarkdown,
+  markdownToDocument,
+  getEmailBody
+} from '../shared/emailDocument.js';
+import { markdownToHtml } from '../shared/emailRenderer.js';
+
+const doc = {
+  version: 1,
+  blocks: [
+    { id: 'a', type: 'heading', level: 2, text: 'Hi {{firstName|there}}' },
+    { id: 'b', type: 'paragraph', text: 'We built **something**.\nTake a [look](https://example.com).' },
+    { id: 'c', type: 'list', ordered: true, items: ['Fast', '', 'Cheap'] },
+    { id: 'd', type: 'image', src: 'https://example.com/logo.png', alt: 'Logo', href: 'https://example.com' },
+    { id: 'e', type: 'divider' },
+    { id: 'f', type: 'quote', text: 'Best tool ever' }
+  ]
+};
+
+describe('Email documents', () => {
+  test('documentToMarkdown writes every block type', () => {
+    expect(documentToMarkdown(doc)).toBe(
+      '## Hi {{firstName|there}}\n\n' +
+      'We built **something**.\nTake a [look](https://example.com).\n\n' +
+      '1. Fast\n2. Cheap\n\n' +
+      '[![Logo](https://example.com/logo.png)](https://example.com)\n\n' +
+      '---\n\n' +
+      '> Best tool ever'
+    );
+  });
+
+  test('markdownToDocument reads the markdown back into the same blocks', () => {
+    const roundTrip = markdownToDocument(documentToMarkdown(doc));
+
+    expect(roundTrip.blocks.map(({ id, ...block }) => block)).toEqual([
+      { type: 'heading', level: 2, text: 'Hi {{firstName|there}}' },
+      { type: 'paragraph', text: 'We built **something**.\nTake a [look](https://example.com).' },
+      { type: 'list', ordered: true, items: ['Fast', 'Cheap'] },
+      { type: 'image', src: 'https://example.com/logo.png', alt: 'Logo', href: 'https://example.com' },
+      { type: 'divider' },
+      { type: 'quote', text: 'Best tool ever' }
+    ]);
+  });
+
+  test('normalizeEmailDocument drops unknown blocks and rejects non-documents', () => {
+    expect(normalizeEmailDocument({ blocks: [{ id: 'x', type: 'script', text: 'alert(1)' }, { id: 'y', type: 'heading', level: 9, text: 'Hi' }] }))
+      .toEqual({ version: 1, blocks: [{ id: 'y', type: 'heading', level: 2, text: 'Hi' }] });
+    expect(normalizeEmailDocument('not a document')).toBeNull();
+  });
+
+  test('getEmailBody prefers the document over the stored body', () => {
+    expect(getEmailBody({ body: 'old', bodyDoc: { blocks: [{ type: 'paragraph', text: 'new' }] } })).toBe('new');
+    expect(getEmailBody({ body: 'plain body' })).toBe('plain body');
+  });
+
+  test('images render as linked, styled img tags and unsafe sources are dropped', () => {
+    expect(markdownToHtml(documentToMarkdown(doc))).toContain(
+      '<a href="https://example.com" target="_blank"><img src="https://example.com/logo.png" alt="Logo" style="display:block;max-width:100%;height:auto;border:0;margin:0 0 16px 0;"></a>'
+    );
+    expect(markdownToHtml('![x](javascript:alert(1))')).toBe('');
+  });
+});
@@ -0,0 +1,71 @@
+import { markdownToHtml, markdownToText, renderEmail, getBodyMergeOptions } from '../shared/emailRenderer.js';
+import { renderMergeFields } from '../shared/mergeFields.js';
+
+describe('Email rendering', () => {
+  test('markdownToHtml keeps paragraphs and line breaks', () => {
+    const html = markdownToHtml('Hi Jane,\nhope you are well.\n\nBest,\nBob');
+
+    expect(html).toBe(
+      '<p style="margin:0 0 16px 0;">Hi Jane,<br>hope you are well.</p>\n' +
+      '<p style="margin:0 0 16px 0;">Best,<br>Bob</p>'
+    );
+  });
+
+  test('markdownToHtml escapes authored HTML', () => {
+    const html = markdownToHtml('<script>alert("x")</script> & <b>bold</b>');
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &lt;b&gt;bold&lt;/b&gt;');
+  });
+
+  test('markdownToHtml renders emphasis, links and lists with inline styles', () => {
+    const html = markdownToHtml('**Big** news, _really_: [our site](https://example.com/a_b) or https://example.org\n\n- one\n- two');
+
+    expect(html).toContain('<strong>Big</strong> news, <em>really</em>');
+    expect(html).toContain('<a href="https://example.com/a_b" style="color:#1a73e8;text-decoration:underline;" target="_blank">our site</a>');
+    expect(html).toContain('<a href="https://example.org"');
+    expect(html).toContain('<ul style="margin:0 0 16px 0;padding:0 0 0 24px;"><li style="margin:0 0 4px 0;">one</li><li style="margin:0 0 4px 0;">two</li></ul>');
+  });
+
+  test('markdownToHtml leaves unsafe link targets as text', () => {
+    const html = markdownToHtml('[click](javascript:alert(1))');
+
+    expect(html).not.toContain('<a ');
+    expect(html).toContain('[click](javascript:alert(1))');
+  });
+
+  test('markdownToText strips markers and keeps link targets', () => {
+    const text = markdownToText('# Hello\n\n**Big** news: [our site](https://example.com)\n\n1. one\n2. two');
+
+    expect(text).toBe('Hello\n\nBig news: our site (https://example.com)\n\n1. one\n2. two');
+  });
+
+  test('renderEmail returns HTML with a text alternative, or text only in plain mode', () => {
+    const rich = renderEmail({ body: 'Hi *there*', format: 'html' });
+    expect(rich.html).toContain('<!DOCTYPE html>');
+    expect(rich.html).toContain('Hi <em>there</em>');
+    expect(rich.text).toBe('Hi there');
+
+    expect(renderEmail({ body: 'Hi *there*', format: 'plain' })).toEqual({ html: null, text: 'Hi *there*' });
+  });
+
+  test('merged contact values are shown as text, not markdown', () => {
+    const body = '# Hi {{firstName}}\n\n{{firstName}}\n\n[Your profile](https://example.com/{{handle}}) or {{fallback|**us**}}';
+    const contact = {
+      firstName: '[Verify your account](https://evil.example)\n\n![](https://tracker.example/p.gif) *now*',
+      customFields: { handle: 'ada_l(1)' }
+    };
+    const { html, text } = renderEmail({ body: renderMergeFields(body, contact, getBodyMergeOptions('html')), format: 'html' });
+
+    expect(html).not.toContain('href="https://evil.example"');
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<em>now</em>');
+    expect(html).toContain('[Verify your account](https://evil.example) ![](https://tracker.example/p.gif) *now*');
+    expect(html).toContain('<h1 style="margin:0 0 16px 0;font-size:24px;line-height:1.25;font-weight:bold;">Hi [Verify');
+    expect(html).toContain('<a href="https://example.com/ada_l(1)"');
+    expect(html).toContain('<strong>us</strong>');
+    expect(text).toContain('[Verify your account](https://evil.example) ![](https://tracker.example/p.gif) *now*');
+
+    expect(renderMergeFields(body, contact, getBodyMergeOptions('plain'))).toContain('](https://evil.example)\n\n![]');
+  });
+});
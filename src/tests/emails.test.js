@@ -0,0 +1,54 @@
+import { ObjectId } from 'mongodb';
+import { getEmailStatus, mapEmail } from '../server/emails.js';
+
+describe('Scheduled email management', () => {
+  test('getEmailStatus follows the Agenda job lifecycle', () => {
+    const now = new Date();
+
+    expect(getEmailStatus({ nextRunAt: now, lockedAt: null })).toBe('scheduled');
+    expect(getEmailStatus({ nextRunAt: now, lockedAt: now })).toBe('sending');
+    expect(getEmailStatus({ nextRunAt: null, lastFinishedAt: now })).toBe('sent');
+    expect(getEmailStatus({ nextRunAt: now, failedAt: now, data: { lastError: 'Timed out' } })).toBe('retrying');
+    expect(getEmailStatus({ nextRunAt: null, lastFinishedAt: now, failedAt: now })).toBe('dead-letter');
+    // Agenda keeps failedAt after a retry succeeds
+    expect(getEmailStatus({ nextRunAt: null, lastFinishedAt: now, failedAt: now, data: { sentAt: now } })).toBe('sent');
+    // Suppressed addresses and stopped enrollments finish without sending
+    expect(getEmailStatus({ nextRunAt: null, lastFinishedAt: now, data: { skippedReason: 'Address suppressed (bounce)' } })).toBe('skipped');
+  });
+
+  test('mapEmail exposes the job data and only the timestamps that apply', () => {
+    const sentAt = new Date('2024-05-01T10:00:00Z');
+    const email = mapEmail({
+      _id: new ObjectId(),
+      name: 'send email',
+      data: {
+        to: 'a@example.com',
+        subject: 'Hi',
+        body: 'Hello',
+        userId: 'u1',
+        flowId: 'f1',
+        nodeId: 'n1',
+        attempts: 2,
+        sentAt
+      },
+      nextRunAt: null,
+      lastFinishedAt: sentAt,
+      failReason: 'old failure',
+      failedAt: new Date('2024-05-01T09:00:00Z')
+    });
+
+    expect(email).toMatchObject({
+      to: 'a@example.com',
+      subject: 'Hi',
+      format: 'html',
+      status: 'sent',
+      sentAt,
+      attempts: 2,
+      lastError: null,
+      deadLetteredAt: null,
+      flowId: 'f1',
+      nodeId: 'n1',
+      enrollmentId: null
+    });
+  });
+});
@@ -0,0 +1,251 @@
+import { ObjectId } from 'mongodb';
+import {
+  enrollIntoRun,
+  ensureEnrollmentIndexes,
+  advanceEnrollment,
+  recordEnrollmentEmail,
+  stopEnrollment,
+  stopFlowEnrollments,
+  pauseActiveEnrollment,
+  resumePausedEnrollment,
+  reachGoal,
+  findEnrollmentStatus,
+  holdPausedEmail
+} from '../server/enrollments.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+/**
+ * Agenda stand-in that records the jobs the enrollment code queues, schedules and cancels
+ */
+const createFakeAgenda = () => {
+  const agenda = {
+    queued: [],
+    scheduled: [],
+    cancelled: [],
+    now: async (name, data) => {
+      agenda.queued.push({ name, data });
+      return { attrs: { _id: new ObjectId() } };
+    },
+    schedule: async (when, name, data) => agenda.scheduled.push({ when, name, data }),
+    cancel: async (query) => agenda.cancelled.push(query)
+  };
+  return agenda;
+};
+
+describe('Enrollments', () => {
+  // Sent straight away, so the tests do not depend on the time of day
+  const run = {
+    _id: new ObjectId(),
+    userId: 'user1',
+    flowId: 'flow1',
+    senderIds: [],
+    entryId: 'intro',
+    sendNow: true,
+    schedulingOptions: { startDate: new Date('2026-01-01T00:00:00Z') },
+    steps: [
+      { id: 'intro', type: 'coldEmail', data: { subject: 'Hi', body: 'Hello' }, next: [{ nodeId: 'wait' }] },
+      { id: 'wait', type: 'waitDelay', data: { delay: 2, unit: 'days' }, next: [{ nodeId: 'follow-up' }] },
+      { id: 'follow-up', type: 'coldEmail', data: { subject: 'Again', body: 'Hello again' }, next: [{ nodeId: 'won' }] },
+      { id: 'won', type: 'goal', data: { exitRules: [] }, next: [] }
+    ]
+  };
+  const contact = (email) => ({ _id: new ObjectId(), email });
+  const enrollment = (extra = {}) => ({
+    _id: new ObjectId(),
+    userId: 'user1',
+    runId: run._id,
+    flowId: 'flow1',
+    contactId: 'contact1',
+    email: 'lead@example.com',
+    status: 'active',
+    currentNodeId: 'intro',
+    nextStepAt: new Date(),
+    history: [],
+    ...extra
+  });
+
+  test('contacts start active on the entry step with their first advance scheduled', async () => {
+    const db = createFakeDb();
+    const agenda = createFakeAgenda();
+    await ensureEnrollmentIndexes(db);
+
+    const first = await enrollIntoRun(db, agenda, run, [contact('a@example.com'), contact('b@example.com')]);
+
+    expect(first.enrollmentIds).toHaveLength(2);
+    expect(first.alreadyEnrolled).toBe(0);
+    expect(db.collection('enrollments').documents).toEqual([
+      expect.objectContaining({ email: 'a@example.com', status: 'active', currentNodeId: 'intro', nextStepAt: first.startAt }),
+      expect.objectContaining({ email: 'b@example.com', status: 'active', currentNodeId: 'intro', nextStepAt: first.startAt })
+    ]);
+    expect(agenda.scheduled.map(job => job.data.enrollmentId)).toEqual(first.enrollmentIds.map(String));
+
+    // A contact already in the flow is left out
+    const [again] = db.collection('enrollments').documents;
+    const second = await enrollIntoRun(db, agenda, run, [{ _id: new ObjectId(again.contactId), email: 'a@example.com' }]);
+    expect(second).toMatchObject({ enrollmentIds: [], alreadyEnrolled: 1 });
+  });
+
+  test('an enrollment queues each email, waits, and completes at the end of the flow', async () => {
+    const active = enrollment();
+    const db = createFakeDb({ enrollments: [active], flowRuns: [run] });
+    const agenda = createFakeAgenda();
+
+    await advanceEnrollment(db, agenda, active._id.toString());
+
+    expect(agenda.queued).toEqual([
+      { name: 'send email', data: expect.objectContaining({ to: 'lead@example.com', subject: 'Hi', nodeId: 'intro', enrollmentId: active._id.toString() }) }
+    ]);
+    expect(active).toMatchObject({ status: 'active', currentNodeId: 'follow-up' });
+    expect(active.history.map(entry => entry.action)).toEqual(['email queued', 'waiting 2 days']);
+    expect(agenda.scheduled).toEqual([expect.objectContaining({ when: active.nextStepAt, name: 'advance enrollment' })]);
+
+    await advanceEnrollment(db, agenda, active._id.toString());
+
+    expect(agenda.queued.map(job => job.data.nodeId)).toEqual(['intro', 'follow-up']);
+    expect(active).toMatchObject({ status: 'completed', currentNodeId: null, nextStepAt: null, completedAt: expect.any(Date) });
+    expect(active.goalReachedAt).toEqual(expect.any(Date));
+    expect(agenda.scheduled).toHaveLength(1);
+  });
+
+  test('paused and finished enrollments are not advanced', async () => {
+    const paused = enrollment({ status: 'paused' });
+    const stopped = enrollment({ status: 'stopped' });
+    const db = createFakeDb({ enrollments: [paused, stopped], flowRuns: [run] });
+    const agenda = createFakeAgenda();
+
+    await advanceEnrollment(db, agenda, paused._id.toString());
+    await advanceEnrollment(db, agenda, stopped._id.toString());
+
+    expect(agenda.queued).toHaveLength(0);
+    expect(paused).toMatchObject({ status: 'paused', currentNodeId: 'intro', history: [] });
+  });
+
+  test('a missing flow run fails the enrollment and a suppressed contact stops it', async () => {
+    const orphan = enrollment({ runId: new ObjectId() });
+    const suppressed = enrollment({ email: 'gone@example.com' });
+    const db = createFakeDb({
+      enrollments: [orphan, suppressed],
+      flowRuns: [run],
+      suppressions: [{ userId: 'user1', email: 'gone@example.com' }]
+    });
+    const agenda = createFakeAgenda();
+
+    await advanceEnrollment(db, agenda, orphan._id.toString());
+    await advanceEnrollment(db, agenda, suppressed._id.toString());
+
+    expect(orphan).toMatchObject({ status: 'failed', lastError: 'Flow run not found', nextStepAt: null });
+    expect(suppressed).toMatchObject({ status: 'stopped', stopReason: 'suppressed', nextStepAt: null });
+    expect(agenda.queued).toHaveLength(0);
+  });
+
+  test('pausing holds the enrollment on its step and resuming picks it up again', async () => {
+    const later = new Date(Date.now() + 60 * 60 * 1000);
+    const active = enrollment({ currentNodeId: 'follow-up', nextStepAt: later });
+    const db = createFakeDb({ enrollments: [active], flowRuns: [run] });
+    const agenda = createFakeAgenda();
+
+    await pauseActiveEnrollment(db, agenda, active);
+
+    expect(active).toMatchObject({ status: 'paused', pausedAt: expect.any(Date), currentNodeId: 'follow-up' });
+    expect(agenda.cancelled).toEqual([{ name: 'advance enrollment', 'data.enrollmentId': active._id.toString() }]);
+
+    // A step still to come keeps its time; one that came due while paused runs straight away
+    expect(await resumePausedEnrollment(db, agenda, { ...active })).toEqual(later);
+    expect(active).toMatchObject({ status: 'active', nextStepAt: later });
+    expect(active.pausedAt).toBeUndefined();
+
+    const overdue = enrollment({ status: 'paused', nextStepAt: new Date('2026-01-01T00:00:00Z') });
+    await resumePausedEnrollment(db, agenda, overdue);
+    expect(agenda.scheduled.map(job => job.when)).toEqual([later, expect.any(Date)]);
+    expect(agenda.scheduled[1].when.getTime()).toBeGreaterThan(overdue.nextStepAt.getTime());
+  });
+
+  test('emails queued before a pause are held until the enrollment is resumed', async () => {
+    const active = enrollment();
+    const queued = { _id: new ObjectId(), name: 'send email', nextRunAt: new Date(), lockedAt: null, data: { enrollmentId: active._id.toString() } };
+    const other = { _id: new ObjectId(), name: 'send email', nextRunAt: new Date('2030-01-01T00:00:00Z'), lockedAt: null, data: { enrollmentId: 'another' } };
+    const db = createFakeDb({ enrollments: [active], emailJobs: [queued, other] });
+    const agenda = createFakeAgenda();
+
+    await pauseActiveEnrollment(db, agenda, active);
+    expect(await findEnrollmentStatus(db, active._id.toString())).toBe('paused');
+    expect(await findEnrollmentStatus(db, new ObjectId().toString())).toBeNull();
+
+    // What the send job does when it finds the enrollment paused
+    const now = new Date();
+    const job = { attrs: { nextRunAt: null, data: queued.data } };
+    holdPausedEmail(job, now);
+    expect(job.attrs.nextRunAt.getTime()).toBeGreaterThan(now.getTime());
+    Object.assign(queued, { nextRunAt: job.attrs.nextRunAt });
+
+    await resumePausedEnrollment(db, agenda, { ...active });
+    expect(queued.nextRunAt.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(queued.data.heldWhilePaused).toBeUndefined();
+    expect(other.nextRunAt).toEqual(new Date('2030-01-01T00:00:00Z'));
+  });
+
+  test('stopping cancels the pending jobs once and only for running enrollments', async () => {
+    const active = enrollment();
+    const completed = enrollment({ status: 'completed' });
+    const db = createFakeDb({ enrollments: [active, completed] });
+    const agenda = createFakeAgenda();
+
+    expect(await stopEnrollment(db, agenda, active._id.toString(), { reason: 'replied', nodeId: 'intro' })).toBe(true);
+    expect(await stopEnrollment(db, agenda, active._id.toString(), { reason: 'replied' })).toBe(false);
+    expect(await stopEnrollment(db, agenda, completed._id.toString(), { reason: 'replied' })).toBe(false);
+    expect(await stopEnrollment(db, agenda, 'not-an-id', { reason: 'replied' })).toBe(false);
+
+    expect(active).toMatchObject({ status: 'stopped', stopReason: 'replied', nextStepAt: null });
+    expect(active.history).toEqual([expect.objectContaining({ nodeId: 'intro', type: 'stop', action: 'stopped: replied' })]);
+    expect(completed.status).toBe('completed');
+    expect(agenda.cancelled.map(query => query.name)).toEqual(['advance enrollment', 'send email']);
+  });
+
+  test('deleting a flow stops its running enrollments and no others', async () => {
+    const active = enrollment();
+    const paused = enrollment({ status: 'paused' });
+    const completed = enrollment({ status: 'completed' });
+    const otherFlow = enrollment({ flowId: 'flow2' });
+    const otherUser = enrollment({ userId: 'user2' });
+    const db = createFakeDb({ enrollments: [active, paused, completed, otherFlow, otherUser] });
+    const agenda = createFakeAgenda();
+
+    expect(await stopFlowEnrollments(db, agenda, { userId: 'user1', flowId: 'flow1' }, 'flow deleted')).toBe(2);
+
+    expect(active).toMatchObject({ status: 'stopped', stopReason: 'flow deleted' });
+    expect(paused).toMatchObject({ status: 'stopped', stopReason: 'flow deleted' });
+    expect([completed.status, otherFlow.status, otherUser.status]).toEqual(['completed', 'active', 'active']);
+    expect(agenda.cancelled.filter(query => query.name === 'send email')).toHaveLength(2);
+  });
+
+  test('reaching the goal moves active and paused enrollments to it, once', async () => {
+    const goal = run.steps[3];
+    const active = enrollment();
+    const paused = enrollment({ status: 'paused' });
+    const db = createFakeDb({ enrollments: [active, paused] });
+    const agenda = createFakeAgenda();
+
+    expect(await reachGoal(db, agenda, { ...active }, goal, 'tag "customer" added')).toBe(true);
+    expect(await reachGoal(db, agenda, { ...paused }, goal, 'tag "customer" added')).toBe(true);
+    expect(await reachGoal(db, agenda, { ...active, goalReachedAt: null }, goal, 'again')).toBe(false);
+
+    expect(active).toMatchObject({ status: 'active', currentNodeId: 'won', goalReachedAt: expect.any(Date) });
+    expect(paused).toMatchObject({ status: 'paused', currentNodeId: 'won', goalReachedAt: expect.any(Date) });
+    // Only the active one moves on now; the paused one continues from the goal when resumed
+    expect(agenda.scheduled.map(job => job.data.enrollmentId)).toEqual([active._id.toString()]);
+  });
+
+  test('a failed send fails the enrollment; other outcomes only add to its history', async () => {
+    const active = enrollment({ nextStepAt: new Date() });
+    const db = createFakeDb({ enrollments: [active] });
+
+    await recordEnrollmentEmail(db, active._id.toString(), { nodeId: 'intro', action: 'email sent', messageId: '<1@example.com>' });
+    expect(active).toMatchObject({ status: 'active', nextStepAt: expect.any(Date) });
+
+    await recordEnrollmentEmail(db, active._id.toString(), { nodeId: 'intro', action: 'email failed', error: 'Mailbox unavailable' });
+    expect(active).toMatchObject({ status: 'failed', lastError: 'Mailbox unavailable', nextStepAt: null });
+    expect(active.history.map(entry => entry.action)).toEqual(['email sent', 'email failed']);
+
+    await recordEnrollmentEmail(db, 'not-an-id', { nodeId: 'intro', action: 'email sent' });
+  });
+});
@@ -0,0 +1,73 @@
+import { ObjectId } from 'mongodb';
+import { findGoalProblem, findMatchingExitRule, describeExitRule } from '../shared/goals.js';
+import { applyExitRules } from '../server/enrollments.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+/**
+ * Agenda stand-in that records job cancellations and schedules
+ */
+const createFakeAgenda = () => {
+  const jobs = [];
+  return {
+    jobs,
+    cancel: async (query) => jobs.push(`cancel ${query.name}`),
+    schedule: async (when, name) => jobs.push(`schedule ${name}`)
+  };
+};
+
+describe('Goal nodes', () => {
+  const rules = [
+    { type: 'clicked', url: 'calendly.com' },
+    { type: 'tagAdded', tag: 'Customer' },
+    { type: 'event', event: 'demo.booked' }
+  ];
+
+  test('exit rules are validated', () => {
+    expect(findGoalProblem({ exitRules: [{ type: 'opened' }] })).toMatch(/needs a type/);
+    expect(findGoalProblem({ exitRules: [{ type: 'tagAdded', tag: ' ' }] })).toMatch(/Enter the tag/);
+    expect(findGoalProblem({ exitRules: [{ type: 'event', event: 'demo booked' }] })).toMatch(/Event names/);
+    expect(findGoalProblem({ exitRules: rules })).toBeNull();
+    expect(findGoalProblem({})).toBeNull();
+  });
+
+  test('triggers are matched against the rules', () => {
+    expect(findMatchingExitRule(rules, { type: 'clicked', url: 'https://Calendly.com/acme/intro' })).toBe(rules[0]);
+    expect(findMatchingExitRule(rules, { type: 'clicked', url: 'https://acme.com/pricing' })).toBeNull();
+    expect(findMatchingExitRule(rules, { type: 'tagAdded', tag: 'customer' })).toBe(rules[1]);
+    expect(findMatchingExitRule(rules, { type: 'event', event: 'Demo.Booked' })).toBe(rules[2]);
+    expect(findMatchingExitRule(rules, { type: 'replied' })).toBeNull();
+    expect(findMatchingExitRule([{ type: 'clicked' }], { type: 'clicked', url: 'https://acme.com' })).toEqual({ type: 'clicked' });
+    expect(describeExitRule(rules[1])).toBe('tag "customer" added');
+  });
+
+  test('enrollments whose flow exits on the trigger jump to the goal', async () => {
+    const withGoal = { _id: new ObjectId(), steps: [{ id: 'email', type: 'coldEmail', data: {} }, { id: 'won', type: 'goal', data: { exitRules: rules } }] };
+    const withoutGoal = { _id: new ObjectId(), steps: [{ id: 'email', type: 'coldEmail', data: {} }] };
+    const enrollment = (run, status, extra = {}) => ({
+      _id: new ObjectId(), runId: run._id, userId: 'user1', email: 'lead@example.com', status, currentNodeId: 'email', ...extra
+    });
+    const active = enrollment(withGoal, 'active');
+    const paused = enrollment(withGoal, 'paused');
+    const other = enrollment(withoutGoal, 'active');
+    const reached = enrollment(withGoal, 'active', { goalReachedAt: new Date() });
+    const db = createFakeDb({ enrollments: [active, paused, other, reached], flowRuns: [withGoal, withoutGoal] });
+    const agenda = createFakeAgenda();
+
+    expect(await applyExitRules(db, agenda, { userId: 'user1', email: 'Lead@Example.com' }, { type: 'event', event: 'demo.booked' }))
+      .toBe(2);
+
+    expect(active).toMatchObject({ status: 'active', currentNodeId: 'won' });
+    expect(active.history).toEqual([expect.objectContaining({ nodeId: 'won', action: 'goal reached: event "demo.booked"' })]);
+    expect(paused).toMatchObject({ status: 'paused', currentNodeId: 'won' });
+    expect(other.currentNodeId).toBe('email');
+    expect(reached.currentNodeId).toBe('email');
+    // Only the active enrollment is scheduled to carry on from the goal
+    expect(agenda.jobs).toEqual([
+      'cancel advance enrollment', 'cancel send email', 'schedule advance enrollment',
+      'cancel advance enrollment', 'cancel send email'
+    ]);
+
+    expect(await applyExitRules(db, agenda, { userId: 'user1', email: 'lead@example.com' }, { type: 'event', event: 'demo.booked' }))
+      .toBe(0);
+  });
+});
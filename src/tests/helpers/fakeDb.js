@@ -0,0 +1,362 @@
+import { ObjectId } from 'mongodb';
+
+/**
+ * In-memory stand-in for the MongoDB collections the server modules use.
+ *
+ * Only what the suites exercise is supported, and anything else throws so a
+ * test cannot pass against behavior the fake does not have. Queries support
+ * equality (ObjectIds and dates by value), dotted paths and the `$in`, `$nin`,
+ * `$lt` and `$type: 'string'` operators. Updates support `$set`,
+ * `$setOnInsert`, `$unset`, `$inc`, `$push`, `$addToSet` and `$pull`, with
+ * upserts. Unique indexes, including partial ones, reject duplicates with the
+ * driver's E11000 error code.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+
+/**
+ * Copy a stored document so callers cannot change it without an update
+ * @param {*} value - Stored value
+ * @returns {*} Deep copy of plain objects and arrays; other values as they are
+ */
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  return value;
+};
+
+const getPath = (document, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  document
+);
+
+const setPath = (document, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, document);
+  parent[last] = value;
+};
+
+const unsetPath = (document, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(document, keys.join('.')) : document;
+  if (parent && typeof parent === 'object') delete parent[last];
+};
+
+const isEqual = (a, b) => {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Order two values the way a sort on one key does; missing values come first
+ */
+const compareValues = (a, b) => {
+  if (a === undefined || a === null) return b === undefined || b === null ? 0 : -1;
+  if (b === undefined || b === null) return 1;
+  const [left, right] = [toComparable(a), toComparable(b)];
+  if (left < right) return -1;
+  return left > right ? 1 : 0;
+};
+
+/**
+ * Check one field value against a query value or operator object
+ * @param {*} actual - Value stored in the document
+ * @param {*} expected - Value or operators from the query
+ * @returns {Boolean} Whether the value matches
+ */
+const matchValue = (actual, expected) => {
+  if (isOperatorObject(expected)) {
+    return Object.entries(expected).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in':
+          return operand.some(option => matchValue(actual, option));
+        case '$nin':
+          return !operand.some(option => matchValue(actual, option));
+        case '$type':
+          if (operand !== 'string') throw new Error(`The fake database does not support the $type ${operand}`);
+          return typeof actual === 'string';
+        case '$lt':
+          return actual !== undefined && actual !== null && compareValues(actual, operand) < 0;
+        default:
+          throw new Error(`The fake database does not support the ${operator} query operator`);
+      }
+    });
+  }
+
+  if (expected === null) {
+    return actual === undefined || actual === null;
+  }
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    throw new Error('The fake database does not match array fields by element');
+  }
+  return isEqual(actual, expected);
+};
+
+/**
+ * Check a document against a query
+ * @param {Object} document - Stored document
+ * @param {Object} query - MongoDB query
+ * @returns {Boolean} Whether the document matches
+ */
+const matches = (document, query = {}) => Object.entries(query).every(([key, expected]) => {
+  if (key.startsWith('$')) throw new Error(`The fake database does not support the ${key} query operator`);
+  return matchValue(getPath(document, key), expected);
+});
+
+/**
+ * Apply an update document in place
+ * @param {Object} document - Stored document
+ * @param {Object} update - MongoDB update with operators
+ * @param {Boolean} inserting - Whether the document is being created by an upsert
+ */
+const applyUpdate = (document, update, inserting) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          setPath(document, path, copy(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(document, path, copy(value));
+          break;
+        case '$unset':
+          unsetPath(document, path);
+          break;
+        case '$inc':
+          setPath(document, path, (getPath(document, path) || 0) + value);
+          break;
+        case '$push': {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          setPath(document, path, [...(getPath(document, path) || []), ...items.map(copy)]);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          const current = [...(getPath(document, path) || [])];
+          items.forEach(item => {
+            if (!current.some(existing => isEqual(existing, item))) current.push(copy(item));
+          });
+          setPath(document, path, current);
+          break;
+        }
+        case '$pull':
+          setPath(document, path, (getPath(document, path) || []).filter(item => !matchValue(item, value)));
+          break;
+        default:
+          throw new Error(`The fake database does not support the ${operator} update operator`);
+      }
+    }
+  }
+};
+
+/**
+ * Build the document an upsert inserts: the equality fields of the filter plus the update
+ */
+const buildUpsert = (filter, update) => {
+  const document = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (!key.startsWith('$') && !isOperatorObject(value)) setPath(document, key, copy(value));
+  }
+  applyUpdate(document, update, true);
+  if (document._id === undefined) document._id = new ObjectId();
+  return document;
+};
+
+const sortDocuments = (documents, sort) => {
+  if (!sort) return documents;
+  const keys = Object.entries(sort);
+  return [...documents].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compareValues(getPath(a, key), getPath(b, key));
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Create one fake collection
+ * @param {Array<Object>} documents - Stored documents; kept by reference so tests can inspect them
+ * @returns {Object} Collection with the driver methods the server uses, plus `documents`
+ *   and `updates` (every update document it was sent) for assertions
+ */
+const createFakeCollection = (documents = []) => {
+  const indexes = [];
+  const updates = [];
+
+  // Reject a document that repeats the key of another one under a unique index
+  const checkUnique = (document) => {
+    for (const { keys, partialFilterExpression } of indexes) {
+      if (partialFilterExpression && !matches(document, partialFilterExpression)) continue;
+      const duplicate = documents.some(other => other !== document &&
+        (!partialFilterExpression || matches(other, partialFilterExpression)) &&
+        keys.every(key => isEqual(getPath(other, key) ?? null, getPath(document, key) ?? null)));
+      if (duplicate) {
+        throw Object.assign(new Error(`E11000 duplicate key error index: ${keys.join('_')}`), { code: 11000 });
+      }
+    }
+  };
+
+  const insert = (document) => {
+    if (document._id === undefined) document._id = new ObjectId();
+    checkUnique(document);
+    documents.push(document);
+    return document._id;
+  };
+
+  // Update one stored document, rolling back when a unique index rejects the result
+  const update = (document, changes) => {
+    const before = copy(document);
+    applyUpdate(document, changes, false);
+    try {
+      checkUnique(document);
+    } catch (error) {
+      Object.keys(document).forEach(key => delete document[key]);
+      Object.assign(document, before);
+      throw error;
+    }
+  };
+
+  // Projections are ignored; callers get whole documents
+  const find = (query) => {
+    const cursor = {
+      project: () => cursor,
+      toArray: async () => documents.filter(document => matches(document, query)).map(copy)
+    };
+    return cursor;
+  };
+
+  const findOne = async (query, options = {}) => {
+    const found = sortDocuments(documents.filter(document => matches(document, query)), options.sort)[0];
+    return found ? copy(found) : null;
+  };
+
+  const updateOne = async (filter, changes, options = {}) => {
+    updates.push(changes);
+    const document = documents.find(item => matches(item, filter));
+    if (document) {
+      update(document, changes);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+    if (options.upsert) {
+      const upsertedId = insert(buildUpsert(filter, changes));
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+    }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+  };
+
+  const updateMany = async (filter, changes) => {
+    updates.push(changes);
+    const matched = documents.filter(item => matches(item, filter));
+    matched.forEach(document => update(document, changes));
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length };
+  };
+
+  const findOneAndUpdate = async (filter, changes, options = {}) => {
+    if (options.returnDocument !== 'after' || options.sort) {
+      throw new Error('The fake database only supports findOneAndUpdate with returnDocument: \'after\' and no sort');
+    }
+    updates.push(changes);
+    const document = documents.find(item => matches(item, filter));
+    if (document) {
+      update(document, changes);
+      return copy(document);
+    }
+    if (options.upsert) {
+      const inserted = buildUpsert(filter, changes);
+      insert(inserted);
+      return copy(inserted);
+    }
+    return null;
+  };
+
+  return {
+    documents,
+    updates,
+    find,
+    findOne,
+    updateOne,
+    updateMany,
+    findOneAndUpdate,
+    createIndex: async (keys, options = {}) => {
+      if (options.unique) indexes.push({ keys: Object.keys(keys), partialFilterExpression: options.partialFilterExpression });
+      return Object.keys(keys).join('_');
+    },
+    insertOne: async (document) => ({ acknowledged: true, insertedId: insert(document) }),
+    // Like the driver, an unordered insert keeps going past duplicates and reports them all at the end
+    insertMany: async (items, options = {}) => {
+      if (options.ordered !== false) throw new Error('The fake database only supports unordered insertMany');
+      const insertedIds = {};
+      const writeErrors = [];
+      for (const [index, document] of items.entries()) {
+        try {
+          insertedIds[index] = insert(document);
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          writeErrors.push({ index, code: error.code, errmsg: error.message });
+        }
+      }
+      if (writeErrors.length > 0) {
+        throw Object.assign(new Error(writeErrors[0].errmsg), { code: 11000, writeErrors, insertedIds });
+      }
+      return { acknowledged: true, insertedCount: items.length, insertedIds };
+    },
+    bulkWrite: async (operations) => {
+      const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      for (const operation of operations) {
+        if (operation.updateOne) {
+          const { filter, update: changes, upsert } = operation.updateOne;
+          const { matchedCount, modifiedCount, upsertedCount } = await updateOne(filter, changes, { upsert });
+          result.matchedCount += matchedCount;
+          result.modifiedCount += modifiedCount;
+          result.upsertedCount += upsertedCount;
+        } else {
+          throw new Error(`The fake database does not support the bulk ${Object.keys(operation)[0]} operation`);
+        }
+      }
+      return result;
+    },
+    aggregate: () => {
+      throw new Error('The fake database cannot run pipelines; assign collection.aggregate in the test');
+    }
+  };
+};
+
+/**
+ * Create a fake database
+ * @param {Object} documents - Initial documents by collection name
+ * @returns {Object} Database with `collection(name)`; collections are created on first use
+ */
+const createFakeDb = (documents = {}) => {
+  const collections = {};
+
+  return {
+    collection: (name) => {
+      if (!collections[name]) collections[name] = createFakeCollection(documents[name]);
+      return collections[name];
+    }
+  };
+};
+
+export { createFakeDb, createFakeCollection, matches };
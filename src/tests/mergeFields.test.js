@@ -0,0 +1,72 @@
+import {
+  MergeFieldSyntaxError,
+  renderMergeFields,
+  extractMergeFields,
+  validateMergeFields
+} from '../shared/mergeFields.js';
+
+const jane = {
+  email: 'jane@example.com',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  company: 'Acme',
+  customFields: { jobTitle: 'CTO' }
+};
+
+const bob = { email: 'bob@example.com', customFields: {} };
+
+describe('Merge fields', () => {
+  test('renderMergeFields fills contact and custom fields', () => {
+    expect(renderMergeFields('Hi {{ firstName }}, how is {{company}}? ({{jobTitle}}, {{fullName}})', jane))
+      .toBe('Hi Jane, how is Acme? (CTO, Jane Doe)');
+  });
+
+  test('renderMergeFields uses fallbacks for empty fields', () => {
+    expect(renderMergeFields('Hi {{firstName|there}}', bob)).toBe('Hi there');
+    expect(renderMergeFields('Hi {{firstName|there}}', jane)).toBe('Hi Jane');
+    expect(renderMergeFields('Hi {{firstName}}!', bob)).toBe('Hi !');
+  });
+
+  test('renderMergeFields handles if, else and unless sections', () => {
+    const template = '{{#if company}}How is {{company}}?{{else}}How are you?{{/if}}{{#unless jobTitle}} What do you do?{{/unless}}';
+
+    expect(renderMergeFields(template, jane)).toBe('How is Acme?');
+    expect(renderMergeFields(template, bob)).toBe('How are you? What do you do?');
+  });
+
+  test('malformed templates throw a MergeFieldSyntaxError', () => {
+    expect(() => renderMergeFields('{{#if company}}Hi', jane)).toThrow(MergeFieldSyntaxError);
+    expect(() => renderMergeFields('Hi{{/if}}', jane)).toThrow(/does not close/);
+    expect(() => renderMergeFields('{{#if company}}Hi{{/unless}}', jane)).toThrow(/does not close/);
+    expect(() => renderMergeFields('Hi {{first name}}', jane)).toThrow(/not a valid merge field/);
+  });
+
+  test('extractMergeFields lists fields, fallbacks and conditions', () => {
+    expect(extractMergeFields('{{firstName|there}} {{#if company}}{{company}}{{/if}}')).toEqual([
+      { name: 'firstName', fallback: 'there', conditional: false },
+      { name: 'company', fallback: null, conditional: true },
+      { name: 'company', fallback: null, conditional: false }
+    ]);
+  });
+
+  test('validateMergeFields reports unknown and missing fields', () => {
+    const result = validateMergeFields('Hi {{firstName}} {{lastName|}} from {{company}}, {{jobTitle}} {{favouriteColour}}', {
+      customFields: ['jobTitle'],
+      contacts: [jane, bob]
+    });
+
+    expect(result).toEqual({
+      error: null,
+      unknown: ['favouriteColour'],
+      missing: [
+        { field: 'firstName', contacts: 1 },
+        { field: 'company', contacts: 1 },
+        { field: 'jobTitle', contacts: 1 }
+      ]
+    });
+  });
+
+  test('validateMergeFields reports syntax errors instead of throwing', () => {
+    expect(validateMergeFields('{{#if company}}', {}).error).toMatch(/never closed/);
+  });
+});
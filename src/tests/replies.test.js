@@ -0,0 +1,126 @@
+import { ObjectId } from 'mongodb';
+import { extractMessageIds, parseReferencesHeader, pollReplies } from '../server/replies.js';
+import { encryptSecret } from '../server/senders.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+/**
+ * Local stand-in for an IMAP inbox: hands out the messages after the cursor
+ */
+const createFakeInbox = (messages) => (config) => ({
+  config,
+  async fetchNewMessages(cursor) {
+    const lastUid = cursor.lastUid || 0;
+    const fresh = messages.filter(message => message.uid > lastUid);
+    return { messages: fresh, cursor: { uidValidity: '1', lastUid: Math.max(lastUid, ...messages.map(m => m.uid)) } };
+  },
+  async close() {}
+});
+
+// Every mailbox host resolves to a public address unless a test says otherwise
+const lookup = async () => [{ address: '93.184.216.34' }];
+
+describe('Reply detection', () => {
+  test('Message-IDs are read from In-Reply-To and folded References headers', () => {
+    expect(extractMessageIds('<a@example.com>')).toEqual(['<a@example.com>']);
+    expect(extractMessageIds(['<a@x>', null, '<b@x> <c@x>'])).toEqual(['<a@x>', '<b@x>', '<c@x>']);
+    expect(parseReferencesHeader('References: <a@x>\r\n <b@x>\r\n\r\n')).toEqual(['<a@x>', '<b@x>']);
+    expect(parseReferencesHeader('')).toEqual([]);
+  });
+
+  test('a reply is recorded once and stops the contact\'s enrollment', async () => {
+    const enrollmentId = new ObjectId();
+    const account = {
+      _id: new ObjectId(),
+      userId: 'user-1',
+      imapHost: 'imap.example.com',
+      imapPort: 993,
+      username: 'jane@example.com',
+      password: encryptSecret('secret')
+    };
+    const db = createFakeDb({
+      senderAccounts: [account],
+      emailEvents: [{
+        _id: new ObjectId(),
+        type: 'sent',
+        userId: 'user-1',
+        smtpMessageId: '<sent-1@example.com>',
+        enrollmentId: enrollmentId.toString(),
+        nodeId: 'email-1'
+      }],
+      enrollments: [{ _id: enrollmentId, runId: new ObjectId(), status: 'active' }]
+    });
+    const cancelled = [];
+    const agenda = { cancel: async (query) => cancelled.push(query.name) };
+    const inbox = createFakeInbox([
+      { uid: 1, messageId: '<newsletter@example.com>', inReplyTo: null, references: [] },
+      { uid: 2, messageId: '<reply-1@lead.com>', inReplyTo: '<sent-1@example.com>', references: [], from: 'lead@lead.com' }
+    ]);
+
+    const result = await pollReplies(db, agenda, { createReader: inbox, lookup });
+
+    expect(result).toEqual({ mailboxes: 1, replies: 1, bounces: 0 });
+    const replies = db.collection('emailEvents').documents.filter(event => event.type === 'reply');
+    expect(replies).toHaveLength(1);
+    expect(replies[0]).toMatchObject({ type: 'reply', replyMessageId: '<reply-1@lead.com>', nodeId: 'email-1' });
+    expect(cancelled).toEqual(['advance enrollment', 'send email']);
+    expect(db.collection('senderAccounts').updates[0].$set.replyCursor).toEqual({ uidValidity: '1', lastUid: 2 });
+
+    // Reading the same messages again after a mailbox reset adds nothing
+    account.replyCursor = {};
+    expect(await pollReplies(db, agenda, { createReader: inbox, lookup })).toEqual({ mailboxes: 1, replies: 0, bounces: 0 });
+  });
+
+  test('a reply moves the contact to the goal when the flow exits on replies', async () => {
+    const runId = new ObjectId();
+    const enrollment = { _id: new ObjectId(), userId: 'user-1', runId, status: 'active' };
+    const account = { _id: new ObjectId(), userId: 'user-1', imapHost: 'imap.example.com', password: encryptSecret('x') };
+    const db = createFakeDb({
+      senderAccounts: [account],
+      emailEvents: [{ _id: new ObjectId(), type: 'sent', userId: 'user-1', smtpMessageId: '<sent-1@example.com>', enrollmentId: enrollment._id.toString() }],
+      enrollments: [enrollment],
+      flowRuns: [{ _id: runId, steps: [{ id: 'goal', type: 'goal', data: { exitRules: [{ type: 'replied' }] } }] }]
+    });
+    const jobs = [];
+    const agenda = {
+      cancel: async (query) => jobs.push(`cancel ${query.name}`),
+      schedule: async (when, name) => jobs.push(`schedule ${name}`)
+    };
+    const inbox = createFakeInbox([{ uid: 1, messageId: '<reply-1@lead.com>', inReplyTo: '<sent-1@example.com>', references: [] }]);
+
+    await pollReplies(db, agenda, { createReader: inbox, lookup });
+
+    expect(enrollment).toMatchObject({ status: 'active', currentNodeId: 'goal' });
+    expect(enrollment.goalReachedAt).toBeInstanceOf(Date);
+    expect(jobs).toEqual(['cancel advance enrollment', 'cancel send email', 'schedule advance enrollment']);
+  });
+
+  test('a mailbox that fails to connect is reported on the account', async () => {
+    const account = { _id: new ObjectId(), userId: 'user-1', imapHost: 'imap.example.com', password: encryptSecret('x') };
+    const db = createFakeDb({ senderAccounts: [account] });
+    const brokenInbox = () => ({
+      fetchNewMessages: async () => { throw new Error('connect ECONNREFUSED 93.184.216.34:993'); },
+      close: async () => {}
+    });
+
+    expect(await pollReplies(db, {}, { createReader: brokenInbox, lookup })).toEqual({ mailboxes: 1, replies: 0, bounces: 0 });
+    // What the socket said stays in the server log
+    expect(db.collection('senderAccounts').updates[0]).toEqual({
+      $set: { replyError: 'Could not read the mailbox; check the IMAP host, port and security settings' }
+    });
+  });
+
+  test('mailboxes on private addresses are never connected to', async () => {
+    const account = { _id: new ObjectId(), userId: 'user-1', imapHost: 'mail.internal.example.com', password: encryptSecret('x') };
+    const db = createFakeDb({ senderAccounts: [account] });
+    const opened = [];
+    const inbox = (config) => {
+      opened.push(config.host);
+      return createFakeInbox([])(config);
+    };
+
+    await pollReplies(db, {}, { createReader: inbox, lookup: async () => [{ address: '10.0.0.8' }] });
+
+    expect(opened).toEqual([]);
+    expect(account.replyError).toMatch(/IMAP host mail\.internal\.example\.com is a private address \(10\.0\.0\.8\)/);
+  });
+});
@@ -0,0 +1,38 @@
+import { classifySendError, getRetryDelay, getRetryPolicy, planRetry } from '../server/retries.js';
+import { MergeFieldSyntaxError } from '../shared/mergeFields.js';
+
+describe('Send retries', () => {
+  const smtpError = (responseCode) => Object.assign(new Error(`SMTP ${responseCode}`), { code: 'EENVELOPE', responseCode });
+
+  test('classifySendError separates transient from permanent failures', () => {
+    expect(classifySendError(smtpError(421))).toBe('transient');
+    expect(classifySendError(smtpError(550))).toBe('permanent');
+    expect(classifySendError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe('transient');
+    expect(classifySendError(Object.assign(new Error('bad login'), { code: 'EAUTH' }))).toBe('permanent');
+    expect(classifySendError(new MergeFieldSyntaxError('Unclosed {{#if}}'))).toBe('permanent');
+    expect(classifySendError(new Error('Failed to initialize email transporter'))).toBe('transient');
+  });
+
+  test('the policy is read from the environment with safe defaults', () => {
+    expect(getRetryPolicy({})).toEqual({ maxAttempts: 5, baseDelayMs: 60000, maxDelayMs: 21600000 });
+    expect(getRetryPolicy({ EMAIL_MAX_ATTEMPTS: '3', EMAIL_RETRY_BASE_DELAY: '10', EMAIL_RETRY_MAX_DELAY: 'x' }))
+      .toEqual({ maxAttempts: 3, baseDelayMs: 10000, maxDelayMs: 21600000 });
+  });
+
+  test('backoff doubles per attempt up to the maximum delay', () => {
+    const policy = { maxAttempts: 10, baseDelayMs: 1000, maxDelayMs: 5000 };
+    expect([1, 2, 3, 4].map(attempt => getRetryDelay(attempt, policy))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  test('planRetry dead-letters permanent failures and exhausted attempts', () => {
+    const policy = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 60000 };
+    const now = new Date('2024-01-01T00:00:00Z');
+
+    expect(planRetry(smtpError(451), 2, policy, now)).toEqual({
+      errorType: 'transient',
+      retryAt: new Date('2024-01-01T00:00:02Z')
+    });
+    expect(planRetry(smtpError(451), 3, policy, now)).toEqual({ errorType: 'transient', retryAt: null });
+    expect(planRetry(smtpError(550), 1, policy, now)).toEqual({ errorType: 'permanent', retryAt: null });
+  });
+});
@@ -0,0 +1,148 @@
+import { compileSequence } from '../shared/sequenceCompiler.js';
+import {
+  addDelay,
+  normalizeSchedulingOptions,
+  planSequence,
+  snapToSendingWindow
+} from '../server/scheduling.js';
+
+const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+const edge = (source, target, sourceHandle) => ({ id: `${source}-${target}`, source, target, sourceHandle });
+
+// Monday 6 January 2025, 10:00 local time
+const monday = new Date(2025, 0, 6, 10, 0, 0);
+
+const weekdayOptions = normalizeSchedulingOptions({
+  startDate: monday,
+  fromTime: '09:00',
+  toTime: '17:00',
+  days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+});
+
+describe('scheduling', () => {
+  test('addDelay supports minutes, hours and days', () => {
+    expect(addDelay(monday, 30, 'minutes')).toEqual(new Date(2025, 0, 6, 10, 30));
+    expect(addDelay(monday, 2, 'hours')).toEqual(new Date(2025, 0, 6, 12, 0));
+    expect(addDelay(monday, 3, 'days')).toEqual(new Date(2025, 0, 9, 10, 0));
+  });
+
+  test('snapToSendingWindow keeps times inside the window', () => {
+    expect(snapToSendingWindow(monday, weekdayOptions)).toEqual(monday);
+  });
+
+  test('snapToSendingWindow moves early times to the window start', () => {
+    const early = new Date(2025, 0, 6, 6, 15);
+    expect(snapToSendingWindow(early, weekdayOptions)).toEqual(new Date(2025, 0, 6, 9, 0));
+  });
+
+  test('snapToSendingWindow skips late times and disallowed days', () => {
+    const fridayEvening = new Date(2025, 0, 10, 18, 0);
+    expect(snapToSendingWindow(fridayEvening, weekdayOptions)).toEqual(new Date(2025, 0, 13, 9, 0));
+  });
+
+  test('normalizeSchedulingOptions rejects an empty time window', () => {
+    expect(() => normalizeSchedulingOptions({ fromTime: '17:00', toTime: '09:00' })).toThrow(/earlier/);
+    expect(() => normalizeSchedulingOptions({ days: [] })).toThrow(/sending day/);
+  });
+
+  test('planSequence adds waits between emails along the path', () => {
+    const compiled = compileSequence({
+      nodes: [
+        node('second', 'coldEmail', { recipient: 'a@example.com' }),
+        node('wait', 'waitDelay', { delay: 3, unit: 'days' }),
+        node('first', 'coldEmail', { recipient: 'a@example.com' })
+      ],
+      edges: [edge('first', 'wait'), edge('wait', 'second')]
+    });
+
+    const planned = planSequence(compiled, weekdayOptions, { now: monday });
+
+    expect(planned.map(({ step }) => step.id)).toEqual(['first', 'second']);
+    expect(planned[0].sendTime).toEqual(monday);
+    expect(planned[1].sendTime).toEqual(new Date(2025, 0, 9, 10, 0));
+  });
+
+  test('planSequence snaps waits that land outside the window', () => {
+    const compiled = compileSequence({
+      nodes: [
+        node('first', 'coldEmail'),
+        node('wait', 'waitDelay', { delay: 4, unit: 'days' }),
+        node('second', 'coldEmail')
+      ],
+      edges: [edge('first', 'wait'), edge('wait', 'second')]
+    });
+
+    const planned = planSequence(compiled, weekdayOptions, { now: monday });
+
+    // Monday + 4 days is Friday, still allowed; + 5 would land on Saturday
+    expect(planned[1].sendTime).toEqual(new Date(2025, 0, 10, 10, 0));
+
+    compiled.steps[1].data.delay = 5;
+    const shifted = planSequence(compiled, weekdayOptions, { now: monday });
+    expect(shifted[1].sendTime).toEqual(new Date(2025, 0, 13, 9, 0));
+  });
+
+  test('planSequence ignores the sending window when sending now', () => {
+    const compiled = compileSequence({
+      nodes: [
+        node('first', 'coldEmail'),
+        node('wait', 'waitDelay', { delay: 2, unit: 'hours' }),
+        node('second', 'coldEmail')
+      ],
+      edges: [edge('first', 'wait'), edge('wait', 'second')]
+    });
+    const sunday = new Date(2025, 0, 5, 22, 0);
+
+    const planned = planSequence(compiled, weekdayOptions, { sendNow: true, now: sunday });
+
+    expect(planned[0].sendTime).toEqual(new Date(2025, 0, 5, 22, 1));
+    expect(planned[1].sendTime).toEqual(new Date(2025, 0, 6, 0, 1));
+  });
+
+  test('planSequence plans every branch of a condition once', () => {
+    const compiled = compileSequence({
+      nodes: [
+        node('first', 'coldEmail'),
+        node('check', 'condition', { conditionType: 'noReply', days: 2 }),
+        node('bump', 'coldEmail'),
+        node('other', 'coldEmail'),
+        node('last', 'coldEmail')
+      ],
+      edges: [
+        edge('first', 'check'),
+        edge('check', 'bump', 'yes'),
+        edge('check', 'other', 'no'),
+        edge('bump', 'last'),
+        edge('other', 'last')
+      ]
+    });
+
+    const planned = planSequence(compiled, weekdayOptions, { now: monday });
+
+    expect(planned.map(({ step }) => step.id).sort()).toEqual(['bump', 'first', 'last', 'other']);
+    // The reply wait counts like a wait before either branch
+    expect(planned.find(({ step }) => step.id === 'other').sendTime).toEqual(new Date(2025, 0, 8, 10, 0));
+  });
+
+  test('planSequence plans every variant of a split', () => {
+    const compiled = compileSequence({
+      nodes: [
+        node('split', 'split', { variants: [{ id: 'a', name: 'A', percent: 50 }, { id: 'b', name: 'B', percent: 50 }] }),
+        node('short', 'coldEmail'),
+        node('wait', 'waitDelay', { delay: 1, unit: 'days' }),
+        node('long', 'coldEmail')
+      ],
+      edges: [
+        edge('split', 'short', 'a'),
+        edge('split', 'wait', 'b'),
+        edge('wait', 'long')
+      ]
+    });
+
+    const planned = planSequence(compiled, weekdayOptions, { now: monday });
+
+    expect(planned.map(({ step }) => step.id).sort()).toEqual(['long', 'short']);
+    expect(planned.find(({ step }) => step.id === 'short').sendTime).toEqual(monday);
+    expect(planned.find(({ step }) => step.id === 'long').sendTime).toEqual(new Date(2025, 0, 7, 10, 0));
+  });
+});
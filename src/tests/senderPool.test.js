@@ -0,0 +1,43 @@
+import {
+  getSendDay,
+  getSenderLimits,
+  getSentToday,
+  getSenderAvailableAt
+} from '../server/senderPool.js';
+import { readSenderFields } from '../server/senders.js';
+
+describe('Sender rotation and limits', () => {
+  const now = new Date(2024, 4, 6, 10, 0, 0);
+  const today = getSendDay(now);
+
+  test('sends count against the current day only', () => {
+    expect(getSendDay(new Date(2024, 0, 9, 23, 59))).toBe('2024-01-09');
+    expect(getSentToday({ sendDay: today, sentToday: 7 }, now)).toBe(7);
+    expect(getSentToday({ sendDay: '2024-05-05', sentToday: 7 }, now)).toBe(0);
+    expect(getSentToday({}, now)).toBe(0);
+  });
+
+  test('accounts saved without limits use the defaults', () => {
+    expect(getSenderLimits({})).toEqual({ dailyLimit: 50, minGapSeconds: 60 });
+    expect(getSenderLimits({ dailyLimit: 10, minGapSeconds: 0 })).toEqual({ dailyLimit: 10, minGapSeconds: 0 });
+  });
+
+  test('a mailbox frees up after its gap, or the next day once capped', () => {
+    const nextSendAt = new Date(now.getTime() + 30 * 1000);
+
+    expect(getSenderAvailableAt({ dailyLimit: 5 }, now)).toEqual(now);
+    expect(getSenderAvailableAt({ dailyLimit: 5, sendDay: today, sentToday: 4, nextSendAt }, now)).toEqual(nextSendAt);
+    expect(getSenderAvailableAt({ dailyLimit: 5, sendDay: today, sentToday: 5, nextSendAt }, now))
+      .toEqual(new Date(2024, 4, 7, 0, 0, 0));
+  });
+
+  test('limits are validated with the rest of the account', () => {
+    const body = { fromEmail: 'jane@example.com', host: 'smtp.example.com', port: 587, password: 'x' };
+
+    expect(readSenderFields(body).fields).toMatchObject({ dailyLimit: 50, minGapSeconds: 60 });
+    expect(readSenderFields({ ...body, dailyLimit: '20', minGapSeconds: 0 }).fields)
+      .toMatchObject({ dailyLimit: 20, minGapSeconds: 0 });
+    expect(readSenderFields({ ...body, dailyLimit: 0 }).error).toMatch(/Daily limit/);
+    expect(readSenderFields({ ...body, minGapSeconds: 1.5 }).error).toMatch(/gap/);
+  });
+});
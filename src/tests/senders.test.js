@@ -0,0 +1,107 @@
+import { ObjectId } from 'mongodb';
+import {
+  SenderAccountError,
+  encryptSecret,
+  decryptSecret,
+  getFromAddress,
+  mapSenderAccount,
+  readSenderFields,
+  openSenderTransport,
+  describeVerifyError
+} from '../server/senders.js';
+
+describe('Sender accounts', () => {
+  const body = {
+    label: 'Sales',
+    fromName: 'Jane',
+    fromEmail: 'Jane@Example.com ',
+    host: 'smtp.example.com',
+    port: '465',
+    password: 'hunter2'
+  };
+
+  test('secrets round-trip and tampering is rejected', () => {
+    const stored = encryptSecret('hunter2');
+
+    expect(stored).not.toContain('hunter2');
+    expect(decryptSecret(stored)).toBe('hunter2');
+    // A fresh IV means the same secret never encrypts the same way twice
+    expect(encryptSecret('hunter2')).not.toBe(stored);
+
+    const [version, iv, tag, encrypted] = stored.split(':');
+    const tampered = [version, iv, tag, Buffer.from('something else').toString('base64')].join(':');
+    expect(() => decryptSecret(tampered)).toThrow(SenderAccountError);
+    expect(() => decryptSecret('plain text')).toThrow(SenderAccountError);
+    expect(encrypted).toBeTruthy();
+  });
+
+  test('readSenderFields validates and normalizes the account', () => {
+    const { fields } = readSenderFields(body);
+
+    expect(fields).toMatchObject({
+      label: 'Sales',
+      fromEmail: 'jane@example.com',
+      port: 465,
+      secure: true,
+      username: 'jane@example.com'
+    });
+    expect(decryptSecret(fields.password)).toBe('hunter2');
+
+    expect(readSenderFields({ ...body, fromEmail: 'nope' }).error).toMatch(/from address/);
+    expect(readSenderFields({ ...body, replyTo: 'nope' }).error).toMatch(/Reply-to/);
+    expect(readSenderFields({ ...body, host: ' ' }).error).toMatch(/host/);
+    expect(readSenderFields({ ...body, port: '70000' }).error).toMatch(/port/);
+    expect(readSenderFields({ ...body, password: '' }).error).toMatch(/password/);
+  });
+
+  test('SMTP and IMAP hosts must be public servers', async () => {
+    for (const host of ['localhost', '127.0.0.1', '10.1.2.3', '[::1]', '169.254.169.254']) {
+      expect(readSenderFields({ ...body, host }).error).toMatch(/SMTP host must be a public server/);
+      expect(readSenderFields({ ...body, imapHost: host }).error).toMatch(/IMAP host must be a public server/);
+    }
+
+    // Names are resolved again before connecting, in case they point inside the network
+    const { fields } = readSenderFields(body);
+    const account = { _id: new ObjectId(), ...fields, updatedAt: new Date() };
+    const transportName = process.env.EMAIL_TRANSPORT;
+    process.env.EMAIL_TRANSPORT = 'smtp';
+    try {
+      await expect(openSenderTransport(account, { lookup: async () => [{ address: '192.168.1.20' }] }))
+        .rejects.toMatchObject({ code: 'EBLOCKED', message: expect.stringMatching(/SMTP host smtp\.example\.com is a private address/) });
+      const transport = await openSenderTransport(account, { lookup: async () => [{ address: '93.184.216.34' }] });
+      expect(transport.options.host).toBe('smtp.example.com');
+      transport.close();
+    } finally {
+      process.env.EMAIL_TRANSPORT = transportName;
+    }
+  });
+
+  test('verification errors do not pass on what the server or socket said', () => {
+    expect(describeVerifyError(Object.assign(new Error('Invalid login: 535 5.7.8 bad'), { code: 'EAUTH' })))
+      .toBe('The SMTP server rejected the username or password');
+    expect(describeVerifyError(Object.assign(new Error('Greeting never received: +OK Redis'), { code: 'ETIMEDOUT' })))
+      .toBe('Could not connect to the SMTP server; check the host, port and security settings');
+    expect(describeVerifyError(Object.assign(new Error('SMTP host x is a private address (10.0.0.1)'), { code: 'EBLOCKED' })))
+      .toMatch(/private address/);
+  });
+
+  test('updates keep the stored password unless a new one is given', () => {
+    const { fields: existing } = readSenderFields(body);
+
+    const { fields: kept } = readSenderFields({ port: 587 }, existing);
+    expect(kept.password).toBe(existing.password);
+    expect(kept.fromEmail).toBe('jane@example.com');
+
+    const { fields: replaced } = readSenderFields({ password: 'new-pass' }, existing);
+    expect(decryptSecret(replaced.password)).toBe('new-pass');
+  });
+
+  test('the password never leaves the server and the display name goes in From', () => {
+    const { fields } = readSenderFields(body);
+    const account = { _id: new ObjectId(), ...fields };
+
+    expect(mapSenderAccount(account)).not.toHaveProperty('password');
+    expect(getFromAddress(account)).toEqual({ name: 'Jane', address: 'jane@example.com' });
+    expect(getFromAddress({ ...account, fromName: '' })).toBe('jane@example.com');
+  });
+});
@@ -0,0 +1,140 @@
+import { compileSequence, SequenceCompileError } from '../shared/sequenceCompiler.js';
+
+const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+const edge = (source, target, sourceHandle) => ({ id: `${source}-${target}`, source, target, sourceHandle });
+
+describe('compileSequence', () => {
+  test('orders steps by following edges instead of node array order', () => {
+    const nodes = [
+      node('email2', 'coldEmail', { label: 'Follow-up' }),
+      node('wait', 'waitDelay', { delay: 3, unit: 'days' }),
+      node('lead', 'leadSource', { label: 'Lead Source' }),
+      node('email1', 'coldEmail', { label: 'Intro' })
+    ];
+    const edges = [edge('wait', 'email2'), edge('lead', 'email1'), edge('email1', 'wait')];
+
+    const { entryId, steps } = compileSequence({ nodes, edges });
+
+    expect(entryId).toBe('lead');
+    expect(steps.map(step => step.id)).toEqual(['lead', 'email1', 'wait', 'email2']);
+    expect(steps[2]).toMatchObject({ delay: 3, unit: 'days' });
+    expect(steps[1].next).toEqual([{ nodeId: 'wait', handle: null }]);
+    expect(steps[3].next).toEqual([]);
+  });
+
+  test('compiles a single node without edges', () => {
+    const { steps } = compileSequence({ nodes: [node('email', 'coldEmail')], edges: [] });
+
+    expect(steps).toHaveLength(1);
+  });
+
+  test('rejects an empty flow', () => {
+    expect(() => compileSequence({ nodes: [], edges: [] })).toThrow(SequenceCompileError);
+  });
+
+  test('rejects orphan nodes', () => {
+    const nodes = [node('a', 'coldEmail'), node('b', 'coldEmail'), node('c', 'coldEmail', { label: 'Lonely' })];
+
+    expect(() => compileSequence({ nodes, edges: [edge('a', 'b')] }))
+      .toThrow(/"Lonely" is not connected/);
+  });
+
+  test('rejects multiple entry nodes', () => {
+    const nodes = [node('a', 'coldEmail'), node('b', 'coldEmail'), node('c', 'waitDelay')];
+
+    try {
+      compileSequence({ nodes, edges: [edge('a', 'c'), edge('b', 'c')] });
+      throw new Error('Expected compileSequence to throw');
+    } catch (error) {
+      expect(error).toBeInstanceOf(SequenceCompileError);
+      expect(error.message).toMatch(/more than one entry node/);
+      expect(error.nodeIds).toEqual(['a', 'b']);
+    }
+  });
+
+  test('rejects cycles behind the entry node', () => {
+    const nodes = [node('a', 'leadSource'), node('b', 'coldEmail'), node('c', 'waitDelay')];
+    const edges = [edge('a', 'b'), edge('b', 'c'), edge('c', 'b')];
+
+    expect(() => compileSequence({ nodes, edges })).toThrow(/contains a loop/);
+  });
+
+  test('rejects a graph that is entirely a loop', () => {
+    const nodes = [node('a', 'coldEmail'), node('b', 'waitDelay')];
+
+    expect(() => compileSequence({ nodes, edges: [edge('a', 'b'), edge('b', 'a')] }))
+      .toThrow(/loop/);
+  });
+
+  test('condition nodes branch from their yes and no handles', () => {
+    const nodes = [
+      node('email1', 'coldEmail'),
+      node('check', 'condition', { conditionType: 'opened' }),
+      node('yes', 'coldEmail'),
+      node('no', 'coldEmail')
+    ];
+    const edges = [edge('email1', 'check'), edge('check', 'yes', 'yes'), edge('check', 'no', 'no')];
+
+    const { steps } = compileSequence({ nodes, edges });
+
+    expect(steps[1].next).toEqual([{ nodeId: 'yes', handle: 'yes' }, { nodeId: 'no', handle: 'no' }]);
+    expect(() => compileSequence({ nodes, edges: [edge('email1', 'check'), edge('check', 'yes'), edge('check', 'no', 'no')] }))
+      .toThrow(/"yes" or "no" handle/);
+    expect(() => compileSequence({ nodes, edges: [edge('email1', 'check'), edge('check', 'yes', 'yes'), edge('check', 'no', 'yes')] }))
+      .toThrow(/same handle/);
+  });
+
+  test('rejects condition nodes without a complete condition', () => {
+    const nodes = [node('email', 'coldEmail'), node('check', 'condition', { conditionType: 'field', field: '' })];
+
+    expect(() => compileSequence({ nodes, edges: [edge('email', 'check')] })).toThrow(/contact field/);
+  });
+
+  test('split nodes branch from their variant handles', () => {
+    const variants = [{ id: 'a', name: 'Short', percent: 50 }, { id: 'b', name: 'Long', percent: 50 }];
+    const nodes = [
+      node('split', 'split', { label: 'Intro test', variants }),
+      node('short', 'coldEmail'),
+      node('long', 'coldEmail')
+    ];
+
+    const { steps } = compileSequence({ nodes, edges: [edge('split', 'short', 'a'), edge('split', 'long', 'b')] });
+
+    expect(steps[0].next).toEqual([{ nodeId: 'short', handle: 'a' }, { nodeId: 'long', handle: 'b' }]);
+    expect(() => compileSequence({ nodes, edges: [edge('split', 'short', 'a'), edge('split', 'long', 'c')] }))
+      .toThrow(/variant handles/);
+    expect(() => compileSequence({ nodes: [node('split', 'split', { variants: variants.slice(0, 1) })], edges: [] }))
+      .toThrow(/between 2 and 5 variants/);
+  });
+
+  test('rejects action nodes with incomplete settings', () => {
+    const nodes = [node('email', 'coldEmail'), node('hook', 'webhook', { label: 'CRM', url: 'not a url' })];
+
+    expect(() => compileSequence({ nodes, edges: [edge('email', 'hook')] })).toThrow(/"CRM": Enter the full URL/);
+  });
+
+  test('goal nodes may stand apart from the steps', () => {
+    const goal = node('goal', 'goal', { label: 'Booked', exitRules: [{ type: 'replied' }] });
+    const nodes = [node('email', 'coldEmail'), node('wait', 'waitDelay'), goal];
+
+    const { steps } = compileSequence({ nodes, edges: [edge('email', 'wait')] });
+
+    expect(steps.map(step => step.id)).toEqual(['email', 'wait', 'goal']);
+    expect(compileSequence({ nodes, edges: [edge('email', 'wait'), edge('wait', 'goal')] }).steps[0].id).toBe('email');
+  });
+
+  test('rejects a second goal, invalid exit rules and a flow that is only a goal', () => {
+    const email = node('email', 'coldEmail');
+
+    expect(() => compileSequence({ nodes: [email, node('g1', 'goal'), node('g2', 'goal')], edges: [] }))
+      .toThrow(/more than one goal/);
+    expect(() => compileSequence({ nodes: [email, node('goal', 'goal', { exitRules: [{ type: 'tagAdded' }] })], edges: [] }))
+      .toThrow(/Enter the tag/);
+    expect(() => compileSequence({ nodes: [node('goal', 'goal')], edges: [] })).toThrow(/only a goal/);
+  });
+
+  test('rejects edges to unknown nodes', () => {
+    expect(() => compileSequence({ nodes: [node('a', 'coldEmail')], edges: [edge('a', 'missing')] }))
+      .toThrow(/does not exist/);
+  });
+});
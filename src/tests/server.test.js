@@ -86,19 +86,19 @@ describe('API Endpoints', () => {
 
     test('POST /api/schedule-sequence should schedule a sequence', async () => {
       const sequenceData = {
-        sequence: [
+        nodes: [
           {
             id: 'coldEmail_123',
             type: 'coldEmail',
+            position: { x: 0, y: 0 },
             data: {
               recipient: 'test@example.com',
               subject: 'Test Email',
               body: 'Test content'
-            },
-            delay: 0,
-            unit: 'hours'
+            }
           }
-        ]
+        ],
+        edges: []
       };
       
       const response = await request(app)
@@ -111,6 +111,27 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('scheduledEmails');
       expect(Array.isArray(response.body.scheduledEmails)).toBe(true);
     });
+
+    test('POST /api/schedule-sequence should reject a flow with a loop', async () => {
+      const sequenceData = {
+        nodes: [
+          { id: 'a', type: 'coldEmail', position: { x: 0, y: 0 }, data: { recipient: 'a@example.com' } },
+          { id: 'b', type: 'waitDelay', position: { x: 0, y: 100 }, data: { delay: 1, unit: 'days' } }
+        ],
+        edges: [
+          { id: 'a-b', source: 'a', target: 'b' },
+          { id: 'b-a', source: 'b', target: 'a' }
+        ]
+      };
+      
+      const response = await request(app)
+        .post('/api/schedule-sequence')
+        .set('Authorization', 'Bearer mock-token')
+        .send(sequenceData);
+      
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/loop/);
+    });
   });
 
   describe('Authentication Middleware', () => {
@@ -1,4 +1,6 @@
 
+import { jest } from '@jest/globals';
+
 // Add Jest global types for TypeScript
 // @ts-ignore
 global.jest = jest;
@@ -20,3 +22,6 @@ global.beforeAll = beforeAll;
 global.afterAll = afterAll;
 
 // Add any test setup here, like extending jest matchers
+
+// Keep sent emails in the in-memory capture mailbox so no test needs a real SMTP server
+process.env.EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'capture';
@@ -0,0 +1,80 @@
+import { ObjectId } from 'mongodb';
+import { chooseVariant, pickWinner, findSplitProblem, getDefaultVariants } from '../shared/splits.js';
+import { assignVariant } from '../server/splits.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+/**
+ * Fake database whose events pipeline returns canned counts
+ */
+const createSplitDb = (eventRows = []) => {
+  const db = createFakeDb();
+  db.collection('emailEvents').aggregate = () => ({ toArray: async () => eventRows });
+  return db;
+};
+
+describe('A/B split nodes', () => {
+  const enrollment = { runId: new ObjectId(), userId: 'user1', flowId: 'flow1' };
+  const step = (data) => ({ id: 'split', type: 'split', data: { variants: getDefaultVariants(), ...data } });
+
+  test('contacts are spread as close to the percentages as possible', () => {
+    const variants = [{ id: 'a', percent: 70 }, { id: 'b', percent: 20 }, { id: 'c', percent: 10 }];
+    const counts = {};
+
+    for (let i = 0; i < 100; i++) {
+      const id = chooseVariant(variants, counts);
+      counts[id] = (counts[id] || 0) + 1;
+    }
+
+    expect(counts).toEqual({ a: 70, b: 20, c: 10 });
+  });
+
+  test('the winner has the best rate, with ties going to the first variant', () => {
+    const variants = getDefaultVariants();
+
+    expect(pickWinner(variants, { a: { sent: 10, opened: 2 }, b: { sent: 4, opened: 2 } }, 'opened')).toBe('b');
+    expect(pickWinner(variants, { a: { sent: 10, replied: 1 }, b: { sent: 10, replied: 1 } }, 'replied')).toBe('a');
+    expect(pickWinner(variants, {}, 'clicked')).toBe('a');
+  });
+
+  test('split settings are validated', () => {
+    expect(findSplitProblem({ variants: getDefaultVariants() })).toBeNull();
+    expect(findSplitProblem({ variants: [{ id: 'a', percent: 100 }] })).toMatch(/between 2 and 5/);
+    expect(findSplitProblem({ variants: [{ id: 'a', percent: 50 }, { id: 'a', percent: 50 }] })).toMatch(/own ID/);
+    expect(findSplitProblem({ variants: [{ id: 'a', percent: 60 }, { id: 'b', percent: 50 }] })).toMatch(/add up to 100/);
+    expect(findSplitProblem({ variants: getDefaultVariants(), autoWinner: true, winnerMetric: 'bounced' })).toMatch(/Pick the winner/);
+    expect(findSplitProblem({ variants: getDefaultVariants(), autoWinner: true, winnerMetric: 'opened', sampleSize: 1, testHours: 24 }))
+      .toMatch(/one contact per variant/);
+  });
+
+  test('without a winner every contact is split', async () => {
+    const db = createSplitDb();
+    const now = new Date('2026-01-01T00:00:00Z');
+    const assigned = [];
+
+    for (let i = 0; i < 4; i++) {
+      assigned.push(await assignVariant(db, enrollment, step({ autoWinner: false }), now));
+    }
+
+    expect(assigned.map(result => result.variantId)).toEqual(['a', 'b', 'a', 'b']);
+    expect(db.collection('splitTests').documents[0]).toMatchObject({ total: 4, counts: { a: 2, b: 2 }, decideAt: null });
+  });
+
+  test('contacts after the sample wait for the test window, then all get the winner', async () => {
+    const db = createSplitDb([
+      { key: { nodeId: 'split', variantId: 'a', type: 'sent' }, count: 1 },
+      { key: { nodeId: 'split', variantId: 'b', type: 'sent' }, count: 1 },
+      { key: { nodeId: 'split', variantId: 'b', type: 'open' }, count: 1 }
+    ]);
+    const settings = step({ autoWinner: true, winnerMetric: 'opened', sampleSize: 2, testHours: 24 });
+    const start = new Date('2026-01-01T00:00:00Z');
+    const later = new Date('2026-01-02T01:00:00Z');
+
+    expect(await assignVariant(db, enrollment, settings, start)).toEqual({ variantId: 'a', promoted: false });
+    expect(await assignVariant(db, enrollment, settings, start)).toEqual({ variantId: 'b', promoted: false });
+    expect(await assignVariant(db, enrollment, settings, start)).toEqual({ waitUntil: new Date('2026-01-02T00:00:00Z') });
+
+    expect(await assignVariant(db, enrollment, settings, later)).toEqual({ variantId: 'b', promoted: true });
+    expect(await assignVariant(db, enrollment, settings, later)).toEqual({ variantId: 'b', promoted: true });
+    expect(db.collection('splitTests').documents[0]).toMatchObject({ winner: 'b', decidedAt: later, total: 2, promoted: 2 });
+  });
+});
@@ -0,0 +1,44 @@
+import { getReplySubject, getThreadFields, findThreadParent } from '../server/threading.js';
+
+describe('Threaded follow-ups', () => {
+  test('reply subjects get a single "Re:" prefix', () => {
+    expect(getReplySubject('Quick question')).toBe('Re: Quick question');
+    expect(getReplySubject('Re: Quick question')).toBe('Re: Quick question');
+    expect(getReplySubject('RE:Quick question')).toBe('RE:Quick question');
+  });
+
+  test('each follow-up references the whole thread so far', () => {
+    const first = { subject: 'Quick question', smtpMessageId: '<1@example.com>', references: [] };
+    const second = { ...getThreadFields(first), smtpMessageId: '<2@example.com>' };
+
+    expect(second).toMatchObject({
+      subject: 'Re: Quick question',
+      inReplyTo: '<1@example.com>',
+      references: ['<1@example.com>']
+    });
+    expect(getThreadFields(second)).toEqual({
+      subject: 'Re: Quick question',
+      inReplyTo: '<2@example.com>',
+      references: ['<1@example.com>', '<2@example.com>']
+    });
+  });
+
+  test('the parent is the enrollment\'s latest email to the same address', async () => {
+    const queries = [];
+    const db = {
+      collection: () => ({
+        findOne: async (query, options) => {
+          queries.push({ query, options });
+          return { smtpMessageId: '<2@example.com>' };
+        }
+      })
+    };
+
+    expect(await findThreadParent(db, { enrollmentId: null, to: 'lead@example.com' })).toBeNull();
+    expect(await findThreadParent(db, { enrollmentId: 'e1', to: 'lead@example.com' })).toEqual({ smtpMessageId: '<2@example.com>' });
+    expect(queries).toEqual([{
+      query: { type: 'sent', enrollmentId: 'e1', to: 'lead@example.com', smtpMessageId: { $nin: [null, ''] } },
+      options: { sort: { createdAt: -1 } }
+    }]);
+  });
+});
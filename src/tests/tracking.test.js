@@ -0,0 +1,26 @@
+import { ObjectId } from 'mongodb';
+import { createTrackingToken, readTrackingToken, addTracking } from '../server/tracking.js';
+
+describe('Email tracking', () => {
+  const messageId = new ObjectId();
+
+  test('tracking tokens round-trip and reject tampering', () => {
+    expect(readTrackingToken(createTrackingToken(messageId))).toEqual({ messageId, linkIndex: null });
+    expect(readTrackingToken(createTrackingToken(messageId, 2))).toEqual({ messageId, linkIndex: 2 });
+
+    const [id, , signature] = createTrackingToken(messageId, 2).split('.');
+    expect(readTrackingToken(`${id}.3.${signature}`)).toBeNull();
+    expect(readTrackingToken('not-a-token')).toBeNull();
+  });
+
+  test('addTracking rewrites http links and appends an open pixel', () => {
+    const html = '<html><body><a href="https://example.com/?a=1&amp;b=2" style="x">Site</a> <a href="mailto:me@example.com">Mail</a></body></html>';
+    const tracked = addTracking(html, { baseUrl: 'https://track.example.com', messageId });
+
+    expect(tracked.links).toEqual(['https://example.com/?a=1&b=2']);
+    expect(tracked.html).toContain(`<a href="https://track.example.com/t/click/${createTrackingToken(messageId, 0)}" style="x">Site</a>`);
+    expect(tracked.html).toContain('<a href="mailto:me@example.com">Mail</a>');
+    expect(tracked.html).toContain(`<img src="https://track.example.com/t/open/${createTrackingToken(messageId)}"`);
+    expect(tracked.html.indexOf('/t/open/')).toBeLessThan(tracked.html.indexOf('</body>'));
+  });
+});
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createCaptureTransport,
+  createHttpTransport,
+  getTransportName,
+  isDeliveryConfigured,
+  listCapturedMessages,
+  getCapturedMessages,
+  getCapturedMessage,
+  getCapturedMessageRaw,
+  clearCapturedMessages
+} from '../server/transports.js';
+import { classifySendError } from '../server/retries.js';
+
+describe('Delivery transports', () => {
+  const message = {
+    from: 'sender@example.com',
+    to: 'lead@example.com',
+    subject: 'Hello',
+    text: 'Hi there',
+    html: '<p>Hi there</p>'
+  };
+
+  test('the transport is picked from the environment', () => {
+    expect(getTransportName({})).toBe('smtp');
+    expect(getTransportName({ EMAIL_TRANSPORT: 'Capture' })).toBe('capture');
+    expect(() => getTransportName({ EMAIL_TRANSPORT: 'pigeon' })).toThrow(/Unknown EMAIL_TRANSPORT/);
+
+    expect(isDeliveryConfigured({ EMAIL_USER: 'a', EMAIL_PASS: 'b' })).toBe(true);
+    expect(isDeliveryConfigured({ EMAIL_TRANSPORT: 'http' })).toBe(false);
+    expect(isDeliveryConfigured({ EMAIL_TRANSPORT: 'capture' })).toBe(true);
+  });
+
+  test('the capture transport keeps messages and writes .eml files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-'));
+    try {
+      const info = await createCaptureTransport({ dir }).sendMail(message);
+      const [captured] = listCapturedMessages();
+
+      expect(info.messageId).toBe(captured.messageId);
+      expect(captured).toMatchObject({ to: ['lead@example.com'], subject: 'Hello', html: '<p>Hi there</p>' });
+      expect(captured.raw).toContain('Subject: Hello');
+      expect(fs.readFileSync(captured.file, 'utf8')).toBe(captured.raw);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('each user only lists, reads and clears the messages they sent', async () => {
+    const transport = createCaptureTransport();
+    await transport.sendMail({ ...message, userId: 'user1', subject: 'For user 1' });
+    await transport.sendMail({ ...message, userId: 'user2', subject: 'For user 2' });
+    const [theirs, mine] = listCapturedMessages();
+
+    // Express stand-ins that keep what the handler responded with
+    const call = (handler, userId, { params = {}, query = {} } = {}) => {
+      const res = { headers: {} };
+      res.set = (name, value) => { res.headers[name] = value; return res; };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      res.send = (body) => { res.body = body; return res; };
+      handler({ user: { id: userId }, params, query }, res);
+      return res;
+    };
+
+    expect(call(getCapturedMessages, 'user1').body.messages.map(item => item.subject)).not.toContain('For user 2');
+    expect(call(getCapturedMessage, 'user1', { params: { id: mine.id } }).body.subject).toBe('For user 1');
+    expect(call(getCapturedMessage, 'user1', { params: { id: theirs.id } }).statusCode).toBe(404);
+    expect(call(getCapturedMessageRaw, 'user1', { params: { id: theirs.id } }).statusCode).toBe(404);
+
+    call(clearCapturedMessages, 'user1');
+    expect(call(getCapturedMessages, 'user1').body.total).toBe(0);
+    expect(call(getCapturedMessages, 'user2').body.messages.map(item => item.id)).toEqual([theirs.id]);
+  });
+
+  test('the HTTP transport posts JSON and marks rejected requests as permanent', async () => {
+    const calls = [];
+    const respond = (status, body) => async (url, options) => {
+      calls.push({ url, options });
+      return { ok: status < 300, status, text: async () => body };
+    };
+
+    const info = await createHttpTransport({ url: 'https://mail.test/send', apiKey: 'key', fetchImpl: respond(202, '{"id":"1"}') })
+      .sendMail(message);
+    const body = JSON.parse(calls[0].options.body);
+
+    expect(info.response).toBe('202 {"id":"1"}');
+    expect(calls[0].options.headers.Authorization).toBe('Bearer key');
+    expect(body).toMatchObject({ to: 'lead@example.com', subject: 'Hello', messageId: info.messageId });
+    expect(Buffer.from(body.raw, 'base64').toString('utf8')).toContain('Subject: Hello');
+
+    const rejected = createHttpTransport({ url: 'https://mail.test/send', fetchImpl: respond(422, 'bad address') });
+    await expect(rejected.sendMail(message)).rejects.toMatchObject({ code: 'EHTTP', statusCode: 422 });
+
+    const busy = createHttpTransport({ url: 'https://mail.test/send', fetchImpl: respond(503, 'try later') });
+    const error = await busy.sendMail(message).catch(sendError => sendError);
+    expect(classifySendError(error)).toBe('transient');
+  });
+});
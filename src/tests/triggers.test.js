@@ -0,0 +1,153 @@
+import { ObjectId } from 'mongodb';
+import {
+  createWebhookToken,
+  verifyWebhookToken,
+  readTriggerContact,
+  enrollTriggeredContact,
+  ensureTriggerIndexes
+} from '../server/triggers.js';
+import { ensureEnrollmentIndexes } from '../server/enrollments.js';
+import { ensureContactIndexes } from '../server/leadLists.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+describe('Flow triggers', () => {
+  const listId = new ObjectId();
+  const flow = {
+    _id: new ObjectId(),
+    userId: 'user1',
+    updatedAt: new Date('2026-01-01T00:00:00Z'),
+    trigger: { webhookKey: 'key-1' },
+    nodes: [
+      { id: 'source', type: 'leadSource', data: { label: 'Signups', leadListId: listId.toString() } },
+      { id: 'email', type: 'coldEmail', data: { label: 'Welcome', subject: 'Hi {{firstName}}', body: 'Thanks' } }
+    ],
+    edges: [{ id: 'e1', source: 'source', target: 'email' }]
+  };
+  const agenda = { scheduled: [], schedule: async (when, name, data) => agenda.scheduled.push(data.enrollmentId) };
+
+  // Triggered contacts are only enrolled when their emails can carry an unsubscribe link
+  beforeAll(() => {
+    process.env.TRACKING_BASE_URL = 'https://mail.example.com';
+  });
+
+  afterAll(() => {
+    delete process.env.TRACKING_BASE_URL;
+  });
+
+  test('webhook tokens are tied to the flow and its current key', () => {
+    const token = createWebhookToken(flow._id.toString(), 'key-1');
+
+    expect(verifyWebhookToken(token, flow)).toBe(true);
+    expect(verifyWebhookToken(token, { ...flow, trigger: { webhookKey: 'key-2' } })).toBe(false);
+    expect(verifyWebhookToken(token, { ...flow, trigger: { webhookKey: null } })).toBe(false);
+    expect(verifyWebhookToken(token, { ...flow, _id: new ObjectId() })).toBe(false);
+    expect(verifyWebhookToken(`${token}x`, flow)).toBe(false);
+  });
+
+  test('payload fields are read like CSV columns', () => {
+    expect(readTriggerContact({ Email: 'Lead@Example.com', 'First Name': 'Ada', plan: 'trial', customFields: { score: 5 } }))
+      .toEqual({ email: 'Lead@Example.com', firstName: 'Ada', customFields: { plan: 'trial', score: '5' } });
+    expect(readTriggerContact({ contact: { email: 'lead@example.com', company: 'Acme' }, source: 'crm' }))
+      .toEqual({ email: 'lead@example.com', company: 'Acme', customFields: {} });
+  });
+
+  test('a contact is saved to the lead source list and enrolled once', async () => {
+    const db = createFakeDb();
+    const contacts = db.collection('contacts').documents;
+    const enrollments = db.collection('enrollments').documents;
+    const runs = db.collection('flowRuns').documents;
+
+    const first = await enrollTriggeredContact(db, agenda, flow, { email: 'Lead@Example.com', firstName: 'Ada' });
+    expect(first).toMatchObject({ enrolled: true, reason: null });
+    expect(contacts).toHaveLength(1);
+    expect(contacts[0]).toMatchObject({ email: 'lead@example.com', firstName: 'Ada', listIds: [listId] });
+    expect(enrollments[0]).toMatchObject({ flowId: flow._id.toString(), email: 'lead@example.com', currentNodeId: 'source' });
+    expect(agenda.scheduled).toContain(first.enrollmentId);
+
+    const again = await enrollTriggeredContact(db, agenda, flow, { email: 'lead@example.com', company: 'Acme' });
+    expect(again).toEqual({ enrolled: false, reason: 'already enrolled', enrollmentId: first.enrollmentId, contactId: first.contactId });
+    expect(contacts[0].company).toBe('Acme');
+
+    // Contacts triggered while the flow is unchanged share one flow run
+    await enrollTriggeredContact(db, agenda, flow, { email: 'other@example.com' });
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ trigger: true, leadListId: listId.toString(), sendNow: false });
+    expect(enrollments[1].runId).toBe(runs[0]._id);
+  });
+
+  test('the same contact triggered twice at once is enrolled once', async () => {
+    const db = createFakeDb();
+    await ensureContactIndexes(db);
+    await ensureEnrollmentIndexes(db);
+    await ensureTriggerIndexes(db);
+
+    const results = await Promise.all([
+      enrollTriggeredContact(db, agenda, flow, { email: 'lead@example.com' }),
+      enrollTriggeredContact(db, agenda, flow, { email: 'Lead@Example.com' })
+    ]);
+
+    const enrolled = results.find(result => result.enrolled);
+    expect(db.collection('enrollments').documents).toHaveLength(1);
+    expect(results.filter(result => result.enrolled)).toHaveLength(1);
+    expect(results.find(result => !result.enrolled))
+      .toEqual({ enrolled: false, reason: 'already enrolled', enrollmentId: enrolled.enrollmentId, contactId: enrolled.contactId });
+  });
+
+  test('a flow run created by a simultaneous trigger is reused', async () => {
+    const db = createFakeDb();
+    await ensureTriggerIndexes(db);
+    const runs = db.collection('flowRuns');
+    const upsert = runs.findOneAndUpdate;
+    // Another request creates the run between this one's lookup and its insert
+    runs.findOneAndUpdate = async (...args) => {
+      await upsert(...args);
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    };
+
+    const result = await enrollTriggeredContact(db, agenda, flow, { email: 'lead@example.com' });
+
+    expect(result).toMatchObject({ enrolled: true });
+    expect(runs.documents).toHaveLength(1);
+    expect(db.collection('enrollments').documents[0].runId).toEqual(runs.documents[0]._id);
+  });
+
+  test('custom field keys from a payload are made safe before they are saved', async () => {
+    const db = createFakeDb();
+    const contact = readTriggerContact({
+      email: 'lead@example.com',
+      customFields: { $where: 'a', 'plan.tier': 'gold', '': 'empty', '42': 'digits', fullName: 'Ada L', 'Job Title': 'CTO' }
+    });
+
+    expect(await enrollTriggeredContact(db, agenda, flow, contact)).toMatchObject({ enrolled: true });
+    expect(db.collection('contacts').documents[0].customFields).toEqual({ where: 'a', planTier: 'gold', jobTitle: 'CTO' });
+  });
+
+  test('suppressed contacts, bad emails and broken flows are not enrolled', async () => {
+    const db = createFakeDb({ suppressions: [{ userId: 'user1', email: 'gone@example.com' }] });
+
+    expect(await enrollTriggeredContact(db, agenda, flow, { email: 'gone@example.com' }))
+      .toMatchObject({ enrolled: false, reason: 'suppressed' });
+    expect(await enrollTriggeredContact(db, agenda, flow, { firstName: 'Ada' }))
+      .toMatchObject({ status: 400, error: 'The contact email is required' });
+    expect(await enrollTriggeredContact(db, agenda, flow, { email: 'not-an-email' }))
+      .toMatchObject({ status: 400, error: expect.stringMatching(/not a valid email/) });
+
+    const broken = { ...flow, nodes: [...flow.nodes, { id: 'lost', type: 'coldEmail', data: {} }] };
+    expect(await enrollTriggeredContact(db, agenda, broken, { email: 'lead@example.com' }))
+      .toMatchObject({ status: 400, nodeIds: ['lost'] });
+    expect(db.collection('enrollments').documents).toHaveLength(0);
+  });
+
+  test('nothing is enrolled while the server has no public URL for unsubscribe links', async () => {
+    const db = createFakeDb();
+    delete process.env.TRACKING_BASE_URL;
+
+    try {
+      expect(await enrollTriggeredContact(db, agenda, flow, { email: 'lead@example.com' }))
+        .toMatchObject({ status: 500, error: expect.stringMatching(/TRACKING_BASE_URL/) });
+      expect(db.collection('enrollments').documents).toHaveLength(0);
+    } finally {
+      process.env.TRACKING_BASE_URL = 'https://mail.example.com';
+    }
+  });
+});
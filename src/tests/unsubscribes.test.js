@@ -0,0 +1,60 @@
+import { ObjectId } from 'mongodb';
+import { createTrackingToken, createUnsubscribeToken, readUnsubscribeToken } from '../server/tracking.js';
+import { addUnsubscribeFooter, addUnsubscribeLink, getUnsubscribeHeaders, getUnsubscribeUrl } from '../server/unsubscribes.js';
+import { readImportedEmails } from '../server/suppressions.js';
+import { planRetry } from '../server/retries.js';
+
+describe('Unsubscribes', () => {
+  const messageId = new ObjectId();
+
+  test('unsubscribe tokens round-trip and reject tampering and tracking tokens', () => {
+    expect(readUnsubscribeToken(createUnsubscribeToken(messageId))).toEqual(messageId);
+
+    const [, signature] = createUnsubscribeToken(messageId).split('.');
+    expect(readUnsubscribeToken(`${new ObjectId()}.${signature}`)).toBeNull();
+    expect(readUnsubscribeToken(createTrackingToken(messageId))).toBeNull();
+    expect(readUnsubscribeToken('not-a-token')).toBeNull();
+  });
+
+  test('emails get a footer link in both parts and one-click headers', () => {
+    const url = getUnsubscribeUrl('https://mail.example.com', messageId);
+    const content = addUnsubscribeFooter({ html: '<html><body><p>Hi</p></body></html>', text: 'Hi' }, url);
+
+    expect(url).toBe(`https://mail.example.com/u/${createUnsubscribeToken(messageId)}`);
+    expect(content.html).toContain(`<a href="${url}"`);
+    expect(content.html.indexOf('/u/')).toBeLessThan(content.html.indexOf('</body>'));
+    expect(content.text).toBe(`Hi\n\n--\nUnsubscribe: ${url}\n`);
+    expect(addUnsubscribeFooter({ html: null, text: 'Hi' }, url).html).toBeNull();
+    expect(getUnsubscribeHeaders(url)).toEqual({
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+  });
+
+  test('an email is refused rather than sent without an unsubscribe link when there is no public URL', () => {
+    const sending = { html: '<p>Hi</p>', text: 'Hi' };
+    const url = getUnsubscribeUrl('https://mail.example.com', messageId);
+
+    expect(addUnsubscribeLink(sending, 'https://mail.example.com', messageId)).toEqual({
+      ...addUnsubscribeFooter(sending, url),
+      headers: getUnsubscribeHeaders(url)
+    });
+
+    let error;
+    try {
+      addUnsubscribeLink(sending, null, messageId);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ code: 'ENOUNSUBSCRIBE', message: expect.stringMatching(/TRACKING_BASE_URL/) });
+    // Retrying cannot help, so the email is dead-lettered instead of going out bare later
+    expect(planRetry(error, 1)).toEqual({ errorType: 'permanent', retryAt: null });
+  });
+
+  test('suppression imports read the email column or the first column', () => {
+    expect(readImportedEmails('name,Email\nJane,Jane@Example.com\nBob,not-an-email\nJo,jane@example.com'))
+      .toEqual({ emails: ['jane@example.com'], invalid: 1 });
+    expect(readImportedEmails('a@example.com\nb@example.com\n'))
+      .toEqual({ emails: ['a@example.com', 'b@example.com'], invalid: 0 });
+  });
+});